@@ -6,6 +6,8 @@ module.exports = {
   collectCoverageFrom: [
     'src/**/*.js',
     '!src/**/node_modules/**',
+    '!src/benchmark/workloads/**',
+    '!src/templates/builtin/**',
   ],
   coverageReporters: ['text', 'lcov'],
   verbose: true
@@ -0,0 +1,122 @@
+/**
+ * Turns raw benchmark measurements into calibrated 1-10 language characteristics
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CALIBRATION_FILE = 'calibrated.json';
+
+function geometricMean(values) {
+  const present = values.filter(value => Number.isFinite(value) && value > 0);
+  if (present.length === 0) {
+    return null;
+  }
+  return Math.exp(present.reduce((sum, value) => sum + Math.log(value), 0) / present.length);
+}
+
+// Raw measurement behind each calibrated characteristic, lower is better for all of them.
+// The reference bounds are the measurements that score 10 and 1, so a score doesn't depend on
+// which other languages happened to be measured in the same run.
+const CHARACTERISTIC_METRICS = {
+  performance: {
+    metric: metrics => geometricMean([metrics.cpuMs, metrics.jsonMs, metrics.httpP50Ms]),
+    reference: { best: 1, worst: 1000 }
+  },
+  memory: {
+    metric: metrics => metrics.peakRssKb,
+    reference: { best: 1024, worst: 1024 * 1024 }
+  },
+  startupTime: {
+    metric: metrics => metrics.coldStartMs,
+    reference: { best: 5, worst: 5000 }
+  },
+};
+
+// Fewer languages or closer measurements than this say more about noise than about the languages
+const MIN_LANGUAGES = 3;
+const MIN_SPREAD = 1.5;
+
+/**
+ * Map lower-is-better measurements onto the 1-10 profile scale
+ * Measurements often differ by orders of magnitude, so they are placed on a log scale between
+ * the reference bounds; values outside the bounds score 10 or 1.
+ * @param {Object<string, number>} values - Measurement per language
+ * @param {{ best: number, worst: number }} reference - Measurements that score 10 and 1
+ * @returns {Object<string, number>} Score per language, languages without a measurement are left out
+ */
+function scaleLowerIsBetter(values, { best, worst }) {
+  const range = Math.log(worst) - Math.log(best);
+
+  return Object.fromEntries(Object.entries(values)
+    .filter(([, value]) => Number.isFinite(value) && value > 0)
+    .map(([language, value]) => {
+      const position = Math.min(Math.max((Math.log(value) - Math.log(best)) / range, 0), 1);
+      return [language, Math.round(10 - 9 * position)];
+    }));
+}
+
+/**
+ * Calibrate characteristics from benchmark results
+ * A characteristic is only calibrated when enough languages were measured and they differ enough
+ * to tell apart; the notes say which ones were left to the hand-tuned profiles and why.
+ * @param {Array<{ language: string, status: string, metrics?: object }>} results
+ * @returns {{ characteristics: Object<string, object>, notes: string[] }}
+ */
+function calibrate(results) {
+  const measured = results.filter(result => result.status === 'ok');
+  const characteristics = {};
+  const notes = [];
+
+  for (const [characteristic, { metric, reference }] of Object.entries(CHARACTERISTIC_METRICS)) {
+    const values = Object.fromEntries(measured.map(result => [result.language, metric(result.metrics)]));
+    const scores = scaleLowerIsBetter(values, reference);
+    const present = Object.keys(scores).map(language => values[language]);
+    if (present.length < MIN_LANGUAGES) {
+      notes.push(`${characteristic}: at least ${MIN_LANGUAGES} languages must be measured to calibrate`);
+      continue;
+    }
+    if (Math.max(...present) / Math.min(...present) < MIN_SPREAD) {
+      notes.push(`${characteristic}: the measurements are too close together to calibrate`);
+      continue;
+    }
+    for (const [language, score] of Object.entries(scores)) {
+      characteristics[language] = { ...characteristics[language], [characteristic]: score };
+    }
+  }
+
+  return { characteristics, notes };
+}
+
+/**
+ * Write calibrated characteristics as a language plugin file
+ * The file is picked up by the profile loader like any other plugin in paths.languages.
+ * @returns {string} Path of the written file
+ */
+function writeCalibration(directory, calibration, results) {
+  const languages = Object.fromEntries(
+    Object.entries(calibration.characteristics).map(([language, values]) => [language, { characteristics: values }])
+  );
+  const metrics = Object.fromEntries(
+    results.filter(result => result.status === 'ok').map(result => [result.language, result.metrics])
+  );
+  const file = path.join(directory, CALIBRATION_FILE);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    generatedBy: 'polyfunc benchmark',
+    measuredAt: new Date().toISOString(),
+    metrics,
+    languages
+  }, null, 2) + '\n', 'utf8');
+
+  return file;
+}
+
+module.exports = {
+  CALIBRATION_FILE,
+  geometricMean,
+  scaleLowerIsBetter,
+  calibrate,
+  writeCalibration
+};
@@ -0,0 +1,290 @@
+/**
+ * Benchmark runner for PolyFunc
+ * Builds and runs the workload suite for each language whose toolchain is installed and
+ * measures cold start time, CPU and JSON workload time, HTTP echo latency and peak RSS.
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { suites: defaultSuites, EXPECTED_OUTPUT } = require('./suites');
+
+const DEFAULT_TIMEOUT = 120000;
+const SERVER_READY_TIMEOUT = 10000;
+const HTTP_WARMUP_REQUESTS = 10;
+const ECHO_BODY = JSON.stringify({ hello: 'world', items: [1, 2, 3] });
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+// Commands starting with ./ refer to build outputs in the working directory
+function resolveCommand(command, cwd) {
+  return command.startsWith('./') ? path.join(cwd, command.slice(2)) : command;
+}
+
+/**
+ * Check whether a suite's toolchain is installed
+ * @returns {{ available: boolean, version?: string }}
+ */
+function detectToolchain(suite) {
+  const { command, args } = suite.toolchain;
+  const result = spawnSync(command, args, { encoding: 'utf8', timeout: 10000 });
+  if (result.error || result.status !== 0) {
+    return { available: false };
+  }
+  const version = `${result.stdout || ''}${result.stderr || ''}`.trim().split('\n')[0];
+  return { available: true, version };
+}
+
+/**
+ * Run a command to completion and time it
+ * @param {string} command
+ * @param {string[]} args
+ * @param {{ cwd?: string, timeout?: number, env?: object }} [options] - env replaces the inherited environment
+ * @returns {Promise<{ code: number, stdout: string, stderr: string, durationMs: number }>}
+ */
+function runProcess(command, args, { cwd, timeout = DEFAULT_TIMEOUT, env } = {}) {
+  return new Promise((resolve, reject) => {
+    const started = process.hrtime.bigint();
+    const child = spawn(resolveCommand(command, cwd), args, { cwd, env });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${command} ${args.join(' ')} timed out after ${timeout}ms`));
+    }, timeout);
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      resolve({ code, stdout, stderr, durationMs });
+    });
+  });
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Send one POST to the echo server and return the round trip time in milliseconds
+function echoRequest(port) {
+  return new Promise((resolve, reject) => {
+    const started = process.hrtime.bigint();
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method: 'POST',
+      path: '/echo',
+      agent: false,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(ECHO_BODY) },
+    }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        if (body !== ECHO_BODY) {
+          reject(new Error('HTTP echo server returned an unexpected body'));
+          return;
+        }
+        resolve(Number(process.hrtime.bigint() - started) / 1e6);
+      });
+    });
+    req.on('error', reject);
+    req.end(ECHO_BODY);
+  });
+}
+
+// Peak resident set size of a running process in KB (Linux only)
+function readPeakRss(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const match = status.match(/^VmHWM:\s+(\d+)\s+kB/m);
+    return match ? Number(match[1]) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+class BenchmarkRunner {
+  /**
+   * @param {object} options
+   * @param {number} [options.iterations] - Runs per process workload, the median is reported
+   * @param {number} [options.requests] - Requests sent to the HTTP echo server
+   * @param {number} [options.timeout] - Time limit for each build or run in milliseconds
+   * @param {object} [options.suites] - Suite definitions keyed by language
+   * @param {Function} [options.log] - Progress logger
+   */
+  constructor({ iterations = 3, requests = 200, timeout = DEFAULT_TIMEOUT, suites = defaultSuites, log = () => {} } = {}) {
+    this.iterations = iterations;
+    this.requests = requests;
+    this.timeout = timeout;
+    this.suites = suites;
+    this.log = log;
+  }
+
+  /**
+   * Benchmark each language, skipping those without a suite or toolchain
+   * @param {string[]} languages
+   * @returns {Promise<Array<{ language: string, status: string, note?: string, version?: string, metrics?: object }>>}
+   */
+  async run(languages) {
+    const results = [];
+
+    for (const language of languages) {
+      const suite = this.suites[language];
+      if (!suite) {
+        results.push({ language, status: 'skipped', note: 'no benchmark suite for this language' });
+        continue;
+      }
+
+      const toolchain = detectToolchain(suite);
+      if (!toolchain.available) {
+        results.push({
+          language,
+          status: 'skipped',
+          note: `toolchain not found (${suite.toolchain.command}); install it to benchmark ${language}`,
+        });
+        continue;
+      }
+
+      this.log(`Benchmarking ${language} (${toolchain.version})...`);
+      try {
+        const metrics = await this.runSuite(suite);
+        results.push({ language, status: 'ok', version: toolchain.version, metrics });
+      } catch (error) {
+        results.push({ language, status: 'failed', version: toolchain.version, note: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async runSuite(suite) {
+    const workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-bench-'));
+    try {
+      fs.copyFileSync(suite.source, path.join(workdir, suite.file));
+
+      if (suite.build) {
+        const build = await runProcess(suite.build.command, suite.build.args, { cwd: workdir, timeout: this.timeout });
+        if (build.code !== 0) {
+          throw new Error(`build failed: ${build.stderr.trim().split('\n').slice(-3).join(' ')}`);
+        }
+      }
+
+      const coldStartMs = await this.timeWorkload(suite, workdir, 'cold');
+      const cpuMs = await this.timeWorkload(suite, workdir, 'cpu');
+      const jsonMs = await this.timeWorkload(suite, workdir, 'json');
+      const httpMetrics = await this.runHttpWorkload(suite, workdir);
+
+      return { coldStartMs, cpuMs, jsonMs, ...httpMetrics };
+    } finally {
+      fs.rmSync(workdir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Run one process workload `iterations` times and return the median time
+   * The cold start workload is timed from outside, the others report their own
+   * elapsed time so process start-up doesn't skew them.
+   */
+  async timeWorkload(suite, workdir, mode) {
+    const durations = [];
+    for (let i = 0; i < this.iterations; i++) {
+      const result = await runProcess(suite.run.command, [...suite.run.args, mode], { cwd: workdir, timeout: this.timeout });
+      if (result.code !== 0) {
+        throw new Error(`${mode} workload exited with code ${result.code}: ${result.stderr.trim()}`);
+      }
+      if (!EXPECTED_OUTPUT[mode]) {
+        durations.push(result.durationMs);
+        continue;
+      }
+
+      const [output, elapsed] = result.stdout.trim().split(/\s+/);
+      if (output !== EXPECTED_OUTPUT[mode] || !Number.isFinite(Number(elapsed))) {
+        throw new Error(`${mode} workload printed "${result.stdout.trim()}", expected ${EXPECTED_OUTPUT[mode]} and a time`);
+      }
+      durations.push(Number(elapsed));
+    }
+    return median(durations);
+  }
+
+  async runHttpWorkload(suite, workdir) {
+    const port = await findFreePort();
+    const server = spawn(resolveCommand(suite.run.command, workdir), [...suite.run.args, 'http', String(port)], { cwd: workdir });
+
+    try {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('HTTP echo server did not start in time')), SERVER_READY_TIMEOUT);
+        let output = '';
+        server.stdout.on('data', chunk => {
+          output += chunk;
+          if (output.includes('ready')) {
+            clearTimeout(timer);
+            resolve();
+          }
+        });
+        server.on('error', error => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        server.on('exit', code => {
+          clearTimeout(timer);
+          reject(new Error(`HTTP echo server exited with code ${code}`));
+        });
+      });
+
+      for (let i = 0; i < HTTP_WARMUP_REQUESTS; i++) {
+        await echoRequest(port);
+      }
+      const latencies = [];
+      for (let i = 0; i < this.requests; i++) {
+        latencies.push(await echoRequest(port));
+      }
+
+      return {
+        httpP50Ms: percentile(latencies, 0.5),
+        httpP95Ms: percentile(latencies, 0.95),
+        peakRssKb: readPeakRss(server.pid),
+      };
+    } finally {
+      server.removeAllListeners('exit');
+      if (server.exitCode === null) {
+        await new Promise(resolve => {
+          server.once('exit', resolve);
+          server.kill('SIGKILL');
+        });
+      }
+    }
+  }
+}
+
+module.exports = {
+  BenchmarkRunner,
+  detectToolchain,
+  runProcess,
+  median,
+  percentile
+};
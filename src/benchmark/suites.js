@@ -0,0 +1,51 @@
+/**
+ * Benchmark suite definitions
+ * Each suite describes how to detect, build and run the workload program for one language.
+ * Every workload program accepts the same modes: cold, cpu, json and http <port>.
+ */
+
+const path = require('path');
+
+const WORKLOADS_DIR = path.join(__dirname, 'workloads');
+
+// Expected stdout of the cpu and json workloads, used to check a build is sane
+const EXPECTED_OUTPUT = {
+  cpu: '9592',
+  json: '6666',
+};
+
+const suites = {
+  javascript: {
+    toolchain: { command: process.execPath, args: ['--version'] },
+    source: path.join(WORKLOADS_DIR, 'javascript', 'main.js'),
+    file: 'main.js',
+    build: null,
+    run: { command: process.execPath, args: ['main.js'] },
+  },
+  python: {
+    toolchain: { command: 'python3', args: ['--version'] },
+    source: path.join(WORKLOADS_DIR, 'python', 'main.py'),
+    file: 'main.py',
+    build: null,
+    run: { command: 'python3', args: ['main.py'] },
+  },
+  go: {
+    toolchain: { command: 'go', args: ['version'] },
+    source: path.join(WORKLOADS_DIR, 'go', 'main.go'),
+    file: 'main.go',
+    build: { command: 'go', args: ['build', '-o', 'bench', 'main.go'] },
+    run: { command: './bench', args: [] },
+  },
+  rust: {
+    toolchain: { command: 'rustc', args: ['--version'] },
+    source: path.join(WORKLOADS_DIR, 'rust', 'main.rs'),
+    file: 'main.rs',
+    build: { command: 'rustc', args: ['-O', '-o', 'bench', 'main.rs'] },
+    run: { command: './bench', args: [] },
+  },
+};
+
+module.exports = {
+  suites,
+  EXPECTED_OUTPUT
+};
@@ -0,0 +1,93 @@
+// PolyFunc benchmark workloads for Go
+// Usage: bench <cold|cpu|json|http> [port]
+package main
+
+import (
+	"encoding/json"
+	"fmt"
+	"io"
+	"net"
+	"net/http"
+	"os"
+	"time"
+)
+
+// Count primes below 100000 by trial division
+func cpu() int {
+	count := 0
+	for n := 2; n < 100000; n++ {
+		prime := true
+		for d := 2; d*d <= n; d++ {
+			if n%d == 0 {
+				prime = false
+				break
+			}
+		}
+		if prime {
+			count++
+		}
+	}
+	return count
+}
+
+type record struct {
+	ID    int      `json:"id"`
+	Name  string   `json:"name"`
+	Price float64  `json:"price"`
+	Tags  []string `json:"tags"`
+}
+
+// Serialize 10000 records, parse them back and count the expensive ones
+func transform() int {
+	records := make([]record, 0, 10000)
+	for i := 0; i < 10000; i++ {
+		records = append(records, record{ID: i, Name: fmt.Sprintf("item-%d", i), Price: float64(i) * 1.5, Tags: []string{"a", "b"}})
+	}
+	data, _ := json.Marshal(records)
+	var parsed []map[string]interface{}
+	json.Unmarshal(data, &parsed)
+	count := 0
+	for _, r := range parsed {
+		if r["price"].(float64) > 5000 {
+			count++
+		}
+	}
+	return count
+}
+
+func serve(port string) {
+	http.HandleFunc("/", func(w http.ResponseWriter, r *http.Request) {
+		body, _ := io.ReadAll(r.Body)
+		w.Header().Set("Connection", "close")
+		w.Write(body)
+	})
+	listener, err := net.Listen("tcp", "127.0.0.1:"+port)
+	if err != nil {
+		fmt.Fprintln(os.Stderr, err)
+		os.Exit(1)
+	}
+	fmt.Println("ready")
+	http.Serve(listener, nil)
+}
+
+// Print the workload result followed by the time it took in milliseconds
+func timed(workload func() int) {
+	started := time.Now()
+	result := workload()
+	fmt.Println(result, float64(time.Since(started).Nanoseconds())/1e6)
+}
+
+func main() {
+	mode := "cold"
+	if len(os.Args) > 1 {
+		mode = os.Args[1]
+	}
+	switch mode {
+	case "cpu":
+		timed(cpu)
+	case "json":
+		timed(transform)
+	case "http":
+		serve(os.Args[2])
+	}
+}
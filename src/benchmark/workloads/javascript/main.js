@@ -0,0 +1,57 @@
+/**
+ * PolyFunc benchmark workloads for JavaScript
+ * Usage: node main.js <cold|cpu|json|http> [port]
+ */
+
+const http = require('http');
+
+// Count primes below 100000 by trial division
+function cpu() {
+  let count = 0;
+  for (let n = 2; n < 100000; n++) {
+    let prime = true;
+    for (let d = 2; d * d <= n; d++) {
+      if (n % d === 0) {
+        prime = false;
+        break;
+      }
+    }
+    if (prime) count++;
+  }
+  return count;
+}
+
+// Serialize 10000 records, parse them back and count the expensive ones
+function json() {
+  const records = [];
+  for (let i = 0; i < 10000; i++) {
+    records.push({ id: i, name: `item-${i}`, price: i * 1.5, tags: ['a', 'b'] });
+  }
+  const parsed = JSON.parse(JSON.stringify(records));
+  return parsed.filter(record => record.price > 5000).length;
+}
+
+function serve(port) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      res.writeHead(200, { 'Content-Length': body.length, Connection: 'close' });
+      res.end(body);
+    });
+  });
+  server.listen(Number(port), '127.0.0.1', () => console.log('ready'));
+}
+
+// Print the workload result followed by the time it took in milliseconds
+function timed(workload) {
+  const started = process.hrtime.bigint();
+  const result = workload();
+  console.log(result, Number(process.hrtime.bigint() - started) / 1e6);
+}
+
+const [mode, port] = process.argv.slice(2);
+if (mode === 'cpu') timed(cpu);
+else if (mode === 'json') timed(json);
+else if (mode === 'http') serve(port);
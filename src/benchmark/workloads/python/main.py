@@ -0,0 +1,70 @@
+"""PolyFunc benchmark workloads for Python
+Usage: python3 main.py <cold|cpu|json|http> [port]
+"""
+
+import json
+import sys
+import time
+from http.server import BaseHTTPRequestHandler, HTTPServer
+
+
+def cpu():
+    """Count primes below 100000 by trial division"""
+    count = 0
+    for n in range(2, 100000):
+        prime = True
+        d = 2
+        while d * d <= n:
+            if n % d == 0:
+                prime = False
+                break
+            d += 1
+        if prime:
+            count += 1
+    return count
+
+
+def transform():
+    """Serialize 10000 records, parse them back and count the expensive ones"""
+    records = [
+        {"id": i, "name": "item-%d" % i, "price": i * 1.5, "tags": ["a", "b"]}
+        for i in range(10000)
+    ]
+    parsed = json.loads(json.dumps(records))
+    return len([record for record in parsed if record["price"] > 5000])
+
+
+class EchoHandler(BaseHTTPRequestHandler):
+    def do_POST(self):
+        body = self.rfile.read(int(self.headers.get("Content-Length", 0)))
+        self.send_response(200)
+        self.send_header("Content-Length", str(len(body)))
+        self.send_header("Connection", "close")
+        self.end_headers()
+        self.wfile.write(body)
+
+    def log_message(self, *args):
+        pass
+
+
+def timed(workload):
+    """Print the workload result followed by the time it took in milliseconds"""
+    started = time.perf_counter()
+    result = workload()
+    print(result, (time.perf_counter() - started) * 1000)
+
+
+def serve(port):
+    server = HTTPServer(("127.0.0.1", int(port)), EchoHandler)
+    print("ready", flush=True)
+    server.serve_forever()
+
+
+if __name__ == "__main__":
+    mode = sys.argv[1] if len(sys.argv) > 1 else "cold"
+    if mode == "cpu":
+        timed(cpu)
+    elif mode == "json":
+        timed(transform)
+    elif mode == "http":
+        serve(sys.argv[2])
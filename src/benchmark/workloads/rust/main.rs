@@ -0,0 +1,209 @@
+// PolyFunc benchmark workloads for Rust
+// Usage: bench <cold|cpu|json|http> [port]
+// Only the standard library is used so the suite builds without network access.
+
+use std::io::{BufRead, BufReader, Read, Write};
+use std::net::TcpListener;
+use std::time::Instant;
+
+// Count primes below 100000 by trial division
+fn cpu() -> u32 {
+    let mut count = 0;
+    for n in 2u32..100000 {
+        let mut prime = true;
+        let mut d = 2;
+        while d * d <= n {
+            if n % d == 0 {
+                prime = false;
+                break;
+            }
+            d += 1;
+        }
+        if prime {
+            count += 1;
+        }
+    }
+    count
+}
+
+// Minimal JSON value and parser, enough for the transform workload
+#[allow(dead_code)]
+enum Value {
+    Null,
+    Bool(bool),
+    Number(f64),
+    Str(String),
+    Array(Vec<Value>),
+    Object(Vec<(String, Value)>),
+}
+
+struct Parser<'a> {
+    bytes: &'a [u8],
+    pos: usize,
+}
+
+impl<'a> Parser<'a> {
+    fn skip_ws(&mut self) {
+        while self.pos < self.bytes.len() && (self.bytes[self.pos] as char).is_whitespace() {
+            self.pos += 1;
+        }
+    }
+
+    fn parse_string(&mut self) -> String {
+        self.pos += 1;
+        let mut out = String::new();
+        while self.bytes[self.pos] != b'"' {
+            if self.bytes[self.pos] == b'\\' {
+                self.pos += 1;
+            }
+            out.push(self.bytes[self.pos] as char);
+            self.pos += 1;
+        }
+        self.pos += 1;
+        out
+    }
+
+    fn parse(&mut self) -> Value {
+        self.skip_ws();
+        match self.bytes[self.pos] {
+            b'{' => {
+                self.pos += 1;
+                let mut fields = Vec::new();
+                loop {
+                    self.skip_ws();
+                    if self.bytes[self.pos] == b'}' {
+                        self.pos += 1;
+                        break;
+                    }
+                    let key = self.parse_string();
+                    self.skip_ws();
+                    self.pos += 1; // colon
+                    fields.push((key, self.parse()));
+                    self.skip_ws();
+                    if self.bytes[self.pos] == b',' {
+                        self.pos += 1;
+                    }
+                }
+                Value::Object(fields)
+            }
+            b'[' => {
+                self.pos += 1;
+                let mut items = Vec::new();
+                loop {
+                    self.skip_ws();
+                    if self.bytes[self.pos] == b']' {
+                        self.pos += 1;
+                        break;
+                    }
+                    items.push(self.parse());
+                    self.skip_ws();
+                    if self.bytes[self.pos] == b',' {
+                        self.pos += 1;
+                    }
+                }
+                Value::Array(items)
+            }
+            b'"' => Value::Str(self.parse_string()),
+            b't' => {
+                self.pos += 4;
+                Value::Bool(true)
+            }
+            b'f' => {
+                self.pos += 5;
+                Value::Bool(false)
+            }
+            b'n' => {
+                self.pos += 4;
+                Value::Null
+            }
+            _ => {
+                let start = self.pos;
+                while self.pos < self.bytes.len() && b"+-.eE0123456789".contains(&self.bytes[self.pos]) {
+                    self.pos += 1;
+                }
+                let text = std::str::from_utf8(&self.bytes[start..self.pos]).unwrap();
+                Value::Number(text.parse().unwrap())
+            }
+        }
+    }
+}
+
+// Serialize 10000 records, parse them back and count the expensive ones
+fn transform() -> u32 {
+    let mut data = String::from("[");
+    for i in 0..10000 {
+        if i > 0 {
+            data.push(',');
+        }
+        data.push_str(&format!(
+            "{{\"id\":{},\"name\":\"item-{}\",\"price\":{},\"tags\":[\"a\",\"b\"]}}",
+            i,
+            i,
+            i as f64 * 1.5
+        ));
+    }
+    data.push(']');
+
+    let mut parser = Parser { bytes: data.as_bytes(), pos: 0 };
+    match parser.parse() {
+        Value::Array(items) => items
+            .iter()
+            .filter(|item| match item {
+                Value::Object(fields) => fields
+                    .iter()
+                    .any(|(key, value)| key == "price" && matches!(value, Value::Number(price) if *price > 5000.0)),
+                _ => false,
+            })
+            .count() as u32,
+        _ => 0,
+    }
+}
+
+fn serve(port: &str) {
+    let listener = TcpListener::bind(format!("127.0.0.1:{}", port)).expect("bind failed");
+    println!("ready");
+    for stream in listener.incoming() {
+        let mut stream = match stream {
+            Ok(stream) => stream,
+            Err(_) => continue,
+        };
+        let mut reader = BufReader::new(stream.try_clone().unwrap());
+        let mut length = 0;
+        loop {
+            let mut line = String::new();
+            if reader.read_line(&mut line).unwrap_or(0) == 0 || line == "\r\n" {
+                break;
+            }
+            let lower = line.to_ascii_lowercase();
+            if let Some(value) = lower.strip_prefix("content-length:") {
+                length = value.trim().parse().unwrap_or(0);
+            }
+        }
+        let mut body = vec![0u8; length];
+        let _ = reader.read_exact(&mut body);
+        let header = format!(
+            "HTTP/1.1 200 OK\r\nContent-Length: {}\r\nConnection: close\r\n\r\n",
+            body.len()
+        );
+        let _ = stream.write_all(header.as_bytes());
+        let _ = stream.write_all(&body);
+    }
+}
+
+// Print the workload result followed by the time it took in milliseconds
+fn timed(workload: fn() -> u32) {
+    let started = Instant::now();
+    let result = workload();
+    println!("{} {}", result, started.elapsed().as_secs_f64() * 1000.0);
+}
+
+fn main() {
+    let args: Vec<String> = std::env::args().collect();
+    let mode = args.get(1).map(String::as_str).unwrap_or("cold");
+    match mode {
+        "cpu" => timed(cpu),
+        "json" => timed(transform),
+        "http" => serve(&args[2]),
+        _ => {}
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Unified diff rendering for PolyFunc
+ * Line based Myers diff, used to preview generated files against what is already on disk
+ */
+
+const NO_NEWLINE = '\n\\ No newline at end of file';
+const MAX_EDIT_DISTANCE = 1000;
+
+// Split text into lines; a missing final newline is folded into the last line so it shows up as a change
+function toLines(text) {
+  if (text === null || text === undefined || text === '') {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+  return lines;
+}
+
+/**
+ * Shortest edit script between two line arrays
+ * @returns {Array<{ type: ' ' | '-' | '+', line: string }>}
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(line => ({ type: ' ', line }));
+  const tail = a.slice(endA).map(line => ({ type: ' ', line }));
+  const middle = myers(a.slice(start, endA), b.slice(start, endB));
+  return [...head, ...middle, ...tail];
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, offset);
+      }
+    }
+  }
+
+  // Too different to be worth a minimal diff: replace everything
+  return [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+}
+
+function backtrack(a, b, trace, offset) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: b[--y] });
+      } else {
+        ops.push({ type: '-', line: a[--x] });
+      }
+    }
+  }
+
+  return ops.reverse();
+}
+
+function range(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Render a unified diff between two texts
+ * @param {string|null} oldText - null when the file doesn't exist yet
+ * @param {string|null} newText - null when the file is being removed
+ * @param {{ oldLabel?: string, newLabel?: string, context?: number }} [options]
+ * @returns {string} The diff, or an empty string when the texts are identical
+ */
+function unifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  const ops = diffLines(toLines(oldText), toLines(newText));
+  const changes = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  if (changes.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context windows overlap into hunks
+  const groups = [];
+  for (const index of changes) {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  }
+
+  const output = [
+    `--- ${oldText === null || oldText === undefined ? '/dev/null' : oldLabel}`,
+    `+++ ${newText === null || newText === undefined ? '/dev/null' : newLabel}`
+  ];
+  for (const group of groups) {
+    const from = Math.max(0, group.start - context);
+    const to = Math.min(ops.length, group.end + context + 1);
+    const before = ops.slice(0, from);
+    const hunk = ops.slice(from, to);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = before.filter(op => op.type !== '+').length + (oldCount > 0 ? 1 : 0);
+    const newStart = before.filter(op => op.type !== '-').length + (newCount > 0 ? 1 : 0);
+
+    output.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`);
+    hunk.forEach(op => output.push(`${op.type}${op.line}`));
+  }
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff
+};
@@ -0,0 +1,79 @@
+/**
+ * Plain-text output helpers for the CLI
+ */
+
+/**
+ * Render rows as a column-aligned text table
+ * @param {string[]} headers
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+function renderTable(headers, rows) {
+  const cells = [headers, ...rows].map(row => row.map(cell => String(cell)));
+  const widths = headers.map((_, column) =>
+    Math.max(...cells.map(row => (row[column] || '').length))
+  );
+  const line = row => row
+    .map((cell, column) => (cell || '').padEnd(widths[column]))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    line(cells[0]),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...cells.slice(1).map(line)
+  ].join('\n');
+}
+
+// Human readable byte count
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Render relative file paths as a directory tree
+ * @param {string} root - Label for the top of the tree
+ * @param {Array<{ path: string, label?: string }>} entries - label is printed after the file name
+ * @returns {string}
+ */
+function renderTree(root, entries) {
+  const tree = {};
+  for (const entry of entries) {
+    const parts = entry.path.split('/');
+    let node = tree;
+    parts.slice(0, -1).forEach(part => {
+      node[`${part}/`] = node[`${part}/`] || {};
+      node = node[`${part}/`];
+    });
+    node[parts[parts.length - 1]] = entry.label === undefined ? null : entry.label;
+  }
+
+  const lines = [root.endsWith('/') ? root : `${root}/`];
+  const walk = (node, indent) => {
+    const names = Object.keys(node).sort();
+    names.forEach((name, index) => {
+      const last = index === names.length - 1;
+      const value = node[name];
+      const isDirectory = value !== null && typeof value === 'object';
+      lines.push(`${indent}${last ? '└── ' : '├── '}${name}${!isDirectory && value ? ` (${value})` : ''}`);
+      if (isDirectory) {
+        walk(value, indent + (last ? '    ' : '│   '));
+      }
+    });
+  };
+  walk(tree, '');
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  renderTable,
+  renderTree,
+  formatBytes
+};
@@ -7,8 +7,251 @@ const commander = require('commander');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('../core/config');
+const { ConfigError, coerceValue, formatConfigErrors, isSecretKey, secretKeys } = require('../core/config-schema');
+const { ConfigFile, leaves } = require('../core/config-file');
+const { isReference, redactSecrets } = require('../core/secrets');
 const llm = require('../llm/client');
 const languageProfiles = require('../languages/profile');
+const profileLoader = require('../languages/loader');
+const pipeline = require('../project/pipeline');
+const { Manifest } = require('../project/manifest');
+const { ServiceHistory, generationsOf } = require('../project/history');
+const { applyEdits } = require('../project/patch');
+const { ServiceGraph, GraphError } = require('../project/graph');
+const { Verifier } = require('../verify/verifier');
+const { renderDockerfile, detectLanguage, GENERATED_MARKER, DEFAULT_PORTS, DOCKERIGNORE } = require('../containers/dockerfile');
+const { renderCompose } = require('../containers/compose');
+const { CONTRACT_FILE } = require('../contracts/openapi');
+const { checkContracts } = require('../contracts/checker');
+const { buildRoutes, GATEWAY_MARKER, DEFAULT_GATEWAY_PORT } = require('../gateway/routes');
+const { renderNginx } = require('../gateway/nginx');
+const { renderEnvoy } = require('../gateway/envoy');
+const { GatewayProxy } = require('../gateway/proxy');
+const { DevRunner, assignPorts, planServices, describeCommand } = require('../dev/runner');
+const { commands: devCommands } = require('../dev/commands');
+const { BenchmarkRunner } = require('../benchmark/runner');
+const { suites: benchmarkSuites } = require('../benchmark/suites');
+const { calibrate, writeCalibration } = require('../benchmark/calibrate');
+const { renderTable, renderTree, formatBytes } = require('./format');
+const { unifiedDiff } = require('./diff');
+const { createPrompt } = require('./prompt');
+
+// Render a language ranking with one column per scoring factor
+function renderRanking(ranking) {
+  const factorNames = [];
+  for (const entry of ranking) {
+    for (const factor of entry.factors) {
+      if (!factorNames.includes(factor.name)) {
+        factorNames.push(factor.name);
+      }
+    }
+  }
+  
+  const rows = ranking.map((entry, index) => {
+    const byName = Object.fromEntries(entry.factors.map(factor => [factor.name, factor]));
+    return [
+      index + 1,
+      entry.language,
+      entry.score.toFixed(2),
+      ...factorNames.map(name => {
+        const factor = byName[name];
+        return factor ? `${factor.contribution.toFixed(2)} (${factor.value}x${factor.weight.toFixed(2)})` : '-';
+      })
+    ];
+  });
+  
+  return renderTable(['#', 'Language', 'Score', ...factorNames], rows) +
+    '\n\nEach factor shows its contribution to the score as (profile value x weight), divided by the total weight.' +
+    '\n"-" means the factor did not apply to that language.';
+}
+
+// Print the languages removed by hard constraints and why
+function printEliminated(eliminated = []) {
+  if (eliminated.length === 0) {
+    return;
+  }
+  console.log('\nEliminated languages:');
+  for (const { language, reasons } of eliminated) {
+    console.log(`  ${language}: ${reasons.join('; ')}`);
+  }
+}
+
+// Report generated files the sandbox refused to write
+function printRejected(rejected = [], prefix = '') {
+  for (const { path: file, reason } of rejected) {
+    console.warn(`${prefix}Rejected ${file}: ${reason}`);
+  }
+}
+
+// Print a unified diff of a planned file against what is on disk
+function printFileDiff(file) {
+  const diff = unifiedDiff(file.existing, file.content, {
+    oldLabel: `a/${file.path}`,
+    newLabel: `b/${file.path}`
+  });
+  if (diff) {
+    process.stdout.write(diff);
+  }
+}
+
+// Show the files create would write, as a tree with sizes
+function printPlan(servicePath, language, score, files) {
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  console.log(`\nPlanned service in ${language}` + (typeof score === 'number' ? ` (Score: ${score.toFixed(2)})` : ''));
+  console.log(renderTree(servicePath, files.map(file => ({
+    path: file.path,
+    label: `${formatBytes(file.size)}, ${file.status}`
+  }))));
+  console.log(`${files.length} file(s), ${formatBytes(total)} total`);
+}
+
+// Ask about each new or modified file; unchanged files are kept without asking
+async function reviewFiles(files, options = {}) {
+  const prompt = createPrompt();
+  const accepted = [];
+  let remaining = null;
+  
+  try {
+    for (const file of files) {
+      if (file.status === 'unchanged' || remaining === 'all') {
+        accepted.push(file);
+        continue;
+      }
+      if (remaining === 'none') {
+        continue;
+      }
+      if (options.diff) {
+        printFileDiff(file);
+      }
+      const answer = (await prompt.ask(
+        `Write ${file.path} (${file.status}, ${formatBytes(file.size)})? [y]es/[n]o/[a]ll/[q]uit `
+      )).trim().toLowerCase();
+      
+      if (answer === 'a' || answer === 'all') {
+        remaining = 'all';
+        accepted.push(file);
+      } else if (answer === 'y' || answer === 'yes') {
+        accepted.push(file);
+      } else {
+        if (answer === 'q' || answer === 'quit') {
+          remaining = 'none';
+        }
+        console.log(`  Skipped ${file.path}`);
+      }
+    }
+  } finally {
+    prompt.close();
+  }
+  
+  return accepted;
+}
+
+// --verify/--no-verify win over the verify.enabled config setting; a dry run never verifies,
+// since that runs toolchains and may spend LLM calls on repairs
+function shouldVerify(options = {}) {
+  if (options.dryRun) {
+    return false;
+  }
+  return options.verify ?? Boolean(config.get('verify.enabled'));
+}
+
+// Print the outcome of the build/test verification stage
+function printVerification(report, rounds = 0, prefix = '') {
+  console.log(`${prefix}Verification ${report.status}` + (rounds > 0 ? ` after ${rounds} repair round(s)` : ''));
+  for (const stage of report.stages) {
+    console.log(`${prefix}  ${stage.name}: ${stage.status}${stage.reason ? ` (${stage.reason})` : ''}`);
+    if (stage.status === 'failed') {
+      console.log(`${prefix}    $ ${stage.command}`);
+      stage.output.split('\n').forEach(line => console.log(`${prefix}    ${line}`));
+    }
+  }
+}
+
+// Warn about generated files dropped because the template owns them
+function printIgnored(ignored, scaffold, prefix = '') {
+  for (const file of ignored) {
+    console.warn(`${prefix}Ignored ${file}: not a logic file of the ${scaffold.template} template`);
+  }
+}
+
+// Parse a non-negative integer option value
+function toNonNegativeInteger(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new commander.InvalidArgumentError('Expected a non-negative integer.');
+  }
+  return parsed;
+}
+
+// Parse a positive integer option value
+function toPositiveInteger(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new commander.InvalidArgumentError('Expected a positive integer.');
+  }
+  return parsed;
+}
+
+// Parse a TCP port option value
+function toPort(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > 65535) {
+    throw new commander.InvalidArgumentError('Expected a port between 1 and 65535.');
+  }
+  return parsed;
+}
+
+// Collect repeatable option values into a list
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+// File that config set, unset and list work on: the user config with --user, otherwise the project
+// config that was loaded, or a new polyfunc.json in the current directory
+function configTarget(options = {}) {
+  if (options.user) {
+    return config.files.user;
+  }
+  return config.files.project || path.resolve('polyfunc.json');
+}
+
+// Render a config value on one line
+function formatConfigValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Prompt entry of the manifest; older manifests only stored the hash
+function formatPromptRecord(prompt) {
+  if (!prompt || typeof prompt === 'string') {
+    return prompt || '-';
+  }
+  const version = prompt.version ? `v${prompt.version} (${prompt.source})` : 'unversioned';
+  return `${version} ${prompt.hash || '-'}`;
+}
+
+// Apply options shared by every command before the command runs
+// The configuration is loaded first so --record and --replay override it
+function applyGlobalOptions(options = {}, { loadConfig = true } = {}) {
+  if (options.record && options.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+  if (loadConfig) {
+    config.load({ configFile: options.config, profile: options.profile });
+  }
+  
+  const fixtures = options.record || options.replay;
+  if (typeof fixtures === 'string') {
+    config.set('llm.fixtures', fixtures);
+  }
+  if (options.replay) {
+    config.set('llm.provider', 'replay');
+  }
+  if (options.record) {
+    config.set('llm.record', true);
+  }
+  
+  llm.configure();
+}
 
 // Export handlers for testing
 const handlers = {
@@ -24,7 +267,7 @@ const handlers = {
       // Create default configuration
       await fs.writeFile(
         './polyfunc.json',
-        JSON.stringify(config.config, null, 2),
+        JSON.stringify(config.defaults(), null, 2),
         'utf8'
       );
       
@@ -39,9 +282,12 @@ const handlers = {
   },
   
   // Analyze requirements command handler
-  async analyze(description) {
+  async analyze(description, options = {}) {
+    // Keep stdout pure JSON for machine consumers
+    const log = options.json ? () => {} : console.log;
+    
     try {
-      console.log('Analyzing requirements...');
+      log('Analyzing requirements...');
       const requirements = await llm.analyzeRequirements(description);
       
       if (!requirements) {
@@ -49,11 +295,38 @@ const handlers = {
         return;
       }
       
+      const constrained = pipeline.applySelectionConstraints(requirements, options);
+      
+      if (options.json) {
+        const ranking = languageProfiles.rankLanguages(constrained);
+        const { eliminated } = languageProfiles.filterLanguages(constrained);
+        console.log(JSON.stringify({
+          requirements,
+          ranking: ranking.map(({ language, score, factors }) => ({ language, score, factors })),
+          eliminated
+        }, null, 2));
+        return;
+      }
+      
       console.log('\nRequirements Analysis:');
       console.log(JSON.stringify(requirements, null, 2));
       
+      if (options.explain) {
+        const ranking = languageProfiles.rankLanguages(constrained);
+        console.log('\nLanguage Ranking:');
+        console.log(renderRanking(ranking));
+        printEliminated(languageProfiles.filterLanguages(constrained).eliminated);
+        return;
+      }
+      
       // Find best language match
-      const bestLanguage = languageProfiles.findBestLanguageForRequirements(requirements);
+      const bestLanguage = languageProfiles.findBestLanguageForRequirements(constrained);
+      printEliminated(bestLanguage.eliminated);
+      
+      if (!bestLanguage.language) {
+        console.error('\nNo language satisfies the selection constraints');
+        return;
+      }
       
       console.log('\nRecommended Language:');
       console.log(`${bestLanguage.language} (Score: ${bestLanguage.score.toFixed(2)})`);
@@ -75,6 +348,7 @@ const handlers = {
       
       console.log('\nMicroservices:');
       console.log(JSON.stringify(microservices, null, 2));
+      console.log(`\nStartup order: ${pipeline.serviceGraph(microservices).order().join(', ')}`);
     } catch (error) {
       console.error('Error decomposing service:', error);
     }
@@ -96,44 +370,115 @@ const handlers = {
       
       // Step 2: Determine best language
       let language = options.language;
+      let score = null;
       if (!language) {
-        const bestLanguage = languageProfiles.findBestLanguageForRequirements(requirements);
+        const bestLanguage = languageProfiles.findBestLanguageForRequirements(
+          pipeline.applySelectionConstraints(requirements, options)
+        );
+        printEliminated(bestLanguage.eliminated);
+        if (!bestLanguage.language) {
+          console.error('\nNo language satisfies the selection constraints');
+          return;
+        }
         language = bestLanguage.language;
+        score = bestLanguage.score;
         console.log(`\nSelected language: ${language} (Score: ${bestLanguage.score.toFixed(2)})`);
       } else {
+        // A forced language skips the ranking, not the constraints from --exclude, --require-lib or the config
+        const { eliminated } = languageProfiles.filterLanguages(pipeline.applySelectionConstraints(requirements, options));
+        const violation = eliminated.find(entry => entry.language === language);
+        if (violation) {
+          console.error(`\n${language} does not satisfy the selection constraints: ${violation.reasons.join('; ')}`);
+          return;
+        }
         console.log(`\nUsing specified language: ${language}`);
       }
       
-      // Step 3: Generate code
-      console.log('Generating code...');
-      const code = await llm.generateCode(language, 'service', description);
+      // Step 3: Make sure we are not about to overwrite an existing service
+      const name = pipeline.toServiceName(options.name || `${language}-service`);
+      const servicePath = path.join(pipeline.servicesRoot(), name);
+      const manifest = await Manifest.load();
+      if (!options.force && !options.dryRun && await pipeline.serviceExists(manifest, name, servicePath)) {
+        console.error(`\nService "${name}" already exists at ${servicePath}. Use --force to overwrite it or --name to pick another name.`);
+        return;
+      }
+      
+      // Step 4: Generate code, inside the language's template unless --no-template
+      const scaffold = pipeline.scaffoldService(manifest, {
+        language,
+        name,
+        description,
+        template: options.template,
+        port: options.port
+      });
+      let contract = null;
+      if (options.contract !== false) {
+        console.log('Writing the API contract...');
+        contract = await llm.generateContract(name, description);
+      }
+      console.log(scaffold ? `Generating code from the ${scaffold.template} template (port ${scaffold.port})...` : 'Generating code...');
+      const generated = await pipeline.generateService(language, name, description, { scaffold, ...(contract ? { contract } : {}) });
+      let code = generated.code;
       
       if (!code || !code.files) {
         console.error('Failed to generate code');
         return;
       }
+      printIgnored(generated.ignored, scaffold);
+      
+      let verification = null;
+      if (shouldVerify(options)) {
+        console.log('Verifying generated code...');
+        const verified = await pipeline.verifyGenerated(language, name, code, {
+          rounds: options.repairRounds,
+          log: console.log
+        });
+        code = verified.code;
+        verification = pipeline.verificationRecord(verified);
+        printVerification(verified.report, verified.rounds);
+      }
       
-      // Step 4: Save generated files
-      const servicePath = path.join('./services', language + '-service');
-      await fs.mkdir(servicePath, { recursive: true });
+      // Step 5: Check the generated files against the sandbox and preview them if asked
+      const plan = await pipeline.planService(servicePath, {
+        title: `Generated Service in ${language}`,
+        description,
+        code
+      });
+      printRejected(plan.rejected);
       
-      for (const file of code.files) {
-        const filePath = path.join(servicePath, file.filename);
-        const dirPath = path.dirname(filePath);
-        
-        await fs.mkdir(dirPath, { recursive: true });
-        await fs.writeFile(filePath, file.content, 'utf8');
+      if (options.diff && !options.interactive) {
+        plan.files.forEach(printFileDiff);
       }
       
-      // Step 5: Create readme with instructions
-      await fs.writeFile(
-        path.join(servicePath, 'README.md'),
-        `# Generated Service in ${language}\n\n` +
-        `## Description\n${description}\n\n` +
-        `## Instructions\n${code.instructions}\n\n` +
-        `## Dependencies\n${code.dependencies.join('\n')}\n`,
-        'utf8'
-      );
+      if (options.dryRun) {
+        printPlan(servicePath, language, score, plan.files);
+        console.log('\nDry run: nothing was written');
+        return;
+      }
+      
+      const accepted = options.interactive ? await reviewFiles(plan.files, options) : plan.files;
+      if (accepted.length === 0) {
+        console.log('\nNo files accepted, nothing was written');
+        return;
+      }
+      
+      // Step 6: Save the accepted files and record the service; a forced overwrite starts a new history
+      const files = await plan.writer.commit(accepted);
+      if (options.force) {
+        await new ServiceHistory().clear(name);
+      }
+      manifest.setService(name, pipeline.serviceRecord({
+        description,
+        language,
+        score,
+        path: servicePath,
+        files,
+        rejected: plan.rejected,
+        ...(scaffold ? { template: scaffold.template, port: scaffold.port } : {}),
+        ...(contract ? { contract: CONTRACT_FILE } : {}),
+        ...(verification ? { verification } : {})
+      }));
+      await manifest.save();
       
       console.log(`\nService created successfully in ${servicePath}`);
       console.log('See README.md in the service directory for instructions');
@@ -142,11 +487,929 @@ const handlers = {
     }
   },
   
+  // Generate a multi-service project command handler
+  async generate(description, options = {}) {
+    try {
+      console.log('Decomposing service...');
+      const microservices = await llm.decomposeService(description);
+      console.log(`Found ${microservices.length} microservice(s)`);
+      
+      // Dependencies are generated first so the contracts their callers are given already exist
+      const graph = pipeline.serviceGraph(microservices);
+      const order = graph.order();
+      console.log(`Generation order: ${order.join(', ')}`);
+      
+      const manifest = await Manifest.load();
+      const summary = [];
+      // OpenAPI contracts by service name, handed to the services that call them
+      const contracts = {};
+      
+      for (const name of order) {
+        const microservice = graph.byName.get(name);
+        const serviceDescription = [microservice.purpose, microservice.description].filter(Boolean).join('. ');
+        
+        try {
+          const servicePath = path.join(pipeline.servicesRoot(), name);
+          if (!options.force && await pipeline.serviceExists(manifest, name, servicePath)) {
+            console.log(`\n[${name}] Already exists, skipping (use --force to regenerate)`);
+            contracts[name] = await pipeline.loadContract(servicePath);
+            summary.push([name, '-', '-', `skipped: ${servicePath} exists`]);
+            continue;
+          }
+          
+          console.log(`\n[${name}] Analyzing requirements...`);
+          const requirements = await llm.analyzeRequirements(serviceDescription);
+          
+          const selection = pipeline.selectLanguage(requirements, options);
+          if (!selection.language) {
+            printEliminated(selection.eliminated);
+            throw new Error(selection.reasoning);
+          }
+          console.log(`[${name}] ${selection.reasoning}`);
+          
+          const scaffold = pipeline.scaffoldService(manifest, {
+            language: selection.language,
+            name,
+            description: serviceDescription,
+            endpoints: microservice.endpoints,
+            template: options.template
+          });
+          if (options.contract !== false) {
+            console.log(`[${name}] Writing the API contract...`);
+            contracts[name] = await llm.generateContract(name, serviceDescription, {
+              purpose: microservice.purpose,
+              endpoints: microservice.endpoints,
+              callers: pipeline.consumersOf(graph, name)
+            });
+          }
+          const contract = contracts[name];
+          console.log(`[${name}] Generating ${selection.language} code` +
+            (scaffold ? ` from the ${scaffold.template} template (port ${scaffold.port})...` : '...'));
+          const generated = await pipeline.generateService(selection.language, name, serviceDescription, {
+            scaffold,
+            purpose: microservice.purpose,
+            endpoints: microservice.endpoints,
+            calls: pipeline.contractsFor(graph, name, contracts),
+            ...(contract ? { contract } : {})
+          });
+          let code = generated.code;
+          printIgnored(generated.ignored, scaffold, `[${name}] `);
+          
+          let verification = null;
+          if (shouldVerify(options)) {
+            console.log(`[${name}] Verifying generated code...`);
+            const verified = await pipeline.verifyGenerated(selection.language, name, code, {
+              rounds: options.repairRounds,
+              log: message => console.log(`[${name}] ${message.trim()}`)
+            });
+            code = verified.code;
+            verification = pipeline.verificationRecord(verified);
+            printVerification(verified.report, verified.rounds, `[${name}] `);
+          }
+          
+          const { files, rejected } = await pipeline.writeService(servicePath, {
+            title: name,
+            description: serviceDescription,
+            code
+          });
+          printRejected(rejected, `[${name}] `);
+          
+          manifest.setService(name, pipeline.serviceRecord({
+            description: serviceDescription,
+            language: selection.language,
+            score: selection.score,
+            path: servicePath,
+            files,
+            rejected,
+            ...(scaffold ? { template: scaffold.template, port: scaffold.port } : {}),
+            ...(contract ? { contract: CONTRACT_FILE } : {}),
+            ...(verification ? { verification } : {}),
+            purpose: microservice.purpose,
+            endpoints: microservice.endpoints,
+            dependsOn: graph.dependenciesOf(name),
+            consumes: microservice.consumes,
+            reasoning: selection.reasoning,
+            selection: {
+              factors: selection.factors,
+              runnerUp: selection.runnerUp,
+              eliminated: selection.eliminated
+            }
+          }));
+          summary.push([name, selection.language, selection.score.toFixed(2), servicePath]);
+        } catch (error) {
+          console.error(`[${name}] Failed: ${error.message}`);
+          summary.push([name, '-', '-', `failed: ${error.message.split('\n')[0]}`]);
+        }
+      }
+      
+      await manifest.save();
+      console.log('\nGenerated services:');
+      console.log(renderTable(['Service', 'Language', 'Score', 'Location'], summary));
+      console.log(`\nProject manifest written to ${manifest.filePath}`);
+    } catch (error) {
+      console.error('Error generating project:', error);
+    }
+  },
+  
+  // Build and test an existing service without changing it
+  async verify(name) {
+    try {
+      const service = (await Manifest.load()).getService(name);
+      if (!service) {
+        console.error(`Unknown service: ${name}`);
+        return;
+      }
+      const files = await pipeline.readServiceFiles(service.path);
+      const report = await new Verifier({ timeout: config.get('verify.timeout'), log: console.log })
+        .verify(service.language, files);
+      printVerification(report);
+      if (report.status === 'failed') {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Error verifying service:', error.message);
+    }
+  },
+  
+  // Apply a change request to an existing service
+  async update(name, change, options = {}) {
+    try {
+      const manifest = await Manifest.load();
+      const service = manifest.getService(name);
+      if (!service) {
+        console.error(`Unknown service: ${name}`);
+        return;
+      }
+      
+      // Step 1: Snapshot the current generation so it can be restored later
+      const history = new ServiceHistory();
+      const current = await pipeline.readServiceFiles(service.path);
+      const generation = service.generation || 1;
+      if (!(await history.has(name, generation))) {
+        await history.save(name, {
+          generation,
+          change: 'initial generation',
+          createdAt: service.generatedAt,
+          files: current
+        });
+      }
+      
+      // Step 2: Ask for edits and apply them in memory
+      console.log(`Requesting changes to ${name} (${current.length} file(s))...`);
+      const update = await llm.updateService(service.language, name, current, change);
+      const { files: next, changes } = applyEdits(current, update.edits);
+      if (changes.length === 0) {
+        console.log('No changes proposed, nothing was written');
+        return;
+      }
+      
+      console.log(`\n${update.summary}`);
+      const before = new Map(current.map(file => [file.path, file.content]));
+      const after = new Map(next.map(file => [file.path, file.content]));
+      for (const { path: file, action } of changes) {
+        console.log(`  ${action} ${file}`);
+        if (options.diff) {
+          printFileDiff({ path: file, existing: before.has(file) ? before.get(file) : null, content: after.has(file) ? after.get(file) : null });
+        }
+      }
+      if (options.dryRun) {
+        console.log('\nDry run: nothing was written');
+        return;
+      }
+      
+      // Step 3: Write the changed files and record the new generation
+      const files = await pipeline.syncService(service.path, current, next);
+      const entry = {
+        generation: generation + 1,
+        change,
+        summary: update.summary,
+        createdAt: new Date().toISOString(),
+        prompt: llm.promptRecord('update')
+      };
+      await history.save(name, { ...entry, files: next });
+      manifest.setService(name, {
+        ...service,
+        files,
+        generation: entry.generation,
+        history: [...(service.history || []), entry]
+      });
+      await manifest.save();
+      
+      console.log(`\nUpdated ${name} to generation ${entry.generation} (${changes.length} file(s) changed)`);
+    } catch (error) {
+      console.error('Error updating service:', error.message);
+    }
+  },
+  
+  // Benchmark command handler
+  async benchmark(languages = [], options = {}) {
+    try {
+      const runner = new BenchmarkRunner({
+        iterations: options.iterations,
+        requests: options.requests,
+        log: console.log
+      });
+      const targets = languages.length > 0 ? languages : Object.keys(benchmarkSuites);
+      const results = await runner.run(targets);
+      const ms = value => (typeof value === 'number' ? value.toFixed(2) : '-');
+      
+      console.log('\nMeasurements (median, lower is better):');
+      console.log(renderTable(
+        ['Language', 'Status', 'Cold start ms', 'CPU ms', 'JSON ms', 'HTTP p50 ms', 'HTTP p95 ms', 'Peak RSS MB'],
+        results.map(({ language, status, metrics = {} }) => [
+          language,
+          status,
+          ms(metrics.coldStartMs),
+          ms(metrics.cpuMs),
+          ms(metrics.jsonMs),
+          ms(metrics.httpP50Ms),
+          ms(metrics.httpP95Ms),
+          typeof metrics.peakRssKb === 'number' ? (metrics.peakRssKb / 1024).toFixed(1) : '-'
+        ])
+      ));
+      
+      for (const result of results.filter(result => result.note)) {
+        console.log(`  ${result.language} ${result.status}: ${result.note}`);
+      }
+      
+      const calibration = calibrate(results);
+      const calibrated = Object.entries(calibration.characteristics);
+      if (calibrated.length > 0) {
+        console.log('\nCalibrated characteristics (current -> measured):');
+        console.log(renderTable(
+          ['Language', 'performance', 'memory', 'startupTime'],
+          calibrated.map(([language, values]) => {
+            const current = languageProfiles.profiles[language] ? languageProfiles.profiles[language].characteristics : {};
+            return [
+              language,
+              ...['performance', 'memory', 'startupTime'].map(name =>
+                values[name] === undefined ? '-' : `${current[name] === undefined ? '?' : current[name]} -> ${values[name]}`
+              )
+            ];
+          })
+        ));
+      }
+      calibration.notes.forEach(note => console.log(`  ${note}`));
+      
+      if (options.write) {
+        if (calibrated.length === 0) {
+          console.error('\nNothing to write: no characteristics could be calibrated');
+          return;
+        }
+        const file = writeCalibration(config.get('paths.languages') || './languages', calibration, results);
+        console.log(`\nCalibrated profile overrides written to ${file}`);
+      }
+    } catch (error) {
+      console.error('Error running benchmarks:', error);
+    }
+  },
+  
+  // Print the dependency graph of the recorded services, or of a fresh decomposition
+  async graph(description, options = {}) {
+    try {
+      let graph;
+      if (description) {
+        graph = pipeline.serviceGraph(await llm.decomposeService(description));
+      } else {
+        const services = (await Manifest.load()).listServices();
+        if (services.length === 0) {
+          console.log('No services recorded yet. Pass a description or use "polyfunc generate" first.');
+          return;
+        }
+        graph = new ServiceGraph(services.map(({ name, endpoints, dependsOn, consumes }) => ({ name, endpoints, dependsOn, consumes })));
+      }
+      
+      const errors = graph.validate();
+      if (errors.length > 0) {
+        console.error(new GraphError(errors).message);
+        process.exitCode = 1;
+        return;
+      }
+      
+      const render = {
+        dot: () => graph.toDot(),
+        mermaid: () => graph.toMermaid(),
+        json: () => `${JSON.stringify(graph.toJSON(), null, 2)}\n`
+      };
+      process.stdout.write(render[options.format || 'dot']());
+    } catch (error) {
+      console.error('Error building service graph:', error.message);
+    }
+  },
+  
+  // Write Dockerfiles for services and a docker-compose.yml that runs them together
+  async containerize(names = [], options = {}) {
+    try {
+      const manifest = await Manifest.load();
+      let services = await pipeline.collectServices(manifest);
+      if (names.length > 0) {
+        const unknown = names.filter(name => !services.some(service => service.name === name));
+        if (unknown.length > 0) {
+          console.error(`Unknown service(s): ${unknown.join(', ')}`);
+          return;
+        }
+        services = services.filter(service => names.includes(service.name));
+      }
+      
+      const packaged = [];
+      for (const service of services) {
+        if (!service.files) {
+          console.warn(`Skipping ${service.name}: ${service.path} does not exist`);
+          continue;
+        }
+        const language = service.language || detectLanguage(service.files);
+        if (!DEFAULT_PORTS[language]) {
+          console.warn(`Skipping ${service.name}: no Dockerfile recipe for ${language || 'an unrecognised language'}`);
+          continue;
+        }
+        packaged.push({ ...service, language, port: service.port || DEFAULT_PORTS[language] });
+      }
+      if (packaged.length === 0) {
+        console.log('No services to containerize. Use "polyfunc create" or "polyfunc generate" to add one.');
+        return;
+      }
+      
+      const written = [];
+      const write = async (directory, files) => {
+        const result = await pipeline.writeGeneratedFiles(directory, files, {
+          marker: GENERATED_MARKER,
+          force: options.force,
+          dryRun: options.dryRun
+        });
+        printRejected(result.rejected);
+        written.push(...result.files.map(file => ({ ...file, path: path.join(directory, file.path) })));
+      };
+      
+      for (const service of packaged) {
+        await write(service.path, [
+          { filename: 'Dockerfile', content: renderDockerfile(service.language, service.files, { port: service.port }) },
+          { filename: '.dockerignore', content: DOCKERIGNORE }
+        ]);
+      }
+      
+      let compose = null;
+      if (options.compose !== false) {
+        const composeFile = options.composeFile || 'docker-compose.yml';
+        compose = renderCompose(packaged, { root: path.dirname(composeFile) });
+        await write(path.dirname(composeFile), [{ filename: path.basename(composeFile), content: compose.content }]);
+        compose.missing.forEach(({ service, dependency }) => {
+          console.warn(`${service} depends on "${dependency}", which is not part of ${composeFile}; dependency left out`);
+        });
+      }
+      
+      console.log(renderTable(['File', 'Status'], written.map(file => [
+        file.path,
+        file.status === 'kept' ? 'kept (not generated by polyfunc, use --force to replace)' : file.status
+      ])));
+      if (compose) {
+        console.log(`\nHost ports: ${packaged.map(service => `${service.name} ${compose.hostPorts[service.name]}`).join(', ')}`);
+      }
+      if (options.dryRun) {
+        console.log('\nDry run: nothing was written');
+      } else if (compose) {
+        console.log('\nRun "docker compose up --build" to start the services');
+      }
+    } catch (error) {
+      console.error('Error containerizing services:', error.message);
+    }
+  },
+  
+  // Route public paths to the services: write an nginx or Envoy config, or run the built-in proxy
+  async gateway(description, options = {}) {
+    try {
+      let services;
+      if (description) {
+        services = pipeline.serviceGraph(await llm.decomposeService(description)).services;
+      } else {
+        services = (await pipeline.collectServices(await Manifest.load())).filter(service => service.files);
+      }
+      if (services.length === 0) {
+        console.log('No services to route. Pass a description or use "polyfunc create" or "polyfunc generate" first.');
+        return;
+      }
+      
+      const host = options.upstreamHost || (options.serve ? '127.0.0.1' : undefined);
+      const { routes, conflicts, unrouted } = buildRoutes(services, { prefix: options.prefix, host });
+      unrouted.forEach(name => console.warn(`${name} declares no endpoints and is not routed; use --prefix to mount it under /${name}`));
+      if (conflicts.length > 0) {
+        conflicts.forEach(conflict => console.error(`Route conflict: ${conflict.message}`));
+        console.error('\nRename the endpoints or use --prefix to mount each service under /<service>');
+        process.exitCode = 1;
+        return;
+      }
+      
+      const port = options.port || DEFAULT_GATEWAY_PORT;
+      console.log(renderTable(['Path', 'Methods', 'Service', 'Upstream'], routes.map(route => [
+        route.match === 'prefix' ? `${route.path}/*` : route.path,
+        route.methods.join(', ') || '*',
+        route.service,
+        `${route.upstream.host}:${route.upstream.port}`
+      ])));
+      
+      if (options.serve) {
+        const proxy = new GatewayProxy(routes, { log: console.log });
+        const listening = await proxy.listen(port, options.listenHost);
+        console.log(`\nGateway listening on http://${options.listenHost || '127.0.0.1'}:${listening} (Ctrl+C to stop)`);
+        return;
+      }
+      
+      const format = options.format || 'nginx';
+      const file = { nginx: 'nginx.conf', envoy: 'envoy.yaml' }[format];
+      const content = format === 'envoy' ? renderEnvoy(routes, { port }) : renderNginx(routes, { port });
+      const directory = options.out || 'gateway';
+      const result = await pipeline.writeGeneratedFiles(directory, [{ filename: file, content }], {
+        marker: GATEWAY_MARKER,
+        force: options.force,
+        dryRun: options.dryRun
+      });
+      printRejected(result.rejected);
+      result.files.forEach(written => {
+        const target = path.join(directory, written.path);
+        console.log(written.status === 'kept'
+          ? `\nKept ${target}: not generated by polyfunc, use --force to replace it`
+          : `\n${options.dryRun ? 'Would write' : 'Wrote'} ${target} (${written.status})`);
+      });
+    } catch (error) {
+      console.error('Error building gateway:', error.message);
+    }
+  },
+  
+  // Run every service locally, restarting a service when its files change, until Ctrl+C
+  async dev(names = [], options = {}) {
+    try {
+      let services = await pipeline.collectServices(await Manifest.load());
+      if (names.length > 0) {
+        const unknown = names.filter(name => !services.some(service => service.name === name));
+        if (unknown.length > 0) {
+          console.error(`Unknown service(s): ${unknown.join(', ')}`);
+          return;
+        }
+        services = services.filter(service => names.includes(service.name));
+      }
+      
+      const runnable = [];
+      for (const service of services) {
+        if (!service.files) {
+          console.warn(`Skipping ${service.name}: ${service.path} does not exist`);
+          continue;
+        }
+        const language = service.language || detectLanguage(service.files);
+        if (!devCommands[language]) {
+          console.warn(`Skipping ${service.name}: no run command for ${language || 'an unrecognised language'}`);
+          continue;
+        }
+        runnable.push({ ...service, language, port: service.port || DEFAULT_PORTS[language] });
+      }
+      if (runnable.length === 0) {
+        console.log('No services to run. Use "polyfunc create" or "polyfunc generate" to add one.');
+        return;
+      }
+      
+      // Dependencies start first; services left out of this run don't count
+      const included = new Set(runnable.map(service => service.name));
+      let ordered = runnable;
+      try {
+        const order = new ServiceGraph(runnable.map(service => ({
+          name: service.name,
+          dependsOn: (service.dependsOn || []).filter(name => included.has(name)),
+          consumes: (service.consumes || []).filter(entry => included.has(entry.service))
+        }))).order();
+        ordered = order.map(name => runnable.find(service => service.name === name));
+      } catch (error) {
+        console.warn(`${error.message}\nStarting the services in manifest order`);
+      }
+      
+      const ports = await assignPorts(ordered);
+      ordered.filter(service => ports[service.name] !== service.port).forEach(service => {
+        console.warn(`${service.name}: port ${service.port} is taken, using ${ports[service.name]}`);
+      });
+      const plans = planServices(ordered, ports);
+      console.log(renderTable(['Service', 'Language', 'Port', 'Command'], plans.map(plan => [
+        plan.name,
+        plan.language,
+        String(plan.port),
+        describeCommand(plan.start)
+      ])));
+      console.log('\nPress Ctrl+C to stop\n');
+      
+      const runner = new DevRunner(plans, {
+        color: options.color !== false && Boolean(process.stdout.isTTY) && !process.env.NO_COLOR,
+        watch: options.watch !== false
+      });
+      // The first Ctrl+C stops the services; a second one kills polyfunc straight away
+      const shutdown = async () => {
+        process.removeListener('SIGINT', shutdown);
+        process.removeListener('SIGTERM', shutdown);
+        console.log('\nStopping services...');
+        await runner.stop();
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+      await runner.start();
+    } catch (error) {
+      console.error('Error running services:', error.message);
+    }
+  },
+  
+  // Check every caller's requests against the OpenAPI contracts of the services it calls
+  async contractsCheck(names = [], options = {}) {
+    try {
+      const services = await pipeline.collectServices(await Manifest.load());
+      const unknown = names.filter(name => !services.some(service => service.name === name));
+      if (unknown.length > 0) {
+        console.error(`Unknown service(s): ${unknown.join(', ')}`);
+        process.exitCode = 1;
+        return;
+      }
+      if (services.length === 0) {
+        console.log('No services to check. Use "polyfunc create" or "polyfunc generate" to add one.');
+        return;
+      }
+      
+      const { errors, warnings } = checkContracts(services, names.length > 0 ? { only: names } : {});
+      if (options.json) {
+        console.log(JSON.stringify({ errors, warnings }, null, 2));
+      } else {
+        warnings.forEach(warning => console.warn(`warning: ${warning.service}: ${warning.message}`));
+        errors.forEach(error => console.error(`${error.service}: ${error.message}`));
+        const checked = names.length > 0 ? names.length : services.length;
+        console.log(errors.length > 0
+          ? `\n${errors.length} contract violation(s) in ${checked} service(s)`
+          : `Contracts match across ${checked} service(s)`);
+      }
+      if (errors.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Error checking contracts:', error.message);
+    }
+  },
+  
+  // List the services recorded in the project manifest
+  async servicesList(options = {}) {
+    try {
+      const services = (await Manifest.load()).listServices();
+      if (options.json) {
+        console.log(JSON.stringify(services, null, 2));
+        return;
+      }
+      if (services.length === 0) {
+        console.log('No services recorded yet. Use "polyfunc create" or "polyfunc generate" to add one.');
+        return;
+      }
+      console.log(renderTable(
+        ['Service', 'Language', 'Score', 'Files', 'Generated'],
+        services.map(service => [
+          service.name,
+          service.language,
+          typeof service.score === 'number' ? service.score.toFixed(2) : '-',
+          String((service.files || []).length),
+          service.generatedAt || '-'
+        ])
+      ));
+    } catch (error) {
+      console.error('Error listing services:', error.message);
+    }
+  },
+  
+  // Show everything the manifest knows about one service
+  async servicesShow(name, options = {}) {
+    try {
+      const service = (await Manifest.load()).getService(name);
+      if (!service) {
+        console.error(`Unknown service: ${name}`);
+        return;
+      }
+      if (options.json) {
+        console.log(JSON.stringify(service, null, 2));
+        return;
+      }
+      console.log(`${service.name}`);
+      console.log(`  Description: ${service.description}`);
+      console.log(`  Language: ${service.language}` +
+        (typeof service.score === 'number' ? ` (score ${service.score.toFixed(2)})` : ''));
+      console.log(`  Path: ${service.path}`);
+      if (service.template) {
+        console.log(`  Template: ${service.template} (port ${service.port})`);
+      }
+      if (service.contract) {
+        console.log(`  Contract: ${path.join(service.path, service.contract)}`);
+      }
+      if (service.model) {
+        console.log(`  Model: ${service.model.provider}/${service.model.name}`);
+      }
+      for (const [kind, prompt] of Object.entries(service.prompts || {})) {
+        console.log(`  Prompt ${kind}: ${formatPromptRecord(prompt)}`);
+      }
+      console.log(`  Generated: ${service.generatedAt || '-'}`);
+      console.log('  Files:');
+      (service.files || []).forEach(file => {
+        console.log(`    ${file.path}  ${file.sha256}`);
+      });
+      if (service.rejected && service.rejected.length > 0) {
+        console.log('  Rejected files:');
+        service.rejected.forEach(file => {
+          console.log(`    ${file.path}: ${file.reason}`);
+        });
+      }
+    } catch (error) {
+      console.error('Error showing service:', error.message);
+    }
+  },
+  
+  // Forget a service; its directory and history are only deleted with --delete-files
+  async servicesRemove(name, options = {}) {
+    try {
+      const manifest = await Manifest.load();
+      const service = manifest.removeService(name);
+      if (!service) {
+        console.error(`Unknown service: ${name}`);
+        return;
+      }
+      if (options.deleteFiles && service.path) {
+        if (!pipeline.isInsideServicesRoot(service.path)) {
+          console.error(`Refusing to delete ${service.path}: it is not inside the services directory ${pipeline.servicesRoot()}`);
+          return;
+        }
+        await fs.rm(service.path, { recursive: true, force: true });
+        await new ServiceHistory().clear(name);
+        console.log(`Deleted ${service.path}`);
+      }
+      await manifest.save();
+      console.log(`Removed ${name} from ${manifest.filePath}`);
+      if (!options.deleteFiles && service.path) {
+        console.log(`Kept ${service.path} and its history, use --delete-files to delete them`);
+      }
+    } catch (error) {
+      console.error('Error removing service:', error.message);
+    }
+  },
+  
+  // List the generations recorded for a service
+  async servicesHistory(name) {
+    try {
+      const service = (await Manifest.load()).getService(name);
+      if (!service) {
+        console.error(`Unknown service: ${name}`);
+        return;
+      }
+      const current = service.generation || 1;
+      console.log(renderTable(
+        ['Generation', 'Created', 'Change'],
+        generationsOf(service).map(entry => [
+          `${entry.generation}${entry.generation === current ? ' *' : ''}`,
+          entry.createdAt || '-',
+          entry.summary ? `${entry.change} (${entry.summary})` : entry.change
+        ])
+      ));
+    } catch (error) {
+      console.error('Error reading service history:', error.message);
+    }
+  },
+  
+  // Restore an earlier generation; the restore itself is recorded as a new generation
+  async servicesRollback(name, target) {
+    try {
+      const manifest = await Manifest.load();
+      const service = manifest.getService(name);
+      if (!service) {
+        console.error(`Unknown service: ${name}`);
+        return;
+      }
+      const generation = service.generation || 1;
+      const wanted = target === undefined ? generation - 1 : Number(target);
+      if (!Number.isInteger(wanted) || wanted < 1 || wanted > generation) {
+        console.error(`Cannot roll back ${name} to generation ${target ?? wanted}; current generation is ${generation}`);
+        return;
+      }
+      
+      const history = new ServiceHistory();
+      const snapshot = await history.load(name, wanted);
+      if (!snapshot) {
+        console.error(`No snapshot recorded for generation ${wanted} of ${name}`);
+        return;
+      }
+      
+      const current = await pipeline.readServiceFiles(service.path);
+      const files = await pipeline.syncService(service.path, current, snapshot.files);
+      const entry = {
+        generation: generation + 1,
+        change: `rollback to generation ${wanted}`,
+        createdAt: new Date().toISOString()
+      };
+      await history.save(name, { ...entry, files: snapshot.files });
+      manifest.setService(name, {
+        ...service,
+        files,
+        generation: entry.generation,
+        history: [...(service.history || []), entry]
+      });
+      await manifest.save();
+      
+      console.log(`Restored ${name} to generation ${wanted}, recorded as generation ${entry.generation}`);
+    } catch (error) {
+      console.error('Error rolling back service:', error.message);
+    }
+  },
+  
+  // List the built-in and user scaffolding templates
+  templates(options = {}) {
+    try {
+      const templates = pipeline.loadTemplates().list()
+        .sort((a, b) => a.language.localeCompare(b.language) || a.name.localeCompare(b.name));
+      if (options.json) {
+        console.log(JSON.stringify(templates.map(({ files, directory, ...template }) => ({
+          ...template,
+          directory,
+          files: files.map(file => file.path)
+        })), null, 2));
+        return;
+      }
+      console.log(renderTable(
+        ['Template', 'Language', 'Library', 'Port', 'Source', 'Description'],
+        templates.map(template => [
+          template.name,
+          template.language,
+          template.library || '-',
+          template.defaults.port || '-',
+          template.source,
+          template.description || ''
+        ])
+      ));
+      console.log(`\nAdd your own templates under ${config.get('paths.templates') || './templates'}/<name>/template.json`);
+    } catch (error) {
+      console.error('Error listing templates:', error.message);
+    }
+  },
+  
+  // List the prompt templates sent to the LLM and where each one comes from
+  prompts(options = {}) {
+    try {
+      const prompts = llm.getPrompts().list().sort((a, b) => a.name.localeCompare(b.name));
+      if (options.json) {
+        console.log(JSON.stringify(prompts.map(({ name, version, source, description, temperature, file }) => ({
+          name, version, source, description, temperature, file
+        })), null, 2));
+        return;
+      }
+      console.log(renderTable(
+        ['Prompt', 'Version', 'Source', 'Temperature', 'Description'],
+        prompts.map(prompt => [
+          prompt.name,
+          prompt.version,
+          prompt.source,
+          prompt.temperature ?? '-',
+          prompt.description
+        ])
+      ));
+      console.log(`\nOverride a prompt by copying it to ${path.join(config.get('paths.templates') || './templates', 'prompts')}/<name>.yaml`);
+    } catch (error) {
+      console.error('Error listing prompts:', error.message);
+    }
+  },
+  
+  // Check a configuration file, or every configuration layer, against the config schema
+  async configValidate(file, options = {}) {
+    try {
+      let errors = [];
+      let layers = [];
+      if (file) {
+        errors = config.validate(config.readFile(file)).map(error => ({ source: file, ...error }));
+      } else {
+        const globals = program.opts();
+        try {
+          layers = config.load({ configFile: globals.config, profile: globals.profile });
+        } catch (error) {
+          if (!(error instanceof ConfigError)) {
+            throw error;
+          }
+          errors = error.errors;
+        }
+      }
+      
+      if (options.json) {
+        console.log(JSON.stringify({ errors }, null, 2));
+      } else if (errors.length > 0) {
+        console.error(formatConfigErrors(errors));
+        console.log(`\n${errors.length} configuration error(s)`);
+      } else if (file) {
+        console.log(`${file} is valid`);
+      } else {
+        console.log(['Configuration is valid, layers applied:', ...layers.map(layer => `  ${layer}`)].join('\n'));
+      }
+      if (errors.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Error validating configuration:', error.message);
+      process.exitCode = 1;
+    }
+  },
+  
+  // Print the effective value of a key
+  configGet(key) {
+    const value = config.getRedacted(key);
+    if (value === undefined) {
+      console.error(`${key} is not set`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value));
+  },
+  
+  // Set a key in a configuration file, typed and checked against the config schema
+  configSet(key, value, options = {}) {
+    try {
+      const parsed = coerceValue(key, value);
+      if (isSecretKey(key) && !isReference(parsed)) {
+        console.error(`${key} is a secret, set it to a reference such as env:NAME or file:PATH so it isn't written to disk`);
+        process.exitCode = 1;
+        return;
+      }
+      
+      const file = configTarget(options);
+      const configFile = ConfigFile.read(file);
+      configFile.set(key.split('.'), parsed);
+      const errors = config.validate(configFile.values());
+      if (errors.length > 0) {
+        console.error(formatConfigErrors(errors.map(error => ({ source: file, ...error }))));
+        process.exitCode = 1;
+        return;
+      }
+      configFile.save();
+      console.log(`Set ${key} to ${formatConfigValue(parsed)} in ${file}`);
+    } catch (error) {
+      console.error('Error setting configuration value:', error.message);
+      process.exitCode = 1;
+    }
+  },
+  
+  // Remove a key from a configuration file
+  configUnset(key, options = {}) {
+    try {
+      const file = configTarget(options);
+      const configFile = ConfigFile.read(file);
+      if (!configFile.unset(key.split('.'))) {
+        console.error(`${key} is not set in ${file}`);
+        process.exitCode = 1;
+        return;
+      }
+      configFile.save();
+      console.log(`Removed ${key} from ${file}`);
+    } catch (error) {
+      console.error('Error removing configuration value:', error.message);
+      process.exitCode = 1;
+    }
+  },
+  
+  // List the values a configuration file sets
+  configList(options = {}) {
+    try {
+      const file = configTarget(options);
+      const values = redactSecrets(ConfigFile.read(file).values(), secretKeys());
+      if (options.json) {
+        console.log(JSON.stringify(values, null, 2));
+        return;
+      }
+      const entries = leaves(values);
+      if (entries.length === 0) {
+        console.log(`${file} doesn't set any values`);
+        return;
+      }
+      console.log(`${file}:`);
+      console.log(renderTable(['Key', 'Value'], entries.map(([key, value]) => [key, formatConfigValue(value)])));
+    } catch (error) {
+      console.error('Error listing configuration:', error.message);
+      process.exitCode = 1;
+    }
+  },
+  
+  // Print the effective configuration, optionally with the layer each value comes from
+  configShow(options = {}) {
+    const entries = config.entries();
+    if (options.json) {
+      console.log(JSON.stringify(options.origin ? entries : Object.fromEntries(entries.map(({ key, value }) => [key, value])), null, 2));
+      return;
+    }
+    console.log(renderTable(
+      options.origin ? ['Key', 'Value', 'Origin'] : ['Key', 'Value'],
+      entries.map(({ key, value, origin }) => (options.origin
+        ? [key, formatConfigValue(value), origin]
+        : [key, formatConfigValue(value)]))
+    ));
+    if (config.profile) {
+      console.log(`\nProfile: ${config.profile}`);
+    }
+  },
+  
   // List language profiles command handler
   languages() {
     console.log('Available language profiles:');
     for (const [name, profile] of Object.entries(languageProfiles.profiles)) {
       console.log(`\n${name.toUpperCase()}:`);
+      if (profile.priority !== null && profile.priority !== undefined) {
+        console.log(`  Priority: ${profile.priority}`);
+      }
       console.log('  Characteristics:');
       for (const [key, value] of Object.entries(profile.characteristics)) {
         console.log(`    ${key}: ${value}/10`);
@@ -167,7 +1430,22 @@ const program = new commander.Command();
 
 program
   .version('0.1.0')
-  .description('PolyFunc - Microservice Framework with Smart Language Selection');
+  .description('PolyFunc - Microservice Framework with Smart Language Selection')
+  .option('--record [dir]', 'Record LLM responses into a fixture directory (default: ./fixtures/llm)')
+  .option('--replay [dir]', 'Serve LLM responses from a fixture directory instead of a live API')
+  .option('-c, --config <file>', 'Use this project configuration file instead of looking for polyfunc.json/.yaml')
+  .option('--profile <name>', 'Apply a named profile from the configuration (default: $POLYFUNC_PROFILE)');
+
+program.hook('preAction', (thisCommand, actionCommand) => {
+  // config validate reports problems in the configuration instead of failing on them
+  const validating = actionCommand.name() === 'validate' && actionCommand.parent.name() === 'config';
+  try {
+    applyGlobalOptions(program.opts(), { loadConfig: !validating });
+    profileLoader.loadLanguageProfiles(languageProfiles, config);
+  } catch (error) {
+    program.error(error.message);
+  }
+});
 
 // Initialize command
 program
@@ -179,6 +1457,10 @@ program
 program
   .command('analyze <description>')
   .description('Analyze requirements from a service description')
+  .option('--explain', 'Show every language with a per-factor score breakdown')
+  .option('--json', 'Print the analysis and ranking as JSON')
+  .option('-x, --exclude <language>', 'Never select this language (repeatable)', collect)
+  .option('-r, --require-lib <library>', 'Only select languages that provide this library (repeatable)', collect)
   .action(handlers.analyze);
 
 // Decompose service command
@@ -192,14 +1474,205 @@ program
   .command('create <description>')
   .description('Create a new microservice from description')
   .option('-l, --language <language>', 'Force a specific programming language')
+  .option('-x, --exclude <language>', 'Never select this language (repeatable)', collect)
+  .option('-r, --require-lib <library>', 'Only select languages that provide this library (repeatable)', collect)
+  .option('-n, --name <name>', 'Service name (default: <language>-service)')
+  .option('-f, --force', 'Overwrite an existing service with the same name')
+  .option('--dry-run', 'Show the files that would be written without touching disk')
+  .option('--diff', 'Show a unified diff against files already in the service directory')
+  .option('-i, --interactive', 'Accept or reject each generated file before it is written')
+  .option('-t, --template <name>', 'Scaffold the service from this template (default: best template for the language)')
+  .option('--no-template', 'Generate the whole service with the LLM instead of scaffolding it')
+  .option('-p, --port <port>', 'Port the service listens on (default: the template\'s port, or the next free one)', toPort)
+  .option('--no-contract', 'Skip the OpenAPI contract and generate the code from the description alone')
+  .option('--verify', 'Build and test the generated code on this machine (not sandboxed), asking the LLM to fix failures')
+  .option('--no-verify', 'Skip verification even when verify.enabled is set')
+  .option('--repair-rounds <count>', 'Maximum repair rounds when verification fails (default: verify.rounds or 2)', toNonNegativeInteger)
   .action(handlers.create);
 
+// Generate a multi-service project command
+program
+  .command('generate <description>')
+  .description('Decompose a description and generate every microservice in its best language')
+  .option('-x, --exclude <language>', 'Never select this language (repeatable)', collect)
+  .option('-r, --require-lib <library>', 'Only select languages that provide this library (repeatable)', collect)
+  .option('-f, --force', 'Regenerate services that already exist')
+  .option('--no-template', 'Generate whole services with the LLM instead of scaffolding them')
+  .option('--no-contract', 'Skip the OpenAPI contracts and generate the code from the decomposition alone')
+  .option('--verify', 'Build and test the generated code on this machine (not sandboxed), asking the LLM to fix failures')
+  .option('--no-verify', 'Skip verification even when verify.enabled is set')
+  .option('--repair-rounds <count>', 'Maximum repair rounds when verification fails (default: verify.rounds or 2)', toNonNegativeInteger)
+  .action(handlers.generate);
+
+// Verify an existing service command
+program
+  .command('verify <service>')
+  .description('Run the build and test checks for a generated service')
+  .action(handlers.verify);
+
+// Update an existing service command
+program
+  .command('update <service> <change>')
+  .description('Apply a change request to an existing service')
+  .option('--dry-run', 'Show the proposed changes without writing them')
+  .option('--diff', 'Show a unified diff of every changed file')
+  .action(handlers.update);
+
+// Service dependency graph command
+program
+  .command('graph [description]')
+  .description('Show the service dependency graph and startup order (default: services in polyfunc.lock)')
+  .addOption(new commander.Option('--format <format>', 'Output format').choices(['dot', 'mermaid', 'json']).default('dot'))
+  .action(handlers.graph);
+
+// Containerize services command
+program
+  .command('containerize [services...]')
+  .description('Write Dockerfiles for services and a docker-compose.yml for the project')
+  .option('--compose-file <path>', 'Where to write the compose file', 'docker-compose.yml')
+  .option('--no-compose', 'Only write the Dockerfiles')
+  .option('-f, --force', 'Replace Dockerfiles and compose files that were not generated by polyfunc')
+  .option('--dry-run', 'Show what would be written without touching disk')
+  .action(handlers.containerize);
+
+// API gateway command
+program
+  .command('gateway [description]')
+  .description('Route public paths to the services (default: services in polyfunc.lock)')
+  .addOption(new commander.Option('--format <format>', 'Gateway configuration format').choices(['nginx', 'envoy']).default('nginx'))
+  .option('-o, --out <directory>', 'Directory the configuration is written to', 'gateway')
+  .option('--prefix', 'Mount each service under /<service> instead of routing its endpoints at the root')
+  .option('-p, --port <port>', `Port the gateway listens on (default: ${DEFAULT_GATEWAY_PORT})`, toPort)
+  .option('--upstream-host <host>', 'Host every service is reached at (default: the service name, or 127.0.0.1 with --serve)')
+  .option('--serve', 'Run the built-in Node reverse proxy instead of writing a configuration')
+  .option('--listen-host <host>', 'Interface the built-in proxy listens on (default: 127.0.0.1)')
+  .option('-f, --force', 'Replace a configuration that was not generated by polyfunc')
+  .option('--dry-run', 'Show what would be written without touching disk')
+  .action(handlers.gateway);
+
+// Local development runner command
+program
+  .command('dev [services...]')
+  .description('Run services locally with their peers\' URLs set, restarting them when their files change')
+  .option('--no-watch', 'Don\'t restart services when their files change')
+  .option('--no-color', 'Don\'t colour the service name prefixes')
+  .action(handlers.dev);
+
+// Check service contracts command
+const contracts = program
+  .command('contracts')
+  .description('Work with the OpenAPI contracts between services');
+
+contracts
+  .command('check [services...]')
+  .description('Check that services only call operations defined in the contracts of the services they call')
+  .option('--json', 'Print the errors and warnings as JSON')
+  .action(handlers.contractsCheck);
+
+// Benchmark command
+program
+  .command('benchmark [languages...]')
+  .description('Benchmark installed language toolchains and calibrate their profiles')
+  .option('-n, --iterations <count>', 'Runs per workload, the median is reported', toPositiveInteger, 3)
+  .option('--requests <count>', 'Requests sent to each HTTP echo server', toPositiveInteger, 200)
+  .option('-w, --write', 'Write the calibrated characteristics to paths.languages/calibrated.json')
+  .action(handlers.benchmark);
+
+// Manage the services recorded in polyfunc.lock
+const services = program
+  .command('services')
+  .description('List, inspect and remove generated services');
+
+services
+  .command('list')
+  .description('List the services recorded in the project manifest')
+  .option('--json', 'Print the manifest entries as JSON')
+  .action(handlers.servicesList);
+
+services
+  .command('show <name>')
+  .description('Show the manifest entry for a service')
+  .option('--json', 'Print the manifest entry as JSON')
+  .action(handlers.servicesShow);
+
+services
+  .command('remove <name>')
+  .description('Remove a service from the manifest, keeping its files unless asked to delete them')
+  .option('--delete-files', 'Also delete the service directory and its history')
+  .action(handlers.servicesRemove);
+
+services
+  .command('history <name>')
+  .description('List the recorded generations of a service')
+  .action(handlers.servicesHistory);
+
+services
+  .command('rollback <name> [generation]')
+  .description('Restore an earlier generation of a service (default: the previous one)')
+  .action(handlers.servicesRollback);
+
+// List scaffolding templates command
+program
+  .command('templates')
+  .description('List the templates services are scaffolded from')
+  .option('--json', 'Print the templates as JSON')
+  .action(handlers.templates);
+
+// List prompt templates command
+program
+  .command('prompts')
+  .description('List the prompts sent to the LLM, with their versions')
+  .option('--json', 'Print the prompts as JSON')
+  .action(handlers.prompts);
+
 // List language profiles command
 program
   .command('languages')
   .description('List available language profiles')
   .action(handlers.languages);
 
+// Work with the project configuration
+const configCommand = program
+  .command('config')
+  .description('Inspect, change and check the layered configuration');
+
+configCommand
+  .command('show')
+  .description('Print the effective configuration')
+  .option('--origin', 'Show which layer each value comes from')
+  .option('--json', 'Print the values as JSON')
+  .action(handlers.configShow);
+
+configCommand
+  .command('get <key>')
+  .description('Print the effective value of a key, e.g. llm.model')
+  .action(handlers.configGet);
+
+configCommand
+  .command('set <key> <value>')
+  .description('Set a key in the project config file, e.g. languages.rust.priority 2')
+  .option('--user', 'Change the user config in ~/.config/polyfunc instead')
+  .action(handlers.configSet);
+
+configCommand
+  .command('unset <key>')
+  .description('Remove a key from the project config file')
+  .option('--user', 'Change the user config in ~/.config/polyfunc instead')
+  .action(handlers.configUnset);
+
+configCommand
+  .command('list')
+  .description('List the values set in the project config file')
+  .option('--user', 'List the user config in ~/.config/polyfunc instead')
+  .option('--json', 'Print the values as JSON')
+  .action(handlers.configList);
+
+configCommand
+  .command('validate [file]')
+  .description('Check a configuration file, or every configuration layer, against the config schema')
+  .option('--json', 'Print the errors as JSON')
+  .action(handlers.configValidate);
+
 // Only parse argv when this file is run directly, not when required
 if (require.main === module) {
   program.parse(process.argv);
@@ -210,4 +1683,4 @@ if (require.main === module) {
   }
 }
 
-module.exports = { handlers, program };
\ No newline at end of file
+module.exports = { handlers, program, applyGlobalOptions };
\ No newline at end of file
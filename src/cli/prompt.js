@@ -0,0 +1,44 @@
+/**
+ * Interactive prompts for the CLI
+ */
+
+const readline = require('readline');
+
+/**
+ * Open a prompt on the given streams
+ * @param {{ input?: NodeJS.ReadableStream, output?: NodeJS.WritableStream }} [streams]
+ * @returns {{ ask: (question: string) => Promise<string>, close: () => void }}
+ */
+function createPrompt({ input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, output, terminal: false });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+
+  // Buffer lines so answers piped in ahead of the questions aren't lost
+  rl.on('line', line => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach(resolve => resolve(''));
+  });
+
+  return {
+    ask(question) {
+      output.write(question);
+      if (lines.length > 0) {
+        return Promise.resolve(lines.shift());
+      }
+      if (closed) {
+        return Promise.resolve('');
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+module.exports = {
+  createPrompt
+};
@@ -0,0 +1,85 @@
+/**
+ * docker-compose.yml generation for PolyFunc projects
+ * Each service is built from its own directory, published on a unique host port and started after
+ * the services it depends on report healthy. Dependencies get a <NAME>_URL variable pointing at them.
+ */
+
+const yaml = require('yaml');
+const { GENERATED_MARKER, buildContext } = require('./dockerfile');
+
+// YAML 1.1 parsers read unquoted HOST:CONTAINER pairs below 60 as base-60 numbers
+function quoted(value) {
+  const scalar = new yaml.Scalar(value);
+  scalar.type = yaml.Scalar.QUOTE_DOUBLE;
+  return scalar;
+}
+
+// Environment variable holding the base URL of another service
+function urlVariable(name) {
+  return `${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_URL`;
+}
+
+// Give every service a host port, keeping its own port where no earlier service took it
+function assignHostPorts(services) {
+  const used = new Set();
+  return Object.fromEntries(services.map(service => {
+    let port = service.port;
+    while (used.has(port)) {
+      port++;
+    }
+    used.add(port);
+    return [service.name, port];
+  }));
+}
+
+/**
+ * Render the project's docker-compose.yml
+ * Dependencies on services that aren't part of the file are dropped and reported.
+ * @param {Array<{ name: string, path: string, port: number, dependsOn?: string[] }>} services
+ * @param {{ root?: string }} [options] - Directory the compose file is written to
+ * @returns {{ content: string, hostPorts: object, missing: Array<{ service: string, dependency: string }> }}
+ */
+function renderCompose(services, { root = '.' } = {}) {
+  const names = new Set(services.map(service => service.name));
+  const byName = Object.fromEntries(services.map(service => [service.name, service]));
+  const hostPorts = assignHostPorts(services);
+  const missing = [];
+
+  const definitions = Object.fromEntries(services.map(service => {
+    const dependencies = [];
+    for (const dependency of service.dependsOn || []) {
+      if (names.has(dependency) && dependency !== service.name) {
+        dependencies.push(dependency);
+      } else {
+        missing.push({ service: service.name, dependency });
+      }
+    }
+
+    const environment = { PORT: String(service.port) };
+    dependencies.forEach(dependency => {
+      environment[urlVariable(dependency)] = `http://${dependency}:${byName[dependency].port}`;
+    });
+
+    const definition = {
+      build: { context: buildContext(root, service.path) },
+      ports: [quoted(`${hostPorts[service.name]}:${service.port}`)],
+      environment
+    };
+    if (dependencies.length > 0) {
+      definition.depends_on = Object.fromEntries(dependencies.map(dependency => [dependency, { condition: 'service_healthy' }]));
+    }
+    definition.restart = 'unless-stopped';
+    return [service.name, definition];
+  }));
+
+  return {
+    content: `${GENERATED_MARKER}\n${yaml.stringify({ services: definitions })}`,
+    hostPorts,
+    missing
+  };
+}
+
+module.exports = {
+  renderCompose,
+  urlVariable
+};
@@ -0,0 +1,220 @@
+/**
+ * Dockerfile generation for PolyFunc services
+ * Every language gets a multi-stage build: dependencies and compilation in a full toolchain image,
+ * then a slim runtime image that runs as a non-root user and probes the service's /health endpoint.
+ */
+
+const path = require('path');
+
+// First line of every file written by containerize; files without it were written by hand
+const GENERATED_MARKER = '# Generated by polyfunc containerize';
+
+// Port a service listens on when the manifest doesn't record one, matching the built-in templates
+const DEFAULT_PORTS = {
+  javascript: 3000,
+  python: 5000,
+  go: 8080,
+  rust: 8080
+};
+
+const HEALTH_PATH = '/health';
+
+const HEALTHCHECK_OPTIONS = '--interval=30s --timeout=5s --start-period=15s --retries=3';
+
+const DOCKERIGNORE = [
+  GENERATED_MARKER,
+  '.git',
+  '.env',
+  '.env.*',
+  'node_modules',
+  'npm-debug.log',
+  '__pycache__',
+  '*.pyc',
+  '.venv',
+  'venv',
+  'target',
+  'dist',
+  'build',
+  ''
+].join('\n');
+
+const hasFile = (files, name) => files.some(file => file.path === name);
+
+const contentOf = (files, name) => (files.find(file => file.path === name) || {}).content;
+
+/**
+ * Guess a service's language from its files, for services the manifest doesn't know
+ * @param {Array<{ path: string }>} files
+ * @returns {string | null}
+ */
+function detectLanguage(files) {
+  if (hasFile(files, 'Cargo.toml')) {
+    return 'rust';
+  }
+  if (hasFile(files, 'go.mod') || files.some(file => file.path.endsWith('.go'))) {
+    return 'go';
+  }
+  if (hasFile(files, 'package.json')) {
+    return 'javascript';
+  }
+  if (hasFile(files, 'requirements.txt') || hasFile(files, 'pyproject.toml') || files.some(file => file.path.endsWith('.py'))) {
+    return 'python';
+  }
+  return null;
+}
+
+// Command that starts a Node service: package.json main, then its start script, then a conventional entry file
+function nodeCommand(files) {
+  let pkg = {};
+  try {
+    pkg = JSON.parse(contentOf(files, 'package.json') || '{}');
+  } catch (error) {
+    // A broken package.json still gets a Dockerfile; npm will report the problem at build time
+  }
+  if (pkg.main && hasFile(files, pkg.main)) {
+    return ['node', pkg.main];
+  }
+  if (pkg.scripts && pkg.scripts.start) {
+    return ['npm', 'start'];
+  }
+  const entry = ['src/index.js', 'index.js', 'server.js', 'app.js', 'src/server.js', 'src/app.js'].find(name => hasFile(files, name));
+  return ['node', entry || 'index.js'];
+}
+
+function pythonEntry(files) {
+  const conventional = ['app.py', 'main.py', 'server.py', 'wsgi.py'].find(name => hasFile(files, name));
+  if (conventional) {
+    return conventional;
+  }
+  const topLevel = files.map(file => file.path).filter(file => file.endsWith('.py') && !file.includes('/') && !/^test_|_test\.py$/.test(file));
+  return topLevel[0] || 'app.py';
+}
+
+// Binary name cargo builds: the package name from Cargo.toml
+function rustBinary(files) {
+  const manifest = contentOf(files, 'Cargo.toml') || '';
+  const pkg = /\[package\][^[]*?^\s*name\s*=\s*"([^"]+)"/m.exec(manifest);
+  return pkg ? pkg[1] : 'service';
+}
+
+const exec = command => JSON.stringify(command);
+
+const builders = {
+  javascript(files, port) {
+    const install = hasFile(files, 'package-lock.json') ? 'npm ci --omit=dev' : 'npm install --omit=dev --no-audit --no-fund';
+    return `FROM node:20-slim AS deps
+WORKDIR /app
+COPY package*.json ./
+RUN ${install}
+
+FROM node:20-slim
+ENV NODE_ENV=production PORT=${port}
+WORKDIR /app
+COPY --from=deps /app/node_modules ./node_modules
+COPY --chown=node:node . .
+USER node
+EXPOSE ${port}
+HEALTHCHECK ${HEALTHCHECK_OPTIONS} \\
+  CMD node -e "fetch('http://127.0.0.1:' + process.env.PORT + '${HEALTH_PATH}').then(r => process.exit(r.ok ? 0 : 1), () => process.exit(1))"
+CMD ${exec(nodeCommand(files))}
+`;
+  },
+
+  python(files, port) {
+    const install = hasFile(files, 'requirements.txt')
+      ? 'COPY requirements.txt ./\nRUN /opt/venv/bin/pip install --no-cache-dir -r requirements.txt'
+      : '# No requirements.txt: the service only uses the standard library';
+    return `FROM python:3.12-slim AS deps
+WORKDIR /app
+RUN python -m venv /opt/venv
+${install}
+
+FROM python:3.12-slim
+ENV PATH=/opt/venv/bin:$PATH PYTHONUNBUFFERED=1 PORT=${port}
+RUN useradd --uid 10001 --no-create-home app
+WORKDIR /app
+COPY --from=deps /opt/venv /opt/venv
+COPY --chown=app:app . .
+USER app
+EXPOSE ${port}
+HEALTHCHECK ${HEALTHCHECK_OPTIONS} \\
+  CMD python -c "import os, urllib.request; urllib.request.urlopen('http://127.0.0.1:%s${HEALTH_PATH}' % os.environ['PORT'], timeout=4)"
+CMD ${exec(['python', pythonEntry(files)])}
+`;
+  },
+
+  go(files, port) {
+    const modules = hasFile(files, 'go.mod')
+      ? 'COPY go.mod go.sum* ./\nRUN go mod download\nCOPY . .'
+      : 'COPY . .\nRUN go mod init service';
+    return `FROM golang:1.22-alpine AS build
+WORKDIR /src
+${modules}
+RUN go mod tidy && CGO_ENABLED=0 go build -trimpath -ldflags="-s -w" -o /out/service .
+
+FROM alpine:3.20
+RUN adduser -D -H -u 10001 app
+COPY --from=build /out/service /usr/local/bin/service
+ENV PORT=${port}
+USER app
+EXPOSE ${port}
+HEALTHCHECK ${HEALTHCHECK_OPTIONS} \\
+  CMD wget -q -O /dev/null "http://127.0.0.1:$PORT${HEALTH_PATH}" || exit 1
+CMD ["service"]
+`;
+  },
+
+  rust(files, port) {
+    return `FROM rust:1-slim AS build
+WORKDIR /src
+COPY . .
+RUN cargo build --release && mkdir -p /out && cp target/release/${rustBinary(files)} /out/service
+
+FROM debian:bookworm-slim
+RUN apt-get update \\
+  && apt-get install -y --no-install-recommends ca-certificates curl \\
+  && rm -rf /var/lib/apt/lists/* \\
+  && useradd --uid 10001 --no-create-home app
+COPY --from=build /out/service /usr/local/bin/service
+ENV PORT=${port}
+USER app
+EXPOSE ${port}
+HEALTHCHECK ${HEALTHCHECK_OPTIONS} \\
+  CMD curl -fsS -o /dev/null "http://127.0.0.1:$PORT${HEALTH_PATH}" || exit 1
+CMD ["service"]
+`;
+  }
+};
+
+/**
+ * Render the Dockerfile for one service
+ * @param {string} language
+ * @param {Array<{ path: string, content: string }>} files - The service's source files
+ * @param {{ port?: number }} [options]
+ * @returns {string}
+ * @throws {Error} When there is no Dockerfile recipe for the language
+ */
+function renderDockerfile(language, files, { port } = {}) {
+  const build = builders[language];
+  if (!build) {
+    throw new Error(`No Dockerfile recipe for ${language}`);
+  }
+  return `${GENERATED_MARKER}\n${build(files, port || DEFAULT_PORTS[language])}`;
+}
+
+// Posix path of a service directory relative to the directory holding the compose file
+function buildContext(from, servicePath) {
+  const relative = path.relative(from, servicePath).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+module.exports = {
+  renderDockerfile,
+  detectLanguage,
+  buildContext,
+  nodeCommand,
+  pythonEntry,
+  GENERATED_MARKER,
+  DEFAULT_PORTS,
+  DOCKERIGNORE
+};
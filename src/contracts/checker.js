@@ -0,0 +1,178 @@
+/**
+ * Static contract checks across PolyFunc services
+ * Every service's openapi.yaml must be valid, every endpoint a service consumes must exist in the
+ * callee's contract, and the requests its code builds against a callee's <NAME>_URL must match an
+ * operation of that contract. Requests are found by scanning source lines, so the check is a
+ * heuristic: a request whose URL is assembled across several lines is not seen.
+ */
+
+const { urlVariable } = require('../containers/compose');
+const { ServiceGraph } = require('../project/graph');
+const { CONTRACT_FILE, parseEndpoint, findOperation, operations, validateContract, parseContract } = require('./openapi');
+
+const SOURCE_EXTENSIONS = /\.(js|mjs|cjs|ts|py|go|rs)$/;
+
+// Endpoints every service has whether its contract lists them or not
+const IMPLICIT_PATHS = ['/health'];
+
+const METHOD_PATTERNS = [
+  /\.(get|post|put|patch|delete|head)\s*\(/i,
+  /\bmethod\s*[:=]\s*["'`](\w+)["'`]/i,
+  /http\.Method(\w+)/,
+  /NewRequest(?:WithContext)?\([^"]*"(\w+)"/,
+  /\bhttp\.(Get|Post|Head)\(/,
+  /Method::([A-Z]+)/
+];
+
+// Interpolations (${id}, {id}, %s) become {} so they match any path parameter
+function normalizeLine(line) {
+  return line
+    .replace(/\$\{[^}]*\}/g, '{}')
+    .replace(/\{[^{}]*\}/g, '{}')
+    .replace(/%[sdvq]/g, '{}');
+}
+
+function detectMethod(line) {
+  for (const pattern of METHOD_PATTERNS) {
+    const match = pattern.exec(line);
+    if (match) {
+      return match[1].toLowerCase();
+    }
+  }
+  return null;
+}
+
+// Names the URL variable is stored under, e.g. usersUrl in `const usersUrl = process.env.USERS_URL`
+function aliasesOf(files, variable) {
+  const aliases = new Set([variable]);
+  const assignment = new RegExp(`([A-Za-z_]\\w*)\\s*(?::=|=|:)\\s*(?!=)[^;\\n]*\\b${variable}\\b`);
+  for (const file of files) {
+    for (const line of file.content.split('\n')) {
+      const match = assignment.exec(line);
+      if (match) {
+        aliases.add(match[1]);
+      }
+    }
+  }
+  return [...aliases];
+}
+
+/**
+ * Find the requests a service's code sends to another service
+ * @param {Array<{ path: string, content: string }>} files - Source files of the calling service
+ * @param {string} variable - Environment variable holding the callee's base URL
+ * @returns {Array<{ file: string, line: number, method: string | null, path: string }>}
+ */
+function extractCalls(files, variable) {
+  const sources = files.filter(file => SOURCE_EXTENSIONS.test(file.path));
+  const mentions = new RegExp(`\\b(?:${aliasesOf(sources, variable).join('|')})\\b`);
+  const calls = [];
+  for (const file of sources) {
+    file.content.split('\n').forEach((line, index) => {
+      if (!mentions.test(line)) {
+        return;
+      }
+      const method = detectMethod(line);
+      for (const [candidate] of normalizeLine(line).matchAll(/(?<![\w/:.])\/[\w\-.{}]+(?:\/[\w\-.{}]*)*/g)) {
+        calls.push({ file: file.path, line: index + 1, method, path: candidate });
+      }
+    });
+  }
+  return calls;
+}
+
+// A path built as "/users/" + id ends in a slash; it matches either the collection or one item
+function callMatches(contract, call) {
+  if (IMPLICIT_PATHS.includes(call.path)) {
+    return true;
+  }
+  const candidates = call.path.endsWith('/') ? [call.path.replace(/\/+$/, '') || '/', `${call.path}{}`] : [call.path];
+  return candidates.some(candidate => findOperation(contract, call.method, candidate));
+}
+
+function loadContract(service) {
+  const file = (service.files || []).find(entry => entry.path === CONTRACT_FILE);
+  if (!file) {
+    return { contract: null, errors: [] };
+  }
+  try {
+    const contract = parseContract(file.content);
+    const errors = validateContract(contract, service.endpoints || []);
+    return { contract: errors.length === 0 ? contract : null, errors };
+  } catch (error) {
+    return { contract: null, errors: [{ path: '(root)', message: `not valid YAML: ${error.message}` }] };
+  }
+}
+
+/**
+ * Check that services only call what the services they depend on define
+ * @param {Array<{ name: string, files: object[] | null, endpoints?: string[], dependsOn?: string[],
+ *   consumes?: Array<{ service: string, endpoints?: string[] }> }>} services - Output of collectServices
+ * @param {{ only?: string[] }} [options] - Only check the calls made by these services
+ * @returns {{ errors: Array<{ service: string, message: string }>, warnings: Array<{ service: string, message: string }> }}
+ */
+function checkContracts(services, { only } = {}) {
+  const errors = [];
+  const warnings = [];
+  const graph = new ServiceGraph(services);
+  const contracts = new Map();
+  const checked = services.filter(service => !only || only.includes(service.name));
+
+  for (const service of services) {
+    const loaded = loadContract(service);
+    contracts.set(service.name, loaded.contract);
+    if (checked.includes(service)) {
+      loaded.errors.forEach(error => errors.push({ service: service.name, message: `${CONTRACT_FILE} ${error.path}: ${error.message}` }));
+    }
+  }
+
+  for (const service of checked) {
+    if (!service.files) {
+      warnings.push({ service: service.name, message: 'directory not found, skipped' });
+      continue;
+    }
+
+    for (const dependency of graph.dependenciesOf(service.name)) {
+      const callee = graph.byName.get(dependency);
+      if (!callee) {
+        errors.push({ service: service.name, message: `depends on unknown service "${dependency}"` });
+        continue;
+      }
+      const contract = contracts.get(dependency);
+      if (!contract) {
+        if (callee.files && !callee.files.some(file => file.path === CONTRACT_FILE)) {
+          warnings.push({ service: service.name, message: `${dependency} has no ${CONTRACT_FILE}, calls to it are not checked` });
+        } else if (callee.files && !checked.includes(callee)) {
+          warnings.push({ service: service.name, message: `${dependency} has an invalid ${CONTRACT_FILE}, calls to it are not checked` });
+        }
+        continue;
+      }
+
+      const consumed = (service.consumes || []).filter(entry => entry.service === dependency).flatMap(entry => entry.endpoints || []);
+      for (const endpoint of consumed) {
+        const { method, path: route } = parseEndpoint(endpoint);
+        if (!findOperation(contract, method, route)) {
+          errors.push({ service: service.name, message: `consumes "${endpoint}" from ${dependency}, which its contract does not define` });
+        }
+      }
+
+      for (const call of extractCalls(service.files, urlVariable(dependency))) {
+        if (!callMatches(contract, call)) {
+          const defined = operations(contract).map(operation => `${operation.method.toUpperCase()} ${operation.path}`).join(', ');
+          errors.push({
+            service: service.name,
+            message: `${call.file}:${call.line}: ${call.method ? `${call.method.toUpperCase()} ` : ''}${call.path} ` +
+              `is not in the contract of ${dependency} (${defined || 'no operations'})`
+          });
+        }
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  checkContracts,
+  extractCalls
+};
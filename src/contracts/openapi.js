@@ -0,0 +1,155 @@
+/**
+ * OpenAPI contracts for PolyFunc services
+ * Each service's API is an OpenAPI 3 document saved as openapi.yaml in its directory. Besides
+ * the structural schema, a contract has to cover the endpoints from the decomposition and
+ * its $refs have to resolve inside the document.
+ */
+
+const yaml = require('yaml');
+const { validate } = require('../core/schema');
+const { contractSchema, HTTP_METHODS } = require('../llm/schemas');
+
+const CONTRACT_FILE = 'openapi.yaml';
+
+// Split "POST /orders" into its parts; a bare path has no method
+function parseEndpoint(endpoint) {
+  const match = /^\s*([A-Za-z]+)\s+(\S+)/.exec(endpoint);
+  return match ? { method: match[1].toLowerCase(), path: match[2] } : { method: null, path: String(endpoint).trim() };
+}
+
+// Path segments with every parameter ({id}, :id, ${id}, %s) turned into {}
+function pathSegments(route) {
+  const bare = route.split(/[?#]/)[0].replace(/\/+$/, '');
+  return bare.split('/').slice(1).map(segment => (/^:|[{}$%]/.test(segment) ? '{}' : segment));
+}
+
+// A parameter matches any segment on the other side, literals must be equal
+function pathsMatch(a, b) {
+  const left = pathSegments(a);
+  const right = pathSegments(b);
+  return left.length === right.length &&
+    left.every((segment, index) => segment === '{}' || right[index] === '{}' || segment === right[index]);
+}
+
+/**
+ * List the operations of a contract
+ * @param {object} contract
+ * @returns {Array<{ method: string, path: string, operationId?: string }>}
+ */
+function operations(contract) {
+  return Object.entries((contract && contract.paths) || {}).flatMap(([route, item]) =>
+    HTTP_METHODS.filter(method => item && item[method])
+      .map(method => ({ method, path: route, operationId: item[method].operationId })));
+}
+
+/**
+ * Find the operation serving a request
+ * @param {object} contract
+ * @param {string | null} method - Lower case; null matches any method
+ * @param {string} route
+ */
+function findOperation(contract, method, route) {
+  return operations(contract).find(operation =>
+    (!method || operation.method === method) && pathsMatch(operation.path, route)) || null;
+}
+
+// Resolve a local reference such as #/components/schemas/Order
+function resolvePointer(contract, ref) {
+  return ref.slice(2).split('/')
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), contract);
+}
+
+function collectRefs(node, where, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => collectRefs(item, `${where}[${index}]`, found));
+  } else if (node !== null && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string') {
+        found.push({ path: where, ref: value });
+      } else {
+        collectRefs(value, where ? `${where}.${key}` : key, found);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Validate a contract
+ * @param {object} contract
+ * @param {string[]} [endpoints] - Endpoints from the decomposition the contract must define
+ * @returns {Array<{ path: string, message: string }>} Problems found, empty when valid
+ */
+function validateContract(contract, endpoints = []) {
+  const errors = validate(contractSchema, contract);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  for (const route of Object.keys(contract.paths)) {
+    if (!route.startsWith('/')) {
+      errors.push({ path: `paths.${route}`, message: 'must start with "/"' });
+    }
+  }
+
+  for (const endpoint of endpoints) {
+    const { method, path: route } = parseEndpoint(endpoint);
+    if (!findOperation(contract, method, route)) {
+      errors.push({ path: 'paths', message: `no operation for endpoint "${endpoint}"` });
+    }
+  }
+
+  for (const { path: where, ref } of collectRefs(contract, '')) {
+    if (!ref.startsWith('#/')) {
+      errors.push({ path: where, message: `external $ref "${ref}" is not allowed, keep the contract self-contained` });
+    } else if (resolvePointer(contract, ref) === undefined) {
+      errors.push({ path: where, message: `$ref "${ref}" does not resolve` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * The part of a contract a caller needs: the operations it uses, plus all components
+ * @param {object} contract
+ * @param {string[]} [endpoints] - Endpoints the caller uses; empty keeps every operation
+ * @returns {object}
+ */
+function contractSubset(contract, endpoints = []) {
+  if (endpoints.length === 0) {
+    return contract;
+  }
+  const wanted = endpoints.map(parseEndpoint);
+  const paths = {};
+  for (const [route, item] of Object.entries(contract.paths || {})) {
+    const kept = Object.fromEntries(Object.entries(item).filter(([key]) => !HTTP_METHODS.includes(key) ||
+      wanted.some(endpoint => (!endpoint.method || endpoint.method === key) && pathsMatch(route, endpoint.path))));
+    if (Object.keys(kept).some(key => HTTP_METHODS.includes(key))) {
+      paths[route] = kept;
+    }
+  }
+  return { ...contract, paths };
+}
+
+// Contracts are stored as YAML; the LLM answers with the same document as JSON
+function renderContract(contract) {
+  return yaml.stringify(contract);
+}
+
+function parseContract(text) {
+  return yaml.parse(text);
+}
+
+module.exports = {
+  CONTRACT_FILE,
+  parseEndpoint,
+  pathsMatch,
+  operations,
+  findOperation,
+  validateContract,
+  contractSubset,
+  renderContract,
+  parseContract
+};
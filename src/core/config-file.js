@@ -0,0 +1,148 @@
+/**
+ * Editable PolyFunc configuration files
+ * Edits keep the file's format. YAML files are changed as documents, so comments, blank lines and
+ * key order survive; JSON files keep their key order and indentation. New keys go at the end of
+ * their section.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+
+function isObject(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item);
+}
+
+/**
+ * [key path, value] for every leaf of a config tree; lists are values, not sections
+ * @param {object} tree
+ * @param {string} [prefix]
+ * @returns {Array<[string, *]>}
+ */
+function leaves(tree, prefix = '') {
+  return Object.entries(tree).flatMap(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value === undefined) {
+      return [];
+    }
+    return isObject(value) && Object.keys(value).length > 0 ? leaves(value, keyPath) : [[keyPath, value]];
+  });
+}
+
+class ConfigFile {
+  /**
+   * @param {string} filePath - .json, .yaml or .yml
+   * @param {string} [text] - Current contents, empty for a file that doesn't exist yet
+   * @throws {Error} When the extension is unsupported or the contents can't be parsed
+   */
+  constructor(filePath, text = '') {
+    this.path = filePath;
+    this.format = { '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml' }[path.extname(filePath).toLowerCase()];
+    if (!this.format) {
+      throw new Error(`Unsupported configuration file format: ${path.extname(filePath)}`);
+    }
+
+    if (this.format === 'yaml') {
+      this.document = yaml.parseDocument(text);
+      if (this.document.errors.length > 0) {
+        throw new Error(`${filePath}: ${this.document.errors[0].message}`);
+      }
+    } else {
+      this.data = text.trim() ? JSON.parse(text) : {};
+      const indent = text.match(/^([ \t]+)"/m);
+      this.indent = indent ? indent[1] : 2;
+    }
+  }
+
+  /**
+   * Open a configuration file, or start an empty one when it doesn't exist
+   * @param {string} filePath
+   * @returns {ConfigFile}
+   */
+  static read(filePath) {
+    return new ConfigFile(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '');
+  }
+
+  /**
+   * The file's contents as plain values
+   * @returns {object}
+   */
+  values() {
+    if (this.format === 'yaml') {
+      return this.document.toJS() ?? {};
+    }
+    return this.data;
+  }
+
+  /**
+   * @param {string[]} keys
+   * @returns {*} Undefined when the file doesn't set the key
+   */
+  get(keys) {
+    return keys.reduce((node, key) => (isObject(node) ? node[key] : undefined), this.values());
+  }
+
+  /**
+   * Set a value, creating the sections on its path
+   * @param {string[]} keys
+   * @param {*} value
+   */
+  set(keys, value) {
+    if (this.format === 'yaml') {
+      this.document.setIn(keys, value);
+      return;
+    }
+    let node = this.data;
+    for (const key of keys.slice(0, -1)) {
+      if (!isObject(node[key])) {
+        node[key] = {};
+      }
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * Remove a value, and any section the removal leaves empty
+   * @param {string[]} keys
+   * @returns {boolean} False when the file didn't set the key
+   */
+  unset(keys) {
+    if (this.get(keys) === undefined) {
+      return false;
+    }
+    for (let depth = keys.length; depth > 0; depth--) {
+      const current = keys.slice(0, depth);
+      if (depth < keys.length) {
+        const section = this.get(current);
+        if (!isObject(section) || Object.keys(section).length > 0) {
+          break;
+        }
+      }
+      if (this.format === 'yaml') {
+        this.document.deleteIn(current);
+      } else {
+        delete this.get(current.slice(0, -1))[current[current.length - 1]];
+      }
+    }
+    return true;
+  }
+
+  toString() {
+    if (this.format === 'yaml') {
+      return String(this.document);
+    }
+    return `${JSON.stringify(this.data, null, this.indent)}\n`;
+  }
+
+  // Write the file, creating its directory when needed
+  save() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(this.path, this.toString(), 'utf8');
+  }
+}
+
+module.exports = {
+  ConfigFile,
+  leaves
+};
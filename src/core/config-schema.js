@@ -0,0 +1,254 @@
+/**
+ * Schema for the PolyFunc configuration
+ * Every section of the config tree is declared here, and unknown sections and keys are rejected,
+ * so a typo in polyfunc.json fails when the file is loaded rather than as an odd error later on.
+ * Features that add a section declare its schema with defineSection.
+ */
+
+const { validate } = require('./schema');
+const { definitionSchema } = require('../languages/loader');
+
+const scale = { type: 'number', minimum: 1, maximum: 10 };
+const positiveInteger = { type: 'integer', minimum: 1 };
+const nameList = { type: ['array', 'string'], items: { type: 'string', minLength: 1 } };
+
+const sections = {
+  llm: () => ({
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      // Read on every validation so providers added with registerProvider are accepted
+      provider: { type: 'string', enum: Object.keys(require('../llm/providers').providers) },
+      model: { type: 'string', minLength: 1 },
+      // Secret keys should hold an env: or file: reference rather than the secret itself
+      apiKey: { type: 'string', secret: true },
+      baseUrl: { type: 'string', minLength: 1 },
+      maxRepairAttempts: { type: 'integer', minimum: 0 },
+      maxTokens: positiveInteger,
+      apiVersion: { type: 'string', minLength: 1 },
+      deployment: { type: 'string', minLength: 1 },
+      fixtures: { type: 'string', minLength: 1 },
+      record: { type: 'boolean' }
+    }
+  }),
+  languages: {
+    type: 'object',
+    additionalProperties: { ...definitionSchema, additionalProperties: false }
+  },
+  paths: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      services: { type: 'string', minLength: 1 },
+      templates: { type: 'string', minLength: 1 },
+      languages: { type: 'string', minLength: 1 }
+    }
+  },
+  selection: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      constraints: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          allow: { ...nameList, type: ['array', 'string', 'null'] },
+          deny: nameList,
+          requiredLibraries: nameList,
+          minimums: { type: 'object', additionalProperties: scale }
+        }
+      }
+    }
+  },
+  sandbox: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      maxFiles: positiveInteger,
+      maxFileSize: positiveInteger,
+      maxTotalSize: positiveInteger,
+      deny: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+  },
+  verify: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      enabled: { type: 'boolean' },
+      timeout: positiveInteger,
+      rounds: { type: 'integer', minimum: 0 }
+    }
+  }
+};
+
+// One line per error: where it came from, the key path and what was expected
+function formatConfigErrors(errors) {
+  return errors.map(error => [error.source, error.path, error.message].filter(Boolean).join(': ')).join('\n');
+}
+
+class ConfigError extends Error {
+  /**
+   * @param {Array<{ path?: string, message: string, source?: string }>} errors
+   * @param {string} [source] - File the configuration came from, for errors that don't name one
+   */
+  constructor(errors, source) {
+    const located = errors.map(error => (error.source || !source ? error : { source, ...error }));
+    super(`Invalid configuration:\n${formatConfigErrors(located)}`);
+    this.name = 'ConfigError';
+    this.errors = located;
+  }
+}
+
+/**
+ * Declare the schema of a config section
+ * @param {string} name - Top-level key of the section
+ * @param {object|Function} schema - Schema, or a function returning it when it depends on state
+ */
+function defineSection(name, schema) {
+  sections[name] = schema;
+}
+
+/**
+ * Schema for the whole config tree, with the sections declared so far
+ * A profile under `profiles.<name>` may set anything a config file can, except other profiles.
+ * @returns {object}
+ */
+function configSchema() {
+  const properties = Object.fromEntries(Object.entries(sections)
+    .map(([name, schema]) => [name, typeof schema === 'function' ? schema() : schema]));
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...properties,
+      profiles: { type: 'object', additionalProperties: { type: 'object', additionalProperties: false, properties } }
+    }
+  };
+}
+
+// Number of single-character edits between two strings, a swap of neighbours counting as one
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Schema of the value at a key path
+ * @param {object} schema
+ * @param {string} path - Dotted key path such as `languages.python.priority`
+ * @returns {object|null} Null when nothing may be set at the path
+ */
+function schemaAt(schema, path) {
+  return path.split('.').reduce((node, key) => {
+    if (!node) {
+      return null;
+    }
+    if (node.properties && node.properties[key]) {
+      return node.properties[key];
+    }
+    return typeof node.additionalProperties === 'object' ? node.additionalProperties : null;
+  }, schema);
+}
+
+// Point an unknown key at the allowed key it is most likely a typo of
+function withSuggestion(schema, error) {
+  if (error.message !== 'is not an allowed property' || /\[\d+\]/.test(error.path)) {
+    return error;
+  }
+  const keys = error.path.split('.');
+  const key = keys.pop();
+  const parent = keys.length > 0 ? schemaAt(schema, keys.join('.')) : schema;
+  const candidates = Object.keys((parent && parent.properties) || {})
+    .map(candidate => ({ candidate, distance: editDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= Math.max(1, Math.floor(key.length / 3)))
+    .sort((a, b) => a.distance - b.distance);
+  return candidates.length > 0
+    ? { ...error, message: `${error.message}, did you mean "${candidates[0].candidate}"?` }
+    : error;
+}
+
+/**
+ * Turn a value typed on the command line or in an environment variable into the key's type
+ * The text is parsed as JSON when the result is of a type the key takes, so `2` becomes a number
+ * for languages.rust.priority but stays a string for llm.model.
+ * @param {string} key - Dotted key path
+ * @param {string} raw
+ * @returns {*}
+ */
+function coerceValue(key, raw) {
+  const schema = schemaAt(configSchema(), key);
+  if (!schema || !schema.type) {
+    return raw;
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return validate({ type: schema.type }, parsed).length === 0 ? parsed : raw;
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Key paths of the values marked `secret` in the schema
+ * Maps such as profiles.<name> are followed too and appear as a `*` segment: profiles.*.llm.apiKey.
+ * @returns {string[]}
+ */
+function secretKeys(schema = configSchema()) {
+  const walk = (node, prefix) => {
+    const join = key => (prefix ? `${prefix}.${key}` : key);
+    const children = Object.entries(node.properties || {});
+    if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+      children.push(['*', node.additionalProperties]);
+    }
+    return children.flatMap(([key, child]) => (child.secret ? [join(key)] : walk(child, join(key))));
+  };
+  return walk(schema, '');
+}
+
+/**
+ * Whether a dotted key path names a secret, such as llm.apiKey or profiles.ci.llm.apiKey
+ * @param {string} key
+ * @param {string[]} [keys] - Output of secretKeys()
+ * @returns {boolean}
+ */
+function isSecretKey(key, keys = secretKeys()) {
+  const parts = key.split('.');
+  return keys.some(secret => {
+    const pattern = secret.split('.');
+    return pattern.length === parts.length && pattern.every((part, index) => part === '*' || part === parts[index]);
+  });
+}
+
+/**
+ * Validate a configuration, or any part of one loaded from a file
+ * @param {object} value
+ * @returns {Array<{ path: string, message: string }>} Errors with dotted key paths, empty when valid
+ */
+function validateConfig(value) {
+  const schema = configSchema();
+  return validate(schema, value).map(error => withSuggestion(schema, error));
+}
+
+module.exports = {
+  ConfigError,
+  coerceValue,
+  configSchema,
+  defineSection,
+  formatConfigErrors,
+  isSecretKey,
+  schemaAt,
+  secretKeys,
+  validateConfig
+};
@@ -1,29 +1,295 @@
 /**
  * Configuration management for PolyFunc
+ * The effective configuration is built from layers, each overriding the ones before it: built-in
+ * defaults, the user config in ~/.config/polyfunc, the project's polyfunc.json/.yaml (found in the
+ * current directory or a parent), the selected profile, POLYFUNC_* environment variables and
+ * finally values set at runtime. Every layer is checked against the config schema before use.
+ * Secrets such as llm.apiKey are stored as env:/file: references and only resolved by get().
+ * Relative paths.* values are relative to the file that sets them, so they point at the same place
+ * from any subdirectory of the project; get() returns them relative to the current directory.
  */
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const yaml = require('yaml');
+const { ConfigError, coerceValue, configSchema, secretKeys, validateConfig } = require('./config-schema');
+const { leaves } = require('./config-file');
+const { resolveReference, parseDotenv, literalSecrets, redactSecrets } = require('./secrets');
+
+// Project configuration files, looked for in the current directory and then its parents
+const PROJECT_FILES = ['polyfunc.json', 'polyfunc.yaml', 'polyfunc.yml'];
+
+// User configuration files, looked for in $XDG_CONFIG_HOME/polyfunc or ~/.config/polyfunc
+const USER_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+// POLYFUNC_LLM__MODEL overrides llm.model; variables without a double underscore are not overrides, and
+// ones that don't start with a config section are ignored with a warning rather than failing every command
+const ENV_PREFIX = 'POLYFUNC_';
+
+const RUNTIME_ORIGIN = 'command line';
+
+function defaultConfig() {
+  return {
+    llm: {
+      provider: 'openai',
+      model: 'gpt-4',
+      apiKey: 'env:OPENAI_API_KEY',
+    },
+    languages: {
+      javascript: { priority: 1, useCase: ['web', 'api'] },
+      python: { priority: 2, useCase: ['data', 'ml'] },
+      go: { priority: 3, useCase: ['performance', 'concurrency'] },
+      rust: { priority: 4, useCase: ['system', 'performance'] },
+    },
+    paths: {
+      services: './services',
+      templates: './templates',
+      languages: './languages',
+    }
+  };
+}
+
+function isObject(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item);
+}
+
+// Copy of `target` with the value at a key path replaced
+function withValue(target, [key, ...rest], value) {
+  const current = isObject(target) ? target : {};
+  return { ...current, [key]: rest.length === 0 ? value : withValue(current[key], rest, value) };
+}
+
+function lookup(tree, keys) {
+  return keys.reduce((value, key) => (isObject(value) ? value[key] : undefined), tree);
+}
+
+function findFile(directory, names) {
+  return names.map(name => path.join(directory, name)).find(file => fs.existsSync(file)) || null;
+}
+
+// Nearest project configuration file, from `cwd` up to the filesystem root
+function discoverProjectFile(cwd) {
+  let directory = path.resolve(cwd);
+  for (;;) {
+    const file = findFile(directory, PROJECT_FILES);
+    const parent = path.dirname(directory);
+    if (file || parent === directory) {
+      return file;
+    }
+    directory = parent;
+  }
+}
+
+// Warn about secrets written into a configuration file, which is likely to get committed
+function warnLiteralSecrets(file, values, profiles = {}) {
+  literalSecrets({ ...values, profiles }, secretKeys()).forEach(key => {
+    console.warn(`Warning: ${file}: ${key} holds a secret in plain text, use env:NAME or file:PATH instead`);
+  });
+}
+
+function userConfigDirectory(env, home) {
+  return path.join(env.XDG_CONFIG_HOME || path.join(home, '.config'), 'polyfunc');
+}
+
+// POLYFUNC_LLM__MAX_REPAIR_ATTEMPTS -> ['llm', 'maxRepairAttempts']
+function envKeyPath(name) {
+  return name.slice(ENV_PREFIX.length).split('__')
+    .map(segment => segment.toLowerCase().replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase()));
+}
 
 class Config {
   constructor() {
-    this.config = {
-      llm: {
-        provider: 'openai',
-        model: 'gpt-4',
-        apiKey: process.env.OPENAI_API_KEY,
-      },
-      languages: {
-        javascript: { priority: 1, useCase: ['web', 'api'] },
-        python: { priority: 2, useCase: ['data', 'ml'] },
-        go: { priority: 3, useCase: ['performance', 'concurrency'] },
-        rust: { priority: 4, useCase: ['system', 'performance'] },
-      },
-      paths: {
-        services: './services',
-        templates: './templates',
+    this.config = defaultConfig();
+    this.layers = [{ origin: 'default', values: defaultConfig() }];
+    this.profile = null;
+    this.env = process.env;
+    this.directory = null;
+    this.cwd = process.cwd();
+    this.home = os.homedir();
+    this.files = { user: null, project: null };
+  }
+
+  /**
+   * The built-in defaults, without any layer applied
+   * @returns {object}
+   */
+  defaults() {
+    return defaultConfig();
+  }
+
+  /**
+   * Build the effective configuration from every layer
+   * Nothing is applied when any layer fails to parse or doesn't match the schema. Variables in a
+   * .env file next to the project config (or in cwd) are used where the environment lacks them.
+   * @param {{ cwd?: string, configFile?: string, profile?: string, env?: object, home?: string }} [options]
+   *   configFile replaces project file discovery; profile defaults to $POLYFUNC_PROFILE
+   * @returns {string[]} Origins of the layers that were applied, lowest precedence first
+   * @throws {ConfigError} Listing the problems in every layer
+   */
+  load({ cwd = process.cwd(), configFile, profile, env: processEnv = process.env, home = os.homedir() } = {}) {
+    const errors = [];
+    const files = [];
+    const readLayer = (kind, file) => {
+      let contents;
+      try {
+        contents = this.readFile(file);
+      } catch (error) {
+        errors.push({ source: file, message: error.message });
+        return;
+      }
+      const fileErrors = this.validate(contents);
+      if (fileErrors.length > 0) {
+        errors.push(...fileErrors.map(error => ({ source: file, ...error })));
+        return;
+      }
+      const { profiles = {}, ...values } = contents;
+      files.push({ origin: `${kind} ${file}`, file, directory: path.dirname(file), values, profiles });
+    };
+
+    const userFile = findFile(userConfigDirectory(processEnv, home), USER_FILES);
+    if (userFile) {
+      readLayer('user', userFile);
+    }
+    const projectFile = configFile ? path.resolve(cwd, configFile) : discoverProjectFile(cwd);
+    if (configFile && !fs.existsSync(projectFile)) {
+      errors.push({ source: projectFile, message: 'file not found' });
+    } else if (projectFile) {
+      readLayer('project', projectFile);
+    }
+    
+    const directory = projectFile ? path.dirname(projectFile) : path.resolve(cwd);
+    let env = processEnv;
+    if (fs.existsSync(path.join(directory, '.env'))) {
+      try {
+        env = { ...parseDotenv(fs.readFileSync(path.join(directory, '.env'), 'utf8')), ...processEnv };
+      } catch (error) {
+        errors.push({ source: path.join(directory, '.env'), message: error.message });
+      }
+    }
+
+    const profileName = profile || env.POLYFUNC_PROFILE || null;
+    const profiles = files
+      .filter(layer => layer.profiles[profileName])
+      .map(layer => ({ origin: `profile ${profileName} (${layer.file})`, directory: layer.directory, values: layer.profiles[profileName] }));
+    if (profileName && profiles.length === 0 && errors.length === 0) {
+      const defined = [...new Set(files.flatMap(layer => Object.keys(layer.profiles)))];
+      errors.push({
+        message: `Unknown profile "${profileName}", ${defined.length > 0
+          ? `defined profiles: ${defined.join(', ')}`
+          : 'no configuration file defines any profiles'}`
+      });
+    }
+
+    const sections = Object.keys(configSchema().properties);
+    const overrides = Object.keys(env)
+      .filter(name => name.startsWith(ENV_PREFIX) && name.includes('__') && !envKeyPath(name).includes(''))
+      .sort();
+    const unknownVariables = overrides.filter(name => !sections.includes(envKeyPath(name)[0]));
+    const variables = overrides
+      .filter(name => !unknownVariables.includes(name))
+      .map(name => {
+        const keys = envKeyPath(name);
+        return { origin: `env ${name}`, directory: path.resolve(cwd), values: withValue({}, keys, coerceValue(keys.join('.'), env[name])) };
+      });
+    variables.forEach(layer => {
+      errors.push(...this.validate(layer.values).map(error => ({ source: layer.origin.slice('env '.length), ...error })));
+    });
+
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+
+    files.forEach(layer => warnLiteralSecrets(layer.file, layer.values, layer.profiles));
+    unknownVariables.forEach(name => {
+      console.warn(`Warning: ignoring ${name}, ${envKeyPath(name)[0]} is not a config section`);
+    });
+    this.layers = [
+      { origin: 'default', values: defaultConfig() },
+      ...files.map(({ origin, directory: fileDirectory, values }) => ({ origin, directory: fileDirectory, values })),
+      ...profiles,
+      ...variables
+    ];
+    this.profile = profileName;
+    this.files = {
+      user: userFile || path.join(userConfigDirectory(processEnv, home), 'config.yaml'),
+      project: projectFile
+    };
+    this.env = env;
+    this.directory = directory;
+    this.cwd = path.resolve(cwd);
+    this.home = home;
+    this.config = structuredClone(this.layers.reduce((merged, layer) => this.deepMerge(merged, layer.values), {}));
+    return this.layers.map(layer => layer.origin);
+  }
+
+  /**
+   * Layer the effective value of a key comes from
+   * @param {string} key - Dotted key path
+   * @returns {string|null} e.g. `default`, `project /app/polyfunc.json` or `env POLYFUNC_LLM__MODEL`
+   */
+  origin(key) {
+    const keys = key.split('.');
+    const layer = [...this.layers].reverse().find(candidate => lookup(candidate.values, keys) !== undefined);
+    return layer ? layer.origin : null;
+  }
+
+  /**
+   * Every effective value with the layer it comes from
+   * Secret references are listed as they are and literal secrets are redacted.
+   * @returns {Array<{ key: string, value: *, origin: string|null }>}
+   */
+  entries() {
+    return leaves(redactSecrets(this.config, secretKeys())).map(([key, value]) => ({ key, value, origin: this.origin(key) }));
+  }
+
+  /**
+   * Value as stored, with literal secrets redacted and references left unresolved
+   * @param {string} key - Dotted key path
+   * @returns {*}
+   */
+  getRedacted(key) {
+    return lookup(redactSecrets(this.config, secretKeys()), key.split('.'));
+  }
+
+  /**
+   * Read an environment variable, falling back to the project's .env file
+   * @param {string} name
+   * @returns {string|undefined}
+   */
+  getEnv(name) {
+    return this.env[name];
+  }
+
+  // Resolve the secret references at or below `key` in a value read from the config
+  resolveSecrets(key, value) {
+    const secrets = secretKeys().filter(secret => secret === key || secret.startsWith(`${key}.`));
+    const options = { env: this.env, cwd: this.directory || process.cwd(), home: this.home };
+    if (secrets.includes(key)) {
+      return resolveReference(value, options);
+    }
+    return secrets.reduce((resolved, secret) => {
+      const keys = secret.slice(key.length + 1).split('.');
+      const reference = lookup(resolved, keys);
+      return reference === undefined ? resolved : withValue(resolved, keys, resolveReference(reference, options));
+    }, value);
+  }
+
+  // Rebase relative paths.* values at or below `key` from the directory of the layer that set them to cwd
+  // Defaults are relative to the project directory
+  resolvePaths(key, value) {
+    const rebase = (pathKey, target) => {
+      if (typeof target !== 'string' || path.isAbsolute(target)) {
+        return target;
       }
+      const keys = pathKey.split('.');
+      const layer = [...this.layers].reverse().find(candidate => lookup(candidate.values, keys) !== undefined);
+      const resolved = path.resolve((layer && layer.directory) || this.directory || this.cwd, target);
+      return resolved === path.resolve(this.cwd, target) ? target : path.relative(this.cwd, resolved) || '.';
     };
+    if (key === 'paths' && isObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([name, target]) => [name, rebase(`paths.${name}`, target)]));
+    }
+    return key.startsWith('paths.') ? rebase(key, value) : value;
   }
 
   // Deep merge helper function for nested objects
@@ -51,22 +317,47 @@ class Config {
     }
   }
 
+  /**
+   * Parse a JSON or YAML configuration file without applying it
+   * @param {string} configPath
+   * @returns {object} An empty file gives an empty object
+   * @throws {Error} When the file can't be read or parsed, or has an unsupported extension
+   */
+  readFile(configPath) {
+    const fileContents = fs.readFileSync(configPath, 'utf8');
+    const extension = path.extname(configPath).toLowerCase();
+    
+    if (extension === '.json') {
+      return JSON.parse(fileContents);
+    }
+    if (['.yml', '.yaml'].includes(extension)) {
+      return yaml.parse(fileContents) ?? {};
+    }
+    throw new Error(`Unsupported configuration file format: ${extension}`);
+  }
+
+  /**
+   * Check a configuration against the config schema
+   * @param {object} [value] - Defaults to the current configuration
+   * @returns {Array<{ path: string, message: string }>} Empty when valid
+   */
+  validate(value = this.config) {
+    return validateConfig(value);
+  }
+
+  // Nothing from a file that fails validation is applied
   loadFromFile(configPath) {
     try {
-      const fileContents = fs.readFileSync(configPath, 'utf8');
-      const extension = path.extname(configPath).toLowerCase();
-      let loadedConfig;
-      
-      if (extension === '.json') {
-        loadedConfig = JSON.parse(fileContents);
-      } else if (['.yml', '.yaml'].includes(extension)) {
-        loadedConfig = yaml.parse(fileContents);
-      } else {
-        throw new Error(`Unsupported configuration file format: ${extension}`);
+      const loadedConfig = this.readFile(configPath);
+      const errors = this.validate(loadedConfig);
+      if (errors.length > 0) {
+        throw new ConfigError(errors, configPath);
       }
       
+      warnLiteralSecrets(configPath, loadedConfig);
       // Use deep merge to preserve nested properties
       this.config = this.deepMerge(this.config, loadedConfig);
+      this.layers.push({ origin: `file ${configPath}`, directory: path.dirname(path.resolve(configPath)), values: loadedConfig });
       
       console.log('Configuration loaded successfully');
       return true;
@@ -76,7 +367,15 @@ class Config {
     }
   }
 
-  get(key) {
+  /**
+   * Effective value of a key
+   * Secrets come back resolved, so reading one can fail when a file: reference points nowhere;
+   * env references to unset variables give undefined.
+   * @param {string} key - Dotted key path
+   * @param {{ resolve?: boolean }} [options] - resolve: false leaves secret references as they are
+   * @returns {*}
+   */
+  get(key, { resolve = true } = {}) {
     const keys = key.split('.');
     let result = this.config;
     
@@ -87,11 +386,22 @@ class Config {
       result = result[k];
     }
     
-    return result;
+    return this.resolvePaths(key, resolve ? this.resolveSecrets(key, result) : result);
   }
 
+  /**
+   * Set a value by dotted key, creating intermediate sections
+   * @param {string} key
+   * @param {*} value
+   * @throws {ConfigError} When the configuration would no longer match the schema
+   */
   set(key, value) {
     const keys = key.split('.');
+    const errors = this.validate(withValue(this.config, keys, value));
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+    
     let current = this.config;
     
     for (let i = 0; i < keys.length - 1; i++) {
@@ -103,22 +413,34 @@ class Config {
     }
     
     current[keys[keys.length - 1]] = value;
+    
+    let runtime = this.layers.find(layer => layer.origin === RUNTIME_ORIGIN);
+    if (!runtime) {
+      runtime = { origin: RUNTIME_ORIGIN, directory: process.cwd(), values: {} };
+      this.layers.push(runtime);
+    }
+    runtime.values = withValue(runtime.values, keys, value);
   }
 
+  // Literal secrets are left out of the file; references are saved as they are
   saveToFile(configPath) {
     try {
       const extension = path.extname(configPath).toLowerCase();
+      const values = redactSecrets(this.config, secretKeys(), { remove: true });
       let fileContents;
       
       if (extension === '.json') {
-        fileContents = JSON.stringify(this.config, null, 2);
+        fileContents = JSON.stringify(values, null, 2);
       } else if (['.yml', '.yaml'].includes(extension)) {
-        fileContents = yaml.stringify(this.config);
+        fileContents = yaml.stringify(values);
       } else {
         throw new Error(`Unsupported configuration file format: ${extension}`);
       }
       
       fs.writeFileSync(configPath, fileContents, 'utf8');
+      literalSecrets(this.config, secretKeys()).forEach(key => {
+        console.warn(`Warning: ${key} was not saved, store it as env:NAME or file:PATH instead`);
+      });
       console.log('Configuration saved successfully');
       return true;
     } catch (error) {
@@ -0,0 +1,203 @@
+/**
+ * Requirements model for PolyFunc
+ * Normalizes the requirements produced by the LLM (or written by hand) into the
+ * single shape consumed by language selection
+ */
+
+// Bump when the normalized shape changes
+const REQUIREMENTS_VERSION = 1;
+
+// Characteristics every language profile is scored on
+const CHARACTERISTICS = ['performance', 'memory', 'startupTime', 'ecosystem', 'concurrency'];
+
+class RequirementsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RequirementsError';
+  }
+}
+
+function isObject(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Turn a { weight, importance } entry (or a bare number) into a 0-1 weight
+function toWeight(name, entry) {
+  if (isNumber(entry)) {
+    entry = { weight: entry };
+  }
+  if (!isObject(entry)) {
+    throw new RequirementsError(`Requirement "${name}" must be an object with a weight or importance`);
+  }
+
+  if (entry.weight !== undefined) {
+    if (!isNumber(entry.weight) || entry.weight < 0 || entry.weight > 1) {
+      throw new RequirementsError(`Requirement "${name}" has weight ${entry.weight}, expected a number between 0 and 1`);
+    }
+    return entry.weight;
+  }
+
+  if (entry.importance !== undefined) {
+    if (!isNumber(entry.importance) || entry.importance < 0 || entry.importance > 10) {
+      throw new RequirementsError(`Requirement "${name}" has importance ${entry.importance}, expected a number between 0 and 10`);
+    }
+    return entry.importance / 10;
+  }
+
+  throw new RequirementsError(`Requirement "${name}" must define a weight or an importance`);
+}
+
+function toStringList(name, value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(item => typeof item === 'string' && item.length > 0)) {
+    throw new RequirementsError(`Constraint "${name}" must be a list of names`);
+  }
+  return list;
+}
+
+/**
+ * Normalize hard selection constraints
+ * @param {{ allow?: string[], deny?: string[], requiredLibraries?: string[],
+ *   minimums?: Object<string, number> }} raw
+ * @returns {{ allow: string[]|null, deny: string[], requiredLibraries: string[], minimums: Object<string, number> }}
+ *   `allow` is null when every language is allowed
+ */
+function normalizeConstraints(raw = {}) {
+  if (!isObject(raw)) {
+    throw new RequirementsError('Constraints must be an object');
+  }
+
+  const minimums = {};
+  for (const [name, minimum] of Object.entries(raw.minimums || {})) {
+    if (!isNumber(minimum) || minimum < 1 || minimum > 10) {
+      throw new RequirementsError(`Minimum for "${name}" is ${minimum}, expected a number between 1 and 10`);
+    }
+    minimums[name] = minimum;
+  }
+
+  return {
+    allow: raw.allow === undefined || raw.allow === null ? null : toStringList('allow', raw.allow),
+    deny: toStringList('deny', raw.deny),
+    requiredLibraries: toStringList('requiredLibraries', raw.requiredLibraries),
+    minimums
+  };
+}
+
+/**
+ * Combine constraints from several sources (requirements, config, command line)
+ * Allow-lists intersect, deny-lists and required libraries add up, and the strictest minimum wins.
+ * @param {...object} sources - Raw constraint objects, undefined entries are skipped
+ * @returns {object} Normalized constraints
+ */
+function mergeConstraints(...sources) {
+  return sources
+    .filter(source => source !== undefined && source !== null)
+    .map(normalizeConstraints)
+    .reduce((merged, next) => {
+      let allow = merged.allow;
+      if (next.allow !== null) {
+        allow = allow === null ? next.allow : allow.filter(name => next.allow.includes(name));
+      }
+
+      const minimums = { ...merged.minimums };
+      for (const [name, minimum] of Object.entries(next.minimums)) {
+        minimums[name] = Math.max(minimums[name] || 0, minimum);
+      }
+
+      return {
+        allow,
+        deny: [...new Set([...merged.deny, ...next.deny])],
+        requiredLibraries: [...new Set([...merged.requiredLibraries, ...next.requiredLibraries])],
+        minimums
+      };
+    }, normalizeConstraints());
+}
+
+function hasConstraints(constraints) {
+  return constraints.allow !== null ||
+    constraints.deny.length > 0 ||
+    constraints.requiredLibraries.length > 0 ||
+    Object.keys(constraints.minimums).length > 0;
+}
+
+/**
+ * Add extra constraints to raw requirements
+ * Returns the requirements untouched when there is nothing to add.
+ */
+function withConstraints(requirements, ...sources) {
+  const extra = mergeConstraints(...sources);
+  if (!hasConstraints(extra)) {
+    return requirements;
+  }
+  return {
+    ...requirements,
+    constraints: mergeConstraints(requirements && requirements.constraints, extra)
+  };
+}
+
+/**
+ * Normalize requirements into the versioned model
+ *
+ * Accepts either the LLM shape ({ useCase, requirements: { performance: {...} }, useCaseWeight })
+ * or the flat shape ({ useCase, performance: {...}, useCaseWeight }). Weights are taken as-is,
+ * importance values (0-10) are converted to weights when no weight is given. Keys other than the
+ * CHARACTERISTICS are ignored.
+ *
+ * @param {object} raw
+ * @returns {{ version: number, useCase: string|null, useCaseWeight: number,
+ *   weights: Object<string, number>, dependencies: string[], constraints: object }}
+ * @throws {RequirementsError} When a weight or importance is out of range
+ */
+function normalizeRequirements(raw = {}) {
+  if (!isObject(raw)) {
+    throw new RequirementsError('Requirements must be an object');
+  }
+
+  // Already normalized
+  if (raw.version === REQUIREMENTS_VERSION && isObject(raw.weights)) {
+    return raw;
+  }
+
+  // Only the characteristics profiles are scored on count; anything else would weigh in as a 0-valued factor
+  const weights = {};
+  const source = isObject(raw.requirements) ? raw.requirements : raw;
+  for (const name of CHARACTERISTICS) {
+    if (source[name] !== undefined) {
+      weights[name] = toWeight(name, source[name]);
+    }
+  }
+
+  let useCaseWeight = 1;
+  if (raw.useCaseWeight !== undefined) {
+    if (!isNumber(raw.useCaseWeight) || raw.useCaseWeight < 0) {
+      throw new RequirementsError(`useCaseWeight ${raw.useCaseWeight} must be a non-negative number`);
+    }
+    useCaseWeight = raw.useCaseWeight;
+  }
+
+  return {
+    version: REQUIREMENTS_VERSION,
+    useCase: raw.useCase || null,
+    useCaseWeight,
+    weights,
+    dependencies: Array.isArray(raw.dependencies) ? raw.dependencies : [],
+    constraints: normalizeConstraints(raw.constraints)
+  };
+}
+
+module.exports = {
+  REQUIREMENTS_VERSION,
+  CHARACTERISTICS,
+  RequirementsError,
+  normalizeRequirements,
+  normalizeConstraints,
+  mergeConstraints,
+  withConstraints
+};
@@ -0,0 +1,121 @@
+/**
+ * Minimal JSON schema validator for PolyFunc
+ * Supports the subset of JSON schema used by the LLM response and configuration schemas
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+function childPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON schema subset (type, enum, properties, required,
+ *   additionalProperties, minProperties, items, minItems, minimum, maximum, minLength, pattern)
+ * @param {*} value - Value to validate
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {Array<{ path: string, message: string }>} Validation errors, empty when valid
+ */
+function validate(schema, value, path = '') {
+  const errors = [];
+  const fail = message => errors.push({ path: path || '(root)', message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, childPath(path, index)));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    if (schema.minProperties !== undefined && Object.values(value).filter(child => child !== undefined).length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      // An undefined value is an unset key, as it is for `required`
+      if (child === undefined) {
+        continue;
+      }
+      if (properties[key]) {
+        errors.push(...validate(properties[key], child, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, child, childPath(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Render validation errors as one line per error
+function formatErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+  validate,
+  formatErrors,
+  typeOf
+};
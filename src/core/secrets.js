@@ -0,0 +1,124 @@
+/**
+ * Secret values in the PolyFunc configuration
+ * Keys marked `secret` in the config schema, such as llm.apiKey, should hold a reference rather
+ * than the secret itself: `env:OPENAI_API_KEY` reads an environment variable (or a .env file next
+ * to the project config) and `file:~/.polyfunc/key` reads a file. References are resolved only
+ * when the value is read; anything printed or saved shows the reference, never what it points to.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const REFERENCE = /^(env|file):(.+)$/;
+
+const REDACTED = '[redacted]';
+
+function isReference(value) {
+  return typeof value === 'string' && REFERENCE.test(value);
+}
+
+/**
+ * Resolve a secret reference; any other value is returned as it is
+ * @param {*} value
+ * @param {{ env?: object, cwd?: string, home?: string }} [options] - Relative file references are
+ *   resolved against cwd
+ * @returns {*} Undefined when an env reference names an unset variable
+ * @throws {Error} When a file reference can't be read
+ */
+function resolveReference(value, { env = process.env, cwd = process.cwd(), home = os.homedir() } = {}) {
+  const match = typeof value === 'string' && value.match(REFERENCE);
+  if (!match) {
+    return value;
+  }
+  const [, kind, target] = match;
+  if (kind === 'env') {
+    return env[target];
+  }
+  const file = target.startsWith('~/') ? path.join(home, target.slice(2)) : path.resolve(cwd, target);
+  try {
+    return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+  } catch (error) {
+    throw new Error(`Cannot read secret ${value}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+  }
+}
+
+/**
+ * Parse the contents of a .env file
+ * Supports `KEY=value`, `export KEY=value`, quoted values and `#` comments.
+ * @param {string} contents
+ * @returns {Object<string, string>}
+ */
+function parseDotenv(contents) {
+  const variables = {};
+  for (const line of contents.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      continue;
+    }
+    const [, name, raw] = match;
+    const quoted = raw.match(/^(["'])(.*)\1$/);
+    if (quoted) {
+      variables[name] = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1') : quoted[2];
+    } else {
+      variables[name] = raw.replace(/\s+#.*$/, '');
+    }
+  }
+  return variables;
+}
+
+function isObject(item) {
+  return item !== null && typeof item === 'object' && !Array.isArray(item);
+}
+
+// Concrete key paths a secret key matches in a tree; a `*` segment stands for every key of a map
+function expandKey(tree, parts, prefix = '') {
+  if (parts.length === 0) {
+    return [prefix];
+  }
+  const [part, ...rest] = parts;
+  const names = part === '*' ? Object.keys(isObject(tree) ? tree : {}) : [part];
+  return names.flatMap(name => expandKey(isObject(tree) ? tree[name] : undefined, rest, prefix ? `${prefix}.${name}` : name));
+}
+
+/**
+ * Secret keys of a config tree that hold the secret itself instead of a reference
+ * @param {object} tree
+ * @param {string[]} secretKeys - Dotted key paths from the config schema, `*` matching any key of a map
+ * @returns {string[]} Concrete key paths
+ */
+function literalSecrets(tree, secretKeys) {
+  return secretKeys.flatMap(key => expandKey(tree, key.split('.'))).filter(key => {
+    const value = key.split('.').reduce((node, part) => (isObject(node) ? node[part] : undefined), tree);
+    return typeof value === 'string' && value.length > 0 && !isReference(value);
+  });
+}
+
+/**
+ * Copy of a config tree with literal secrets replaced by a placeholder, or left out
+ * References are kept, they only name where the secret lives.
+ * @param {object} tree
+ * @param {string[]} secretKeys - Dotted key paths, from the config schema
+ * @param {{ remove?: boolean }} [options]
+ * @returns {object}
+ */
+function redactSecrets(tree, secretKeys, { remove = false } = {}) {
+  const literals = literalSecrets(tree, secretKeys);
+  const walk = (node, prefix) => Object.fromEntries(Object.entries(node).flatMap(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (literals.includes(keyPath)) {
+      return remove ? [] : [[key, REDACTED]];
+    }
+    return [[key, isObject(value) ? walk(value, keyPath) : value]];
+  }));
+  return walk(tree, '');
+}
+
+module.exports = {
+  REDACTED,
+  isReference,
+  resolveReference,
+  parseDotenv,
+  literalSecrets,
+  redactSecrets
+};
@@ -0,0 +1,51 @@
+/**
+ * Run commands for local development
+ * Each language has setup commands, run once before the first start when dependencies are missing,
+ * and the command that starts the service from its source directory. Entry points are found the
+ * same way the Dockerfiles find them.
+ */
+
+const { nodeCommand, pythonEntry } = require('../containers/dockerfile');
+
+const hasFile = (files, name) => files.some(file => file.path === name);
+
+function hasDependencies(files) {
+  try {
+    const pkg = JSON.parse((files.find(file => file.path === 'package.json') || {}).content || '{}');
+    return Object.keys(pkg.dependencies || {}).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+const commands = {
+  javascript: {
+    // `unless` skips the command when that path already exists in the service directory
+    setup: files => (hasDependencies(files)
+      ? [{ command: 'npm', args: ['install', '--no-audit', '--no-fund'], unless: 'node_modules' }]
+      : []),
+    start: files => {
+      const [command, ...args] = nodeCommand(files);
+      return { command: command === 'node' ? process.execPath : command, args };
+    },
+  },
+  python: {
+    setup: () => [],
+    start: files => ({ command: 'python3', args: [pythonEntry(files)] }),
+  },
+  go: {
+    setup: files => [
+      ...(hasFile(files, 'go.mod') ? [] : [{ command: 'go', args: ['mod', 'init', 'service'] }]),
+      ...(hasFile(files, 'go.sum') ? [] : [{ command: 'go', args: ['mod', 'tidy'] }]),
+    ],
+    start: () => ({ command: 'go', args: ['run', '.'] }),
+  },
+  rust: {
+    setup: () => [],
+    start: () => ({ command: 'cargo', args: ['run', '--quiet'] }),
+  },
+};
+
+module.exports = {
+  commands
+};
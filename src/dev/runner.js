@@ -0,0 +1,312 @@
+/**
+ * Local development runner for PolyFunc projects
+ * Starts every service from its source directory with its language's run command, on a port no
+ * other service or process uses, with the URLs of its peers in <NAME>_URL variables. Output is
+ * prefixed with the service name, a service restarts when its files change, and stopping the
+ * runner stops every process it started.
+ */
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { commands: defaultCommands } = require('./commands');
+const { urlVariable } = require('../containers/compose');
+
+// ANSI colours cycled through for the service prefixes
+const COLORS = [36, 33, 35, 32, 34, 31];
+
+const RESTART_DELAY = 300;
+const STOP_TIMEOUT = 5000;
+
+// Changes under these directories are build output or dependencies, not edits
+const IGNORED_CHANGES = /(^|[/\\])(node_modules|target|dist|build|__pycache__|\.venv|venv|\.git|\.polyfunc)([/\\]|$)|\.pyc$/;
+
+// Command line as shown to the user, with the node binary's path shortened
+function describeCommand({ command, args }) {
+  return [command === process.execPath ? 'node' : command, ...args].join(' ');
+}
+
+function isPortFree(port) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.listen(port, '127.0.0.1', () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Give every service a port, keeping its own one unless another service or process already uses it
+ * @param {Array<{ name: string, port: number }>} services
+ * @param {{ isFree?: (port: number) => Promise<boolean> }} [options]
+ * @returns {Promise<object>} Port by service name
+ */
+async function assignPorts(services, { isFree = isPortFree } = {}) {
+  const used = new Set();
+  const ports = {};
+  for (const service of services) {
+    let port = service.port;
+    while (used.has(port) || !(await isFree(port))) {
+      port++;
+    }
+    used.add(port);
+    ports[service.name] = port;
+  }
+  return ports;
+}
+
+/**
+ * Work out how to run each service
+ * @param {Array<{ name: string, path: string, language: string, files: object[] }>} services
+ * @param {object} ports - Output of assignPorts
+ * @param {{ commands?: object }} [options]
+ * @returns {Array<{ name: string, path: string, language: string, port: number, env: object, setup: object[], start: object }>}
+ * @throws {Error} When there is no run command for a service's language
+ */
+function planServices(services, ports, { commands = defaultCommands } = {}) {
+  return services.map(service => {
+    const recipe = commands[service.language];
+    if (!recipe) {
+      throw new Error(`No run command for ${service.name} (${service.language || 'unrecognised language'})`);
+    }
+    const peers = services.filter(peer => peer.name !== service.name);
+    return {
+      name: service.name,
+      path: service.path,
+      language: service.language,
+      port: ports[service.name],
+      env: {
+        PORT: String(ports[service.name]),
+        ...Object.fromEntries(peers.map(peer => [urlVariable(peer.name), `http://127.0.0.1:${ports[peer.name]}`]))
+      },
+      setup: recipe.setup(service.files),
+      start: recipe.start(service.files)
+    };
+  });
+}
+
+class DevRunner {
+  /**
+   * @param {object[]} plans - Output of planServices, in start order
+   * @param {{ write?: Function, color?: boolean, watch?: boolean, spawn?: Function, watchDirectory?: Function,
+   *   restartDelay?: number, stopTimeout?: number }} [options] - write receives complete output lines
+   */
+  constructor(plans, {
+    write = text => process.stdout.write(text),
+    color = false,
+    watch = true,
+    spawn = childProcess.spawn,
+    watchDirectory = (directory, listener) => fs.watch(directory, { recursive: true }, listener),
+    restartDelay = RESTART_DELAY,
+    stopTimeout = STOP_TIMEOUT
+  } = {}) {
+    this.plans = new Map(plans.map(plan => [plan.name, plan]));
+    this.write = write;
+    this.color = color;
+    this.watch = watch;
+    this.spawn = spawn;
+    this.watchDirectory = watchDirectory;
+    this.restartDelay = restartDelay;
+    this.stopTimeout = stopTimeout;
+    this.width = Math.max(...plans.map(plan => plan.name.length));
+    this.processes = new Map();
+    this.launches = new Map();
+    this.watchers = [];
+    this.timers = new Map();
+    this.stopping = false;
+  }
+
+  prefix(name) {
+    const label = name.padEnd(this.width);
+    if (!this.color) {
+      return `${label} | `;
+    }
+    const color = COLORS[[...this.plans.keys()].indexOf(name) % COLORS.length];
+    return `\x1b[${color}m${label} |\x1b[0m `;
+  }
+
+  log(name, message) {
+    this.write(`${this.prefix(name)}${message}\n`);
+  }
+
+  // Prefix every complete line of a stream; a partial last line waits for the rest of it
+  pipe(name, stream) {
+    let pending = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(line => this.log(name, line));
+    });
+    stream.on('end', () => {
+      if (pending) {
+        this.log(name, pending);
+        pending = '';
+      }
+    });
+  }
+
+  // Each child leads its own process group so the processes it starts (go run, npm start) stop with it
+  run(plan, { command, args }) {
+    const child = this.spawn(command, args, {
+      cwd: plan.path,
+      env: { ...process.env, ...plan.env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true
+    });
+    this.pipe(plan.name, child.stdout);
+    this.pipe(plan.name, child.stderr);
+    return child;
+  }
+
+  runSetup(plan) {
+    return plan.setup
+      .filter(step => !step.unless || !fs.existsSync(path.join(plan.path, step.unless)))
+      .reduce((previous, step) => previous.then(ok => {
+        if (!ok) {
+          return false;
+        }
+        this.log(plan.name, `$ ${describeCommand(step)}`);
+        return new Promise(resolve => {
+          const child = this.run(plan, step);
+          const entry = { child, expected: false };
+          this.processes.set(plan.name, entry);
+          child.on('error', error => {
+            this.log(plan.name, `${step.command} failed to start: ${error.message}`);
+            resolve(false);
+          });
+          child.on('close', code => {
+            if (this.processes.get(plan.name) === entry) {
+              this.processes.delete(plan.name);
+            }
+            resolve(code === 0 && !entry.expected);
+          });
+        });
+      }), Promise.resolve(true));
+  }
+
+  // Only one launch per service runs at a time; a restart waits for the one in progress
+  launch(name) {
+    const previous = this.launches.get(name) || Promise.resolve();
+    const next = previous.then(() => this.launchNow(name));
+    this.launches.set(name, next);
+    return next;
+  }
+
+  async launchNow(name) {
+    const plan = this.plans.get(name);
+    if (this.stopping) {
+      return;
+    }
+    if (!(await this.runSetup(plan))) {
+      if (!this.stopping) {
+        this.log(name, 'setup failed, waiting for changes');
+      }
+      return;
+    }
+    if (this.stopping) {
+      return;
+    }
+    this.log(name, `starting on port ${plan.port}: ${describeCommand(plan.start)}`);
+    const child = this.run(plan, plan.start);
+    const entry = { child, expected: false };
+    this.processes.set(name, entry);
+    child.on('error', error => {
+      if (this.processes.get(name) === entry) {
+        this.processes.delete(name);
+      }
+      this.log(name, `${plan.start.command} failed to start: ${error.message}`);
+    });
+    child.on('exit', (code, signal) => {
+      if (this.processes.get(name) === entry) {
+        this.processes.delete(name);
+      }
+      if (!entry.expected) {
+        this.log(name, `exited with ${signal || `code ${code}`}${this.watch ? ', waiting for changes' : ''}`);
+      }
+    });
+  }
+
+  /**
+   * Start every service, and watch their directories unless watching is off
+   */
+  async start() {
+    for (const name of this.plans.keys()) {
+      await this.launch(name);
+      if (this.watch && !this.stopping) {
+        this.watchers.push(this.watchDirectory(this.plans.get(name).path, (event, file) => {
+          if (!file || !IGNORED_CHANGES.test(String(file))) {
+            this.scheduleRestart(name, file);
+          }
+        }));
+      }
+    }
+  }
+
+  // Editors write several events per save; restart once they settle
+  scheduleRestart(name, file) {
+    clearTimeout(this.timers.get(name));
+    this.timers.set(name, setTimeout(() => {
+      this.timers.delete(name);
+      this.log(name, `${file ? `${file} changed` : 'files changed'}, restarting`);
+      this.restart(name);
+    }, this.restartDelay));
+  }
+
+  async restart(name) {
+    await this.launches.get(name);
+    await this.stopProcess(name);
+    if (!this.stopping) {
+      await this.launch(name);
+    }
+  }
+
+  // SIGTERM the process group, SIGKILL it if it is still running after stopTimeout
+  stopProcess(name) {
+    const entry = this.processes.get(name);
+    if (!entry) {
+      return Promise.resolve();
+    }
+    entry.expected = true;
+    this.processes.delete(name);
+    const { child } = entry;
+    if (!child.pid || child.exitCode !== null || child.signalCode !== null) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const signal = value => {
+        try {
+          process.kill(-child.pid, value);
+        } catch (error) {
+          // The group is already gone
+        }
+      };
+      const timer = setTimeout(() => signal('SIGKILL'), this.stopTimeout);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      signal('SIGTERM');
+    });
+  }
+
+  /**
+   * Stop watching and stop every service
+   */
+  async stop() {
+    this.stopping = true;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    await Promise.all([...this.processes.keys()].map(name => this.stopProcess(name)));
+  }
+}
+
+module.exports = {
+  DevRunner,
+  assignPorts,
+  planServices,
+  describeCommand,
+  isPortFree
+};
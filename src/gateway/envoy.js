@@ -0,0 +1,80 @@
+/**
+ * Envoy configuration for the PolyFunc gateway
+ * A static bootstrap with one HTTP listener and one STRICT_DNS cluster per service. Endpoint routes
+ * match on an anchored regex; prefix routes rewrite the /<service> mount to / before forwarding.
+ */
+
+const yaml = require('yaml');
+const { GATEWAY_MARKER, HEALTH_PATH } = require('./routes');
+
+const json = body => ({ inline_string: JSON.stringify(body) });
+
+function envoyRoutes(route) {
+  const target = { cluster: route.service };
+  if (route.match === 'prefix') {
+    return [
+      { match: { path: route.strip }, route: { ...target, prefix_rewrite: '/' } },
+      { match: { prefix: `${route.strip}/` }, route: { ...target, prefix_rewrite: '/' } }
+    ];
+  }
+  return [{ match: { safe_regex: { regex: route.regex } }, route: target }];
+}
+
+/**
+ * Render envoy.yaml for a set of routes
+ * @param {object[]} routes - Output of buildRoutes
+ * @param {{ port: number }} options - Port the gateway listens on
+ * @returns {string}
+ */
+function renderEnvoy(routes, { port }) {
+  const upstreams = [...new Map(routes.map(route => [route.service, route.upstream])).entries()];
+  const config = {
+    static_resources: {
+      listeners: [{
+        name: 'gateway',
+        address: { socket_address: { address: '0.0.0.0', port_value: port } },
+        filter_chains: [{
+          filters: [{
+            name: 'envoy.filters.network.http_connection_manager',
+            typed_config: {
+              '@type': 'type.googleapis.com/envoy.extensions.filters.network.http_connection_manager.v3.HttpConnectionManager',
+              stat_prefix: 'gateway',
+              route_config: {
+                name: 'services',
+                virtual_hosts: [{
+                  name: 'services',
+                  domains: ['*'],
+                  routes: [
+                    { match: { path: HEALTH_PATH }, direct_response: { status: 200, body: json({ status: 'ok' }) } },
+                    ...routes.flatMap(envoyRoutes),
+                    { match: { prefix: '/' }, direct_response: { status: 404, body: json({ error: 'no service serves this path' }) } }
+                  ]
+                }]
+              },
+              http_filters: [{
+                name: 'envoy.filters.http.router',
+                typed_config: { '@type': 'type.googleapis.com/envoy.extensions.filters.http.router.v3.Router' }
+              }]
+            }
+          }]
+        }]
+      }],
+      clusters: upstreams.map(([service, upstream]) => ({
+        name: service,
+        type: 'STRICT_DNS',
+        connect_timeout: '5s',
+        load_assignment: {
+          cluster_name: service,
+          endpoints: [{
+            lb_endpoints: [{ endpoint: { address: { socket_address: { address: upstream.host, port_value: upstream.port } } } }]
+          }]
+        }
+      }))
+    }
+  };
+  return `${GATEWAY_MARKER}\n${yaml.stringify(config)}`;
+}
+
+module.exports = {
+  renderEnvoy
+};
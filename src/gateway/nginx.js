@@ -0,0 +1,79 @@
+/**
+ * nginx configuration for the PolyFunc gateway
+ * A complete nginx.conf with one upstream per service. Endpoint routes become regex locations that
+ * forward the request unchanged; prefix routes strip the /<service> mount before forwarding.
+ */
+
+const { GATEWAY_MARKER, HEALTH_PATH } = require('./routes');
+
+// nginx requires regexes containing braces or spaces to be quoted
+const quote = value => `"${value.replace(/["\\]/g, '\\$&')}"`;
+
+function location(route) {
+  const comment = `    # ${route.service}${route.methods.length > 0 ? `: ${route.methods.join(', ')}` : ''} ${route.path}`;
+  if (route.match === 'prefix') {
+    return [
+      comment,
+      `    location = ${route.strip} {`,
+      `      proxy_pass http://${route.service}/;`,
+      '    }',
+      `    location ${route.strip}/ {`,
+      `      proxy_pass http://${route.service}/;`,
+      '    }'
+    ];
+  }
+  return [
+    comment,
+    `    location ~ ${quote(route.regex)} {`,
+    `      proxy_pass http://${route.service};`,
+    '    }'
+  ];
+}
+
+/**
+ * Render nginx.conf for a set of routes
+ * @param {object[]} routes - Output of buildRoutes
+ * @param {{ port: number }} options - Port the gateway listens on
+ * @returns {string}
+ */
+function renderNginx(routes, { port }) {
+  const upstreams = [...new Map(routes.map(route => [route.service, route.upstream])).entries()];
+  const lines = [
+    GATEWAY_MARKER,
+    'events {}',
+    '',
+    'http {',
+    ...upstreams.flatMap(([service, upstream]) => [
+      `  upstream ${service} {`,
+      `    server ${upstream.host}:${upstream.port};`,
+      '  }',
+      ''
+    ]),
+    '  server {',
+    `    listen ${port};`,
+    '',
+    '    proxy_http_version 1.1;',
+    '    proxy_set_header Host $host;',
+    '    proxy_set_header X-Real-IP $remote_addr;',
+    '    proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;',
+    '    proxy_set_header X-Forwarded-Proto $scheme;',
+    '',
+    `    location = ${HEALTH_PATH} {`,
+    '      default_type application/json;',
+    '      return 200 \'{"status":"ok"}\';',
+    '    }',
+    '',
+    ...routes.flatMap(route => [...location(route), '']),
+    '    location / {',
+    '      default_type application/json;',
+    '      return 404 \'{"error":"no service serves this path"}\';',
+    '    }',
+    '  }',
+    '}'
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  renderNginx
+};
@@ -0,0 +1,109 @@
+/**
+ * Built-in reverse proxy for PolyFunc projects
+ * A minimal development gateway using only Node's http module: it answers /health itself, forwards
+ * requests to the first route whose path matches, and returns JSON errors for unknown paths (404)
+ * and unreachable services (502). It does no load balancing, TLS or retries; use the nginx or Envoy
+ * configuration for anything beyond local development.
+ */
+
+const http = require('http');
+const { HEALTH_PATH } = require('./routes');
+
+// Hop-by-hop headers only apply to one connection and are not forwarded
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+function sendJson(res, status, body) {
+  const content = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(content) });
+  res.end(content);
+}
+
+class GatewayProxy {
+  /**
+   * @param {object[]} routes - Output of buildRoutes
+   * @param {{ log?: Function }} [options] - log receives one line per request
+   */
+  constructor(routes, { log = () => {} } = {}) {
+    this.routes = routes.map(route => ({ ...route, pattern: new RegExp(route.regex) }));
+    this.log = log;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Find the route for a request path
+   * @param {string} url - Path and query of the incoming request
+   * @returns {{ route: object, path: string } | null} The route and the path to request upstream
+   */
+  resolve(url) {
+    const [pathname, query] = url.split(/\?(.*)/s);
+    const route = this.routes.find(candidate => candidate.pattern.test(pathname));
+    if (!route) {
+      return null;
+    }
+    const forwarded = route.strip ? pathname.slice(route.strip.length) || '/' : pathname;
+    return { route, path: query === undefined ? forwarded : `${forwarded}?${query}` };
+  }
+
+  handle(req, res) {
+    if (req.url.split('?')[0] === HEALTH_PATH) {
+      sendJson(res, 200, { status: 'ok' });
+      return;
+    }
+    const target = this.resolve(req.url);
+    if (!target) {
+      this.log(`${req.method} ${req.url} -> 404`);
+      sendJson(res, 404, { error: 'no service serves this path' });
+      return;
+    }
+
+    const { route, path } = target;
+    const headers = Object.fromEntries(Object.entries(req.headers).filter(([name]) => !HOP_BY_HOP.includes(name)));
+    headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+    headers['x-forwarded-host'] = req.headers.host || '';
+    const upstream = http.request({
+      host: route.upstream.host,
+      port: route.upstream.port,
+      method: req.method,
+      path,
+      headers
+    }, response => {
+      this.log(`${req.method} ${req.url} -> ${route.service} ${response.statusCode}`);
+      const forwarded = Object.fromEntries(Object.entries(response.headers).filter(([name]) => !HOP_BY_HOP.includes(name)));
+      res.writeHead(response.statusCode, forwarded);
+      response.pipe(res);
+    });
+    upstream.on('error', error => {
+      this.log(`${req.method} ${req.url} -> ${route.service} unreachable (${error.code || error.message})`);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        sendJson(res, 502, { error: `${route.service} is not reachable at ${route.upstream.host}:${route.upstream.port}` });
+      }
+    });
+    req.pipe(upstream);
+  }
+
+  /**
+   * Start accepting connections
+   * @param {number} port - 0 picks a free port
+   * @param {string} [host]
+   * @returns {Promise<number>} The port listened on
+   */
+  listen(port, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = {
+  GatewayProxy
+};
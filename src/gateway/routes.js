@@ -0,0 +1,134 @@
+/**
+ * Gateway routing table for PolyFunc projects
+ * Every endpoint a service declares, in the decomposition or in its openapi.yaml, becomes a public
+ * route to that service. Two services answering the same path is a conflict: the gateways route by
+ * path, so one of them would never be reached. With prefix routing each service is mounted under
+ * /<service> instead and conflicts cannot happen.
+ */
+
+const { parseEndpoint, operations, parseContract, CONTRACT_FILE, pathsMatch } = require('../contracts/openapi');
+const { DEFAULT_PORTS, detectLanguage } = require('../containers/dockerfile');
+const { DEFAULT_PORT } = require('../templates/registry');
+
+// First line of every file written by polyfunc gateway
+const GATEWAY_MARKER = '# Generated by polyfunc gateway';
+
+const DEFAULT_GATEWAY_PORT = 8000;
+
+// Every service has its own health check; the gateway answers /health itself
+const HEALTH_PATH = '/health';
+
+const escapeRegex = value => value.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+
+// /users/:id and /users/{id}/ both become /users/{id}
+function normalizePath(route) {
+  const bare = route.split(/[?#]/)[0].replace(/\/+$/, '') || '/';
+  return bare.split('/').map(segment => segment.replace(/^:(\w+)$/, '{$1}')).join('/');
+}
+
+// Anchored regex matching the path, with or without a trailing slash
+function pathRegex(route) {
+  if (route === '/') {
+    return '^/$';
+  }
+  const segments = route.split('/').slice(1).map(segment => (/^\{.*\}$/.test(segment) ? '[^/]+' : escapeRegex(segment)));
+  return `^/${segments.join('/')}/?$`;
+}
+
+/**
+ * Endpoints of a service: the ones from the decomposition plus the operations of its contract
+ * @param {{ endpoints?: string[], files?: object[] | null }} service
+ * @returns {Array<{ method: string | null, path: string }>}
+ */
+function serviceEndpoints(service) {
+  const endpoints = (service.endpoints || []).map(parseEndpoint);
+  const contractFile = (service.files || []).find(file => file.path === CONTRACT_FILE);
+  if (contractFile) {
+    try {
+      endpoints.push(...operations(parseContract(contractFile.content)));
+    } catch (error) {
+      // A broken contract is reported by "polyfunc contracts check"; route the declared endpoints only
+    }
+  }
+  return endpoints.filter(endpoint => endpoint.path.startsWith('/'));
+}
+
+// Port a service listens on: recorded, else its language's default, else the template default
+function servicePort(service) {
+  const language = service.language || (service.files ? detectLanguage(service.files) : null);
+  return service.port || DEFAULT_PORTS[language] || DEFAULT_PORT;
+}
+
+/**
+ * Build the routes from the public paths to the services
+ * @param {Array<{ name: string, endpoints?: string[], port?: number, language?: string, files?: object[] | null }>} services
+ * @param {{ prefix?: boolean, host?: string }} [options] - prefix mounts every service under /<name>; host is
+ *   the address services are reached at, their own name when not given
+ * @returns {{ routes: object[], conflicts: Array<{ path: string, services: string[], message: string }>, unrouted: string[] }}
+ *   Each route is { service, path, methods, match, regex, strip, upstream: { host, port } }; match is "exact"
+ *   or "prefix", strip is the prefix removed before forwarding
+ */
+function buildRoutes(services, { prefix = false, host } = {}) {
+  const routes = [];
+  const unrouted = [];
+
+  for (const service of services) {
+    const upstream = { host: host || service.name, port: servicePort(service) };
+    if (prefix) {
+      const mount = `/${service.name}`;
+      routes.push({ service: service.name, path: mount, methods: [], match: 'prefix', regex: `^${escapeRegex(mount)}(/.*)?$`, strip: mount, upstream });
+      continue;
+    }
+
+    const byPath = new Map();
+    for (const endpoint of serviceEndpoints(service)) {
+      const route = normalizePath(endpoint.path);
+      if (route === HEALTH_PATH) {
+        continue;
+      }
+      const methods = byPath.get(route) || new Set();
+      if (endpoint.method) {
+        methods.add(endpoint.method.toUpperCase());
+      }
+      byPath.set(route, methods);
+    }
+    if (byPath.size === 0) {
+      unrouted.push(service.name);
+    }
+    for (const [route, methods] of byPath) {
+      routes.push({ service: service.name, path: route, methods: [...methods], match: 'exact', regex: pathRegex(route), strip: null, upstream });
+    }
+  }
+
+  return { routes, conflicts: findConflicts(routes), unrouted };
+}
+
+// Paths claimed by more than one service; /users/{id} and /users/me overlap too
+function findConflicts(routes) {
+  const conflicts = [];
+  routes.forEach((route, index) => {
+    for (const other of routes.slice(index + 1)) {
+      if (other.service !== route.service && route.match === 'exact' && other.match === 'exact' && pathsMatch(route.path, other.path)) {
+        const describe = entry => `${entry.service}${entry.methods.length > 0 ? ` (${entry.methods.join(', ')})` : ''}`;
+        conflicts.push({
+          path: route.path,
+          services: [route.service, other.service],
+          message: other.path === route.path
+            ? `${route.path} is served by ${describe(route)} and ${describe(other)}`
+            : `${route.path} of ${describe(route)} overlaps ${other.path} of ${describe(other)}`
+        });
+      }
+    }
+  });
+  return conflicts;
+}
+
+module.exports = {
+  buildRoutes,
+  serviceEndpoints,
+  normalizePath,
+  pathRegex,
+  GATEWAY_MARKER,
+  DEFAULT_GATEWAY_PORT,
+  HEALTH_PATH
+};
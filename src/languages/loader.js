@@ -0,0 +1,179 @@
+/**
+ * Loader for user-defined language profiles
+ * Profiles can come from the `languages` section of the config or from YAML/JSON/JS
+ * plugin files in the `paths.languages` directory. Definitions for an existing
+ * language are merged into it, anything else becomes a new profile.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { LanguageProfile } = require('./profile');
+const { validate, formatErrors } = require('../core/schema');
+
+// Score given to use cases listed without one, e.g. `useCase: ['web', 'api']`
+const DEFAULT_USE_CASE_SCORE = 7;
+
+const PLUGIN_EXTENSIONS = ['.yml', '.yaml', '.json', '.js'];
+
+const scale = { type: 'number', minimum: 1, maximum: 10 };
+
+const definitionSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    priority: { type: 'number' },
+    characteristics: { type: 'object', additionalProperties: scale },
+    useCases: {
+      type: ['object', 'array'],
+      additionalProperties: scale,
+      items: {
+        type: 'object',
+        required: ['name', 'score'],
+        properties: { name: { type: 'string' }, score: scale }
+      }
+    },
+    useCase: { type: 'array', items: { type: 'string' } },
+    libraries: {
+      type: ['object', 'array'],
+      additionalProperties: {
+        type: 'object',
+        properties: { purpose: { type: 'string' }, maturity: scale }
+      },
+      items: { type: 'string' }
+    }
+  }
+};
+
+// Apply a validated definition on top of a profile
+function applyDefinition(profile, definition) {
+  Object.assign(profile.characteristics, definition.characteristics || {});
+
+  if (Array.isArray(definition.useCases)) {
+    definition.useCases.forEach(({ name, score }) => profile.setUseCase(name, score));
+  } else if (definition.useCases) {
+    Object.entries(definition.useCases).forEach(([name, score]) => profile.setUseCase(name, score));
+  }
+
+  // Legacy list form only adds use cases the profile doesn't already rate
+  for (const useCase of definition.useCase || []) {
+    if (!profile.useCases.some(uc => uc.name === useCase)) {
+      profile.addUseCase(useCase, DEFAULT_USE_CASE_SCORE);
+    }
+  }
+
+  if (Array.isArray(definition.libraries)) {
+    definition.libraries
+      .filter(name => !profile.libraries[name])
+      .forEach(name => profile.addLibrary(name, null, null));
+  } else if (definition.libraries) {
+    Object.entries(definition.libraries).forEach(([name, info]) => {
+      profile.addLibrary(name, info.purpose, info.maturity);
+    });
+  }
+
+  if (definition.priority !== undefined) {
+    profile.priority = definition.priority;
+  }
+
+  return profile;
+}
+
+/**
+ * Build a profile from a definition, merging into `base` when given
+ * @param {string} name
+ * @param {object} definition
+ * @param {LanguageProfile} [base]
+ * @param {string} [source] - Where the definition came from, for error messages
+ * @returns {LanguageProfile}
+ */
+function profileFromDefinition(name, definition, base, source = 'config') {
+  if (definition instanceof LanguageProfile) {
+    return definition;
+  }
+
+  const errors = validate(definitionSchema, definition, `languages.${name}`);
+  if (errors.length > 0) {
+    throw new Error(`Invalid language profile "${name}" in ${source}:\n${formatErrors(errors)}`);
+  }
+
+  const profile = base ? base.clone(name) : new LanguageProfile(name);
+  return applyDefinition(profile, definition);
+}
+
+// Turn the contents of a plugin file into [name, definition] pairs
+function definitionsFrom(contents, file) {
+  if (contents instanceof LanguageProfile) {
+    return [[contents.name, contents]];
+  }
+  if (Array.isArray(contents)) {
+    return contents.flatMap(item => definitionsFrom(item, file));
+  }
+  if (contents && typeof contents === 'object') {
+    if (contents.languages && typeof contents.languages === 'object') {
+      return Object.entries(contents.languages);
+    }
+    if (typeof contents.name === 'string') {
+      return [[contents.name, contents]];
+    }
+  }
+  throw new Error(`Language plugin ${file} must define a profile with a name, a list of profiles, or a "languages" map`);
+}
+
+function readPluginFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.js') {
+    return require(path.resolve(file));
+  }
+  const contents = fs.readFileSync(file, 'utf8');
+  return extension === '.json' ? JSON.parse(contents) : yaml.parse(contents);
+}
+
+/**
+ * Read every plugin file in a directory, in file name order
+ * @param {string} directory
+ * @returns {Array<{ name: string, definition: object, source: string }>}
+ */
+function loadPluginDirectory(directory) {
+  if (!directory || !fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => PLUGIN_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .flatMap(file => {
+      const source = path.join(directory, file);
+      return definitionsFrom(readPluginFile(source), source)
+        .map(([name, definition]) => ({ name, definition, source }));
+    });
+}
+
+/**
+ * Register plugin and config defined profiles with the profile registry
+ * Plugins are applied first so the project config has the final say.
+ * @param {object} registry - The languages/profile module
+ * @param {object} config - The config module
+ * @returns {string[]} Names of the profiles that were added or changed
+ */
+function loadLanguageProfiles(registry, config) {
+  const entries = [
+    ...loadPluginDirectory(config.get('paths.languages')),
+    ...Object.entries(config.get('languages') || {})
+      .map(([name, definition]) => ({ name, definition, source: 'config' }))
+  ];
+
+  for (const { name, definition, source } of entries) {
+    registry.registerProfile(profileFromDefinition(name, definition, registry.profiles[name], source));
+  }
+
+  return [...new Set(entries.map(entry => entry.name))];
+}
+
+module.exports = {
+  DEFAULT_USE_CASE_SCORE,
+  definitionSchema,
+  profileFromDefinition,
+  loadPluginDirectory,
+  loadLanguageProfiles
+};
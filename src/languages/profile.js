@@ -3,6 +3,8 @@
  * This module defines performance characteristics and use cases for each supported language
  */
 
+const { normalizeRequirements } = require('../core/requirements');
+
 class LanguageProfile {
   constructor(name, characteristics = {}) {
     this.name = name;
@@ -16,6 +18,8 @@ class LanguageProfile {
     };
     this.useCases = [];
     this.libraries = {};
+    // Lower numbers win ties between equally scored languages
+    this.priority = null;
   }
 
   addUseCase(useCase, score) {
@@ -23,51 +27,97 @@ class LanguageProfile {
     return this;
   }
 
+  // Add a use case or update the score of an existing one
+  setUseCase(useCase, score) {
+    const existing = this.useCases.find(uc => uc.name === useCase);
+    if (existing) {
+      existing.score = score;
+      return this;
+    }
+    return this.addUseCase(useCase, score);
+  }
+
   addLibrary(name, purpose, maturity) {
     this.libraries[name] = { purpose, maturity };
     return this;
   }
 
   matches(requirements) {
-    // Calculate a score for how well this language matches the given requirements
-    let score = 0;
-    let totalWeight = 0;
+    return this.explain(requirements).score;
+  }
 
-    if (requirements.performance) {
-      score += this.characteristics.performance * requirements.performance.weight;
-      totalWeight += requirements.performance.weight;
+  /**
+   * Score this language against requirements and report each factor's share of the score
+   * @param {object} requirements - Raw or normalized requirements
+   * @returns {{ score: number, totalWeight: number, factors: Array<{ name: string,
+   *   type: string, value: number, weight: number, contribution: number }> }}
+   *   Contributions add up to the score
+   */
+  explain(requirements) {
+    const { weights, useCase, useCaseWeight } = normalizeRequirements(requirements);
+    const factors = [];
+
+    for (const [name, weight] of Object.entries(weights)) {
+      factors.push({ name, type: 'characteristic', value: this.characteristics[name] || 0, weight });
     }
 
-    if (requirements.memory) {
-      score += this.characteristics.memory * requirements.memory.weight;
-      totalWeight += requirements.memory.weight;
+    // Check for use case match
+    if (useCase) {
+      const match = this.useCases.find(uc => uc.name === useCase);
+      if (match) {
+        factors.push({ name: `useCase:${useCase}`, type: 'useCase', value: match.score, weight: useCaseWeight });
+      }
     }
-    
-    if (requirements.startupTime) {
-      score += this.characteristics.startupTime * requirements.startupTime.weight;
-      totalWeight += requirements.startupTime.weight;
+
+    const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+    for (const factor of factors) {
+      factor.contribution = totalWeight > 0 ? (factor.value * factor.weight) / totalWeight : 0;
     }
-    
-    if (requirements.ecosystem) {
-      score += this.characteristics.ecosystem * requirements.ecosystem.weight;
-      totalWeight += requirements.ecosystem.weight;
+    const score = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+
+    return { score, totalWeight, factors };
+  }
+
+  /**
+   * List the hard constraints this language fails
+   * @param {object} constraints - Normalized constraints from the requirements model
+   * @returns {string[]} Human readable reasons, empty when the language is eligible
+   */
+  constraintViolations(constraints) {
+    const reasons = [];
+
+    if (constraints.allow !== null && !constraints.allow.includes(this.name)) {
+      reasons.push(`not in allow-list (${constraints.allow.join(', ') || 'empty'})`);
     }
-    
-    if (requirements.concurrency) {
-      score += this.characteristics.concurrency * requirements.concurrency.weight;
-      totalWeight += requirements.concurrency.weight;
+    if (constraints.deny.includes(this.name)) {
+      reasons.push('excluded by deny-list');
     }
 
-    // Check for use case match
-    if (requirements.useCase) {
-      const useCase = this.useCases.find(uc => uc.name === requirements.useCase);
-      if (useCase) {
-        score += useCase.score * (requirements.useCaseWeight || 1);
-        totalWeight += (requirements.useCaseWeight || 1);
+    const libraries = Object.keys(this.libraries).map(name => name.toLowerCase());
+    for (const library of constraints.requiredLibraries) {
+      if (!libraries.includes(library.toLowerCase())) {
+        reasons.push(`missing required library "${library}"`);
+      }
+    }
+
+    for (const [name, minimum] of Object.entries(constraints.minimums)) {
+      const value = this.characteristics[name] || 0;
+      if (value < minimum) {
+        reasons.push(`${name} ${value} is below the minimum of ${minimum}`);
       }
     }
 
-    return totalWeight > 0 ? score / totalWeight : 0;
+    return reasons;
+  }
+
+  clone(name = this.name) {
+    const copy = new LanguageProfile(name, this.characteristics);
+    copy.useCases = this.useCases.map(useCase => ({ ...useCase }));
+    copy.libraries = Object.fromEntries(
+      Object.entries(this.libraries).map(([library, info]) => [library, { ...info }])
+    );
+    copy.priority = this.priority;
+    return copy;
   }
 
   toJSON() {
@@ -107,7 +157,8 @@ const pythonProfile = new LanguageProfile('python', {
   .addUseCase('scripting', 9)
   .addUseCase('web', 6)
   .addLibrary('flask', 'web server', 8)
-  .addLibrary('pandas', 'data processing', 9);
+  .addLibrary('pandas', 'data processing', 9)
+  .addLibrary('scikit-learn', 'machine learning', 9);
 
 const goProfile = new LanguageProfile('go', {
   performance: 8,
@@ -137,6 +188,20 @@ const rustProfile = new LanguageProfile('rust', {
   .addLibrary('actix-web', 'web server', 8)
   .addLibrary('serde', 'serialization', 9);
 
+// Scores closer than this are treated as a tie
+const SCORE_EPSILON = 1e-9;
+
+function compareScores(a, b) {
+  return Math.abs(a - b) < SCORE_EPSILON ? 0 : a - b;
+}
+
+// Profiles without a priority sort after those with one
+function comparePriority(a, b) {
+  const priorityOf = profile => (typeof profile.priority === 'number' ? profile.priority : Infinity);
+  const difference = priorityOf(a) - priorityOf(b);
+  return Number.isNaN(difference) ? 0 : difference;
+}
+
 // Export profiles
 module.exports = {
   LanguageProfile,
@@ -146,22 +211,60 @@ module.exports = {
     go: goProfile,
     rust: rustProfile
   },
-  findBestLanguageForRequirements(requirements) {
-    let bestScore = -1;
-    let bestLanguage = null;
+
+  // Add a new profile or replace the one with the same name
+  registerProfile(profile) {
+    this.profiles[profile.name] = profile;
+    return profile;
+  },
+
+  /**
+   * Split the profiles into candidates and languages eliminated by hard constraints
+   * @param {object} requirements - Raw or normalized requirements
+   * @returns {{ candidates: string[], eliminated: Array<{ language: string, reasons: string[] }> }}
+   */
+  filterLanguages(requirements) {
+    const { constraints } = normalizeRequirements(requirements);
+    const candidates = [];
+    const eliminated = [];
     
     for (const [name, profile] of Object.entries(this.profiles)) {
-      const score = profile.matches(requirements);
-      if (score > bestScore) {
-        bestScore = score;
-        bestLanguage = name;
+      const reasons = profile.constraintViolations(constraints);
+      if (reasons.length > 0) {
+        eliminated.push({ language: name, reasons });
+      } else {
+        candidates.push(name);
       }
     }
     
+    return { candidates, eliminated };
+  },
+
+  // Score every eligible profile and return them best first, with the per-factor breakdown
+  rankLanguages(requirements) {
+    // Normalize once up front so every profile scores the same model
+    requirements = normalizeRequirements(requirements);
+    const { candidates } = this.filterLanguages(requirements);
+    
+    return candidates
+      .map(name => {
+        const profile = this.profiles[name];
+        const { score, totalWeight, factors } = profile.explain(requirements);
+        return { language: name, score, totalWeight, factors, profile };
+      })
+      .sort((a, b) => compareScores(b.score, a.score) || comparePriority(a.profile, b.profile));
+  },
+
+  findBestLanguageForRequirements(requirements) {
+    requirements = normalizeRequirements(requirements);
+    const { eliminated } = this.filterLanguages(requirements);
+    const [best] = this.rankLanguages(requirements);
+    
     return {
-      language: bestLanguage,
-      score: bestScore,
-      profile: bestLanguage ? this.profiles[bestLanguage] : null
+      language: best ? best.language : null,
+      score: best ? best.score : -1,
+      profile: best ? best.profile : null,
+      eliminated
     };
   }
 };
\ No newline at end of file
@@ -3,28 +3,65 @@
  * Handles interaction with large language models for code generation and service decomposition
  */
 
-const { OpenAI } = require('openai');
+const path = require('path');
 const config = require('../core/config');
+const providerRegistry = require('./providers');
+const schemas = require('./schemas');
+const { parseStructured, buildRepairPrompt } = require('./structured');
+const { LLMResponseError } = require('./errors');
+const FixtureStore = require('./fixtures');
+const { PromptLibrary } = require('./prompts');
+const { ServiceGraph } = require('../project/graph');
+const { validateContract, contractSubset, renderContract } = require('../contracts/openapi');
+
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
 
 class LLMClient {
   constructor() {
+    // Hash of the last prompt sent for each kind of structured response
+    this.promptHashes = {};
+    // Version and source of the prompt template last used for each kind
+    this.promptVersions = {};
+    this.configure();
+  }
+  
+  // (Re)read the llm section of the configuration and drop any existing client
+  configure() {
+    // Secrets are only read when a client is built, so a broken reference doesn't stop commands that never call the LLM
+    this.options = config.get('llm', { resolve: false }) || {};
     this.provider = config.get('llm.provider');
     this.model = config.get('llm.model');
-    this.apiKey = config.get('llm.apiKey');
+    this.baseUrl = config.get('llm.baseUrl');
+    this.apiKey = undefined;
+    this.maxRepairAttempts = config.get('llm.maxRepairAttempts') ?? DEFAULT_MAX_REPAIR_ATTEMPTS;
     
-    if (!this.apiKey) {
-      console.warn('No API key found for LLM provider. Set OPENAI_API_KEY in your environment or in the config file.');
-    }
-    
-    // Don't initialize the client immediately
+    // Don't initialize the client or read the prompt files immediately
     this.client = null;
+    this.prompts = null;
   }
   
-  // Lazy initialization of the client
+  // Built-in prompts, with the ones under <paths.templates>/prompts replacing them by name
+  getPrompts() {
+    if (!this.prompts) {
+      this.prompts = new PromptLibrary().load(path.join(config.get('paths.templates') || './templates', 'prompts'));
+    }
+    return this.prompts;
+  }
+  
+  // Provider specific environment variables win over the generic llm.apiKey
+  resolveApiKey() {
+    const Provider = providerRegistry.providers[this.provider];
+    const envName = Provider && Provider.apiKeyEnv;
+    return (envName && config.getEnv(envName)) || config.get('llm.apiKey');
+  }
+  
+  // Lazy initialization of the client; a missing API key is only reported here, when a command needs the LLM
   getClient() {
     if (!this.client) {
-      if (!this.apiKey) {
-        throw new Error('OpenAI API key is required. Set OPENAI_API_KEY in your environment or in the config file.');
+      const Provider = providerRegistry.getProvider(this.provider);
+      this.apiKey = this.apiKey ?? this.resolveApiKey();
+      if (Provider.requiresApiKey && !this.apiKey) {
+        throw new Error(`${Provider.displayName} API key is required. Set ${Provider.apiKeyEnv} in your environment or in the config file.`);
       }
       this.client = this.initializeClient();
     }
@@ -32,139 +69,204 @@ class LLMClient {
   }
   
   initializeClient() {
-    switch (this.provider) {
-      case 'openai':
-        return new OpenAI({
-          apiKey: this.apiKey
-        });
-      // Add other providers as needed
-      default:
-        throw new Error(`Unsupported LLM provider: ${this.provider}`);
-    }
+    return providerRegistry.createProvider(this.provider, {
+      ...this.options,
+      model: this.model,
+      apiKey: this.apiKey,
+      baseUrl: this.baseUrl,
+    });
   }
   
-  async analyzeRequirements(description) {
-    try {
-      const prompt = `
-      Analyze the following microservice description and extract key requirements.
-      Determine the primary use case (web, api, data, ml, system, performance, concurrency, etc.)
-      and performance characteristics needed.
-      
-      Description: ${description}
+  /**
+   * Send chat messages to the configured provider
+   * @param {Array<{ role: string, content: string }>} messages
+   * @param {{ temperature?: number }} options
+   * @returns {Promise<string>} The reply text
+   */
+  async complete(messages, { temperature } = {}) {
+    return this.getClient().complete({
+      model: this.model,
+      messages,
+      temperature,
+    });
+  }
+  
+  /**
+   * Ask for a JSON response and validate it against a schema
+   * Invalid replies are sent back with the validation errors, up to maxRepairAttempts times
+   * @param {string} kind - Name of the expected response, used in errors
+   * @param {Array<{ role: string, content: string }>} messages
+   * @param {object} schema - JSON schema the response must satisfy
+   * @param {{ temperature?: number, check?: (value: *) => Array<{ path: string, message: string }> }} options -
+   *   check adds validation the schema can't express; its errors are sent back like schema errors
+   * @returns {Promise<*>} The parsed and validated response
+   * @throws {LLMResponseError} When no valid response was produced
+   */
+  async completeStructured(kind, messages, schema, { check, ...options } = {}) {
+    let conversation = messages;
+    let content;
+    let errors = [];
+    const attempts = this.maxRepairAttempts + 1;
+    this.promptHashes[kind] = FixtureStore.keyFor(messages);
+    
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      content = await this.complete(conversation, options);
+      const parsed = parseStructured(content, schema);
+      errors = parsed.errors.length === 0 && check ? check(parsed.value) : parsed.errors;
       
-      Output format:
-      {
-        "useCase": "primary use case",
-        "requirements": {
-          "performance": { "importance": 0-10, "weight": 0-1 },
-          "memory": { "importance": 0-10, "weight": 0-1 },
-          "startupTime": { "importance": 0-10, "weight": 0-1 },
-          "ecosystem": { "importance": 0-10, "weight": 0-1 },
-          "concurrency": { "importance": 0-10, "weight": 0-1 }
-        },
-        "dependencies": ["list", "of", "dependencies"],
-        "useCaseWeight": 0-1
+      if (errors.length === 0) {
+        return parsed.value;
       }
-      `;
-      
-      const response = await this.getClient().chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.2,
-      });
       
-      try {
-        return JSON.parse(response.choices[0].message.content);
-      } catch (error) {
-        console.error('Failed to parse LLM response as JSON:', error);
-        return null;
-      }
-    } catch (error) {
-      console.error('Error calling LLM API:', error);
-      return null;
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content },
+        { role: 'user', content: buildRepairPrompt(errors) },
+      ];
     }
+    
+    throw new LLMResponseError(kind, errors, { content, attempts });
   }
   
-  async decomposeService(description) {
-    try {
-      const prompt = `
-      Decompose the following service description into microservices.
-      For each microservice, provide a name, purpose, and brief description.
-      
-      Service: ${description}
-      
-      Output format:
-      [
-        {
-          "name": "service-name",
-          "purpose": "brief purpose",
-          "description": "detailed description",
-          "endpoints": ["endpoint1", "endpoint2"]
-        }
-      ]
-      `;
-      
-      const response = await this.getClient().chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.3,
-      });
-      
-      try {
-        return JSON.parse(response.choices[0].message.content);
-      } catch (error) {
-        console.error('Failed to parse LLM response as JSON:', error);
-        return null;
-      }
-    } catch (error) {
-      console.error('Error calling LLM API:', error);
-      return null;
-    }
+  /**
+   * Render the prompt template named after a kind of response and ask for that response
+   * A temperature set in the prompt file wins over the one given here.
+   * @param {string} kind - Prompt name, also the kind passed to completeStructured
+   * @param {object} values - Values for the prompt's placeholders
+   * @param {object} schema
+   * @param {object} [options] - As for completeStructured
+   * @returns {Promise<*>}
+   */
+  async completePrompt(kind, values, schema, options = {}) {
+    const prompt = this.getPrompts().render(kind, values);
+    this.promptVersions[kind] = { version: prompt.version, source: prompt.source };
+    return this.completeStructured(kind, prompt.messages, schema, {
+      ...options,
+      temperature: prompt.temperature ?? options.temperature,
+    });
   }
   
-  async generateCode(language, serviceName, serviceDescription) {
-    try {
-      const prompt = `
-      Generate code for a ${language} microservice with the following details:
-      
-      Service name: ${serviceName}
-      Description: ${serviceDescription}
-      
-      Provide the complete code needed to implement this service, including:
-      1. Main service implementation
-      2. Any necessary configuration
-      3. Dependencies and package management
-      4. Instructions for running the service
-      
-      Format the response as a valid JSON object with these fields:
-      {
-        "files": [
-          {
-            "filename": "path/to/file.ext",
-            "content": "file content here"
-          }
-        ],
-        "instructions": "instructions on how to run the service",
-        "dependencies": ["list", "of", "dependencies"]
-      }
-      `;
-      
-      const response = await this.getClient().chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.2,
-      });
-      
-      try {
-        return JSON.parse(response.choices[0].message.content);
-      } catch (error) {
-        console.error('Failed to parse LLM response as JSON:', error);
-        return null;
-      }
-    } catch (error) {
-      console.error('Error calling LLM API:', error);
-      return null;
+  /**
+   * What the manifest records about the last prompt of a kind
+   * @param {string} kind
+   * @returns {{ version?: number, source?: string, hash: string } | undefined} Undefined when no such prompt was sent
+   */
+  promptRecord(kind) {
+    if (!this.promptHashes[kind]) {
+      return undefined;
     }
+    return { ...this.promptVersions[kind], hash: this.promptHashes[kind] };
+  }
+  
+  async analyzeRequirements(description) {
+    return this.completePrompt('requirements', { description }, schemas.requirementsSchema, {
+      temperature: 0.2,
+    });
+  }
+  
+  async decomposeService(description) {
+    return this.completePrompt('decomposition', { description }, schemas.decompositionSchema, {
+      temperature: 0.3,
+      // Checked under the service names the pipeline uses, so names that collide once slugged are sent back
+      check: services => ServiceGraph.fromDecomposition(services).validate(),
+    });
+  }
+  
+  /**
+   * Ask for the OpenAPI 3 contract of one service, before its code is generated
+   * The contract must define every endpoint from the decomposition, including the ones other services
+   * call, and keep its $refs local.
+   * @param {string} serviceName
+   * @param {string} serviceDescription
+   * @param {{ purpose?: string, endpoints?: string[], callers?: Array<{ service: string, uses: string[] }> }} [details] -
+   *   callers lists the services calling this one and the endpoints they use
+   * @returns {Promise<object>} The OpenAPI document
+   */
+  async generateContract(serviceName, serviceDescription, details = {}) {
+    const callers = (details.callers || []).filter(caller => caller.uses.length > 0);
+    const endpoints = [...new Set([...(details.endpoints || []), ...callers.flatMap(caller => caller.uses)])];
+    
+    return this.completePrompt('contract', {
+      serviceName,
+      description: serviceDescription,
+      purpose: details.purpose || '',
+      endpoints: endpoints.join(', '),
+      callers: callers.map(caller => ({ service: caller.service, uses: caller.uses.join(', ') })),
+    }, schemas.contractSchema, {
+      temperature: 0.2,
+      check: contract => validateContract(contract, endpoints),
+    });
+  }
+  
+  /**
+   * Generate the code for one service
+   * @param {string} language
+   * @param {string} serviceName
+   * @param {string} serviceDescription
+   * @param {{ purpose?: string, endpoints?: string[], calls?: object[], contract?: object, template?: object }} [details] -
+   *   Extra context from the decomposition, the API contracts of the services it calls, its own OpenAPI contract,
+   *   and the rendered template when the service is scaffolded
+   */
+  async generateCode(language, serviceName, serviceDescription, details = {}) {
+    return this.completePrompt('code', {
+      language,
+      serviceName,
+      description: serviceDescription,
+      purpose: details.purpose || '',
+      endpoints: (details.endpoints || []).join(', '),
+      calls: (details.calls || []).map(call => ({
+        service: call.service,
+        urlVariable: call.urlVariable,
+        provides: call.endpoints.length > 0 ? call.endpoints.join(', ') : 'no documented endpoints',
+        uses: call.uses.join(', '),
+        contract: call.contract ? renderContract(contractSubset(call.contract, call.uses)).trimEnd() : '',
+      })),
+      contract: details.contract ? renderContract(details.contract).trimEnd() : '',
+      template: details.template ? this.templateValues(details.template) : null,
+    }, schemas.generatedCodeSchema, {
+      temperature: 0.2,
+    });
+  }
+  
+  // Prompt values for a service scaffolded from a template: the fixed files are shown, only logic files are asked for
+  templateValues(template) {
+    return {
+      name: template.template,
+      files: template.files.map(file => ({ filename: file.filename, content: file.content.trimEnd() })),
+      logic: Object.entries(template.logic).map(([filename, description]) => ({ filename, description })),
+      dependencies: template.dependencies.join(', ') || 'none',
+    };
+  }
+  
+  /**
+   * Ask for the edits that implement a change request on an existing service
+   * @param {string} language
+   * @param {string} serviceName
+   * @param {Array<{ path: string, content: string }>} files - Current contents of the service
+   * @param {string} change - What the user wants changed
+   * @returns {Promise<{ summary: string, edits: object[] }>}
+   */
+  async updateService(language, serviceName, files, change) {
+    return this.requestEdits('update', language, serviceName, files, { change });
+  }
+  
+  /**
+   * Ask for the edits that fix build or test failures
+   * @param {string} language
+   * @param {string} serviceName
+   * @param {Array<{ path: string, content: string }>} files
+   * @param {string} failures - Failed commands and their output
+   * @returns {Promise<{ summary: string, edits: object[] }>}
+   */
+  async repairService(language, serviceName, files, failures) {
+    return this.requestEdits('repair', language, serviceName, files, { failures });
+  }
+  
+  // The update and repair prompts share their values and response schema
+  async requestEdits(kind, language, serviceName, files, values) {
+    return this.completePrompt(kind, { ...values, language, serviceName, files }, schemas.serviceUpdateSchema, {
+      temperature: 0.2,
+    });
   }
 }
 
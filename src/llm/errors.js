@@ -0,0 +1,26 @@
+/**
+ * Error types raised by the LLM client
+ */
+
+const { formatErrors } = require('../core/schema');
+
+// Raised when the model's reply cannot be turned into a valid structured response
+class LLMResponseError extends Error {
+  /**
+   * @param {string} kind - Which response was expected (requirements, decomposition, code)
+   * @param {Array<{ path: string, message: string }>} errors - Problems found in the last reply
+   * @param {{ content?: string, attempts?: number }} details
+   */
+  constructor(kind, errors, { content, attempts } = {}) {
+    super(`LLM returned an invalid ${kind} response after ${attempts} attempt(s):\n${formatErrors(errors)}`);
+    this.name = 'LLMResponseError';
+    this.kind = kind;
+    this.errors = errors;
+    this.content = content;
+    this.attempts = attempts;
+  }
+}
+
+module.exports = {
+  LLMResponseError
+};
@@ -0,0 +1,54 @@
+/**
+ * Fixture store for recorded LLM responses
+ * Responses are stored one per file, keyed by a hash of the prompt messages
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+class FixtureStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  // The key only depends on the messages so fixtures survive model or temperature changes
+  static keyFor(messages) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(messages.map(({ role, content }) => ({ role, content }))))
+      .digest('hex');
+  }
+
+  pathFor(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async read(messages) {
+    const key = FixtureStore.keyFor(messages);
+    try {
+      const fixture = JSON.parse(await fs.readFile(this.pathFor(key), 'utf8'));
+      return fixture.response;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read LLM fixture ${key}: ${error.message}`);
+    }
+  }
+
+  async write(request, response) {
+    const key = FixtureStore.keyFor(request.messages);
+    const fixture = {
+      key,
+      model: request.model,
+      messages: request.messages,
+      response,
+    };
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.pathFor(key), JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+    return key;
+  }
+}
+
+module.exports = FixtureStore;
@@ -0,0 +1,145 @@
+/**
+ * Prompt library for the LLM client
+ * A prompt is a YAML file named after it, holding a version, an optional temperature and the system and
+ * user messages as templates in the service template syntax ({{ name }}, {{#each}}, {{#if}}, {{#unless}}).
+ * Built-in prompts live next to this file; a file with the same name under <paths.templates>/prompts
+ * replaces one of them. Bump the version whenever the wording changes, the manifest records it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { validate, formatErrors } = require('../../core/schema');
+const { render } = require('../../templates/engine');
+
+const BUILTIN_DIR = __dirname;
+const EXTENSIONS = ['.yaml', '.yml'];
+
+class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptError';
+  }
+}
+
+const promptSchema = {
+  type: 'object',
+  required: ['version', 'user'],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    description: { type: 'string' },
+    temperature: { type: 'number', minimum: 0, maximum: 2 },
+    system: { type: 'string' },
+    user: { type: 'string', minLength: 1 }
+  }
+};
+
+// A line holding only a block tag is dropped with its line break, so blocks can sit on lines of their own
+const STANDALONE_TAG = /^[ \t]*(\{\{\s*(?:#(?:each|if|unless)\s+[\w.]+|\/(?:each|if|unless))\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Read one prompt file
+ * @param {string} file
+ * @param {string} source - builtin or project, shown in listings and recorded in the manifest
+ * @returns {{ name: string, version: number, description: string, temperature?: number, system: string, user: string, file: string, source: string }}
+ * @throws {PromptError} When the file can't be parsed or doesn't match the prompt schema
+ */
+function loadPrompt(file, source) {
+  let prompt;
+  try {
+    prompt = yaml.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new PromptError(`Failed to read ${file}: ${error.message}`);
+  }
+  const errors = validate(promptSchema, prompt);
+  if (errors.length > 0) {
+    throw new PromptError(`Invalid prompt ${file}:\n${formatErrors(errors)}`);
+  }
+
+  return {
+    name: path.basename(file, path.extname(file)),
+    description: '',
+    system: '',
+    ...prompt,
+    file,
+    source
+  };
+}
+
+class PromptLibrary {
+  constructor() {
+    this.prompts = {};
+  }
+
+  // Load every prompt file in a directory; a missing directory is not an error
+  loadDirectory(directory, source) {
+    if (!directory || !fs.existsSync(directory)) {
+      return [];
+    }
+    const loaded = fs.readdirSync(directory, { withFileTypes: true })
+      .filter(entry => entry.isFile() && EXTENSIONS.includes(path.extname(entry.name)))
+      .map(entry => loadPrompt(path.join(directory, entry.name), source));
+    loaded.forEach(prompt => {
+      this.prompts[prompt.name] = prompt;
+    });
+    return loaded;
+  }
+
+  // Built-in prompts first so project prompts with the same name replace them
+  load(projectDirectory) {
+    this.prompts = {};
+    this.loadDirectory(BUILTIN_DIR, 'builtin');
+    this.loadDirectory(projectDirectory, 'project');
+    return this;
+  }
+
+  list() {
+    return Object.values(this.prompts);
+  }
+
+  get(name) {
+    return this.prompts[name] || null;
+  }
+
+  /**
+   * Fill in a prompt
+   * Values are inserted as they are; placeholders inside them are not expanded.
+   * @param {string} name
+   * @param {object} values
+   * @returns {{ name: string, version: number, source: string, temperature?: number, messages: Array<{ role: string, content: string }> }}
+   * @throws {PromptError} When the prompt doesn't exist or uses a value that wasn't given
+   */
+  render(name, values) {
+    const prompt = this.get(name);
+    if (!prompt) {
+      throw new PromptError(`Unknown prompt: ${name}`);
+    }
+    const fill = (text, part) => {
+      try {
+        return render(text.replace(STANDALONE_TAG, '$1'), values).trim();
+      } catch (error) {
+        throw new PromptError(`${error.message} in the ${part} message of ${prompt.file}`);
+      }
+    };
+
+    const system = fill(prompt.system, 'system');
+    return {
+      name,
+      version: prompt.version,
+      source: prompt.source,
+      temperature: prompt.temperature,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: fill(prompt.user, 'user') }
+      ]
+    };
+  }
+}
+
+module.exports = {
+  PromptLibrary,
+  PromptError,
+  loadPrompt,
+  promptSchema
+};
@@ -0,0 +1,54 @@
+/**
+ * Anthropic provider adapter
+ * Talks to the Messages API directly over HTTP
+ */
+
+const axios = require('axios');
+const LLMProvider = require('./base');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+class AnthropicProvider extends LLMProvider {
+  static get displayName() {
+    return 'Anthropic';
+  }
+
+  static get apiKeyEnv() {
+    return 'ANTHROPIC_API_KEY';
+  }
+
+  async complete({ model, messages, temperature }) {
+    // Anthropic takes the system prompt as a separate field
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const body = {
+      model,
+      max_tokens: this.options.maxTokens || DEFAULT_MAX_TOKENS,
+      messages: messages.filter(message => message.role !== 'system'),
+      temperature,
+    };
+    if (system) {
+      body.system = system;
+    }
+
+    const baseUrl = (this.options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const response = await axios.post(`${baseUrl}/v1/messages`, body, {
+      headers: {
+        'x-api-key': this.options.apiKey,
+        'anthropic-version': API_VERSION,
+        'content-type': 'application/json',
+      },
+    });
+
+    return response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+module.exports = AnthropicProvider;
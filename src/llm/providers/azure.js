@@ -0,0 +1,33 @@
+/**
+ * Azure OpenAI provider adapter
+ * Uses llm.baseUrl as the resource endpoint and llm.deployment (falling back to llm.model) as the deployment name
+ */
+
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openai');
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  static get displayName() {
+    return 'Azure OpenAI';
+  }
+
+  static get apiKeyEnv() {
+    return 'AZURE_OPENAI_API_KEY';
+  }
+
+  createClient(options) {
+    if (!options.baseUrl) {
+      throw new Error('Azure OpenAI requires llm.baseUrl to be set to your resource endpoint');
+    }
+    return new AzureOpenAI({
+      apiKey: options.apiKey,
+      endpoint: options.baseUrl,
+      apiVersion: options.apiVersion || DEFAULT_API_VERSION,
+      deployment: options.deployment || options.model,
+    });
+  }
+}
+
+module.exports = AzureOpenAIProvider;
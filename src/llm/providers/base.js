@@ -0,0 +1,35 @@
+/**
+ * Base LLM provider adapter
+ * Every provider exposes a single complete() call that takes chat messages and returns the reply text
+ */
+
+class LLMProvider {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  // Human readable name used in error messages
+  static get displayName() {
+    return 'LLM';
+  }
+
+  // Environment variable that holds the provider's API key, if any
+  static get apiKeyEnv() {
+    return null;
+  }
+
+  static get requiresApiKey() {
+    return true;
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {{ model: string, messages: Array<{ role: string, content: string }>, temperature?: number }} request
+   * @returns {Promise<string>} The text of the model's reply
+   */
+  async complete() {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+}
+
+module.exports = LLMProvider;
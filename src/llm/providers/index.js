@@ -0,0 +1,49 @@
+/**
+ * LLM provider registry
+ * Maps llm.provider values to adapter classes
+ */
+
+const OpenAIProvider = require('./openai');
+const AzureOpenAIProvider = require('./azure');
+const AnthropicProvider = require('./anthropic');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const ReplayProvider = require('./replay');
+const RecordingProvider = require('./recording');
+
+const providers = {
+  openai: OpenAIProvider,
+  azure: AzureOpenAIProvider,
+  anthropic: AnthropicProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  ollama: OpenAICompatibleProvider,
+  llamacpp: OpenAICompatibleProvider,
+  vllm: OpenAICompatibleProvider,
+  replay: ReplayProvider,
+};
+
+module.exports = {
+  providers,
+
+  registerProvider(name, ProviderClass) {
+    providers[name] = ProviderClass;
+  },
+
+  getProvider(name) {
+    const ProviderClass = providers[name];
+    if (!ProviderClass) {
+      throw new Error(`Unsupported LLM provider: ${name}`);
+    }
+    return ProviderClass;
+  },
+
+  createProvider(name, options = {}) {
+    const ProviderClass = module.exports.getProvider(name);
+    const provider = new ProviderClass({ ...options, provider: name });
+    
+    // Record mode wraps the real provider; recording a replay would be a no-op
+    if (options.record && ProviderClass !== ReplayProvider) {
+      return new RecordingProvider(provider, options);
+    }
+    return provider;
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Adapter for local servers exposing an OpenAI-compatible API (Ollama, llama.cpp, vLLM)
+ */
+
+const OpenAIProvider = require('./openai');
+
+// Default endpoints for the well-known local servers
+const DEFAULT_BASE_URLS = {
+  ollama: 'http://localhost:11434/v1',
+  llamacpp: 'http://localhost:8080/v1',
+  vllm: 'http://localhost:8000/v1',
+};
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  static get displayName() {
+    return 'OpenAI-compatible server';
+  }
+
+  static get requiresApiKey() {
+    return false;
+  }
+
+  createClient(options) {
+    const baseUrl = options.baseUrl || DEFAULT_BASE_URLS[options.provider];
+    if (!baseUrl) {
+      throw new Error('llm.baseUrl is required for OpenAI-compatible providers');
+    }
+    // The OpenAI SDK refuses to start without a key, local servers usually ignore it
+    return super.createClient({ ...options, apiKey: options.apiKey || 'not-needed', baseUrl });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
+module.exports.DEFAULT_BASE_URLS = DEFAULT_BASE_URLS;
@@ -0,0 +1,40 @@
+/**
+ * OpenAI provider adapter
+ */
+
+const { OpenAI } = require('openai');
+const LLMProvider = require('./base');
+
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.client = this.createClient(options);
+  }
+
+  static get displayName() {
+    return 'OpenAI';
+  }
+
+  static get apiKeyEnv() {
+    return 'OPENAI_API_KEY';
+  }
+
+  createClient(options) {
+    const clientOptions = { apiKey: options.apiKey };
+    if (options.baseUrl) {
+      clientOptions.baseURL = options.baseUrl;
+    }
+    return new OpenAI(clientOptions);
+  }
+
+  async complete({ model, messages, temperature }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+    });
+    return response.choices[0].message.content;
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,28 @@
+/**
+ * Recording provider decorator
+ * Forwards requests to a real provider and saves every response into a fixture directory
+ */
+
+const LLMProvider = require('./base');
+const FixtureStore = require('../fixtures');
+const { DEFAULT_FIXTURES_DIR } = require('./replay');
+
+class RecordingProvider extends LLMProvider {
+  constructor(inner, options = {}) {
+    super(options);
+    this.inner = inner;
+    this.store = new FixtureStore(options.fixtures || DEFAULT_FIXTURES_DIR);
+  }
+
+  static get displayName() {
+    return 'Recording';
+  }
+
+  async complete(request) {
+    const response = await this.inner.complete(request);
+    await this.store.write(request, response);
+    return response;
+  }
+}
+
+module.exports = RecordingProvider;
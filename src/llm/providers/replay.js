@@ -0,0 +1,39 @@
+/**
+ * Replay provider adapter
+ * Serves previously recorded responses from a fixture directory instead of calling a live API
+ */
+
+const LLMProvider = require('./base');
+const FixtureStore = require('../fixtures');
+
+const DEFAULT_FIXTURES_DIR = './fixtures/llm';
+
+class ReplayProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.store = new FixtureStore(options.fixtures || DEFAULT_FIXTURES_DIR);
+  }
+
+  static get displayName() {
+    return 'Replay';
+  }
+
+  static get requiresApiKey() {
+    return false;
+  }
+
+  async complete({ messages }) {
+    const response = await this.store.read(messages);
+    if (response === null) {
+      const key = FixtureStore.keyFor(messages);
+      throw new Error(
+        `No recorded LLM response for prompt ${key} in ${this.store.directory}. ` +
+        'Run the same command with --record to capture it.'
+      );
+    }
+    return response;
+  }
+}
+
+module.exports = ReplayProvider;
+module.exports.DEFAULT_FIXTURES_DIR = DEFAULT_FIXTURES_DIR;
@@ -0,0 +1,174 @@
+/**
+ * JSON schemas for the structured responses expected from the LLM
+ */
+
+// A weight, an importance or both; a bare number is taken as the weight
+const weightedRequirement = {
+  type: ['object', 'number'],
+  minimum: 0,
+  maximum: 1,
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    importance: { type: 'number', minimum: 0, maximum: 10 },
+    weight: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const stringList = {
+  type: 'array',
+  items: { type: 'string' }
+};
+
+const requirementsSchema = {
+  type: 'object',
+  required: ['useCase', 'requirements'],
+  properties: {
+    useCase: { type: 'string', minLength: 1 },
+    requirements: {
+      type: 'object',
+      // Only the characteristics language profiles are scored on
+      additionalProperties: false,
+      properties: {
+        performance: weightedRequirement,
+        memory: weightedRequirement,
+        startupTime: weightedRequirement,
+        ecosystem: weightedRequirement,
+        concurrency: weightedRequirement
+      }
+    },
+    dependencies: stringList,
+    useCaseWeight: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const decompositionSchema = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['name', 'purpose'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      purpose: { type: 'string' },
+      description: { type: 'string' },
+      endpoints: stringList,
+      dependsOn: stringList,
+      consumes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['service'],
+          properties: {
+            service: { type: 'string', minLength: 1 },
+            endpoints: stringList
+          }
+        }
+      }
+    }
+  }
+};
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options', 'trace'];
+
+const operation = {
+  type: 'object',
+  required: ['responses'],
+  properties: {
+    operationId: { type: 'string', minLength: 1 },
+    summary: { type: 'string' },
+    parameters: { type: 'array', items: { type: 'object' } },
+    requestBody: { type: 'object' },
+    responses: { type: 'object' }
+  }
+};
+
+// Structure of an OpenAPI 3 document; references and endpoint coverage are checked in src/contracts
+const contractSchema = {
+  type: 'object',
+  required: ['openapi', 'info', 'paths'],
+  properties: {
+    openapi: { type: 'string', pattern: '^3\\.' },
+    info: {
+      type: 'object',
+      required: ['title', 'version'],
+      properties: {
+        title: { type: 'string' },
+        version: { type: 'string' }
+      }
+    },
+    paths: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          ...Object.fromEntries(HTTP_METHODS.map(method => [method, operation])),
+          parameters: { type: 'array', items: { type: 'object' } }
+        }
+      }
+    },
+    components: { type: 'object' }
+  }
+};
+
+const generatedCodeSchema = {
+  type: 'object',
+  required: ['files', 'instructions', 'dependencies'],
+  properties: {
+    files: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['filename', 'content'],
+        properties: {
+          filename: { type: 'string', minLength: 1 },
+          content: { type: 'string' }
+        }
+      }
+    },
+    instructions: { type: 'string' },
+    dependencies: stringList
+  }
+};
+
+const serviceUpdateSchema = {
+  type: 'object',
+  required: ['summary', 'edits'],
+  properties: {
+    summary: { type: 'string' },
+    edits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['filename', 'action'],
+        properties: {
+          filename: { type: 'string', minLength: 1 },
+          action: { type: 'string', enum: ['write', 'replace', 'delete'] },
+          content: { type: 'string' },
+          replacements: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['search', 'replace'],
+              properties: {
+                search: { type: 'string', minLength: 1 },
+                replace: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  HTTP_METHODS,
+  requirementsSchema,
+  decompositionSchema,
+  contractSchema,
+  generatedCodeSchema,
+  serviceUpdateSchema
+};
@@ -0,0 +1,108 @@
+/**
+ * Helpers for turning free-form model replies into validated JSON
+ */
+
+const { validate } = require('../core/schema');
+
+// Find the end of the JSON value starting at `start`, honouring strings and nesting
+function findClosingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) {
+        return -1;
+      }
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Extract a JSON value from a model reply
+ * Accepts bare JSON, JSON inside a markdown code fence, or JSON surrounded by prose
+ * @param {string} text
+ * @returns {*} The parsed value
+ * @throws {SyntaxError} When no JSON value can be found
+ */
+function extractJson(text) {
+  const trimmed = String(text).trim();
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // Fall through to the more lenient strategies
+  }
+
+  const fence = trimmed.match(/```(?:json|JSON)?\s*\n([\s\S]*?)```/);
+  if (fence) {
+    try {
+      return JSON.parse(fence[1].trim());
+    } catch (error) {
+      // The fence may hold something else, keep looking
+    }
+  }
+
+  for (let start = 0; start < trimmed.length; start++) {
+    if (trimmed[start] !== '{' && trimmed[start] !== '[') {
+      continue;
+    }
+    const end = findClosingBracket(trimmed, start);
+    if (end !== -1) {
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch (error) {
+        // Not JSON after all, try the next candidate
+      }
+    }
+  }
+
+  throw new SyntaxError('No JSON value found in the response');
+}
+
+/**
+ * Parse and validate a model reply against a schema
+ * @returns {{ value: *, errors: Array<{ path: string, message: string }> }}
+ */
+function parseStructured(text, schema) {
+  let value;
+  try {
+    value = extractJson(text);
+  } catch (error) {
+    return { value: undefined, errors: [{ path: '(root)', message: `response is not valid JSON (${error.message})` }] };
+  }
+  return { value, errors: validate(schema, value) };
+}
+
+// Follow-up prompt asking the model to fix its previous reply
+function buildRepairPrompt(errors) {
+  return [
+    'Your previous response did not match the required format.',
+    'Problems found:',
+    ...errors.map(error => `- ${error.path}: ${error.message}`),
+    '',
+    'Reply again with only the corrected JSON, no markdown fences or commentary.'
+  ].join('\n');
+}
+
+module.exports = {
+  extractJson,
+  parseStructured,
+  buildRepairPrompt
+};
@@ -0,0 +1,226 @@
+/**
+ * Service dependency graph for PolyFunc
+ * A service depends on the services in its dependsOn list and on every service it consumes
+ * endpoints from. The graph must only reference known services and must be acyclic so there is
+ * a startup order in which every service comes after its dependencies.
+ */
+
+const { formatErrors } = require('../core/schema');
+
+class GraphError extends Error {
+  /**
+   * @param {Array<{ path: string, message: string }>} errors
+   */
+  constructor(errors) {
+    super(`Invalid service graph:\n${formatErrors(errors)}`);
+    this.name = 'GraphError';
+    this.errors = errors;
+  }
+}
+
+// Turn a service name from the LLM into a safe directory name
+function toServiceName(name) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'service';
+}
+
+class ServiceGraph {
+  /**
+   * @param {Array<{ name: string, endpoints?: string[], dependsOn?: string[],
+   *   consumes?: Array<{ service: string, endpoints?: string[] }> }>} services
+   */
+  constructor(services) {
+    this.services = services;
+    this.byName = new Map(services.map(service => [service.name, service]));
+  }
+
+  /**
+   * Build the dependency graph of a decomposition, with every name turned into a service directory name
+   * Names that differ only in case or punctuation end up as duplicates, which validate() reports.
+   * @param {object[]} microservices - Output of decomposeService
+   * @returns {ServiceGraph}
+   */
+  static fromDecomposition(microservices) {
+    return new ServiceGraph(microservices.map(service => ({
+      ...service,
+      name: toServiceName(service.name),
+      endpoints: service.endpoints || [],
+      dependsOn: (service.dependsOn || []).map(toServiceName),
+      consumes: (service.consumes || []).map(entry => ({ service: toServiceName(entry.service), endpoints: entry.endpoints || [] }))
+    })));
+  }
+
+  // Names of the services one service needs, dependsOn first, without duplicates
+  dependenciesOf(name) {
+    const service = this.byName.get(name);
+    if (!service) {
+      return [];
+    }
+    return [...new Set([...(service.dependsOn || []), ...(service.consumes || []).map(entry => entry.service)])];
+  }
+
+  // One edge per pair of services, labelled with the endpoints consumed over it
+  edges() {
+    return this.services.flatMap(service => this.dependenciesOf(service.name).map(dependency => ({
+      from: service.name,
+      to: dependency,
+      endpoints: (service.consumes || [])
+        .filter(entry => entry.service === dependency)
+        .flatMap(entry => entry.endpoints || [])
+    })));
+  }
+
+  /**
+   * Check names, references and cycles
+   * @returns {Array<{ path: string, message: string }>} Problems found, empty when the graph is valid
+   */
+  validate() {
+    const errors = [];
+    const seen = new Set();
+
+    this.services.forEach((service, index) => {
+      if (seen.has(service.name)) {
+        errors.push({ path: `[${index}].name`, message: `duplicate service name "${service.name}"` });
+      }
+      seen.add(service.name);
+
+      const check = (name, path) => {
+        if (name === service.name) {
+          errors.push({ path, message: `${service.name} cannot depend on itself` });
+        } else if (!this.byName.has(name)) {
+          errors.push({ path, message: `unknown service "${name}"` });
+        }
+      };
+      (service.dependsOn || []).forEach((name, position) => check(name, `[${index}].dependsOn[${position}]`));
+      (service.consumes || []).forEach((entry, position) => check(entry.service, `[${index}].consumes[${position}].service`));
+    });
+
+    for (const cycle of this.cycles()) {
+      errors.push({ path: '(root)', message: `dependency cycle: ${cycle.join(' -> ')}` });
+    }
+    return errors;
+  }
+
+  // Each distinct cycle once, as the list of names along it with the first name repeated at the end
+  cycles() {
+    const state = new Map();
+    const stack = [];
+    const found = [];
+    const keys = new Set();
+
+    const visit = name => {
+      state.set(name, 'active');
+      stack.push(name);
+      for (const dependency of this.dependenciesOf(name)) {
+        if (!this.byName.has(dependency) || dependency === name) {
+          continue;
+        }
+        if (state.get(dependency) === 'active') {
+          const cycle = stack.slice(stack.indexOf(dependency));
+          const key = [...cycle].sort().join('\0');
+          if (!keys.has(key)) {
+            keys.add(key);
+            found.push([...cycle, dependency]);
+          }
+        } else if (!state.has(dependency)) {
+          visit(dependency);
+        }
+      }
+      stack.pop();
+      state.set(name, 'done');
+    };
+
+    this.services.forEach(service => {
+      if (!state.has(service.name)) {
+        visit(service.name);
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Startup order: every service after the services it depends on, otherwise in list order
+   * @returns {string[]}
+   * @throws {GraphError} When the graph is invalid
+   */
+  order() {
+    const errors = this.validate();
+    if (errors.length > 0) {
+      throw new GraphError(errors);
+    }
+
+    const placed = new Set();
+    const order = [];
+    while (order.length < this.services.length) {
+      const next = this.services.find(service =>
+        !placed.has(service.name) && this.dependenciesOf(service.name).every(dependency => placed.has(dependency)));
+      placed.add(next.name);
+      order.push(next.name);
+    }
+    return order;
+  }
+
+  toJSON() {
+    return {
+      services: this.services.map(service => ({
+        name: service.name,
+        dependsOn: service.dependsOn || [],
+        consumes: service.consumes || []
+      })),
+      edges: this.edges(),
+      order: this.order()
+    };
+  }
+
+  toDot() {
+    const escape = value => String(value).replace(/["\\]/g, '\\$&');
+    const quote = value => `"${escape(value)}"`;
+    const lines = [
+      `// Startup order: ${this.order().join(', ')}`,
+      'digraph services {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      ...this.services.map(service => `  ${quote(service.name)};`),
+      ...this.edges().map(edge => `  ${quote(edge.from)} -> ${quote(edge.to)}` +
+        (edge.endpoints.length > 0 ? ` [label="${edge.endpoints.map(escape).join('\\n')}"];` : ';')),
+      '}'
+    ];
+    return lines.join('\n') + '\n';
+  }
+
+  toMermaid() {
+    // Names that only differ in punctuation, like my-svc and my_svc, get numbered ids so their nodes stay apart
+    const ids = new Map();
+    const taken = new Set();
+    const id = name => {
+      if (!ids.has(name)) {
+        const base = name.replace(/[^A-Za-z0-9_]/g, '_');
+        let candidate = base;
+        for (let n = 2; taken.has(candidate); n++) {
+          candidate = `${base}_${n}`;
+        }
+        ids.set(name, candidate);
+        taken.add(candidate);
+      }
+      return ids.get(name);
+    };
+    const label = value => String(value).replace(/"/g, '#quot;');
+    const lines = [
+      `%% Startup order: ${this.order().join(', ')}`,
+      'graph LR',
+      ...this.services.map(service => `  ${id(service.name)}["${label(service.name)}"]`),
+      ...this.edges().map(edge => `  ${id(edge.from)} -->` +
+        (edge.endpoints.length > 0 ? `|"${label(edge.endpoints.join(', '))}"|` : '') + ` ${id(edge.to)}`)
+    ];
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  ServiceGraph,
+  GraphError,
+  toServiceName
+};
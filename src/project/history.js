@@ -0,0 +1,70 @@
+/**
+ * Generation history for PolyFunc services
+ * Every update stores a full snapshot of the service files in .polyfunc/history/<service>/<generation>.json
+ * so any earlier generation can be restored.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HISTORY_DIR = path.join('.polyfunc', 'history');
+
+class ServiceHistory {
+  constructor(root = HISTORY_DIR) {
+    this.root = root;
+  }
+
+  fileFor(service, generation) {
+    return path.join(this.root, service, `${generation}.json`);
+  }
+
+  /**
+   * Store a snapshot of a service
+   * @param {string} service
+   * @param {{ generation: number, change: string, createdAt: string, files: Array<{ path: string, content: string }> }} snapshot
+   */
+  async save(service, snapshot) {
+    await fs.mkdir(path.join(this.root, service), { recursive: true });
+    await fs.writeFile(this.fileFor(service, snapshot.generation), JSON.stringify(snapshot, null, 2) + '\n', 'utf8');
+  }
+
+  // Load a snapshot, or null when that generation was never recorded
+  async load(service, generation) {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(service, generation), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read generation ${generation} of ${service}: ${error.message}`);
+    }
+  }
+
+  async has(service, generation) {
+    try {
+      await fs.access(this.fileFor(service, generation));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Drop every snapshot of a service
+  async clear(service) {
+    await fs.rm(path.join(this.root, service), { recursive: true, force: true });
+  }
+}
+
+// Generations recorded in a manifest entry; generation 1 is the original create/generate run
+function generationsOf(service) {
+  return [
+    { generation: 1, change: 'initial generation', createdAt: service.generatedAt },
+    ...(service.history || [])
+  ];
+}
+
+module.exports = {
+  ServiceHistory,
+  generationsOf,
+  HISTORY_DIR
+};
@@ -0,0 +1,61 @@
+/**
+ * Project manifest for PolyFunc
+ * Records every generated service in polyfunc.lock so later commands know what exists
+ */
+
+const fs = require('fs').promises;
+
+const MANIFEST_FILE = 'polyfunc.lock';
+const MANIFEST_VERSION = 1;
+
+class Manifest {
+  constructor(filePath = MANIFEST_FILE, data = null) {
+    this.filePath = filePath;
+    this.data = data || { version: MANIFEST_VERSION, services: {} };
+  }
+
+  // Load the manifest, starting an empty one when the file doesn't exist yet
+  static async load(filePath = MANIFEST_FILE) {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (!data || typeof data.services !== 'object') {
+        throw new Error('missing "services" section');
+      }
+      return new Manifest(filePath, data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Manifest(filePath);
+      }
+      throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+  }
+
+  async save() {
+    await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2) + '\n', 'utf8');
+  }
+
+  getService(name) {
+    return this.data.services[name] || null;
+  }
+
+  setService(name, entry) {
+    this.data.services[name] = { name, ...entry };
+    return this.data.services[name];
+  }
+
+  removeService(name) {
+    const existing = this.getService(name);
+    delete this.data.services[name];
+    return existing;
+  }
+
+  listServices() {
+    return Object.values(this.data.services);
+  }
+}
+
+module.exports = {
+  Manifest,
+  MANIFEST_FILE,
+  MANIFEST_VERSION
+};
@@ -0,0 +1,115 @@
+/**
+ * Applies LLM edits to the files of an existing service
+ * Edits either rewrite a file, replace exact snippets inside it, or delete it. Every edit is
+ * checked before anything changes so a bad edit never leaves a service half updated.
+ */
+
+const { normalizeFilename } = require('./sandbox');
+
+class PatchError extends Error {
+  /**
+   * @param {Array<{ path: string, message: string }>} failures
+   */
+  constructor(failures) {
+    super(`Could not apply the requested edits:\n${failures.map(({ path, message }) => `  - ${path}: ${message}`).join('\n')}`);
+    this.name = 'PatchError';
+    this.failures = failures;
+  }
+}
+
+function countOccurrences(text, search) {
+  let count = 0;
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(search, index + search.length);
+  }
+  return count;
+}
+
+/**
+ * Apply edits to an in-memory copy of the service files
+ * @param {Array<{ path: string, content: string }>} files - Current files
+ * @param {Array<{ filename: string, action: string, content?: string, replacements?: Array<{ search: string, replace: string }> }>} edits
+ * @returns {{ files: Array<{ path: string, content: string }>, changes: Array<{ path: string, action: 'created' | 'modified' | 'deleted' }> }}
+ * @throws {PatchError} When any edit cannot be applied
+ */
+function applyEdits(files, edits) {
+  const original = new Map(files.map(file => [file.path, file.content]));
+  const result = new Map(original);
+  const failures = [];
+
+  for (const edit of edits) {
+    const { relative: target, reason } = normalizeFilename(edit.filename);
+    if (reason) {
+      failures.push({ path: String(edit.filename), message: reason });
+      continue;
+    }
+
+    if (edit.action === 'write') {
+      if (typeof edit.content !== 'string') {
+        failures.push({ path: target, message: 'write edit has no content' });
+      } else {
+        result.set(target, edit.content);
+      }
+    } else if (edit.action === 'delete') {
+      if (!result.has(target)) {
+        failures.push({ path: target, message: 'cannot delete a file that does not exist' });
+      } else {
+        result.delete(target);
+      }
+    } else if (edit.action === 'replace') {
+      if (!result.has(target)) {
+        failures.push({ path: target, message: 'cannot patch a file that does not exist' });
+        continue;
+      }
+      let content = result.get(target);
+      for (const { search, replace } of edit.replacements || []) {
+        const count = countOccurrences(content, search);
+        if (count !== 1) {
+          const snippet = search.split('\n')[0].slice(0, 60);
+          failures.push({
+            path: target,
+            message: count === 0 ? `search text not found: "${snippet}"` : `search text matches ${count} times: "${snippet}"`
+          });
+          continue;
+        }
+        content = content.replace(search, () => replace);
+      }
+      if (!edit.replacements || edit.replacements.length === 0) {
+        failures.push({ path: target, message: 'replace edit has no replacements' });
+      }
+      result.set(target, content);
+    } else {
+      failures.push({ path: target, message: `unknown action "${edit.action}"` });
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new PatchError(failures);
+  }
+
+  const changes = [];
+  for (const [path, content] of result) {
+    if (!original.has(path)) {
+      changes.push({ path, action: 'created' });
+    } else if (original.get(path) !== content) {
+      changes.push({ path, action: 'modified' });
+    }
+  }
+  for (const path of original.keys()) {
+    if (!result.has(path)) {
+      changes.push({ path, action: 'deleted' });
+    }
+  }
+
+  return {
+    files: [...result].map(([path, content]) => ({ path, content })),
+    changes
+  };
+}
+
+module.exports = {
+  applyEdits,
+  PatchError
+};
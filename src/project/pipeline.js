@@ -0,0 +1,525 @@
+/**
+ * Service generation pipeline for PolyFunc
+ * Shared steps used by the create and generate commands: language selection with
+ * reasoning, scaffolding from templates, and writing generated code into a service directory.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../core/config');
+const llm = require('../llm/client');
+const languageProfiles = require('../languages/profile');
+const { withConstraints } = require('../core/requirements');
+const { SandboxedWriter, hashContent, matchDenyList, DEFAULT_DENY, DEFAULT_LIMITS } = require('./sandbox');
+const { PatchError } = require('./patch');
+const { Verifier, verifyWithRepair, DEFAULT_REPAIR_ROUNDS } = require('../verify/verifier');
+const { TemplateRegistry, renderTemplate, mergeGenerated, DEFAULT_PORT } = require('../templates/registry');
+const { ServiceGraph, toServiceName } = require('./graph');
+const { urlVariable } = require('../containers/compose');
+const { CONTRACT_FILE, renderContract, parseContract } = require('../contracts/openapi');
+
+const DEFAULT_SERVICES_DIR = './services';
+
+// Dependency and build output directories that are never part of a service's source
+const IGNORED_DIRECTORIES = ['node_modules', 'target', 'dist', 'build', '__pycache__', '.venv', 'venv', '.polyfunc'];
+
+// Directory that holds generated services
+function servicesRoot() {
+  return config.get('paths.services') || DEFAULT_SERVICES_DIR;
+}
+
+// Whether a recorded service path lies strictly inside the services directory, so deleting it is safe
+function isInsideServicesRoot(servicePath) {
+  const relative = path.relative(path.resolve(servicesRoot()), path.resolve(servicePath));
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// Add constraints from config (selection.constraints) and command-line flags to the requirements
+function applySelectionConstraints(requirements, options = {}) {
+  return withConstraints(requirements, config.get('selection.constraints'), {
+    deny: options.exclude,
+    requiredLibraries: options.requireLib
+  });
+}
+
+// Summarise a ranking as a sentence a reviewer can read
+function explainSelection(winner, runnerUp, eliminated) {
+  const topFactors = [...winner.factors]
+    .sort((a, b) => b.contribution - a.contribution)
+    .slice(0, 3)
+    .map(factor => `${factor.name} +${factor.contribution.toFixed(2)}`);
+  const parts = [`Selected ${winner.language} with score ${winner.score.toFixed(2)}`];
+
+  if (topFactors.length > 0) {
+    parts.push(`top factors: ${topFactors.join(', ')}`);
+  }
+  if (runnerUp) {
+    parts.push(`runner-up: ${runnerUp.language} (${runnerUp.score.toFixed(2)})`);
+  }
+  if (eliminated.length > 0) {
+    parts.push(`eliminated: ${eliminated.map(({ language, reasons }) => `${language} (${reasons.join('; ')})`).join(', ')}`);
+  }
+
+  return parts.join('; ');
+}
+
+/**
+ * Choose a language for analysed requirements and record why
+ * @param {object} requirements - Requirements from the LLM
+ * @param {{ exclude?: string[], requireLib?: string[] }} [options] - Command-line constraints
+ * @returns {{ language: string|null, score: number|null, factors: object[],
+ *   runnerUp: object|null, eliminated: object[], reasoning: string }}
+ */
+function selectLanguage(requirements, options = {}) {
+  const constrained = applySelectionConstraints(requirements, options);
+  const ranking = languageProfiles.rankLanguages(constrained);
+  const { eliminated } = languageProfiles.filterLanguages(constrained);
+  const [winner, runnerUp] = ranking;
+
+  if (!winner) {
+    return {
+      language: null,
+      score: null,
+      factors: [],
+      runnerUp: null,
+      eliminated,
+      reasoning: 'No language satisfies the selection constraints'
+    };
+  }
+
+  return {
+    language: winner.language,
+    score: winner.score,
+    factors: winner.factors,
+    runnerUp: runnerUp ? { language: runnerUp.language, score: runnerUp.score } : null,
+    eliminated,
+    reasoning: explainSelection(winner, runnerUp, eliminated)
+  };
+}
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A service exists when the manifest knows it or its directory is already on disk
+async function serviceExists(manifest, name, servicePath) {
+  return Boolean(manifest.getService(name)) || pathExists(servicePath);
+}
+
+/**
+ * Build the dependency graph of a decomposition, with every name turned into a service directory name
+ * @param {object[]} microservices - Output of decomposeService
+ * @returns {ServiceGraph}
+ */
+function serviceGraph(microservices) {
+  return ServiceGraph.fromDecomposition(microservices);
+}
+
+// API contracts of the services one service calls, for its code generation prompt; `contracts` maps
+// service names to their OpenAPI documents where they are known
+function contractsFor(graph, name, contracts = {}) {
+  return graph.edges()
+    .filter(edge => edge.from === name)
+    .map(edge => ({
+      service: edge.to,
+      urlVariable: urlVariable(edge.to),
+      endpoints: graph.byName.get(edge.to).endpoints || [],
+      uses: edge.endpoints,
+      ...(contracts[edge.to] ? { contract: contracts[edge.to] } : {})
+    }));
+}
+
+// Services calling one service and the endpoints each of them uses, for its contract prompt
+function consumersOf(graph, name) {
+  return graph.edges()
+    .filter(edge => edge.to === name)
+    .map(edge => ({ service: edge.from, uses: edge.endpoints }));
+}
+
+/**
+ * Read the OpenAPI contract saved in a service directory
+ * @param {string} servicePath
+ * @returns {Promise<object | null>} The document, or null when the service has none
+ */
+async function loadContract(servicePath) {
+  try {
+    return parseContract(await fs.readFile(path.join(servicePath, CONTRACT_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Built-in templates plus the ones in paths.templates
+function loadTemplates() {
+  return new TemplateRegistry().load(config.get('paths.templates'));
+}
+
+// First port from `preferred` up that no other service in the manifest uses
+function assignPort(manifest, name, preferred = DEFAULT_PORT) {
+  const used = new Set(manifest.listServices()
+    .filter(service => service.name !== name && service.port)
+    .map(service => service.port));
+  let port = preferred;
+  while (used.has(port)) {
+    port++;
+  }
+  return port;
+}
+
+/**
+ * Pick and fill in the scaffolding template for a new service
+ * Without an explicit template the best one for the language's profile libraries is used.
+ * @param {Manifest} manifest - Used to keep ports unique across services
+ * @param {{ language: string, name: string, description?: string, endpoints?: string[],
+ *   template?: string | false, port?: number }} options - template is a template name, or false for freeform generation
+ * @returns {object | null} Output of renderTemplate, or null when the service is generated freeform
+ */
+function scaffoldService(manifest, { language, name, description, endpoints, template, port }) {
+  if (template === false) {
+    return null;
+  }
+
+  const registry = loadTemplates();
+  let chosen;
+  if (typeof template === 'string') {
+    chosen = registry.get(template);
+    if (!chosen) {
+      throw new Error(`Unknown template "${template}". Run "polyfunc templates" to list the available ones.`);
+    }
+    if (chosen.language !== language) {
+      throw new Error(`Template "${template}" is for ${chosen.language}, not ${language}`);
+    }
+  } else {
+    chosen = registry.select(language, languageProfiles.profiles[language]);
+    if (!chosen) {
+      return null;
+    }
+  }
+
+  return renderTemplate(chosen, {
+    serviceName: name,
+    description,
+    endpoints,
+    port: port || assignPort(manifest, name, chosen.defaults.port)
+  });
+}
+
+/**
+ * Generate the code of a service, inside its scaffold when it has one
+ * With a contract the code is generated against it and the contract is saved as openapi.yaml,
+ * replacing any version of it the LLM returned.
+ * @param {string} language
+ * @param {string} name
+ * @param {string} description
+ * @param {{ scaffold?: object, contract?: object, purpose?: string, endpoints?: string[], calls?: object[] }} [details]
+ * @returns {Promise<{ code: object, ignored: string[] }>} ignored lists files the LLM returned that
+ *   are not logic files of the template
+ */
+async function generateService(language, name, description, { scaffold = null, ...details } = {}) {
+  const code = await llm.generateCode(language, name, description, scaffold ? { ...details, template: scaffold } : details);
+  const generated = scaffold && code && code.files ? mergeGenerated(scaffold, code) : { code, ignored: [] };
+  if (!details.contract || !generated.code || !generated.code.files) {
+    return generated;
+  }
+  const files = generated.code.files.filter(file => file.filename !== CONTRACT_FILE);
+  files.push({ filename: CONTRACT_FILE, content: renderContract(details.contract) });
+  return { ...generated, code: { ...generated.code, files } };
+}
+
+// README written next to the generated code
+function renderReadme({ title, description, code }) {
+  return `# ${title}\n\n` +
+    `## Description\n${description}\n\n` +
+    `## Instructions\n${code.instructions}\n\n` +
+    `## Dependencies\n${code.dependencies.join('\n')}\n`;
+}
+
+async function readExisting(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Work out what writeService would do without touching disk
+ * Every planned file carries the content currently on disk (null for new files)
+ * and a status of new, modified or unchanged.
+ * @param {string} servicePath
+ * @param {{ title: string, description: string, code: { files: object[], instructions: string, dependencies: string[] } }} service
+ * @returns {Promise<{ writer: SandboxedWriter, files: object[], rejected: Array<{ path: string, reason: string }> }>}
+ */
+async function planService(servicePath, service) {
+  const writer = new SandboxedWriter(servicePath, config.get('sandbox') || {});
+  const { files, rejected } = await writer.plan([
+    ...service.code.files,
+    { filename: 'README.md', content: renderReadme(service) }
+  ]);
+
+  for (const file of files) {
+    file.existing = await readExisting(file.absolute);
+    if (file.existing === null) {
+      file.status = 'new';
+    } else {
+      file.status = file.existing === file.content ? 'unchanged' : 'modified';
+    }
+  }
+
+  return { writer, files, rejected };
+}
+
+/**
+ * Write generated code and a README into a service directory
+ * Files go through a SandboxedWriter (limits and deny-list from the sandbox config section),
+ * so unsafe paths are rejected one by one instead of being written.
+ * @param {string} servicePath
+ * @param {{ title: string, description: string, code: { files: object[], instructions: string, dependencies: string[] } }} service
+ * @returns {Promise<{ files: Array<{ path: string, sha256: string, size: number }>, rejected: Array<{ path: string, reason: string }> }>}
+ */
+async function writeService(servicePath, service) {
+  const { writer, files, rejected } = await planService(servicePath, service);
+  return { files: await writer.commit(files), rejected };
+}
+
+/**
+ * Write tool-generated files (Dockerfiles, compose files) into a directory
+ * A file already on disk is only replaced when it starts with `marker`, i.e. when an earlier run
+ * wrote it, or with `force`; hand-written files are reported as kept.
+ * @param {string} directory
+ * @param {Array<{ filename: string, content: string }>} files
+ * @param {{ marker: string, force?: boolean, dryRun?: boolean }} options
+ * @returns {Promise<{ files: Array<{ path: string, absolute: string, status: 'created' | 'updated' | 'unchanged' | 'kept' }>,
+ *   rejected: Array<{ path: string, reason: string }> }>}
+ */
+async function writeGeneratedFiles(directory, files, { marker, force = false, dryRun = false }) {
+  const writer = new SandboxedWriter(directory, config.get('sandbox') || {});
+  const plan = await writer.plan(files);
+
+  const results = [];
+  for (const file of plan.files) {
+    const existing = await readExisting(file.absolute);
+    if (existing === null) {
+      file.status = 'created';
+    } else if (existing === file.content) {
+      file.status = 'unchanged';
+    } else {
+      file.status = force || existing.startsWith(marker) ? 'updated' : 'kept';
+    }
+    results.push(file);
+  }
+
+  if (!dryRun) {
+    await writer.commit(results.filter(file => file.status === 'created' || file.status === 'updated'));
+  }
+  return {
+    files: results.map(({ path: filePath, absolute, status }) => ({ path: filePath, absolute, status })),
+    rejected: plan.rejected
+  };
+}
+
+/**
+ * Find every service to package: the manifest's entries plus directories under the services root
+ * the manifest doesn't know about. Files are read with readServiceFiles; a recorded service whose
+ * directory is gone has files set to null.
+ * @param {Manifest} manifest
+ * @returns {Promise<Array<{ name: string, path: string, language?: string, port?: number, endpoints: string[],
+ *   dependsOn: string[], consumes: object[], files: object[] | null }>>}
+ */
+async function collectServices(manifest) {
+  const recorded = manifest.listServices().map(service => ({
+    name: service.name,
+    path: service.path,
+    language: service.language,
+    port: service.port,
+    endpoints: service.endpoints || [],
+    dependsOn: service.dependsOn || [],
+    consumes: service.consumes || []
+  }));
+  const recordedPaths = new Set(recorded.map(service => path.resolve(service.path)));
+
+  let entries = [];
+  try {
+    entries = await fs.readdir(servicesRoot(), { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  const unrecorded = entries
+    .filter(entry => entry.isDirectory() && !manifest.getService(entry.name))
+    .map(entry => ({ name: entry.name, path: path.join(servicesRoot(), entry.name), endpoints: [], dependsOn: [], consumes: [] }))
+    .filter(service => !recordedPaths.has(path.resolve(service.path)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const services = [];
+  for (const service of [...recorded, ...unrecorded]) {
+    services.push({ ...service, files: await pathExists(service.path) ? await readServiceFiles(service.path) : null });
+  }
+  return services;
+}
+
+/**
+ * Read the source files of a service
+ * Skips symlinks, dependency and build directories, deny-listed paths, binary files and
+ * files over the sandbox size limit.
+ * @param {string} servicePath
+ * @returns {Promise<Array<{ path: string, content: string }>>} Files sorted by path
+ */
+async function readServiceFiles(servicePath) {
+  const sandbox = config.get('sandbox') || {};
+  const deny = [...DEFAULT_DENY, ...(sandbox.deny || [])];
+  const maxFileSize = sandbox.maxFileSize ?? DEFAULT_LIMITS.maxFileSize;
+  const files = [];
+
+  const walk = async relative => {
+    const entries = await fs.readdir(path.join(servicePath, relative), { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name) && !matchDenyList(`${entryPath}/`, deny)) {
+          await walk(entryPath);
+        }
+      } else if (entry.isFile() && !matchDenyList(entryPath, deny)) {
+        const absolute = path.join(servicePath, entryPath);
+        if ((await fs.stat(absolute)).size > maxFileSize) {
+          continue;
+        }
+        const content = await fs.readFile(absolute, 'utf8');
+        if (!content.includes('\0')) {
+          files.push({ path: entryPath, content });
+        }
+      }
+    }
+  };
+  await walk('');
+
+  return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Make a service directory match a new set of files
+ * Only files whose content changed are rewritten; files missing from the target are deleted.
+ * Nothing is written when the sandbox rejects any of the files.
+ * @param {string} servicePath
+ * @param {Array<{ path: string, content: string }>} current - Files as they are on disk
+ * @param {Array<{ path: string, content: string }>} target - Files as they should be
+ * @returns {Promise<Array<{ path: string, sha256: string, size: number }>>} The target files, for the manifest
+ * @throws {PatchError} When the sandbox rejects a file
+ */
+async function syncService(servicePath, current, target) {
+  const before = new Map(current.map(file => [file.path, file.content]));
+  const after = new Set(target.map(file => file.path));
+  const writer = new SandboxedWriter(servicePath, config.get('sandbox') || {});
+
+  const plan = await writer.plan(target
+    .filter(file => before.get(file.path) !== file.content)
+    .map(file => ({ filename: file.path, content: file.content })));
+  if (plan.rejected.length > 0) {
+    throw new PatchError(plan.rejected.map(({ path: file, reason }) => ({ path: file, message: reason })));
+  }
+
+  await writer.commit(plan.files);
+  await writer.remove(current.filter(file => !after.has(file.path)).map(file => file.path));
+
+  return target.map(file => ({
+    path: file.path,
+    sha256: hashContent(file.content),
+    size: Buffer.byteLength(file.content)
+  }));
+}
+
+/**
+ * Build and test generated code, sending failures back to the LLM for repair
+ * Rounds and the per-command timeout come from verify.rounds and verify.timeout unless given.
+ * @param {string} language
+ * @param {string} name - Service name, used in repair prompts
+ * @param {{ files: Array<{ filename: string, content: string }> }} code - Output of generateCode
+ * @param {{ rounds?: number, log?: Function }} [options]
+ * @returns {Promise<{ code: object, report: object, rounds: number }>} The (possibly repaired) code and the final report
+ */
+async function verifyGenerated(language, name, code, { rounds, log } = {}) {
+  const verifier = new Verifier({ timeout: config.get('verify.timeout'), log });
+  const result = await verifyWithRepair(verifier, {
+    language,
+    files: code.files.map(file => ({ path: file.filename, content: file.content })),
+    rounds: rounds ?? config.get('verify.rounds') ?? DEFAULT_REPAIR_ROUNDS,
+    repair: (files, failures) => llm.repairService(language, name, files, failures),
+    log
+  });
+
+  return {
+    code: { ...code, files: result.files.map(file => ({ filename: file.path, content: file.content })) },
+    report: result.report,
+    rounds: result.rounds
+  };
+}
+
+// Verification summary stored in the manifest; command output is left out
+function verificationRecord({ report, rounds }) {
+  return {
+    status: report.status,
+    repairRounds: rounds,
+    stages: report.stages.map(({ name, status, reason, command }) => ({ name, status, reason, command }))
+  };
+}
+
+/**
+ * Build the manifest entry for a freshly generated service
+ * Records the model and the version and hash of each prompt used so a generation can be traced and reproduced.
+ */
+function serviceRecord({ description, language, score, path: servicePath, files, ...details }) {
+  return {
+    description,
+    language,
+    score: typeof score === 'number' ? score : null,
+    path: servicePath,
+    model: { provider: llm.provider, name: llm.model },
+    prompts: {
+      requirements: llm.promptRecord('requirements'),
+      code: llm.promptRecord('code'),
+      ...(details.contract ? { contract: llm.promptRecord('contract') } : {})
+    },
+    files,
+    generatedAt: new Date().toISOString(),
+    ...details
+  };
+}
+
+module.exports = {
+  servicesRoot,
+  isInsideServicesRoot,
+  toServiceName,
+  applySelectionConstraints,
+  selectLanguage,
+  serviceGraph,
+  contractsFor,
+  consumersOf,
+  loadContract,
+  hashContent,
+  serviceExists,
+  loadTemplates,
+  assignPort,
+  scaffoldService,
+  generateService,
+  planService,
+  writeService,
+  readServiceFiles,
+  writeGeneratedFiles,
+  collectServices,
+  syncService,
+  verifyGenerated,
+  verificationRecord,
+  serviceRecord
+};
@@ -0,0 +1,255 @@
+/**
+ * Sandboxed file writer for PolyFunc
+ * Generated file names come straight from the LLM, so every path is confined to the
+ * service directory and checked against limits and a deny-list before anything is written.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_LIMITS = {
+  maxFiles: 200,
+  maxFileSize: 1024 * 1024,
+  maxTotalSize: 10 * 1024 * 1024
+};
+
+// A trailing slash denies a directory anywhere in the path; patterns without a slash match the file name
+const DEFAULT_DENY = [
+  '.git/',
+  '.hg/',
+  '.svn/',
+  '.ssh/',
+  '.env',
+  '.env.local',
+  '.env.*.local',
+  '.npmrc',
+  '.pypirc',
+  '*.pem',
+  '*.key'
+];
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*');
+  return new RegExp(`^${source}$`);
+}
+
+// Return the deny-list pattern a relative path matches, or null
+function matchDenyList(relative, patterns) {
+  const segments = relative.split('/');
+  for (const pattern of patterns) {
+    if (pattern.endsWith('/')) {
+      const matcher = globToRegExp(pattern.slice(0, -1));
+      if (segments.some(segment => matcher.test(segment))) {
+        return pattern;
+      }
+    } else if (pattern.includes('/')) {
+      if (globToRegExp(pattern).test(relative)) {
+        return pattern;
+      }
+    } else if (globToRegExp(pattern).test(segments[segments.length - 1])) {
+      return pattern;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalise a generated file name into a path relative to the service root
+ * @param {string} filename
+ * @returns {{ relative?: string, reason?: string }}
+ */
+function normalizeFilename(filename) {
+  if (typeof filename !== 'string' || filename.trim() === '') {
+    return { reason: 'empty file name' };
+  }
+  if (filename.includes('\0')) {
+    return { reason: 'file name contains a NUL byte' };
+  }
+  const slashed = filename.replace(/\\/g, '/');
+  if (path.isAbsolute(filename) || slashed.startsWith('/') || /^[a-zA-Z]:/.test(slashed)) {
+    return { reason: 'absolute paths are not allowed' };
+  }
+  const relative = path.posix.normalize(slashed).replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+  if (relative === '..' || relative.startsWith('../')) {
+    return { reason: 'path escapes the service directory' };
+  }
+  if (relative === '' || relative === '.') {
+    return { reason: 'path points at the service directory itself' };
+  }
+  return { relative };
+}
+
+// Return the first existing symlink between root and target (inclusive), or null
+async function findSymlink(root, relative) {
+  const candidates = [root];
+  relative.split('/').reduce((current, segment) => {
+    const next = path.join(current, segment);
+    candidates.push(next);
+    return next;
+  }, root);
+
+  for (const candidate of candidates) {
+    try {
+      if ((await fs.lstat(candidate)).isSymbolicLink()) {
+        return candidate;
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  return null;
+}
+
+class SandboxedWriter {
+  /**
+   * @param {string} root - Service directory every file must stay inside
+   * @param {{ maxFiles?: number, maxFileSize?: number, maxTotalSize?: number, deny?: string[] }} [options]
+   *   deny patterns are added to the default deny-list
+   */
+  constructor(root, options = {}) {
+    this.root = path.resolve(root);
+    this.limits = {
+      maxFiles: options.maxFiles ?? DEFAULT_LIMITS.maxFiles,
+      maxFileSize: options.maxFileSize ?? DEFAULT_LIMITS.maxFileSize,
+      maxTotalSize: options.maxTotalSize ?? DEFAULT_LIMITS.maxTotalSize
+    };
+    this.deny = [...DEFAULT_DENY, ...(options.deny || [])];
+  }
+
+  // Checks that don't touch the filesystem; returns the normalised path or a rejection reason
+  check(file, seen, totals) {
+    const { relative, reason } = normalizeFilename(file.filename);
+    if (reason) {
+      return { reason };
+    }
+    const absolute = path.resolve(this.root, relative);
+    if (!absolute.startsWith(this.root + path.sep)) {
+      return { relative, reason: 'path escapes the service directory' };
+    }
+    const denied = matchDenyList(relative, this.deny);
+    if (denied) {
+      return { relative, reason: `matches deny-list entry "${denied}"` };
+    }
+    if (seen.has(relative)) {
+      return { relative, reason: 'duplicate file name' };
+    }
+    const size = Buffer.byteLength(String(file.content ?? ''));
+    if (size > this.limits.maxFileSize) {
+      return { relative, reason: `file is ${size} bytes, limit is ${this.limits.maxFileSize}` };
+    }
+    if (totals.files >= this.limits.maxFiles) {
+      return { relative, reason: `file count limit of ${this.limits.maxFiles} reached` };
+    }
+    if (totals.bytes + size > this.limits.maxTotalSize) {
+      return { relative, reason: `total size limit of ${this.limits.maxTotalSize} bytes reached` };
+    }
+    return { relative, absolute, size };
+  }
+
+  /**
+   * Run every check without writing anything
+   * @param {Array<{ filename: string, content: string }>} files
+   * @returns {Promise<{ files: Array<{ path: string, absolute: string, content: string, size: number, sha256: string }>, rejected: Array<{ path: string, reason: string }> }>}
+   */
+  async plan(files) {
+    const planned = [];
+    const rejected = [];
+    const seen = new Set();
+    const totals = { files: 0, bytes: 0 };
+
+    const rootStat = await fs.lstat(this.root).catch(() => null);
+    if (rootStat && rootStat.isSymbolicLink()) {
+      throw new Error(`Refusing to write into ${this.root}: it is a symbolic link`);
+    }
+
+    for (const file of files) {
+      const { relative, absolute, size, reason } = this.check(file, seen, totals);
+      if (reason) {
+        rejected.push({ path: relative || String(file.filename), reason });
+        continue;
+      }
+
+      const link = await findSymlink(this.root, relative);
+      if (link) {
+        rejected.push({ path: relative, reason: `${path.relative(this.root, link)} is a symbolic link` });
+        continue;
+      }
+
+      const content = String(file.content ?? '');
+      seen.add(relative);
+      totals.files += 1;
+      totals.bytes += size;
+      planned.push({ path: relative, absolute, content, size, sha256: hashContent(content) });
+    }
+
+    return { files: planned, rejected };
+  }
+
+  /**
+   * Write files returned by plan()
+   * @returns {Promise<Array<{ path: string, sha256: string, size: number }>>} The files that were written
+   */
+  async commit(planned) {
+    await fs.mkdir(this.root, { recursive: true });
+
+    for (const file of planned) {
+      await fs.mkdir(path.dirname(file.absolute), { recursive: true });
+      await fs.writeFile(file.absolute, file.content, 'utf8');
+    }
+
+    return planned.map(({ path: relative, sha256, size }) => ({ path: relative, sha256, size }));
+  }
+
+  /**
+   * Delete files inside the sandbox
+   * @param {string[]} paths - Paths relative to the service root
+   * @returns {Promise<{ removed: string[], rejected: Array<{ path: string, reason: string }> }>}
+   */
+  async remove(paths) {
+    const removed = [];
+    const rejected = [];
+
+    for (const filename of paths) {
+      const { relative, reason } = normalizeFilename(filename);
+      const link = reason ? null : await findSymlink(this.root, path.dirname(relative));
+      if (reason || link) {
+        rejected.push({ path: relative || String(filename), reason: reason || `${path.relative(this.root, link)} is a symbolic link` });
+        continue;
+      }
+      await fs.rm(path.join(this.root, relative), { force: true });
+      removed.push(relative);
+    }
+
+    return { removed, rejected };
+  }
+
+  /**
+   * Write files into the sandbox, skipping any that break the rules
+   * @param {Array<{ filename: string, content: string }>} files
+   * @returns {Promise<{ written: Array<{ path: string, sha256: string, size: number }>, rejected: Array<{ path: string, reason: string }> }>}
+   */
+  async write(files) {
+    const { files: planned, rejected } = await this.plan(files);
+    return { written: await this.commit(planned), rejected };
+  }
+}
+
+module.exports = {
+  SandboxedWriter,
+  normalizeFilename,
+  matchDenyList,
+  hashContent,
+  DEFAULT_LIMITS,
+  DEFAULT_DENY
+};
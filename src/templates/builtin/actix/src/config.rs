@@ -0,0 +1,22 @@
+//! Configuration for {{serviceName}}, read from the environment
+
+use std::env;
+
+#[derive(Clone, Debug)]
+pub struct Config {
+    pub service_name: String,
+    pub port: u16,
+}
+
+impl Config {
+    pub fn from_env() -> Self {
+        let port = env::var("PORT")
+            .ok()
+            .and_then(|value| value.parse().ok())
+            .unwrap_or({{port}});
+        Config {
+            service_name: "{{serviceName}}".to_string(),
+            port,
+        }
+    }
+}
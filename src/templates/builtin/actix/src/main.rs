@@ -0,0 +1,33 @@
+//! {{serviceName}}
+{{#if endpoints}}//!
+//! Endpoints:
+{{#each endpoints}}//!   {{method}} {{path}}
+{{/each}}{{/if}}
+mod config;
+mod routes;
+
+use actix_web::{middleware::Logger, web, App, HttpResponse, HttpServer};
+use config::Config;
+
+async fn health(cfg: web::Data<Config>) -> HttpResponse {
+    HttpResponse::Ok().json(serde_json::json!({ "status": "ok", "service": cfg.service_name }))
+}
+
+#[actix_web::main]
+async fn main() -> std::io::Result<()> {
+    env_logger::Builder::from_env(env_logger::Env::new().filter_or("LOG_LEVEL", "info")).init();
+    let cfg = Config::from_env();
+    let port = cfg.port;
+    log::info!("listening on port {}", port);
+
+    HttpServer::new(move || {
+        App::new()
+            .app_data(web::Data::new(cfg.clone()))
+            .wrap(Logger::new("%r %s %Dms"))
+            .route("/health", web::get().to(health))
+            .configure(routes::configure)
+    })
+    .bind(("0.0.0.0", port))?
+    .run()
+    .await
+}
@@ -0,0 +1,9 @@
+/**
+ * Configuration for {{serviceName}}, read from the environment
+ */
+
+module.exports = {
+  serviceName: '{{serviceName}}',
+  port: Number(process.env.PORT) || {{port}},
+  logLevel: process.env.LOG_LEVEL || 'info',
+};
@@ -0,0 +1,46 @@
+/**
+ * {{serviceName}}
+{{#if endpoints}} *
+ * Endpoints:
+{{#each endpoints}} *   {{method}} {{path}}
+{{/each}}{{/if}} */
+
+const express = require('express');
+const config = require('./config');
+const logger = require('./logger');
+const routes = require('./routes');
+
+const app = express();
+app.use(express.json());
+
+// Log every request once it has been answered
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    logger.info('request', { method: req.method, path: req.originalUrl, status: res.statusCode, durationMs });
+  });
+  next();
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', service: config.serviceName });
+});
+
+const router = express.Router();
+routes.register(router, { config, logger });
+app.use(router);
+
+// Errors thrown by route handlers end up here
+app.use((error, req, res, next) => {
+  logger.error('unhandled error', { error: error.message, path: req.originalUrl });
+  res.status(error.status || 500).json({ error: error.expose ? error.message : 'Internal Server Error' });
+});
+
+const server = app.listen(config.port, () => {
+  logger.info('listening', { port: config.port });
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+
+module.exports = app;
@@ -0,0 +1,18 @@
+/**
+ * Structured JSON logger
+ */
+
+const config = require('./config');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const threshold = Math.max(0, LEVELS.indexOf(config.logLevel));
+
+function log(level, message, fields = {}) {
+  if (LEVELS.indexOf(level) < threshold) {
+    return;
+  }
+  const line = JSON.stringify({ time: new Date().toISOString(), level, service: config.serviceName, message, ...fields });
+  (level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+}
+
+module.exports = Object.fromEntries(LEVELS.map(level => [level, (message, fields) => log(level, message, fields)]));
@@ -0,0 +1,64 @@
+"""{{serviceName}}
+{{#if endpoints}}
+Endpoints:
+{{#each endpoints}}    {{method}} {{path}}
+{{/each}}{{/if}}"""
+
+import json
+import logging
+import sys
+import time
+
+from flask import Flask, g, jsonify, request
+
+import config
+import routes
+
+
+class JsonFormatter(logging.Formatter):
+    def format(self, record):
+        entry = {
+            "time": self.formatTime(record),
+            "level": record.levelname.lower(),
+            "service": config.SERVICE_NAME,
+            "message": record.getMessage(),
+        }
+        entry.update(getattr(record, "fields", {}))
+        return json.dumps(entry)
+
+
+handler = logging.StreamHandler(sys.stdout)
+handler.setFormatter(JsonFormatter())
+logger = logging.getLogger(config.SERVICE_NAME)
+logger.addHandler(handler)
+logger.setLevel(config.LOG_LEVEL)
+
+app = Flask(__name__)
+
+
+@app.before_request
+def start_timer():
+    g.started = time.perf_counter()
+
+
+@app.after_request
+def log_request(response):
+    duration_ms = (time.perf_counter() - g.get("started", time.perf_counter())) * 1000
+    logger.info("request", extra={"fields": {
+        "method": request.method,
+        "path": request.path,
+        "status": response.status_code,
+        "durationMs": round(duration_ms, 2),
+    }})
+    return response
+
+
+@app.get("/health")
+def health():
+    return jsonify(status="ok", service=config.SERVICE_NAME)
+
+
+routes.register(app, config, logger)
+
+if __name__ == "__main__":
+    app.run(host="0.0.0.0", port=config.PORT)
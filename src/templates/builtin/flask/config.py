@@ -0,0 +1,7 @@
+"""Configuration for {{serviceName}}, read from the environment."""
+
+import os
+
+SERVICE_NAME = "{{serviceName}}"
+PORT = int(os.environ.get("PORT", "{{port}}"))
+LOG_LEVEL = os.environ.get("LOG_LEVEL", "INFO").upper()
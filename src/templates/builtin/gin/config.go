@@ -0,0 +1,25 @@
+package main
+
+import (
+	"os"
+	"strconv"
+)
+
+// Config for {{serviceName}}, read from the environment
+type Config struct {
+	ServiceName string
+	Port        int
+	LogLevel    string
+}
+
+func loadConfig() Config {
+	port, err := strconv.Atoi(os.Getenv("PORT"))
+	if err != nil || port == 0 {
+		port = {{port}}
+	}
+	level := os.Getenv("LOG_LEVEL")
+	if level == "" {
+		level = "info"
+	}
+	return Config{ServiceName: "{{serviceName}}", Port: port, LogLevel: level}
+}
@@ -0,0 +1,5 @@
+module {{serviceName}}
+
+go 1.21
+
+require github.com/gin-gonic/gin v1.10.0
@@ -0,0 +1,50 @@
+// {{serviceName}}
+{{#if endpoints}}//
+// Endpoints:
+{{#each endpoints}}//   - {{method}} {{path}}
+{{/each}}{{/if}}package main
+
+import (
+	"fmt"
+	"log/slog"
+	"net/http"
+	"os"
+	"time"
+
+	"github.com/gin-gonic/gin"
+)
+
+func main() {
+	cfg := loadConfig()
+
+	var level slog.Level
+	if err := level.UnmarshalText([]byte(cfg.LogLevel)); err != nil {
+		level = slog.LevelInfo
+	}
+	logger := slog.New(slog.NewJSONHandler(os.Stdout, &slog.HandlerOptions{Level: level})).With("service", cfg.ServiceName)
+
+	gin.SetMode(gin.ReleaseMode)
+	r := gin.New()
+	r.Use(gin.Recovery())
+	r.Use(func(c *gin.Context) {
+		started := time.Now()
+		c.Next()
+		logger.Info("request",
+			"method", c.Request.Method,
+			"path", c.Request.URL.Path,
+			"status", c.Writer.Status(),
+			"durationMs", float64(time.Since(started).Microseconds())/1000)
+	})
+
+	r.GET("/health", func(c *gin.Context) {
+		c.JSON(http.StatusOK, gin.H{"status": "ok", "service": cfg.ServiceName})
+	})
+
+	registerRoutes(r, cfg, logger)
+
+	logger.Info("listening", "port", cfg.Port)
+	if err := r.Run(fmt.Sprintf(":%d", cfg.Port)); err != nil {
+		logger.Error("server stopped", "error", err)
+		os.Exit(1)
+	}
+}
@@ -0,0 +1,98 @@
+/**
+ * Placeholder engine for service templates
+ * Supports {{ name }} and dotted paths, {{#each list}}...{{/each}}, {{#if value}}...{{/if}} and
+ * {{#unless value}}...{{/unless}}.
+ * Inside an each block the item's fields are in scope and {{this}} is the item itself.
+ */
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const TOKEN = /\{\{\s*(?:#(each|if|unless)\s+([\w.]+)|([\w.]+))\s*\}\}/;
+
+// Look a dotted name up through the scope chain, innermost first
+function lookup(scopes, name) {
+  for (const scope of scopes) {
+    if (name === 'this') {
+      return scope;
+    }
+    const value = name.split('.').reduce(
+      (current, key) => (current !== null && current !== undefined && typeof current === 'object' ? current[key] : undefined),
+      scope
+    );
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+// Find the {{/kind}} that closes a block, skipping nested blocks of the same kind
+function findClose(text, kind) {
+  const tags = new RegExp(`\\{\\{\\s*(#${kind}\\s+[\\w.]+|\\/${kind})\\s*\\}\\}`, 'g');
+  let depth = 1;
+  let match = tags.exec(text);
+  while (match) {
+    depth += match[1].startsWith('#') ? 1 : -1;
+    if (depth === 0) {
+      return { index: match.index, length: match[0].length };
+    }
+    match = tags.exec(text);
+  }
+  throw new TemplateError(`Missing {{/${kind}}}`);
+}
+
+function renderWithScopes(text, scopes) {
+  let output = '';
+  let rest = text;
+  let match = TOKEN.exec(rest);
+
+  while (match) {
+    const [whole, kind, blockName, name] = match;
+    output += rest.slice(0, match.index);
+    rest = rest.slice(match.index + whole.length);
+
+    if (kind) {
+      const close = findClose(rest, kind);
+      const body = rest.slice(0, close.index);
+      const value = lookup(scopes, blockName);
+      rest = rest.slice(close.index + close.length);
+      if (kind === 'each') {
+        output += (Array.isArray(value) ? value : [])
+          .map(item => renderWithScopes(body, [item, ...scopes]))
+          .join('');
+      } else if ((Array.isArray(value) ? value.length > 0 : Boolean(value)) === (kind === 'if')) {
+        output += renderWithScopes(body, scopes);
+      }
+    } else {
+      const value = lookup(scopes, name);
+      if (value === undefined || value === null || typeof value === 'object') {
+        throw new TemplateError(`Unknown placeholder {{${name}}}`);
+      }
+      output += String(value);
+    }
+    match = TOKEN.exec(rest);
+  }
+
+  return output + rest;
+}
+
+/**
+ * Fill the placeholders in a template string
+ * @param {string} text
+ * @param {object} context
+ * @returns {string}
+ * @throws {TemplateError} When a placeholder has no value
+ */
+function render(text, context) {
+  return renderWithScopes(text, [context]);
+}
+
+module.exports = {
+  render,
+  TemplateError
+};
@@ -0,0 +1,307 @@
+/**
+ * Service template registry for PolyFunc
+ * A template is a directory holding a template.json descriptor and the skeleton files of a service.
+ * Built-in templates live next to this file; user templates in paths.templates override them by name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate, formatErrors } = require('../core/schema');
+const { render, TemplateError } = require('./engine');
+
+const BUILTIN_DIR = path.join(__dirname, 'builtin');
+const DESCRIPTOR = 'template.json';
+// Port used when neither the service nor its template picks one
+const DEFAULT_PORT = 8080;
+
+const descriptorSchema = {
+  type: 'object',
+  required: ['name', 'language', 'logic'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    language: { type: 'string', minLength: 1 },
+    library: { type: 'string' },
+    description: { type: 'string' },
+    defaults: {
+      type: 'object',
+      properties: {
+        port: { type: 'number', minimum: 1, maximum: 65535 }
+      }
+    },
+    logic: { type: 'object', additionalProperties: { type: 'string' } },
+    instructions: { type: 'string' },
+    dependencies: { type: 'array', items: { type: 'string' } },
+    manifest: {
+      type: 'object',
+      required: ['file', 'format'],
+      properties: {
+        file: { type: 'string', minLength: 1 },
+        format: { type: 'string', enum: ['npm', 'pip', 'go', 'cargo'] }
+      }
+    }
+  }
+};
+
+// Split a dependency such as "pg", "pg@^8" or "@scope/pkg@1" into its name and version
+function parseDependency(dependency) {
+  const at = dependency.lastIndexOf('@');
+  if (at > 0) {
+    return { name: dependency.slice(0, at).trim(), version: dependency.slice(at + 1).trim() };
+  }
+  return { name: dependency.trim().split(/[\s=<>!~;[]/)[0], version: '' };
+}
+
+// Add lines to the end of a text file, keeping a single trailing newline
+function appendLines(content, lines) {
+  return lines.length > 0 ? `${content.replace(/\n*$/, '\n')}${lines.join('\n')}\n` : content;
+}
+
+// Add dependencies to each kind of package manifest; dependencies the manifest already declares are left alone
+const MANIFEST_FORMATS = {
+  npm(content, dependencies) {
+    const manifest = JSON.parse(content);
+    manifest.dependencies = { ...manifest.dependencies };
+    dependencies.forEach(({ name, version }) => {
+      manifest.dependencies[name] = manifest.dependencies[name] || version || '*';
+    });
+    return JSON.stringify(manifest, null, 2) + '\n';
+  },
+  pip(content, dependencies) {
+    const declared = content.split('\n').map(line => parseDependency(line).name.toLowerCase());
+    return appendLines(content, dependencies
+      .filter(({ name }) => !declared.includes(name.toLowerCase()))
+      .map(({ name, version, raw }) => (version ? `${name}==${version}` : raw)));
+  },
+  // Versions left out are resolved by the `go mod tidy` the templates run first
+  go(content, dependencies) {
+    const declared = content.split('\n')
+      .map(line => /^\s*(?:require\s+)?(\S+)\s+v\d/.exec(line))
+      .filter(Boolean)
+      .map(match => match[1]);
+    return appendLines(content, dependencies
+      .filter(({ name }) => !declared.includes(name))
+      .map(({ name, version }) => `require ${name} ${version || 'latest'}`));
+  },
+  cargo(content, dependencies) {
+    const lines = content.replace(/\n*$/, '').split('\n');
+    let start = lines.findIndex(line => line.trim() === '[dependencies]');
+    if (start < 0) {
+      lines.push('', '[dependencies]');
+      start = lines.length - 1;
+    }
+    let end = lines.findIndex((line, index) => index > start && /^\s*\[/.test(line));
+    end = end < 0 ? lines.length : end;
+    while (end > start + 1 && lines[end - 1].trim() === '') {
+      end--;
+    }
+    const declared = lines.slice(start + 1, end).map(line => line.split('=')[0].trim());
+    lines.splice(end, 0, ...dependencies
+      .filter(({ name }) => !declared.includes(name))
+      .map(({ name, version }) => `${name} = "${version || '*'}"`));
+    return lines.join('\n') + '\n';
+  }
+};
+
+// Every file below a template directory except the descriptor, as posix relative paths
+function listFiles(directory, relative = '') {
+  return fs.readdirSync(path.join(directory, relative), { withFileTypes: true })
+    .flatMap(entry => {
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        return listFiles(directory, entryPath);
+      }
+      return entry.isFile() && entryPath !== DESCRIPTOR ? [entryPath] : [];
+    })
+    .sort();
+}
+
+/**
+ * Read one template directory
+ * @param {string} directory
+ * @param {string} source - builtin or user, shown in listings
+ */
+function loadTemplate(directory, source) {
+  const descriptorPath = path.join(directory, DESCRIPTOR);
+  let descriptor;
+  try {
+    descriptor = JSON.parse(fs.readFileSync(descriptorPath, 'utf8'));
+  } catch (error) {
+    throw new TemplateError(`Failed to read ${descriptorPath}: ${error.message}`);
+  }
+  const errors = validate(descriptorSchema, descriptor);
+  if (errors.length > 0) {
+    throw new TemplateError(`Invalid template ${descriptorPath}:\n${formatErrors(errors)}`);
+  }
+
+  return {
+    ...descriptor,
+    defaults: descriptor.defaults || {},
+    dependencies: descriptor.dependencies || [],
+    directory,
+    source,
+    files: listFiles(directory).map(file => ({
+      path: file,
+      content: fs.readFileSync(path.join(directory, file), 'utf8')
+    }))
+  };
+}
+
+// Turn decomposition endpoints such as "POST /orders" into { method, path }
+function parseEndpoint(endpoint) {
+  const match = /^\s*([A-Za-z]+)\s+(\S+)/.exec(endpoint);
+  if (match) {
+    return { method: match[1].toUpperCase(), path: match[2] };
+  }
+  return { method: 'GET', path: endpoint.trim() };
+}
+
+class TemplateRegistry {
+  constructor() {
+    this.templates = {};
+  }
+
+  // Load every template directory below a root; a missing root is not an error
+  loadDirectory(root, source) {
+    if (!root || !fs.existsSync(root)) {
+      return [];
+    }
+    const loaded = fs.readdirSync(root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(root, entry.name, DESCRIPTOR)))
+      .map(entry => loadTemplate(path.join(root, entry.name), source));
+    loaded.forEach(template => {
+      this.templates[template.name] = template;
+    });
+    return loaded;
+  }
+
+  // Built-in templates first so user templates with the same name replace them
+  load(userDirectory) {
+    this.templates = {};
+    this.loadDirectory(BUILTIN_DIR, 'builtin');
+    this.loadDirectory(userDirectory, 'user');
+    return this;
+  }
+
+  list() {
+    return Object.values(this.templates);
+  }
+
+  get(name) {
+    return this.templates[name] || null;
+  }
+
+  /**
+   * Pick a template for a language
+   * Only templates built on one of the profile's libraries are considered; user templates win,
+   * then the library with the highest maturity.
+   * @param {string} language
+   * @param {object} [profile] - LanguageProfile of the language
+   */
+  select(language, profile) {
+    const libraries = (profile && profile.libraries) || {};
+    const maturity = template => (libraries[template.library] ? libraries[template.library].maturity || 0 : -1);
+    const candidates = this.list()
+      .filter(template => template.language === language)
+      .filter(template => !template.library || maturity(template) >= 0)
+      .sort((a, b) => (b.source === 'user') - (a.source === 'user') || maturity(b) - maturity(a) || a.name.localeCompare(b.name));
+    return candidates[0] || null;
+  }
+}
+
+/**
+ * Fill in a template for one service
+ * @param {object} template
+ * @param {{ serviceName: string, description?: string, port?: number, endpoints?: string[] }} values
+ * @returns {{ template: string, port: number, files: Array<{ filename: string, content: string }>, logic: object, instructions: string, dependencies: string[] }}
+ */
+function renderTemplate(template, { serviceName, description = '', port, endpoints = [] }) {
+  const context = {
+    serviceName,
+    description,
+    port: port || template.defaults.port || DEFAULT_PORT,
+    endpoints: endpoints.map(parseEndpoint)
+  };
+  const fill = (text, where) => {
+    try {
+      return render(text, context);
+    } catch (error) {
+      throw new TemplateError(`${error.message} in ${template.name}/${where}`);
+    }
+  };
+
+  return {
+    template: template.name,
+    port: context.port,
+    files: template.files.map(file => ({
+      filename: fill(file.path, file.path),
+      content: fill(file.content, file.path)
+    })),
+    logic: Object.fromEntries(Object.entries(template.logic).map(([file, contract]) => [fill(file, file), fill(contract, file)])),
+    instructions: fill(template.instructions || '', DESCRIPTOR),
+    dependencies: template.dependencies,
+    manifest: template.manifest || null
+  };
+}
+
+/**
+ * Declare dependencies in the package manifest of a rendered template
+ * @param {{ files: Array<{ filename: string, content: string }>, manifest?: { file: string, format: string } }} rendered
+ * @param {string[]} dependencies - Names, optionally with @version
+ * @returns {Array<{ filename: string, content: string }>} The files, with the manifest updated
+ * @throws {TemplateError} When the manifest can't be read
+ */
+function addDependencies(rendered, dependencies) {
+  const { manifest } = rendered;
+  if (!manifest || dependencies.length === 0) {
+    return rendered.files;
+  }
+  const parsed = dependencies.map(dependency => ({ ...parseDependency(dependency), raw: dependency.trim() }));
+
+  return rendered.files.map(file => {
+    if (file.filename !== manifest.file) {
+      return file;
+    }
+    try {
+      return { ...file, content: MANIFEST_FORMATS[manifest.format](file.content, parsed) };
+    } catch (error) {
+      throw new TemplateError(`Failed to add dependencies to ${manifest.file}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Combine a rendered template with the LLM's output
+ * Skeleton files always come from the template and the LLM may only write the logic files;
+ * anything else it returns is dropped and reported. Dependencies the LLM declares are added
+ * to the template's package manifest so the logic files can import them.
+ * @returns {{ code: { files: object[], instructions: string, dependencies: string[] }, ignored: string[] }}
+ */
+function mergeGenerated(rendered, code) {
+  const logicFiles = Object.keys(rendered.logic);
+  const accepted = code.files.filter(file => logicFiles.includes(file.filename.replace(/^\.\//, '')));
+  const ignored = code.files.filter(file => !accepted.includes(file)).map(file => file.filename);
+
+  return {
+    code: {
+      files: [
+        ...addDependencies(rendered, code.dependencies || []),
+        ...accepted.map(file => ({ ...file, filename: file.filename.replace(/^\.\//, '') }))
+      ],
+      instructions: [rendered.instructions, code.instructions].filter(Boolean).join('\n\n'),
+      dependencies: [...new Set([...rendered.dependencies, ...(code.dependencies || [])])]
+    },
+    ignored
+  };
+}
+
+module.exports = {
+  TemplateRegistry,
+  loadTemplate,
+  renderTemplate,
+  mergeGenerated,
+  addDependencies,
+  parseDependency,
+  parseEndpoint,
+  BUILTIN_DIR,
+  DEFAULT_PORT
+};
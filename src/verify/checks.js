@@ -0,0 +1,95 @@
+/**
+ * Verification checks for generated services
+ * Each language has a build (syntax/compile) stage and a test stage. A stage lists the commands
+ * to run for a given set of files; an empty list means there is nothing to check.
+ */
+
+const path = require('path');
+
+const byExtension = (files, ...extensions) =>
+  files.filter(file => extensions.includes(path.extname(file.path))).map(file => file.path);
+
+const hasFile = (files, name) => files.some(file => file.path === name);
+
+function readPackageJson(files) {
+  const file = files.find(entry => entry.path === 'package.json');
+  if (!file) {
+    return null;
+  }
+  try {
+    return JSON.parse(file.content);
+  } catch (error) {
+    return null;
+  }
+}
+
+const checks = {
+  javascript: {
+    build: {
+      toolchain: { command: process.execPath, args: ['--version'] },
+      commands: files => byExtension(files, '.js', '.mjs', '.cjs')
+        .map(file => ({ command: process.execPath, args: ['--check', file] })),
+    },
+    test: {
+      toolchain: { command: 'npm', args: ['--version'] },
+      commands: files => {
+        const pkg = readPackageJson(files);
+        const script = pkg && pkg.scripts && pkg.scripts.test;
+        if (!script || /no test specified/.test(script)) {
+          return [];
+        }
+        const install = Object.keys({ ...pkg.dependencies, ...pkg.devDependencies }).length > 0
+          ? [{ command: 'npm', args: ['install', '--ignore-scripts', '--no-audit', '--no-fund'] }]
+          : [];
+        return [...install, { command: 'npm', args: ['test'] }];
+      },
+    },
+  },
+  python: {
+    build: {
+      toolchain: { command: 'python3', args: ['--version'] },
+      commands: files => {
+        const sources = byExtension(files, '.py');
+        return sources.length > 0 ? [{ command: 'python3', args: ['-m', 'py_compile', ...sources] }] : [];
+      },
+    },
+    test: {
+      toolchain: { command: 'python3', args: ['-m', 'pytest', '--version'] },
+      commands: files => (byExtension(files, '.py').some(file => /(^|\/)(test_[^/]*|[^/]*_test)\.py$/.test(file))
+        ? [{ command: 'python3', args: ['-m', 'pytest', '-q'] }]
+        : []),
+    },
+  },
+  go: {
+    build: {
+      toolchain: { command: 'go', args: ['version'] },
+      commands: files => {
+        if (byExtension(files, '.go').length === 0) {
+          return [];
+        }
+        const init = hasFile(files, 'go.mod') ? [] : [{ command: 'go', args: ['mod', 'init', 'service'] }];
+        return [...init, { command: 'go', args: ['mod', 'tidy'] }, { command: 'go', args: ['build', './...'] }];
+      },
+    },
+    test: {
+      toolchain: { command: 'go', args: ['version'] },
+      commands: files => (byExtension(files, '.go').some(file => file.endsWith('_test.go'))
+        ? [{ command: 'go', args: ['test', './...'] }]
+        : []),
+    },
+  },
+  rust: {
+    build: {
+      toolchain: { command: 'cargo', args: ['--version'] },
+      commands: files => (hasFile(files, 'Cargo.toml') ? [{ command: 'cargo', args: ['check', '--quiet'] }] : []),
+    },
+    test: {
+      toolchain: { command: 'cargo', args: ['--version'] },
+      commands: files => (hasFile(files, 'Cargo.toml') ? [{ command: 'cargo', args: ['test', '--quiet'] }] : []),
+    },
+  },
+};
+
+module.exports = {
+  checks
+};
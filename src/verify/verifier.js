@@ -0,0 +1,181 @@
+/**
+ * Verification stage for generated services
+ * Copies the generated files into a temporary directory, runs the language's build and test
+ * commands there, and feeds failures back to the LLM for a limited number of repair rounds.
+ * This is not a sandbox: the commands run on this machine as the current user, so generated code
+ * can do whatever the user can. Only the environment is cut down to what toolchains need, so
+ * secrets such as LLM API keys are not handed to it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checks: defaultChecks } = require('./checks');
+const { detectToolchain, runProcess } = require('../benchmark/runner');
+const { SandboxedWriter } = require('../project/sandbox');
+const { applyEdits } = require('../project/patch');
+
+const DEFAULT_TIMEOUT = 300000;
+const DEFAULT_REPAIR_ROUNDS = 2;
+// Only the end of long compiler or test output is kept; that is where the errors are
+const MAX_OUTPUT = 4000;
+
+const STAGES = ['build', 'test'];
+
+// Environment variables build and test commands get; everything else, API keys included, is left out
+const PASSED_ENV = [
+  'PATH', 'PATHEXT', 'SYSTEMROOT', 'COMSPEC', 'HOME', 'USERPROFILE', 'USER', 'LOGNAME', 'LANG', 'LC_ALL',
+  'TMPDIR', 'TEMP', 'TMP', 'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY',
+  'NPM_CONFIG_CACHE', 'GOPATH', 'GOROOT', 'GOCACHE', 'GOMODCACHE', 'GOPROXY', 'CARGO_HOME', 'RUSTUP_HOME'
+];
+
+/**
+ * Keep only the variables in PASSED_ENV, matched case-insensitively as Windows and proxies need
+ * @param {object} env
+ * @returns {object}
+ */
+function commandEnv(env) {
+  return Object.fromEntries(Object.entries(env).filter(([name]) => PASSED_ENV.includes(name.toUpperCase())));
+}
+
+function tail(text) {
+  const trimmed = text.trim();
+  return trimmed.length > MAX_OUTPUT ? `...${trimmed.slice(-MAX_OUTPUT)}` : trimmed;
+}
+
+// Overall status: any failure fails, otherwise passed if anything ran
+function summarize(stages) {
+  if (stages.some(stage => stage.status === 'failed')) {
+    return 'failed';
+  }
+  return stages.some(stage => stage.status === 'passed') ? 'passed' : 'skipped';
+}
+
+class Verifier {
+  /**
+   * @param {{ checks?: object, timeout?: number, log?: Function, env?: object }} [options]
+   *   env is the environment the commands' variables are picked from, process.env by default
+   */
+  constructor({ checks = defaultChecks, timeout = DEFAULT_TIMEOUT, log = () => {}, env = process.env } = {}) {
+    this.checks = checks;
+    this.timeout = timeout;
+    this.log = log;
+    this.env = commandEnv(env);
+    this.toolchains = new Map();
+  }
+
+  // Toolchain detection is cached per command line
+  toolchainFor(stage) {
+    const key = [stage.toolchain.command, ...stage.toolchain.args].join(' ');
+    if (!this.toolchains.has(key)) {
+      this.toolchains.set(key, detectToolchain(stage));
+    }
+    return this.toolchains.get(key);
+  }
+
+  async runStage(name, stage, files, cwd) {
+    const commands = stage.commands(files);
+    if (commands.length === 0) {
+      return { name, status: 'skipped', reason: name === 'test' ? 'no tests found' : 'nothing to build' };
+    }
+    if (!this.toolchainFor(stage).available) {
+      return { name, status: 'skipped', reason: `${stage.toolchain.command} is not installed` };
+    }
+
+    for (const { command, args } of commands) {
+      const commandLine = [path.basename(command), ...args].join(' ');
+      this.log(`  ${name}: ${commandLine}`);
+      try {
+        const result = await runProcess(command, args, { cwd, timeout: this.timeout, env: this.env });
+        if (result.code !== 0) {
+          return { name, status: 'failed', command: commandLine, output: tail(`${result.stdout}\n${result.stderr}`) };
+        }
+      } catch (error) {
+        return { name, status: 'failed', command: commandLine, output: error.message };
+      }
+    }
+    return { name, status: 'passed' };
+  }
+
+  /**
+   * Build and test a set of files in a throwaway directory, with a cut-down environment
+   * @param {string} language
+   * @param {Array<{ path: string, content: string }>} files
+   * @returns {Promise<{ language: string, status: 'passed' | 'failed' | 'skipped', stages: object[] }>}
+   */
+  async verify(language, files) {
+    const check = this.checks[language];
+    if (!check) {
+      return {
+        language,
+        status: 'skipped',
+        stages: STAGES.map(name => ({ name, status: 'skipped', reason: `no checks defined for ${language}` }))
+      };
+    }
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-verify-'));
+    try {
+      const { written } = await new SandboxedWriter(directory).write(
+        files.map(file => ({ filename: file.path, content: file.content }))
+      );
+      const copied = files.filter(file => written.some(entry => entry.path === file.path));
+
+      const stages = [];
+      for (const name of STAGES) {
+        if (stages.some(stage => stage.status === 'failed')) {
+          stages.push({ name, status: 'skipped', reason: 'an earlier stage failed' });
+        } else {
+          stages.push(await this.runStage(name, check[name], copied, directory));
+        }
+      }
+      return { language, status: summarize(stages), stages };
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+// Describe failed stages for a repair prompt
+function describeFailures(report) {
+  return report.stages
+    .filter(stage => stage.status === 'failed')
+    .map(stage => `The ${stage.name} step failed running \`${stage.command}\`:\n${stage.output}`)
+    .join('\n\n');
+}
+
+/**
+ * Verify files and ask for fixes until they pass or the rounds run out
+ * @param {Verifier} verifier
+ * @param {{ language: string, files: Array<{ path: string, content: string }>, rounds?: number,
+ *   repair: (files: object[], failures: string) => Promise<{ edits: object[] }>, log?: Function }} options
+ * @returns {Promise<{ files: object[], report: object, rounds: number }>} The final files, the last report and
+ *   the number of repair rounds used
+ */
+async function verifyWithRepair(verifier, { language, files, rounds = DEFAULT_REPAIR_ROUNDS, repair, log = () => {} }) {
+  let current = files;
+  let report = await verifier.verify(language, current);
+  let used = 0;
+
+  while (report.status === 'failed' && used < rounds) {
+    used++;
+    log(`Repair round ${used}/${rounds}...`);
+    try {
+      const update = await repair(current, describeFailures(report));
+      current = applyEdits(current, update.edits).files;
+    } catch (error) {
+      log(`Repair round ${used} failed: ${error.message.split('\n')[0]}`);
+      continue;
+    }
+    report = await verifier.verify(language, current);
+  }
+
+  return { files: current, report, rounds: used };
+}
+
+module.exports = {
+  Verifier,
+  verifyWithRepair,
+  describeFailures,
+  commandEnv,
+  DEFAULT_REPAIR_ROUNDS
+};
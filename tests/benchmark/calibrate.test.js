@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CALIBRATION_FILE,
+  geometricMean,
+  scaleLowerIsBetter,
+  calibrate,
+  writeCalibration
+} = require('../../src/benchmark/calibrate');
+
+const results = [
+  {
+    language: 'go',
+    status: 'ok',
+    metrics: { coldStartMs: 5, cpuMs: 10, jsonMs: 40, httpP50Ms: 0.5, peakRssKb: 6000 }
+  },
+  {
+    language: 'python',
+    status: 'ok',
+    metrics: { coldStartMs: 500, cpuMs: 200, jsonMs: 50, httpP50Ms: 1, peakRssKb: 20000 }
+  },
+  {
+    language: 'javascript',
+    status: 'ok',
+    metrics: { coldStartMs: 50, cpuMs: 10, jsonMs: 20, httpP50Ms: 0.8, peakRssKb: null }
+  },
+  { language: 'rust', status: 'skipped', note: 'toolchain not found (rustc)' }
+];
+
+describe('Benchmark Calibration', () => {
+  test('geometricMean should ignore missing values', () => {
+    expect(geometricMean([2, 8, null])).toBeCloseTo(4, 10);
+    expect(geometricMean([undefined, 0])).toBeNull();
+  });
+
+  test('scaleLowerIsBetter should map onto 1-10 on a log scale between the reference bounds', () => {
+    const reference = { best: 1, worst: 100 };
+
+    expect(scaleLowerIsBetter({ fast: 1, middle: 10, slow: 100 }, reference)).toEqual({ fast: 10, middle: 6, slow: 1 });
+    expect(scaleLowerIsBetter({ faster: 0.1, slower: 1000 }, reference)).toEqual({ faster: 10, slower: 1 });
+    expect(scaleLowerIsBetter({ only: 3, missing: null }, reference)).toEqual({ only: 8 });
+  });
+
+  test('calibrate should score measured languages and skip the rest', () => {
+    const { characteristics, notes } = calibrate(results);
+
+    expect(Object.keys(characteristics)).toEqual(['go', 'python', 'javascript']);
+    expect(characteristics.go).toEqual({ performance: 8, startupTime: 10 });
+    expect(characteristics.python).toEqual({ performance: 6, startupTime: 4 });
+    expect(characteristics.javascript).toEqual({ performance: 8, startupTime: 7 });
+    expect(notes).toEqual(['memory: at least 3 languages must be measured to calibrate']);
+  });
+
+  test('calibrate should not swing close measurements to the ends of the scale', () => {
+    const coldStarts = { go: 10, python: 105, javascript: 123 };
+    const measured = Object.entries(coldStarts).map(([language, coldStartMs]) => ({ language, status: 'ok', metrics: { coldStartMs } }));
+
+    const { characteristics } = calibrate(measured);
+
+    expect(characteristics.python.startupTime).toBe(6);
+    expect(characteristics.javascript.startupTime).toBe(6);
+  });
+
+  test('calibrate should explain when too few languages were measured or they are too close', () => {
+    const close = ['go', 'python', 'javascript'].map((language, i) => ({ language, status: 'ok', metrics: { coldStartMs: 100 + i * 10 } }));
+
+    expect(calibrate(results.slice(0, 2))).toEqual({
+      characteristics: {},
+      notes: [
+        'performance: at least 3 languages must be measured to calibrate',
+        'memory: at least 3 languages must be measured to calibrate',
+        'startupTime: at least 3 languages must be measured to calibrate'
+      ]
+    });
+    expect(calibrate(close).characteristics).toEqual({});
+    expect(calibrate(close).notes).toContain('startupTime: the measurements are too close together to calibrate');
+  });
+
+  test('writeCalibration should write a language plugin file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-calibration-'));
+    try {
+      const file = writeCalibration(path.join(directory, 'languages'), calibrate(results), results);
+      const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+      expect(path.basename(file)).toBe(CALIBRATION_FILE);
+      expect(written.languages.go).toEqual({ characteristics: { performance: 8, startupTime: 10 } });
+      expect(Object.keys(written.metrics)).toEqual(['go', 'python', 'javascript']);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
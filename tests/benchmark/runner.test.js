@@ -0,0 +1,83 @@
+const path = require('path');
+const { BenchmarkRunner, detectToolchain, runProcess, median, percentile } = require('../../src/benchmark/runner');
+const { suites } = require('../../src/benchmark/suites');
+
+describe('Benchmark Runner', () => {
+  test('median and percentile should summarise samples', () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 2, 3])).toBe(2.5);
+    expect(percentile([5, 1, 4, 2, 3], 0.5)).toBe(3);
+    expect(percentile([5, 1, 4, 2, 3], 0.95)).toBe(5);
+  });
+
+  test('detectToolchain should report missing commands', () => {
+    expect(detectToolchain({ toolchain: { command: 'polyfunc-missing-toolchain', args: ['--version'] } }))
+      .toEqual({ available: false });
+    expect(detectToolchain(suites.javascript)).toEqual({ available: true, version: process.version });
+  });
+
+  test('runProcess should capture output and enforce timeouts', async () => {
+    const result = await runProcess(process.execPath, ['-e', 'console.log("hi")']);
+    expect(result).toEqual(expect.objectContaining({ code: 0, stdout: 'hi\n' }));
+    expect(result.durationMs).toBeGreaterThan(0);
+
+    await expect(runProcess(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200 }))
+      .rejects.toThrow(/timed out after 200ms/);
+  });
+
+  test('run should skip languages without a suite or toolchain', async () => {
+    const runner = new BenchmarkRunner({
+      suites: { cobol: { toolchain: { command: 'polyfunc-missing-toolchain', args: [] } } }
+    });
+
+    const results = await runner.run(['cobol', 'java']);
+
+    expect(results).toEqual([
+      {
+        language: 'cobol',
+        status: 'skipped',
+        note: 'toolchain not found (polyfunc-missing-toolchain); install it to benchmark cobol'
+      },
+      { language: 'java', status: 'skipped', note: 'no benchmark suite for this language' }
+    ]);
+  });
+
+  test('run should report failed builds', async () => {
+    const runner = new BenchmarkRunner({
+      suites: {
+        broken: {
+          ...suites.javascript,
+          build: { command: process.execPath, args: ['-e', 'console.error("syntax error"); process.exit(1)'] }
+        }
+      }
+    });
+
+    const [result] = await runner.run(['broken']);
+
+    expect(result.status).toBe('failed');
+    expect(result.note).toBe('build failed: syntax error');
+  });
+
+  test('run should measure the JavaScript suite end to end', async () => {
+    const log = jest.fn();
+    const runner = new BenchmarkRunner({ iterations: 1, requests: 3, log });
+
+    const [result] = await runner.run(['javascript']);
+
+    expect(result.status).toBe('ok');
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Benchmarking javascript'));
+    for (const metric of ['coldStartMs', 'cpuMs', 'jsonMs', 'httpP50Ms', 'httpP95Ms']) {
+      expect(result.metrics[metric]).toBeGreaterThan(0);
+    }
+    if (process.platform === 'linux') {
+      expect(result.metrics.peakRssKb).toBeGreaterThan(0);
+    }
+  }, 30000);
+
+  test('suites should point at existing workload sources', () => {
+    for (const suite of Object.values(suites)) {
+      expect(require('fs').existsSync(suite.source)).toBe(true);
+      expect(path.basename(suite.source)).toBe(suite.file);
+    }
+  });
+});
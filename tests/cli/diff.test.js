@@ -0,0 +1,53 @@
+const { diffLines, unifiedDiff } = require('../../src/cli/diff');
+
+describe('Unified Diff', () => {
+  test('diffLines should produce a minimal edit script', () => {
+    expect(diffLines(['a', 'b', 'c'], ['a', 'x', 'c'])).toEqual([
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: '+', line: 'x' },
+      { type: ' ', line: 'c' }
+    ]);
+  });
+
+  test('unifiedDiff should return an empty string for identical texts', () => {
+    expect(unifiedDiff('same\n', 'same\n')).toBe('');
+  });
+
+  test('unifiedDiff should render hunks with context', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'].join('\n') + '\n';
+    const after = ['1', '2', '3', '4', '5', 'six', '7', '8', '9', '10', '11', '12', '13'].join('\n') + '\n';
+
+    expect(unifiedDiff(before, after, { oldLabel: 'a/x', newLabel: 'b/x' })).toBe([
+      '--- a/x',
+      '+++ b/x',
+      '@@ -3,7 +3,7 @@',
+      ' 3',
+      ' 4',
+      ' 5',
+      '-6',
+      '+six',
+      ' 7',
+      ' 8',
+      ' 9',
+      '@@ -10,3 +10,4 @@',
+      ' 10',
+      ' 11',
+      ' 12',
+      '+13',
+      ''
+    ].join('\n'));
+  });
+
+  test('unifiedDiff should diff new files against /dev/null', () => {
+    expect(unifiedDiff(null, 'a\nb\n', { newLabel: 'b/new.txt' })).toBe(
+      '--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+a\n+b\n'
+    );
+  });
+
+  test('unifiedDiff should flag a missing trailing newline', () => {
+    expect(unifiedDiff('a\n', 'a')).toBe(
+      '--- a\n+++ b\n@@ -1 +1 @@\n-a\n+a\n\\ No newline at end of file\n'
+    );
+  });
+});
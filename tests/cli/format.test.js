@@ -0,0 +1,46 @@
+const { renderTable, renderTree, formatBytes } = require('../../src/cli/format');
+
+describe('CLI Format Helpers', () => {
+  test('renderTable should align columns and add a separator', () => {
+    const table = renderTable(['#', 'Language', 'Score'], [
+      [1, 'go', '8.52'],
+      [2, 'javascript', '6.78']
+    ]);
+
+    expect(table.split('\n')).toEqual([
+      '#  Language    Score',
+      '-  ----------  -----',
+      '1  go          8.52',
+      '2  javascript  6.78'
+    ]);
+  });
+
+  test('renderTable should tolerate missing cells', () => {
+    expect(renderTable(['a', 'b'], [['x']]).split('\n')[2]).toBe('x');
+  });
+
+  test('renderTree should nest directories and sort entries', () => {
+    const tree = renderTree('services/orders', [
+      { path: 'src/main.go', label: '12 B' },
+      { path: 'README.md', label: '1.0 KB' },
+      { path: 'src/handlers/orders.go' },
+      { path: 'go.mod', label: '30 B' }
+    ]);
+
+    expect(tree.split('\n')).toEqual([
+      'services/orders/',
+      '├── README.md (1.0 KB)',
+      '├── go.mod (30 B)',
+      '└── src/',
+      '    ├── handlers/',
+      '    │   └── orders.go',
+      '    └── main.go (12 B)'
+    ]);
+  });
+
+  test('formatBytes should pick a readable unit', () => {
+    expect(formatBytes(12)).toBe('12 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+});
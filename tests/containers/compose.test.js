@@ -0,0 +1,40 @@
+const yaml = require('yaml');
+const { renderCompose, urlVariable } = require('../../src/containers/compose');
+const { GENERATED_MARKER } = require('../../src/containers/dockerfile');
+
+describe('Compose generation', () => {
+  const services = [
+    { name: 'orders', path: 'services/orders', port: 3000, dependsOn: ['users', 'billing'] },
+    { name: 'users', path: 'services/users', port: 5000 },
+    { name: 'reports', path: 'services/reports', port: 3000 }
+  ];
+
+  test('renderCompose should wire builds, ports and dependencies', () => {
+    const { content, hostPorts, missing } = renderCompose(services);
+    const compose = yaml.parse(content);
+
+    expect(content.startsWith(`${GENERATED_MARKER}\n`)).toBe(true);
+    expect(content).toContain('- "3000:3000"');
+    expect(compose.services.orders).toEqual({
+      build: { context: './services/orders' },
+      ports: ['3000:3000'],
+      environment: { PORT: '3000', USERS_URL: 'http://users:5000' },
+      depends_on: { users: { condition: 'service_healthy' } },
+      restart: 'unless-stopped'
+    });
+    expect(compose.services.users.depends_on).toBeUndefined();
+    expect(hostPorts).toEqual({ orders: 3000, users: 5000, reports: 3001 });
+    expect(compose.services.reports.ports).toEqual(['3001:3000']);
+    expect(missing).toEqual([{ service: 'orders', dependency: 'billing' }]);
+  });
+
+  test('renderCompose should make build contexts relative to the compose file', () => {
+    const compose = yaml.parse(renderCompose(services.slice(1, 2), { root: 'deploy' }).content);
+
+    expect(compose.services.users.build.context).toBe('../services/users');
+  });
+
+  test('urlVariable should turn service names into environment variable names', () => {
+    expect(urlVariable('order-service')).toBe('ORDER_SERVICE_URL');
+  });
+});
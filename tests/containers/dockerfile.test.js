@@ -0,0 +1,69 @@
+const {
+  renderDockerfile,
+  detectLanguage,
+  buildContext,
+  GENERATED_MARKER
+} = require('../../src/containers/dockerfile');
+
+const file = (path, content = '') => ({ path, content });
+
+// Instructions of one build stage, keyed by the FROM line that starts it
+function stages(dockerfile) {
+  return dockerfile.split(/\n(?=FROM )/).filter(stage => stage.startsWith('FROM '));
+}
+
+describe('Dockerfile generation', () => {
+  test('detectLanguage should recognise each language by its manifest or sources', () => {
+    expect(detectLanguage([file('Cargo.toml'), file('src/main.rs')])).toBe('rust');
+    expect(detectLanguage([file('main.go')])).toBe('go');
+    expect(detectLanguage([file('package.json'), file('index.js')])).toBe('javascript');
+    expect(detectLanguage([file('app.py')])).toBe('python');
+    expect(detectLanguage([file('README.md')])).toBeNull();
+  });
+
+  test('every language gets a multi-stage build with a non-root user and a healthcheck', () => {
+    const services = {
+      javascript: [file('package.json', '{"main":"src/index.js"}'), file('src/index.js')],
+      python: [file('requirements.txt', 'flask'), file('app.py')],
+      go: [file('go.mod', 'module orders'), file('main.go')],
+      rust: [file('Cargo.toml', '[package]\nname = "orders"\n')]
+    };
+
+    for (const [language, files] of Object.entries(services)) {
+      const dockerfile = renderDockerfile(language, files, { port: 4000 });
+      const [build, runtime] = stages(dockerfile);
+
+      expect(dockerfile.startsWith(`${GENERATED_MARKER}\n`)).toBe(true);
+      expect(stages(dockerfile)).toHaveLength(2);
+      expect(build).toMatch(/^FROM \S+ AS \w+/);
+      expect(runtime).toMatch(/^USER (?!root)\w+$/m);
+      expect(runtime).toMatch(/^HEALTHCHECK .*\\\n\s+CMD .*\/health/m);
+      expect(runtime).toContain('EXPOSE 4000');
+      expect(runtime).toMatch(/PORT=4000/);
+    }
+  });
+
+  test('renderDockerfile should start the service the way its files say', () => {
+    expect(renderDockerfile('javascript', [file('package.json', '{"main":"src/index.js"}'), file('src/index.js')]))
+      .toContain('CMD ["node","src/index.js"]');
+    expect(renderDockerfile('javascript', [file('package.json', '{"scripts":{"start":"node server"}}')]))
+      .toContain('CMD ["npm","start"]');
+    expect(renderDockerfile('javascript', [file('package.json', '{}'), file('package-lock.json', '{}'), file('server.js')]))
+      .toMatch(/RUN npm ci --omit=dev[\s\S]*CMD \["node","server.js"\]/);
+    expect(renderDockerfile('python', [file('test_main.py'), file('main.py')])).toContain('CMD ["python","main.py"]');
+    expect(renderDockerfile('python', [file('worker.py')])).toContain('No requirements.txt');
+    expect(renderDockerfile('go', [file('main.go')])).toContain('RUN go mod init service');
+    expect(renderDockerfile('rust', [file('Cargo.toml', '[package]\nname = "order-api"\nversion = "0.1.0"\n')]))
+      .toContain('cp target/release/order-api /out/service');
+  });
+
+  test('renderDockerfile should use the language default port and reject unknown languages', () => {
+    expect(renderDockerfile('python', [file('app.py')])).toContain('EXPOSE 5000');
+    expect(() => renderDockerfile('cobol', [])).toThrow('No Dockerfile recipe for cobol');
+  });
+
+  test('buildContext should give posix paths relative to the compose file', () => {
+    expect(buildContext('.', 'services/orders')).toBe('./services/orders');
+    expect(buildContext('deploy', 'services/orders')).toBe('../services/orders');
+  });
+});
@@ -0,0 +1,77 @@
+const { checkContracts, extractCalls } = require('../../src/contracts/checker');
+
+describe('Contract checker', () => {
+  const usersContract = [
+    'openapi: 3.0.3',
+    'info: { title: users, version: 1.0.0 }',
+    'paths:',
+    '  /users:',
+    '    post: { responses: { "201": { description: Created } } }',
+    '  /users/{id}:',
+    '    get: { responses: { "200": { description: A user } } }',
+    ''
+  ].join('\n');
+
+  const users = (files = [{ path: 'openapi.yaml', content: usersContract }]) => ({ name: 'users', dependsOn: [], consumes: [], files });
+
+  test('extractCalls should find requests in each language through aliases of the URL variable', () => {
+    const files = [
+      { path: 'src/client.js', content: 'const usersUrl = process.env.USERS_URL;\nawait axios.get(`${usersUrl}/users/${id}`);\n' },
+      { path: 'client.py', content: 'requests.post(f"{os.environ[\'USERS_URL\']}/users", json=body)\n' },
+      { path: 'client.go', content: 'base := os.Getenv("USERS_URL")\nresp, err := http.Get(fmt.Sprintf("%s/users/%d", base, id))\n' },
+      { path: 'src/client.rs', content: 'let url = format!("{}/users/{}", env::var("USERS_URL")?, id);\n' },
+      { path: 'README.md', content: 'GET $USERS_URL/users/1\n' }
+    ];
+
+    expect(extractCalls(files, 'USERS_URL')).toEqual([
+      { file: 'src/client.js', line: 2, method: 'get', path: '/users/{}' },
+      { file: 'client.py', line: 1, method: 'post', path: '/users' },
+      { file: 'client.go', line: 2, method: 'get', path: '/users/{}' },
+      { file: 'src/client.rs', line: 1, method: null, path: '/users/{}' }
+    ]);
+  });
+
+  test('checkContracts should accept calls the callee defines', () => {
+    const orders = {
+      name: 'orders',
+      dependsOn: [],
+      consumes: [{ service: 'users', endpoints: ['GET /users/{id}'] }],
+      files: [{ path: 'app.py', content: 'requests.get(USERS_URL + "/users/" + str(user_id))\nrequests.get(f"{USERS_URL}/health")\n' }]
+    };
+
+    expect(checkContracts([orders, users()])).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('checkContracts should report consumed endpoints and calls missing from the contract', () => {
+    const orders = {
+      name: 'orders',
+      dependsOn: [],
+      consumes: [{ service: 'users', endpoints: ['DELETE /users/{id}'] }],
+      files: [{ path: 'app.py', content: 'import requests\nrequests.put(f"{USERS_URL}/users/{user_id}")\n' }]
+    };
+
+    expect(checkContracts([orders, users()]).errors).toEqual([
+      { service: 'orders', message: 'consumes "DELETE /users/{id}" from users, which its contract does not define' },
+      { service: 'orders', message: 'app.py:2: PUT /users/{} is not in the contract of users (POST /users, GET /users/{id})' }
+    ]);
+  });
+
+  test('checkContracts should report invalid contracts and warn about callees without one', () => {
+    const orders = { name: 'orders', dependsOn: ['users', 'billing'], consumes: [], files: [] };
+    const billing = { name: 'billing', dependsOn: [], consumes: [], files: [{ path: 'openapi.yaml', content: 'openapi: [' }] };
+
+    const result = checkContracts([orders, users([]), billing]);
+
+    expect(result.errors).toEqual([{ service: 'billing', message: expect.stringMatching(/^openapi\.yaml \(root\): not valid YAML/) }]);
+    expect(result.warnings).toEqual([{ service: 'orders', message: 'users has no openapi.yaml, calls to it are not checked' }]);
+    expect(checkContracts([orders, users([]), billing], { only: ['orders'] }).warnings[1])
+      .toEqual({ service: 'orders', message: 'billing has an invalid openapi.yaml, calls to it are not checked' });
+  });
+
+  test('checkContracts should report unknown dependencies and missing directories', () => {
+    const result = checkContracts([{ name: 'orders', dependsOn: ['ghost'], consumes: [], files: [] }, { name: 'gone', files: null }]);
+
+    expect(result.errors).toEqual([{ service: 'orders', message: 'depends on unknown service "ghost"' }]);
+    expect(result.warnings).toEqual([{ service: 'gone', message: 'directory not found, skipped' }]);
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  parseEndpoint,
+  pathsMatch,
+  operations,
+  findOperation,
+  validateContract,
+  contractSubset,
+  renderContract,
+  parseContract
+} = require('../../src/contracts/openapi');
+
+describe('OpenAPI contracts', () => {
+  const contract = () => ({
+    openapi: '3.0.3',
+    info: { title: 'users', version: '1.0.0' },
+    paths: {
+      '/users': {
+        get: { operationId: 'listUsers', responses: { 200: { description: 'Users' } } },
+        post: {
+          operationId: 'createUser',
+          requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+          responses: { 201: { description: 'Created' } }
+        }
+      },
+      '/users/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true }],
+        get: { operationId: 'getUser', responses: { 200: { description: 'A user' } } }
+      }
+    },
+    components: { schemas: { User: { type: 'object' } } }
+  });
+
+  test('parseEndpoint should split the method from the path', () => {
+    expect(parseEndpoint('POST /users')).toEqual({ method: 'post', path: '/users' });
+    expect(parseEndpoint('/users')).toEqual({ method: null, path: '/users' });
+  });
+
+  test('pathsMatch should treat any parameter style as a wildcard segment', () => {
+    expect(pathsMatch('/users/{id}', '/users/:userId')).toBe(true);
+    expect(pathsMatch('/users/{id}', '/users/42')).toBe(true);
+    expect(pathsMatch('/users/', '/users?limit=5')).toBe(true);
+    expect(pathsMatch('/users/{id}', '/users')).toBe(false);
+    expect(pathsMatch('/users/{id}', '/orders/{id}')).toBe(false);
+  });
+
+  test('operations and findOperation should look up methods by path', () => {
+    expect(operations(contract()).map(operation => `${operation.method} ${operation.path}`))
+      .toEqual(['get /users', 'post /users', 'get /users/{id}']);
+    expect(findOperation(contract(), 'get', '/users/7').operationId).toBe('getUser');
+    expect(findOperation(contract(), null, '/users').operationId).toBe('listUsers');
+    expect(findOperation(contract(), 'delete', '/users/7')).toBeNull();
+  });
+
+  test('validateContract should accept a complete contract', () => {
+    expect(validateContract(contract(), ['GET /users', 'POST /users', 'GET /users/{userId}'])).toEqual([]);
+  });
+
+  test('validateContract should report structural problems before anything else', () => {
+    expect(validateContract({ openapi: '2.0', info: { title: 'x', version: '1' }, paths: {} }))
+      .toEqual([{ path: 'openapi', message: 'must match ^3\\.' }]);
+  });
+
+  test('validateContract should report missing endpoints and broken references', () => {
+    const broken = contract();
+    broken.paths.users = { get: { responses: {} } };
+    broken.paths['/users'].get.responses[200].content = { 'application/json': { schema: { $ref: '#/components/schemas/Users' } } };
+    broken.components.schemas.Remote = { $ref: 'https://example.com/user.yaml' };
+
+    expect(validateContract(broken, ['DELETE /users/{id}'])).toEqual([
+      { path: 'paths.users', message: 'must start with "/"' },
+      { path: 'paths', message: 'no operation for endpoint "DELETE /users/{id}"' },
+      { path: 'paths./users.get.responses.200.content.application/json.schema', message: '$ref "#/components/schemas/Users" does not resolve' },
+      { path: 'components.schemas.Remote', message: expect.stringMatching(/^external \$ref/) }
+    ]);
+  });
+
+  test('contractSubset should keep only the operations a caller uses', () => {
+    const subset = contractSubset(contract(), ['GET /users/{id}']);
+
+    expect(Object.keys(subset.paths)).toEqual(['/users/{id}']);
+    expect(subset.paths['/users/{id}'].parameters).toHaveLength(1);
+    expect(subset.components).toEqual(contract().components);
+    expect(contractSubset(contract(), [])).toEqual(contract());
+  });
+
+  test('renderContract and parseContract should round-trip through YAML', () => {
+    const text = renderContract(contract());
+
+    expect(text).toMatch(/^openapi: 3\.0\.3\n/);
+    expect(parseContract(text)).toEqual(contract());
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigFile, leaves } = require('../../src/core/config-file');
+
+describe('Config File', () => {
+  const yamlText = [
+    '# PolyFunc project settings',
+    'llm:',
+    '  provider: anthropic # switched in March',
+    '  model: claude',
+    '',
+    '# Scoring tweaks',
+    'languages:',
+    '  rust:',
+    '    priority: 4',
+    'paths:',
+    '  services: ./services',
+    ''
+  ].join('\n');
+
+  test('set should keep YAML comments, blank lines and key order', () => {
+    const file = new ConfigFile('polyfunc.yaml', yamlText);
+
+    file.set(['languages', 'rust', 'priority'], 2);
+    file.set(['llm', 'maxTokens'], 4096);
+    file.set(['verify', 'rounds'], 1);
+
+    expect(file.toString()).toBe([
+      '# PolyFunc project settings',
+      'llm:',
+      '  provider: anthropic # switched in March',
+      '  model: claude',
+      '  maxTokens: 4096',
+      '',
+      '# Scoring tweaks',
+      'languages:',
+      '  rust:',
+      '    priority: 2',
+      'paths:',
+      '  services: ./services',
+      'verify:',
+      '  rounds: 1',
+      ''
+    ].join('\n'));
+    expect(file.get(['languages', 'rust', 'priority'])).toBe(2);
+  });
+
+  test('unset should remove a key and the sections it leaves empty', () => {
+    const file = new ConfigFile('polyfunc.yml', yamlText);
+
+    expect(file.unset(['languages', 'rust', 'priority'])).toBe(true);
+    expect(file.unset(['llm', 'model'])).toBe(true);
+    expect(file.unset(['llm', 'missing'])).toBe(false);
+
+    expect(file.values()).toEqual({ llm: { provider: 'anthropic' }, paths: { services: './services' } });
+    expect(file.toString()).toContain('provider: anthropic # switched in March');
+    expect(file.toString()).not.toContain('languages');
+  });
+
+  test('JSON files should keep their key order and indentation', () => {
+    const file = new ConfigFile('polyfunc.json', '{\n    "paths": {\n        "services": "./svc"\n    },\n    "llm": {\n        "model": "gpt-4"\n    }\n}\n');
+
+    file.set(['llm', 'model'], 'gpt-4o');
+    file.set(['sandbox', 'deny'], ['secrets/']);
+    expect(file.unset(['paths', 'services'])).toBe(true);
+
+    expect(file.toString()).toBe([
+      '{',
+      '    "llm": {',
+      '        "model": "gpt-4o"',
+      '    },',
+      '    "sandbox": {',
+      '        "deny": [',
+      '            "secrets/"',
+      '        ]',
+      '    }',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  test('an empty or missing file should start with no values', () => {
+    const yamlFile = new ConfigFile('config.yaml');
+    yamlFile.set(['llm', 'model'], 'local');
+    expect(yamlFile.toString()).toBe('llm:\n  model: local\n');
+
+    const jsonFile = new ConfigFile('polyfunc.json', '');
+    expect(jsonFile.values()).toEqual({});
+    jsonFile.set(['llm', 'model'], 'local');
+    expect(jsonFile.toString()).toBe('{\n  "llm": {\n    "model": "local"\n  }\n}\n');
+  });
+
+  test('should reject unsupported formats and unparseable files', () => {
+    expect(() => new ConfigFile('polyfunc.toml')).toThrow('Unsupported configuration file format: .toml');
+    expect(() => new ConfigFile('polyfunc.yaml', 'llm: [unclosed')).toThrow(/^polyfunc\.yaml: /);
+    expect(() => new ConfigFile('polyfunc.json', '{ "llm": ')).toThrow();
+  });
+
+  test('read and save should round-trip through the file system', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-config-file-'));
+    try {
+      const filePath = path.join(directory, 'nested', 'config.yaml');
+      expect(ConfigFile.read(filePath).values()).toEqual({});
+
+      const file = ConfigFile.read(filePath);
+      file.set(['llm', 'provider'], 'ollama');
+      file.save();
+
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('llm:\n  provider: ollama\n');
+      expect(ConfigFile.read(filePath).get(['llm', 'provider'])).toBe('ollama');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('leaves should flatten sections but not lists', () => {
+    expect(leaves({ llm: { model: 'x', apiKey: undefined }, languages: { go: { useCase: ['cli'] } }, profiles: {} })).toEqual([
+      ['llm.model', 'x'],
+      ['languages.go.useCase', ['cli']],
+      ['profiles', {}]
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+const { ConfigError, coerceValue, configSchema, defineSection, formatConfigErrors, isSecretKey, schemaAt, secretKeys, validateConfig } = require('../../src/core/config-schema');
+const providerRegistry = require('../../src/llm/providers');
+
+describe('Config Schema', () => {
+  test('validateConfig should accept the documented sections', () => {
+    expect(validateConfig({
+      llm: { provider: 'anthropic', model: 'claude', maxTokens: 4096, maxRepairAttempts: 0, record: false },
+      languages: {
+        kotlin: { name: 'kotlin', priority: 5, characteristics: { performance: 8 }, useCases: { android: 9 } },
+        python: { useCase: ['data'], libraries: ['numpy'] }
+      },
+      paths: { services: './svc', templates: './tpl', languages: './lang' },
+      selection: { constraints: { allow: null, deny: 'rust', requiredLibraries: ['express'], minimums: { performance: 6 } } },
+      sandbox: { maxFiles: 50, deny: ['secrets/'] },
+      verify: { enabled: true, timeout: 60000, rounds: 2 }
+    })).toEqual([]);
+  });
+
+  test('validateConfig should report the key path and expected type', () => {
+    expect(validateConfig({
+      llm: { provider: 'gpt', maxTokens: '100' },
+      languages: { go: { priority: 'first', characteristics: { speed: 11 } } },
+      verify: { rounds: -1 }
+    })).toEqual([
+      { path: 'llm.provider', message: expect.stringMatching(/^must be one of "openai", "azure", /) },
+      { path: 'llm.maxTokens', message: 'expected integer, got string' },
+      { path: 'languages.go.priority', message: 'expected number, got string' },
+      { path: 'languages.go.characteristics.speed', message: 'must be <= 10' },
+      { path: 'verify.rounds', message: 'must be >= 0' }
+    ]);
+  });
+
+  test('validateConfig should suggest the key an unknown one is a typo of', () => {
+    expect(validateConfig({ langauges: {}, llm: { modle: 'x' }, languages: { go: { priorty: 1 } }, telemetry: true })).toEqual([
+      { path: 'langauges', message: 'is not an allowed property, did you mean "languages"?' },
+      { path: 'llm.modle', message: 'is not an allowed property, did you mean "model"?' },
+      { path: 'languages.go.priorty', message: 'is not an allowed property, did you mean "priority"?' },
+      { path: 'telemetry', message: 'is not an allowed property' }
+    ]);
+  });
+
+  test('validateConfig should accept providers registered later', () => {
+    expect(validateConfig({ llm: { provider: 'custom' } })).toHaveLength(1);
+
+    providerRegistry.registerProvider('custom', class {});
+    try {
+      expect(validateConfig({ llm: { provider: 'custom' } })).toEqual([]);
+    } finally {
+      delete providerRegistry.providers.custom;
+    }
+  });
+
+  test('defineSection should add a section to the schema', () => {
+    expect(validateConfig({ metrics: { port: 9100 } })).toHaveLength(1);
+
+    defineSection('metrics', { type: 'object', additionalProperties: false, properties: { port: { type: 'integer' } } });
+    expect(configSchema().properties.metrics).toBeDefined();
+    expect(validateConfig({ metrics: { port: 9100 } })).toEqual([]);
+    expect(validateConfig({ metrics: { port: '9100' } }))
+      .toEqual([{ path: 'metrics.port', message: 'expected integer, got string' }]);
+  });
+
+  test('validateConfig should check profiles like the rest of the file', () => {
+    expect(validateConfig({ profiles: { ci: { llm: { provider: 'replay' }, verify: { enabled: false } } } })).toEqual([]);
+    expect(validateConfig({ profiles: { ci: { verify: { enabld: false } }, nested: { profiles: {} } } })).toEqual([
+      { path: 'profiles.ci.verify.enabld', message: 'is not an allowed property, did you mean "enabled"?' },
+      { path: 'profiles.nested.profiles', message: 'is not an allowed property' }
+    ]);
+  });
+
+  test('ConfigError should name the source of every error', () => {
+    const error = new ConfigError([
+      { path: 'llm.model', message: 'expected string, got integer' },
+      { source: 'POLYFUNC_VERIFY__ROUNDS', path: 'verify.rounds', message: 'must be >= 0' },
+      { message: 'Unknown profile "ci"' }
+    ], 'polyfunc.yaml');
+
+    expect(error.name).toBe('ConfigError');
+    expect(error.errors).toEqual([
+      { source: 'polyfunc.yaml', path: 'llm.model', message: 'expected string, got integer' },
+      { source: 'POLYFUNC_VERIFY__ROUNDS', path: 'verify.rounds', message: 'must be >= 0' },
+      { source: 'polyfunc.yaml', message: 'Unknown profile "ci"' }
+    ]);
+    expect(error.message).toBe([
+      'Invalid configuration:',
+      'polyfunc.yaml: llm.model: expected string, got integer',
+      'POLYFUNC_VERIFY__ROUNDS: verify.rounds: must be >= 0',
+      'polyfunc.yaml: Unknown profile "ci"'
+    ].join('\n'));
+    expect(formatConfigErrors([{ path: 'llm', message: 'expected object, got null' }])).toBe('llm: expected object, got null');
+  });
+
+  test('schemaAt should follow properties and maps', () => {
+    const schema = configSchema();
+    expect(schemaAt(schema, 'languages.python.priority')).toEqual({ type: 'number' });
+    expect(schemaAt(schema, 'profiles.ci.verify.rounds')).toEqual({ type: 'integer', minimum: 0 });
+    expect(schemaAt(schema, 'llm.unknown')).toBeNull();
+  });
+
+  test('secretKeys should list the keys marked secret', () => {
+    expect(secretKeys()).toEqual(expect.arrayContaining(['llm.apiKey', 'profiles.*.llm.apiKey']));
+    expect(secretKeys({
+      type: 'object',
+      properties: { vault: { type: 'object', properties: { token: { type: 'string', secret: true }, url: { type: 'string' } } } }
+    })).toEqual(['vault.token']);
+  });
+
+  test('isSecretKey should match secret keys inside profiles', () => {
+    expect(isSecretKey('llm.apiKey')).toBe(true);
+    expect(isSecretKey('profiles.ci.llm.apiKey')).toBe(true);
+    expect(isSecretKey('profiles.ci.llm.model')).toBe(false);
+    expect(isSecretKey('profiles.ci')).toBe(false);
+  });
+
+  test('coerceValue should parse text into the type the key takes', () => {
+    expect(coerceValue('languages.rust.priority', '2')).toBe(2);
+    expect(coerceValue('verify.enabled', 'false')).toBe(false);
+    expect(coerceValue('llm.model', '4')).toBe('4');
+    expect(coerceValue('sandbox.deny', '["dist/"]')).toEqual(['dist/']);
+    expect(coerceValue('selection.constraints.allow', 'go')).toBe('go');
+    expect(coerceValue('selection.constraints.allow', 'null')).toBeNull();
+    expect(coerceValue('verify.rounds', 'two')).toBe('two');
+    expect(coerceValue('llm.unknown', '1')).toBe('1');
+  });
+});
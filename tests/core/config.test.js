@@ -1,9 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('../../src/core/config');
+const { ConfigError } = require('../../src/core/config-schema');
 
 // Mock fs module
 jest.mock('fs', () => ({
+  existsSync: jest.fn(),
   readFileSync: jest.fn(),
   writeFileSync: jest.fn()
 }));
@@ -15,7 +17,7 @@ describe('Config Module', () => {
       llm: {
         provider: 'openai',
         model: 'gpt-4',
-        apiKey: process.env.OPENAI_API_KEY,
+        apiKey: 'env:OPENAI_API_KEY',
       },
       languages: {
         javascript: { priority: 1, useCase: ['web', 'api'] },
@@ -28,10 +30,59 @@ describe('Config Module', () => {
         templates: './templates',
       }
     };
+    config.layers = [{ origin: 'default', values: config.defaults() }];
+    config.env = { OPENAI_API_KEY: 'sk-from-env' };
     // Clear all mock data
     jest.clearAllMocks();
   });
 
+  afterAll(() => {
+    config.env = process.env;
+  });
+
+  test('get should resolve secret references', () => {
+    expect(config.config.llm.apiKey).toBe('env:OPENAI_API_KEY');
+    expect(config.get('llm.apiKey')).toBe('sk-from-env');
+    expect(config.get('llm')).toEqual({ provider: 'openai', model: 'gpt-4', apiKey: 'sk-from-env' });
+    expect(config.config.llm.apiKey).toBe('env:OPENAI_API_KEY');
+    expect(config.getEnv('OPENAI_API_KEY')).toBe('sk-from-env');
+
+    config.env = {};
+    expect(config.get('llm.apiKey')).toBeUndefined();
+  });
+
+  test('saveToFile should keep references and leave literal secrets out', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    config.saveToFile('polyfunc.json');
+    expect(JSON.parse(fs.writeFileSync.mock.calls[0][1]).llm.apiKey).toBe('env:OPENAI_API_KEY');
+    expect(warn).not.toHaveBeenCalled();
+
+    config.set('llm.apiKey', 'sk-live-123');
+    config.saveToFile('polyfunc.yaml');
+    expect(fs.writeFileSync.mock.calls[1][1]).not.toContain('sk-live-123');
+    expect(fs.writeFileSync.mock.calls[1][1]).toContain('model: gpt-4');
+    expect(warn).toHaveBeenCalledWith('Warning: llm.apiKey was not saved, store it as env:NAME or file:PATH instead');
+    warn.mockRestore();
+  });
+
+  test('getRedacted should return stored values without resolving secrets', () => {
+    expect(config.getRedacted('llm.apiKey')).toBe('env:OPENAI_API_KEY');
+    expect(config.getRedacted('languages.go')).toEqual({ priority: 3, useCase: ['performance', 'concurrency'] });
+
+    config.set('llm.apiKey', 'sk-live-123');
+    expect(config.getRedacted('llm')).toEqual({ provider: 'openai', model: 'gpt-4', apiKey: '[redacted]' });
+    expect(config.getRedacted('llm.missing')).toBeUndefined();
+  });
+
+  test('entries should redact literal secrets', () => {
+    expect(config.entries()).toContainEqual({ key: 'llm.apiKey', value: 'env:OPENAI_API_KEY', origin: 'default' });
+
+    config.set('llm.apiKey', 'sk-live-123');
+    expect(config.entries()).toContainEqual({ key: 'llm.apiKey', value: '[redacted]', origin: 'command line' });
+    expect(JSON.stringify(config.entries())).not.toContain('sk-live-123');
+  });
+
   test('get should retrieve nested properties correctly', () => {
     expect(config.get('llm.provider')).toBe('openai');
     expect(config.get('languages.javascript.priority')).toBe(1);
@@ -44,14 +95,22 @@ describe('Config Module', () => {
     config.set('llm.model', 'gpt-3.5-turbo');
     expect(config.get('llm.model')).toBe('gpt-3.5-turbo');
 
-    config.set('newProperty.nested.value', 'test');
-    expect(config.get('newProperty.nested.value')).toBe('test');
+    config.set('verify.timeout', 60000);
+    expect(config.get('verify.timeout')).toBe(60000);
+  });
+
+  test('set should reject values that do not match the schema', () => {
+    expect(() => config.set('languages.python.priority', 'high'))
+      .toThrow('languages.python.priority: expected number, got string');
+    expect(() => config.set('newProperty.nested.value', 'test')).toThrow(ConfigError);
+    expect(config.get('languages.python.priority')).toBe(2);
+    expect(config.get('newProperty')).toBeUndefined();
   });
 
   test('loadFromFile should parse JSON config correctly', () => {
     const jsonConfig = JSON.stringify({
       llm: { model: 'custom-model' },
-      newSetting: true
+      verify: { timeout: 1000 }
     });
 
     fs.readFileSync.mockReturnValueOnce(jsonConfig);
@@ -61,12 +120,12 @@ describe('Config Module', () => {
     expect(result).toBe(true);
     expect(fs.readFileSync).toHaveBeenCalledWith('config.json', 'utf8');
     expect(config.get('llm.model')).toBe('custom-model');
-    expect(config.get('newSetting')).toBe(true);
+    expect(config.get('verify.timeout')).toBe(1000);
     expect(config.get('llm.provider')).toBe('openai'); // Should keep existing values not overwritten
   });
 
   test('loadFromFile should parse YAML config correctly', () => {
-    const yamlConfig = 'llm:\n  model: yaml-model\nnewYamlSetting: true';
+    const yamlConfig = 'llm:\n  model: yaml-model\nsandbox:\n  deny: [secrets/]';
 
     fs.readFileSync.mockReturnValueOnce(yamlConfig);
 
@@ -75,7 +134,46 @@ describe('Config Module', () => {
     expect(result).toBe(true);
     expect(fs.readFileSync).toHaveBeenCalledWith('config.yml', 'utf8');
     expect(config.get('llm.model')).toBe('yaml-model');
-    expect(config.get('newYamlSetting')).toBe(true);
+    expect(config.get('sandbox.deny')).toEqual(['secrets/']);
+  });
+
+  test('loadFromFile should reject invalid files without applying them', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+      llm: { model: 'other-model', provider: 'openia' },
+      langauges: { python: { priority: 'high' } }
+    }));
+
+    const result = config.loadFromFile('polyfunc.json');
+
+    expect(result).toBe(false);
+    expect(config.get('llm.model')).toBe('gpt-4');
+    const message = errorSpy.mock.calls[0][0];
+    expect(message).toContain('polyfunc.json: llm.provider: must be one of "openai"');
+    expect(message).toContain('polyfunc.json: langauges: is not an allowed property, did you mean "languages"?');
+    errorSpy.mockRestore();
+  });
+
+  test('loadFromFile should accept an empty YAML file', () => {
+    fs.readFileSync.mockReturnValueOnce('');
+
+    expect(config.loadFromFile('polyfunc.yaml')).toBe(true);
+    expect(config.get('llm.model')).toBe('gpt-4');
+  });
+
+  test('validate should check the current configuration by default', () => {
+    expect(config.validate()).toEqual([]);
+
+    config.config.languages.go.priority = '3';
+    expect(config.validate()).toEqual([{ path: 'languages.go.priority', message: 'expected number, got string' }]);
+  });
+
+  test('readFile should parse a file without applying it', () => {
+    fs.readFileSync.mockReturnValueOnce('verify:\n  rounds: 1');
+
+    expect(config.readFile('polyfunc.yml')).toEqual({ verify: { rounds: 1 } });
+    expect(config.get('verify')).toBeUndefined();
+    expect(() => config.readFile('polyfunc.toml')).toThrow('Unsupported configuration file format: .toml');
   });
 
   test('loadFromFile should handle unsupported formats', () => {
@@ -135,4 +233,182 @@ describe('Config Module', () => {
     
     expect(result).toBe(false);
   });
-});
\ No newline at end of file
+
+  describe('layers', () => {
+    const files = {
+      '/home/dev/.config/polyfunc/config.yaml': 'llm:\n  model: user-model\n  maxTokens: 2048\n',
+      '/work/app/polyfunc.json': JSON.stringify({
+        llm: { model: 'project-model', provider: 'anthropic' },
+        verify: { rounds: 3 },
+        profiles: { ci: { llm: { provider: 'replay' }, verify: { enabled: false } } }
+      }),
+      '/work/app/ci.yaml': 'verify:\n  timeout: 5000\n'
+    };
+    const load = options => config.load({ cwd: '/work/app/services/users', env: {}, home: '/home/dev', ...options });
+
+    beforeEach(() => {
+      fs.existsSync.mockImplementation(file => file in files);
+      fs.readFileSync.mockImplementation(file => files[file]);
+    });
+
+    afterEach(() => {
+      fs.existsSync.mockReset();
+      fs.readFileSync.mockReset();
+      config.profile = null;
+      config.directory = null;
+      config.cwd = process.cwd();
+    });
+
+    test('load should apply the user config and the nearest project config over the defaults', () => {
+      expect(load()).toEqual(['default', 'user /home/dev/.config/polyfunc/config.yaml', 'project /work/app/polyfunc.json']);
+
+      expect(config.get('llm.model')).toBe('project-model');
+      expect(config.get('llm.maxTokens')).toBe(2048);
+      expect(config.get('paths.services')).toBe('..');
+      expect(config.get('profiles')).toBeUndefined();
+      expect(config.origin('llm.model')).toBe('project /work/app/polyfunc.json');
+      expect(config.origin('llm.maxTokens')).toBe('user /home/dev/.config/polyfunc/config.yaml');
+      expect(config.origin('paths.services')).toBe('default');
+      expect(config.files).toEqual({ user: '/home/dev/.config/polyfunc/config.yaml', project: '/work/app/polyfunc.json' });
+    });
+
+    test('relative paths should be relative to the file that sets them, from any subdirectory', () => {
+      const original = { ...files };
+      files['/work/app/polyfunc.json'] = JSON.stringify({ paths: { templates: './templates', languages: '/opt/languages' } });
+      files['/home/dev/.config/polyfunc/config.yaml'] = 'paths:\n  services: svc\n';
+      try {
+        load({ cwd: '/work/app/sub', env: { POLYFUNC_PATHS__LANGUAGES: 'local-languages' } });
+        expect(config.get('paths.templates')).toBe('../templates');
+        expect(config.get('paths.services')).toBe('../../../home/dev/.config/polyfunc/svc');
+        expect(config.get('paths.languages')).toBe('local-languages');
+        expect(config.origin('paths.templates')).toBe('project /work/app/polyfunc.json');
+
+        load({ cwd: '/work/app', env: {} });
+        expect(config.get('paths')).toEqual({
+          services: '../../home/dev/.config/polyfunc/svc',
+          templates: './templates',
+          languages: '/opt/languages'
+        });
+      } finally {
+        Object.assign(files, original);
+      }
+    });
+
+    test('load should use an explicit config file and XDG_CONFIG_HOME', () => {
+      expect(load({ configFile: '../../ci.yaml', env: { XDG_CONFIG_HOME: '/xdg' } }))
+        .toEqual(['default', 'project /work/app/ci.yaml']);
+      expect(config.get('verify.timeout')).toBe(5000);
+      expect(config.get('llm.model')).toBe('gpt-4');
+      expect(config.files.user).toBe('/xdg/polyfunc/config.yaml');
+
+      expect(() => load({ configFile: 'missing.json' })).toThrow('/work/app/services/users/missing.json: file not found');
+    });
+
+    test('load should apply the selected profile over the files', () => {
+      load({ profile: 'ci' });
+
+      expect(config.profile).toBe('ci');
+      expect(config.get('llm.provider')).toBe('replay');
+      expect(config.get('llm.model')).toBe('project-model');
+      expect(config.origin('verify.enabled')).toBe('profile ci (/work/app/polyfunc.json)');
+
+      load({ env: { POLYFUNC_PROFILE: 'ci' } });
+      expect(config.get('verify.enabled')).toBe(false);
+
+      expect(() => load({ profile: 'staging' })).toThrow('Unknown profile "staging", defined profiles: ci');
+    });
+
+    test('load should apply POLYFUNC_ environment variables last, typed by the schema', () => {
+      load({
+        profile: 'ci',
+        env: {
+          POLYFUNC_LLM__MODEL: '4',
+          POLYFUNC_LLM__MAX_REPAIR_ATTEMPTS: '0',
+          POLYFUNC_SANDBOX__DENY: '["dist/"]',
+          POLYFUNC_VERIFY__ENABLED: 'true',
+          POLYFUNC_PROFILE: 'ignored',
+          POLYFUNC_HOME: '/ignored'
+        }
+      });
+
+      expect(config.get('llm.model')).toBe('4');
+      expect(config.get('llm.maxRepairAttempts')).toBe(0);
+      expect(config.get('sandbox.deny')).toEqual(['dist/']);
+      expect(config.get('verify.enabled')).toBe(true);
+      expect(config.origin('llm.maxRepairAttempts')).toBe('env POLYFUNC_LLM__MAX_REPAIR_ATTEMPTS');
+    });
+
+    test('load should ignore POLYFUNC_ variables outside the config sections with a warning', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      try {
+        load({ env: { POLYFUNC_FOO__BAR: 'x', POLYFUNC_LLM__MODEL: 'gpt-4o' } });
+
+        expect(config.get('llm.model')).toBe('gpt-4o');
+        expect(config.get('foo')).toBeUndefined();
+        expect(warn).toHaveBeenCalledWith('Warning: ignoring POLYFUNC_FOO__BAR, foo is not a config section');
+        expect(() => load({ env: { POLYFUNC_FOO__BAR: 'x', POLYFUNC_LLM__MODELL: 'gpt-4o' } }))
+          .toThrow(ConfigError);
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    test('load should report every invalid layer and apply none of them', () => {
+      files['/work/app/bad.yaml'] = 'langauges: {}\nverify:\n  rounds: -1\n';
+      try {
+        load({ configFile: '/work/app/bad.yaml', env: { POLYFUNC_LLM__MAX_TOKENS: 'many' } });
+        throw new Error('expected load to fail');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.errors).toEqual([
+          { source: '/work/app/bad.yaml', path: 'langauges', message: 'is not an allowed property, did you mean "languages"?' },
+          { source: '/work/app/bad.yaml', path: 'verify.rounds', message: 'must be >= 0' },
+          { source: 'POLYFUNC_LLM__MAX_TOKENS', path: 'llm.maxTokens', message: 'expected integer, got string' }
+        ]);
+      } finally {
+        delete files['/work/app/bad.yaml'];
+      }
+      expect(config.get('llm.model')).toBe('gpt-4');
+    });
+
+    test('entries should list every value with its origin, including runtime changes', () => {
+      load();
+      config.set('llm.record', true);
+
+      const entries = config.entries();
+      expect(entries).toContainEqual({ key: 'llm.model', value: 'project-model', origin: 'project /work/app/polyfunc.json' });
+      expect(entries).toContainEqual({ key: 'llm.record', value: true, origin: 'command line' });
+      expect(entries).toContainEqual({ key: 'languages.go.useCase', value: ['performance', 'concurrency'], origin: 'default' });
+    });
+
+    test('load should read a .env file next to the project config', () => {
+      files['/work/app/.env'] = 'OPENAI_API_KEY=sk-dotenv\nPOLYFUNC_VERIFY__ROUNDS=1\nHOME_ONLY=x\n';
+      try {
+        load({ env: { POLYFUNC_VERIFY__ROUNDS: '4' } });
+      } finally {
+        delete files['/work/app/.env'];
+      }
+
+      expect(config.get('llm.apiKey')).toBe('sk-dotenv');
+      expect(config.getEnv('HOME_ONLY')).toBe('x');
+      expect(config.get('verify.rounds')).toBe(4);
+    });
+
+    test('load should warn about literal secrets in configuration files', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      files['/work/app/keys.yaml'] = 'llm:\n  apiKey: sk-committed\nprofiles:\n  ci:\n    llm:\n      apiKey: env:CI_KEY\n  prod:\n    llm:\n      apiKey: sk-prod\n';
+      try {
+        load({ configFile: '/work/app/keys.yaml' });
+      } finally {
+        delete files['/work/app/keys.yaml'];
+      }
+
+      expect(warn.mock.calls.map(call => call[0])).toEqual([
+        'Warning: /work/app/keys.yaml: llm.apiKey holds a secret in plain text, use env:NAME or file:PATH instead',
+        'Warning: /work/app/keys.yaml: profiles.prod.llm.apiKey holds a secret in plain text, use env:NAME or file:PATH instead'
+      ]);
+      expect(config.get('llm.apiKey')).toBe('sk-committed');
+      warn.mockRestore();
+    });
+  });
+});
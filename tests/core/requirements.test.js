@@ -0,0 +1,117 @@
+const {
+  REQUIREMENTS_VERSION,
+  RequirementsError,
+  normalizeRequirements,
+  normalizeConstraints,
+  mergeConstraints,
+  withConstraints
+} = require('../../src/core/requirements');
+
+describe('Requirements Model', () => {
+  test('normalizeRequirements should accept the nested LLM shape', () => {
+    const normalized = normalizeRequirements({
+      useCase: 'api',
+      requirements: {
+        performance: { importance: 8, weight: 0.8 },
+        memory: { importance: 7 }
+      },
+      dependencies: ['express'],
+      useCaseWeight: 0.9
+    });
+
+    expect(normalized).toEqual({
+      version: REQUIREMENTS_VERSION,
+      useCase: 'api',
+      useCaseWeight: 0.9,
+      weights: { performance: 0.8, memory: 0.7 },
+      dependencies: ['express'],
+      constraints: { allow: null, deny: [], requiredLibraries: [], minimums: {} }
+    });
+  });
+
+  test('normalizeRequirements should accept the flat shape', () => {
+    const normalized = normalizeRequirements({
+      performance: { weight: 1 },
+      concurrency: 0.5,
+      useCase: 'system'
+    });
+
+    expect(normalized.weights).toEqual({ performance: 1, concurrency: 0.5 });
+    expect(normalized.useCase).toBe('system');
+    expect(normalized.useCaseWeight).toBe(1);
+  });
+
+  test('normalizeRequirements should ignore keys that are not characteristics', () => {
+    const normalized = normalizeRequirements({
+      useCase: 'api',
+      requirements: { performance: { weight: 0.8 }, security: { importance: 10 }, compliance: 'high' }
+    });
+
+    expect(normalized.weights).toEqual({ performance: 0.8 });
+  });
+
+  test('normalizeRequirements should be idempotent', () => {
+    const normalized = normalizeRequirements({ requirements: { memory: { weight: 0.3 } } });
+
+    expect(normalizeRequirements(normalized)).toBe(normalized);
+  });
+
+  test('normalizeRequirements should default to empty requirements', () => {
+    expect(normalizeRequirements()).toEqual({
+      version: REQUIREMENTS_VERSION,
+      useCase: null,
+      useCaseWeight: 1,
+      weights: {},
+      dependencies: [],
+      constraints: { allow: null, deny: [], requiredLibraries: [], minimums: {} }
+    });
+  });
+
+  test('normalizeRequirements should reject out-of-range values', () => {
+    expect(() => normalizeRequirements({ requirements: { performance: { weight: 1.5 } } }))
+      .toThrow(RequirementsError);
+    expect(() => normalizeRequirements({ requirements: { performance: { importance: 11 } } }))
+      .toThrow(/importance 11/);
+    expect(() => normalizeRequirements({ requirements: { performance: { weight: 'high' } } }))
+      .toThrow(/expected a number between 0 and 1/);
+    expect(() => normalizeRequirements({ requirements: { performance: {} } }))
+      .toThrow(/must define a weight or an importance/);
+    expect(() => normalizeRequirements({ useCaseWeight: -1 })).toThrow(/useCaseWeight/);
+    expect(() => normalizeRequirements('fast')).toThrow(/must be an object/);
+  });
+
+  test('normalizeConstraints should validate lists and minimums', () => {
+    expect(normalizeConstraints({ deny: 'rust', minimums: { performance: 7 } })).toEqual({
+      allow: null,
+      deny: ['rust'],
+      requiredLibraries: [],
+      minimums: { performance: 7 }
+    });
+    expect(() => normalizeConstraints({ allow: [1] })).toThrow(/must be a list of names/);
+    expect(() => normalizeConstraints({ minimums: { memory: 12 } })).toThrow(/between 1 and 10/);
+  });
+
+  test('mergeConstraints should intersect allow-lists and combine the rest', () => {
+    const merged = mergeConstraints(
+      { allow: ['go', 'rust', 'python'], deny: ['rust'], minimums: { memory: 6 } },
+      undefined,
+      { allow: ['go', 'python'], requiredLibraries: ['gin'], minimums: { memory: 8, performance: 5 } }
+    );
+
+    expect(merged).toEqual({
+      allow: ['go', 'python'],
+      deny: ['rust'],
+      requiredLibraries: ['gin'],
+      minimums: { memory: 8, performance: 5 }
+    });
+    expect(mergeConstraints({ allow: ['go'] }, { allow: ['rust'] }).allow).toEqual([]);
+  });
+
+  test('withConstraints should only copy requirements when there is something to add', () => {
+    const requirements = { useCase: 'api', constraints: { deny: ['go'] } };
+
+    expect(withConstraints(requirements, undefined, { deny: [] })).toBe(requirements);
+    expect(withConstraints(requirements, { deny: ['rust'] }).constraints.deny).toEqual(['go', 'rust']);
+    expect(requirements.constraints).toEqual({ deny: ['go'] });
+  });
+});
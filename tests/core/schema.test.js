@@ -0,0 +1,86 @@
+const { validate, formatErrors, typeOf } = require('../../src/core/schema');
+
+describe('Schema Validator', () => {
+  test('typeOf should distinguish integers, arrays and null', () => {
+    expect(typeOf(1)).toBe('integer');
+    expect(typeOf(1.5)).toBe('number');
+    expect(typeOf([])).toBe('array');
+    expect(typeOf(null)).toBe('null');
+    expect(typeOf({})).toBe('object');
+  });
+
+  test('validate should accept values matching the schema', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        weight: { type: 'number', minimum: 0, maximum: 1 },
+        tags: { type: 'array', items: { type: 'string' } }
+      }
+    };
+
+    expect(validate(schema, { name: 'api', weight: 1, tags: ['a'] })).toEqual([]);
+  });
+
+  test('validate should report paths for nested errors', () => {
+    const schema = {
+      type: 'object',
+      required: ['files'],
+      properties: {
+        files: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['filename'],
+            properties: { filename: { type: 'string', pattern: '^[^/]' } }
+          }
+        }
+      }
+    };
+
+    expect(validate(schema, { files: [{ filename: '/etc/passwd' }, {}] })).toEqual([
+      { path: 'files[0].filename', message: 'must match ^[^/]' },
+      { path: 'files[1].filename', message: 'is required' }
+    ]);
+    expect(validate(schema, {})).toEqual([{ path: 'files', message: 'is required' }]);
+    expect(validate(schema, { files: [] })).toEqual([{ path: 'files', message: 'must contain at least 1 item(s)' }]);
+  });
+
+  test('validate should check types, enums and ranges', () => {
+    expect(validate({ type: 'string' }, 3)).toEqual([{ path: '(root)', message: 'expected string, got integer' }]);
+    expect(validate({ type: ['string', 'null'] }, null)).toEqual([]);
+    expect(validate({ enum: ['a', 'b'] }, 'c')).toEqual([{ path: '(root)', message: 'must be one of "a", "b"' }]);
+    expect(validate({ type: 'number', maximum: 1 }, 2)).toEqual([{ path: '(root)', message: 'must be <= 1' }]);
+    expect(validate({ type: 'integer' }, 1.5)).toEqual([{ path: '(root)', message: 'expected integer, got number' }]);
+  });
+
+  test('validate should enforce additionalProperties', () => {
+    expect(validate({ type: 'object', properties: {}, additionalProperties: false }, { extra: 1 }))
+      .toEqual([{ path: 'extra', message: 'is not an allowed property' }]);
+    expect(validate({ type: 'object', additionalProperties: { type: 'number' } }, { a: 1, b: 'x' }))
+      .toEqual([{ path: 'b', message: 'expected number, got string' }]);
+  });
+
+  test('validate should treat undefined properties as unset', () => {
+    const schema = { type: 'object', properties: { a: { type: 'string' } }, required: ['a'], additionalProperties: false };
+    expect(validate(schema, { a: 'x', b: undefined })).toEqual([]);
+    expect(validate(schema, { a: undefined })).toEqual([{ path: 'a', message: 'is required' }]);
+  });
+
+  test('validate should enforce minProperties on objects only', () => {
+    const schema = { type: ['object', 'number'], minProperties: 1 };
+    expect(validate(schema, {})).toEqual([{ path: '(root)', message: 'must have at least 1 property' }]);
+    expect(validate(schema, { a: undefined })).toHaveLength(1);
+    expect(validate(schema, { a: 1 })).toEqual([]);
+    expect(validate(schema, 0.5)).toEqual([]);
+  });
+
+  test('formatErrors should render one line per error', () => {
+    expect(formatErrors([
+      { path: 'a', message: 'is required' },
+      { path: 'b[0]', message: 'expected string, got integer' }
+    ])).toBe('a: is required\nb[0]: expected string, got integer');
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  REDACTED,
+  isReference,
+  resolveReference,
+  parseDotenv,
+  literalSecrets,
+  redactSecrets
+} = require('../../src/core/secrets');
+
+describe('Secrets', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-secrets-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('isReference should recognise env and file references', () => {
+    expect(isReference('env:OPENAI_API_KEY')).toBe(true);
+    expect(isReference('file:~/.polyfunc/key')).toBe(true);
+    expect(isReference('sk-123')).toBe(false);
+    expect(isReference('env:')).toBe(false);
+    expect(isReference(undefined)).toBe(false);
+  });
+
+  test('resolveReference should read environment variables', () => {
+    expect(resolveReference('env:KEY', { env: { KEY: 'secret' } })).toBe('secret');
+    expect(resolveReference('env:MISSING', { env: {} })).toBeUndefined();
+    expect(resolveReference('sk-literal', { env: {} })).toBe('sk-literal');
+    expect(resolveReference(undefined)).toBeUndefined();
+  });
+
+  test('resolveReference should read files relative to cwd or the home directory', () => {
+    fs.mkdirSync(path.join(directory, '.polyfunc'));
+    fs.writeFileSync(path.join(directory, '.polyfunc', 'key'), 'from-home\n');
+    fs.writeFileSync(path.join(directory, 'key.txt'), 'from-project');
+
+    expect(resolveReference('file:~/.polyfunc/key', { home: directory })).toBe('from-home');
+    expect(resolveReference('file:key.txt', { cwd: directory })).toBe('from-project');
+    expect(() => resolveReference('file:missing', { cwd: directory }))
+      .toThrow('Cannot read secret file:missing: file not found');
+  });
+
+  test('parseDotenv should read assignments, quotes and comments', () => {
+    expect(parseDotenv([
+      '# local secrets',
+      'OPENAI_API_KEY=sk-123',
+      'export ANTHROPIC_API_KEY = "ant \\"key\\""',
+      "SINGLE='a # b'",
+      'PLAIN=value # trailing comment',
+      'EMPTY=',
+      'not a variable'
+    ].join('\n'))).toEqual({
+      OPENAI_API_KEY: 'sk-123',
+      ANTHROPIC_API_KEY: 'ant "key"',
+      SINGLE: 'a # b',
+      PLAIN: 'value',
+      EMPTY: ''
+    });
+  });
+
+  test('literalSecrets and redactSecrets should only touch values that are not references', () => {
+    const tree = { llm: { apiKey: 'sk-123', model: 'gpt-4' }, paths: { services: './services' } };
+
+    expect(literalSecrets(tree, ['llm.apiKey'])).toEqual(['llm.apiKey']);
+    expect(literalSecrets({ llm: { apiKey: 'env:KEY' } }, ['llm.apiKey'])).toEqual([]);
+    expect(redactSecrets(tree, ['llm.apiKey'])).toEqual({
+      llm: { apiKey: REDACTED, model: 'gpt-4' },
+      paths: { services: './services' }
+    });
+    expect(redactSecrets(tree, ['llm.apiKey'], { remove: true })).toEqual({
+      llm: { model: 'gpt-4' },
+      paths: { services: './services' }
+    });
+    expect(redactSecrets({ llm: { apiKey: 'file:~/.key' } }, ['llm.apiKey'])).toEqual({ llm: { apiKey: 'file:~/.key' } });
+    expect(tree.llm.apiKey).toBe('sk-123');
+  });
+
+  test('secret keys with a * segment should match every entry of a map', () => {
+    const tree = {
+      llm: { apiKey: 'env:KEY' },
+      profiles: { ci: { llm: { apiKey: 'sk-ci' } }, local: { llm: { apiKey: 'env:LOCAL' } }, bare: {} }
+    };
+    const keys = ['llm.apiKey', 'profiles.*.llm.apiKey'];
+
+    expect(literalSecrets(tree, keys)).toEqual(['profiles.ci.llm.apiKey']);
+    expect(redactSecrets(tree, keys, { remove: true }).profiles).toEqual({
+      ci: { llm: {} },
+      local: { llm: { apiKey: 'env:LOCAL' } },
+      bare: {}
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const { commands } = require('../../src/dev/commands');
+
+describe('Dev run commands', () => {
+  test('javascript should install dependencies once and start the package entry', () => {
+    const files = [
+      { path: 'package.json', content: JSON.stringify({ main: 'src/server.js', dependencies: { express: '^4' } }) },
+      { path: 'src/server.js', content: '' }
+    ];
+
+    expect(commands.javascript.setup(files)).toEqual([
+      { command: 'npm', args: ['install', '--no-audit', '--no-fund'], unless: 'node_modules' }
+    ]);
+    expect(commands.javascript.start(files)).toEqual({ command: process.execPath, args: ['src/server.js'] });
+    expect(commands.javascript.setup([{ path: 'index.js', content: '' }])).toEqual([]);
+  });
+
+  test('python, go and rust should use their usual run commands', () => {
+    expect(commands.python.start([{ path: 'main.py', content: '' }])).toEqual({ command: 'python3', args: ['main.py'] });
+    expect(commands.go.setup([{ path: 'main.go', content: '' }]).map(step => step.args.join(' '))).toEqual(['mod init service', 'mod tidy']);
+    expect(commands.go.setup([{ path: 'go.mod', content: '' }, { path: 'go.sum', content: '' }])).toEqual([]);
+    expect(commands.go.start()).toEqual({ command: 'go', args: ['run', '.'] });
+    expect(commands.rust.start()).toEqual({ command: 'cargo', args: ['run', '--quiet'] });
+  });
+});
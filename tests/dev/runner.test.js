@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DevRunner, assignPorts, planServices, describeCommand } = require('../../src/dev/runner');
+
+// Resolve once `check` passes, polling the collected output
+function waitFor(check, timeout = 5000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) {
+        resolve();
+      } else if (Date.now() - started > timeout) {
+        reject(new Error('Timed out waiting for the dev runner'));
+      } else {
+        setTimeout(poll, 20);
+      }
+    };
+    poll();
+  });
+}
+
+describe('Dev runner', () => {
+  test('assignPorts should skip ports used by other services or processes', async () => {
+    const busy = new Set([5001]);
+
+    const ports = await assignPorts(
+      [{ name: 'a', port: 5000 }, { name: 'b', port: 5000 }, { name: 'c', port: 8080 }],
+      { isFree: async port => !busy.has(port) }
+    );
+
+    expect(ports).toEqual({ a: 5000, b: 5002, c: 8080 });
+  });
+
+  test('planServices should set PORT and the URLs of every peer', () => {
+    const plans = planServices([
+      { name: 'users', path: 'services/users', language: 'python', files: [{ path: 'app.py', content: '' }] },
+      { name: 'order-service', path: 'services/orders', language: 'go', files: [{ path: 'go.mod', content: '' }, { path: 'go.sum', content: '' }] }
+    ], { users: 5000, 'order-service': 8080 });
+
+    expect(plans[0]).toEqual({
+      name: 'users',
+      path: 'services/users',
+      language: 'python',
+      port: 5000,
+      env: { PORT: '5000', ORDER_SERVICE_URL: 'http://127.0.0.1:8080' },
+      setup: [],
+      start: { command: 'python3', args: ['app.py'] }
+    });
+    expect(plans[1].env).toEqual({ PORT: '8080', USERS_URL: 'http://127.0.0.1:5000' });
+    expect(describeCommand(plans[1].start)).toBe('go run .');
+    expect(() => planServices([{ name: 'x', path: 'x', language: 'cobol', files: [] }], {})).toThrow('No run command for x (cobol)');
+  });
+
+  describe('processes', () => {
+    let directory;
+    let output;
+    let runner;
+
+    const script = [
+      'console.log("up on " + process.env.PORT + " peer " + process.env.PEER_URL);',
+      'process.stdout.write("no newline");',
+      'setInterval(() => {}, 1000);'
+    ].join('\n');
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-dev-'));
+      fs.writeFileSync(path.join(directory, 'index.js'), script);
+      output = [];
+    });
+
+    afterEach(async () => {
+      await runner.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const plan = (name, overrides = {}) => ({
+      name,
+      path: directory,
+      language: 'javascript',
+      port: 4100,
+      env: { PORT: '4100', PEER_URL: 'http://127.0.0.1:4200' },
+      setup: [],
+      start: { command: process.execPath, args: ['index.js'] },
+      ...overrides
+    });
+
+    test('should prefix output, restart on changes and stop every process', async () => {
+      let onChange;
+      runner = new DevRunner([plan('api'), plan('worker-service', { start: { command: process.execPath, args: ['-e', 'process.exit(3)'] } })], {
+        write: text => output.push(text),
+        watchDirectory: (watched, listener) => {
+          onChange = onChange || listener;
+          return { close: () => {} };
+        },
+        restartDelay: 10
+      });
+
+      await runner.start();
+      await waitFor(() => output.includes('api            | up on 4100 peer http://127.0.0.1:4200\n'));
+      await waitFor(() => output.includes('worker-service | exited with code 3, waiting for changes\n'));
+      const first = runner.processes.get('api').child;
+
+      onChange('rename', 'node_modules/x.js');
+      onChange('change', 'index.js');
+      await waitFor(() => runner.processes.has('api') && runner.processes.get('api').child !== first);
+
+      expect(output).toContain('api            | index.js changed, restarting\n');
+      expect(output.filter(line => line.includes('starting on port 4100: node index.js'))).toHaveLength(2);
+      expect(first.signalCode).toBe('SIGTERM');
+
+      const second = runner.processes.get('api').child;
+      await runner.stop();
+      expect(second.signalCode).toBe('SIGTERM');
+      expect(runner.processes.size).toBe(0);
+      expect(output).toContain('api            | no newline\n');
+    });
+
+    test('should colour prefixes and not start a service whose setup fails', async () => {
+      runner = new DevRunner([plan('api', { setup: [{ command: process.execPath, args: ['-e', 'process.exit(1)'] }] })], {
+        write: text => output.push(text),
+        color: true,
+        watch: false
+      });
+
+      await runner.start();
+
+      expect(output[0]).toBe(`\x1b[36mapi |\x1b[0m $ node -e process.exit(1)\n`);
+      expect(output[1]).toBe('\x1b[36mapi |\x1b[0m setup failed, waiting for changes\n');
+      expect(runner.processes.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const yaml = require('yaml');
+const { buildRoutes } = require('../../src/gateway/routes');
+const { renderEnvoy } = require('../../src/gateway/envoy');
+
+describe('Envoy gateway config', () => {
+  const routesOf = config => config.static_resources.listeners[0].filter_chains[0].filters[0]
+    .typed_config.route_config.virtual_hosts[0].routes;
+
+  test('renderEnvoy should route regex matches to one cluster per service', () => {
+    const { routes } = buildRoutes([{ name: 'users', port: 5000, endpoints: ['GET /users/{id}'] }]);
+
+    const content = renderEnvoy(routes, { port: 8000 });
+    const config = yaml.parse(content);
+
+    expect(content.startsWith('# Generated by polyfunc gateway\n')).toBe(true);
+    expect(config.static_resources.listeners[0].address.socket_address.port_value).toBe(8000);
+    expect(routesOf(config).map(route => route.match)).toEqual([
+      { path: '/health' },
+      { safe_regex: { regex: '^/users/[^/]+/?$' } },
+      { prefix: '/' }
+    ]);
+    expect(routesOf(config)[1].route).toEqual({ cluster: 'users' });
+    expect(config.static_resources.clusters).toEqual([{
+      name: 'users',
+      type: 'STRICT_DNS',
+      connect_timeout: '5s',
+      load_assignment: {
+        cluster_name: 'users',
+        endpoints: [{ lb_endpoints: [{ endpoint: { address: { socket_address: { address: 'users', port_value: 5000 } } } }] }]
+      }
+    }]);
+  });
+
+  test('renderEnvoy should rewrite the mount of prefix routes', () => {
+    const { routes } = buildRoutes([{ name: 'users', port: 5000 }], { prefix: true });
+
+    const config = yaml.parse(renderEnvoy(routes, { port: 8000 }));
+
+    expect(routesOf(config).slice(1, 3)).toEqual([
+      { match: { path: '/users' }, route: { cluster: 'users', prefix_rewrite: '/' } },
+      { match: { prefix: '/users/' }, route: { cluster: 'users', prefix_rewrite: '/' } }
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+const { buildRoutes } = require('../../src/gateway/routes');
+const { renderNginx } = require('../../src/gateway/nginx');
+
+describe('nginx gateway config', () => {
+  test('renderNginx should write one upstream per service and a regex location per route', () => {
+    const { routes } = buildRoutes([
+      { name: 'users', port: 5000, endpoints: ['GET /users/{id}', 'POST /users'] },
+      { name: 'orders', port: 3000, endpoints: ['POST /orders'] }
+    ]);
+
+    const config = renderNginx(routes, { port: 8000 });
+
+    expect(config).toMatch(/^# Generated by polyfunc gateway\nevents \{\}\n/);
+    expect(config.match(/upstream \w+ \{/g)).toEqual(['upstream users {', 'upstream orders {']);
+    expect(config).toContain('    server users:5000;');
+    expect(config).toContain('    listen 8000;');
+    expect(config).toContain('    # users: GET /users/{id}\n    location ~ "^/users/[^/]+/?$" {\n      proxy_pass http://users;\n    }');
+    expect(config).toContain('    location = /health {');
+    expect(config.trimEnd().endsWith('}')).toBe(true);
+  });
+
+  test('renderNginx should strip the mount of prefix routes', () => {
+    const { routes } = buildRoutes([{ name: 'users', port: 5000 }], { prefix: true });
+
+    const config = renderNginx(routes, { port: 80 });
+
+    expect(config).toContain('    location = /users {\n      proxy_pass http://users/;\n    }');
+    expect(config).toContain('    location /users/ {\n      proxy_pass http://users/;\n    }');
+  });
+});
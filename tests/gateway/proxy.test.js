@@ -0,0 +1,67 @@
+const http = require('http');
+const { buildRoutes } = require('../../src/gateway/routes');
+const { GatewayProxy } = require('../../src/gateway/proxy');
+
+// Send a request and collect the response
+function request(port, method, path) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, agent: false }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('Gateway proxy', () => {
+  let upstream;
+  let upstreamPort;
+
+  beforeAll(async () => {
+    upstream = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ method: req.method, url: req.url, forwardedFor: req.headers['x-forwarded-for'] }));
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamPort = upstream.address().port;
+  });
+
+  afterAll(() => new Promise(resolve => upstream.close(resolve)));
+
+  test('resolve should strip prefix mounts and keep the query', () => {
+    const { routes } = buildRoutes([{ name: 'users', port: 1 }], { prefix: true });
+    const proxy = new GatewayProxy(routes);
+
+    expect(proxy.resolve('/users/42?full=1').path).toBe('/42?full=1');
+    expect(proxy.resolve('/users').path).toBe('/');
+    expect(proxy.resolve('/usersx')).toBeNull();
+  });
+
+  test('should forward matching requests and answer health checks and unknown paths itself', async () => {
+    const { routes } = buildRoutes([
+      { name: 'users', port: upstreamPort, endpoints: ['GET /users/{id}'] },
+      { name: 'down', port: 1, endpoints: ['GET /down'] }
+    ], { host: '127.0.0.1' });
+    const log = jest.fn();
+    const proxy = new GatewayProxy(routes, { log });
+    const port = await proxy.listen(0);
+
+    try {
+      const forwarded = await request(port, 'GET', '/users/7?x=1');
+      const health = await request(port, 'GET', '/health');
+      const missing = await request(port, 'GET', '/orders');
+      const unreachable = await request(port, 'GET', '/down');
+
+      expect(forwarded).toEqual({ status: 200, body: { method: 'GET', url: '/users/7?x=1', forwardedFor: '127.0.0.1' } });
+      expect(health).toEqual({ status: 200, body: { status: 'ok' } });
+      expect(missing).toEqual({ status: 404, body: { error: 'no service serves this path' } });
+      expect(unreachable.status).toBe(502);
+      expect(unreachable.body.error).toBe('down is not reachable at 127.0.0.1:1');
+      expect(log).toHaveBeenCalledWith('GET /users/7?x=1 -> users 200');
+    } finally {
+      await proxy.close();
+    }
+  });
+});
@@ -0,0 +1,77 @@
+const { buildRoutes, serviceEndpoints, normalizePath, pathRegex } = require('../../src/gateway/routes');
+
+describe('Gateway routes', () => {
+  const contract = [
+    'openapi: 3.0.3',
+    'info: { title: users, version: 1.0.0 }',
+    'paths:',
+    '  /users/{id}:',
+    '    delete: { responses: { "204": { description: Deleted } } }',
+    ''
+  ].join('\n');
+
+  test('normalizePath and pathRegex should turn endpoint paths into anchored matches', () => {
+    expect(normalizePath('/users/:id/')).toBe('/users/{id}');
+    expect(normalizePath('/search?q=x')).toBe('/search');
+    expect(pathRegex('/users/{id}')).toBe('^/users/[^/]+/?$');
+    expect(pathRegex('/v1.0/items')).toBe('^/v1\\.0/items/?$');
+    expect(new RegExp(pathRegex('/users/{id}')).test('/users/42/')).toBe(true);
+    expect(new RegExp(pathRegex('/users/{id}')).test('/users/42/orders')).toBe(false);
+  });
+
+  test('serviceEndpoints should merge the decomposition with the contract', () => {
+    expect(serviceEndpoints({ endpoints: ['GET /users/{id}', 'list users'], files: [{ path: 'openapi.yaml', content: contract }] }))
+      .toEqual([{ method: 'get', path: '/users/{id}' }, { method: 'delete', path: '/users/{id}', operationId: undefined }]);
+    expect(serviceEndpoints({ endpoints: ['GET /users'], files: [{ path: 'openapi.yaml', content: 'paths: [' }] }))
+      .toEqual([{ method: 'get', path: '/users' }]);
+  });
+
+  test('buildRoutes should group methods by path and skip health checks', () => {
+    const { routes, conflicts, unrouted } = buildRoutes([
+      { name: 'users', language: 'python', endpoints: ['GET /users/{id}', 'GET /health'], files: [{ path: 'openapi.yaml', content: contract }] },
+      { name: 'orders', port: 3001, endpoints: ['POST /orders', 'GET /orders/:id'] },
+      { name: 'empty' }
+    ]);
+
+    expect(routes).toEqual([
+      { service: 'users', path: '/users/{id}', methods: ['GET', 'DELETE'], match: 'exact', regex: '^/users/[^/]+/?$', strip: null, upstream: { host: 'users', port: 5000 } },
+      { service: 'orders', path: '/orders', methods: ['POST'], match: 'exact', regex: '^/orders/?$', strip: null, upstream: { host: 'orders', port: 3001 } },
+      { service: 'orders', path: '/orders/{id}', methods: ['GET'], match: 'exact', regex: '^/orders/[^/]+/?$', strip: null, upstream: { host: 'orders', port: 3001 } }
+    ]);
+    expect(conflicts).toEqual([]);
+    expect(unrouted).toEqual(['empty']);
+  });
+
+  test('buildRoutes should report paths served by several services', () => {
+    const { conflicts } = buildRoutes([
+      { name: 'users', endpoints: ['GET /users/{id}', 'GET /users'] },
+      { name: 'accounts', endpoints: ['DELETE /users/me', 'POST /users'] }
+    ]);
+
+    expect(conflicts.map(conflict => conflict.message)).toEqual([
+      '/users/{id} of users (GET) overlaps /users/me of accounts (DELETE)',
+      '/users is served by users (GET) and accounts (POST)'
+    ]);
+  });
+
+  test('buildRoutes should mount services under their name with --prefix', () => {
+    const { routes, conflicts, unrouted } = buildRoutes([
+      { name: 'users', endpoints: ['GET /users'] },
+      { name: 'accounts', endpoints: ['GET /users'] },
+      { name: 'empty' }
+    ], { prefix: true, host: '127.0.0.1' });
+
+    expect(routes[0]).toEqual({
+      service: 'users',
+      path: '/users',
+      methods: [],
+      match: 'prefix',
+      regex: '^/users(/.*)?$',
+      strip: '/users',
+      upstream: { host: '127.0.0.1', port: 8080 }
+    });
+    expect(routes.map(route => route.path)).toEqual(['/users', '/accounts', '/empty']);
+    expect(conflicts).toEqual([]);
+    expect(unrouted).toEqual([]);
+  });
+});
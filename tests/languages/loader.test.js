@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LanguageProfile, profiles } = require('../../src/languages/profile');
+const {
+  DEFAULT_USE_CASE_SCORE,
+  profileFromDefinition,
+  loadPluginDirectory,
+  loadLanguageProfiles
+} = require('../../src/languages/loader');
+
+function createRegistry() {
+  return {
+    profiles: { go: profiles.go.clone(), javascript: profiles.javascript.clone() },
+    registerProfile(profile) {
+      this.profiles[profile.name] = profile;
+      return profile;
+    }
+  };
+}
+
+function createConfig(values) {
+  return { get: key => values[key] };
+}
+
+describe('Language Profile Loader', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-languages-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('profileFromDefinition should build a new profile', () => {
+    const profile = profileFromDefinition('elixir', {
+      priority: 6,
+      characteristics: { concurrency: 10 },
+      useCases: { realtime: 9 },
+      libraries: { phoenix: { purpose: 'web framework', maturity: 9 } }
+    });
+
+    expect(profile).toBeInstanceOf(LanguageProfile);
+    expect(profile.name).toBe('elixir');
+    expect(profile.priority).toBe(6);
+    expect(profile.characteristics.concurrency).toBe(10);
+    expect(profile.characteristics.performance).toBe(5);
+    expect(profile.useCases).toEqual([{ name: 'realtime', score: 9 }]);
+    expect(profile.libraries.phoenix).toEqual({ purpose: 'web framework', maturity: 9 });
+  });
+
+  test('profileFromDefinition should merge into an existing profile without mutating it', () => {
+    const base = profiles.go;
+    const profile = profileFromDefinition('go', {
+      characteristics: { ecosystem: 9 },
+      useCases: [{ name: 'api', score: 10 }],
+      useCase: ['cli', 'performance'],
+      libraries: ['chi']
+    }, base);
+
+    expect(profile).not.toBe(base);
+    expect(profile.characteristics.ecosystem).toBe(9);
+    expect(profile.characteristics.concurrency).toBe(10);
+    expect(profile.useCases.find(uc => uc.name === 'api').score).toBe(10);
+    expect(profile.useCases.find(uc => uc.name === 'cli').score).toBe(DEFAULT_USE_CASE_SCORE);
+    expect(profile.useCases.find(uc => uc.name === 'performance').score).toBe(9);
+    expect(Object.keys(profile.libraries)).toEqual(['gin', 'gorm', 'chi']);
+    expect(base.characteristics.ecosystem).toBe(7);
+    expect(base.useCases.find(uc => uc.name === 'api').score).toBe(8);
+  });
+
+  test('profileFromDefinition should reject invalid definitions', () => {
+    expect(() => profileFromDefinition('java', { characteristics: { performance: 11 } }, null, 'java.yaml'))
+      .toThrow(/Invalid language profile "java" in java\.yaml:\nlanguages\.java\.characteristics\.performance: must be <= 10/);
+    expect(() => profileFromDefinition('java', { priority: 'high' }))
+      .toThrow(/priority: expected number, got string/);
+  });
+
+  test('loadPluginDirectory should read YAML, JSON and JS plugins in name order', () => {
+    fs.writeFileSync(path.join(directory, 'b-kotlin.json'), JSON.stringify({ name: 'kotlin', useCases: { android: 10 } }));
+    fs.writeFileSync(path.join(directory, 'a-jvm.yaml'), 'languages:\n  java:\n    useCases:\n      enterprise: 10\n');
+    fs.writeFileSync(
+      path.join(directory, 'c-csharp.js'),
+      "module.exports = [{ name: 'csharp', characteristics: { performance: 8 } }];"
+    );
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'ignored');
+
+    const entries = loadPluginDirectory(directory);
+
+    expect(entries.map(entry => entry.name)).toEqual(['java', 'kotlin', 'csharp']);
+    expect(entries[0].source).toBe(path.join(directory, 'a-jvm.yaml'));
+  });
+
+  test('loadPluginDirectory should ignore missing directories and reject malformed plugins', () => {
+    expect(loadPluginDirectory(path.join(directory, 'missing'))).toEqual([]);
+
+    fs.writeFileSync(path.join(directory, 'bad.json'), JSON.stringify({ characteristics: {} }));
+    expect(() => loadPluginDirectory(directory)).toThrow(/must define a profile with a name/);
+  });
+
+  test('loadLanguageProfiles should apply plugins then config', () => {
+    fs.writeFileSync(path.join(directory, 'go.yaml'), 'name: go\npriority: 9\ncharacteristics:\n  ecosystem: 8\n');
+    const registry = createRegistry();
+
+    const loaded = loadLanguageProfiles(registry, createConfig({
+      'paths.languages': directory,
+      languages: {
+        go: { priority: 3 },
+        java: { useCase: ['api'] }
+      }
+    }));
+
+    expect(loaded).toEqual(['go', 'java']);
+    expect(registry.profiles.go.priority).toBe(3);
+    expect(registry.profiles.go.characteristics.ecosystem).toBe(8);
+    expect(registry.profiles.java.useCases).toEqual([{ name: 'api', score: DEFAULT_USE_CASE_SCORE }]);
+  });
+});
@@ -77,6 +77,30 @@ describe('Language Profile Module', () => {
     expect(score).toBeCloseTo(9, 1);
   });
 
+  test('matches should read weights from the nested LLM requirements shape', () => {
+    const profile = new LanguageProfile('test', {
+      performance: 10,
+      memory: 2
+    });
+    
+    const score = profile.matches({
+      useCase: 'api',
+      requirements: {
+        performance: { importance: 9, weight: 0.9 },
+        memory: { importance: 1 }
+      }
+    });
+    
+    // (10*0.9 + 2*0.1) / (0.9 + 0.1)
+    expect(score).toBeCloseTo(9.2, 5);
+  });
+
+  test('matches should reject out-of-range weights', () => {
+    const profile = new LanguageProfile('test');
+    
+    expect(() => profile.matches({ requirements: { performance: { weight: 5 } } })).toThrow(/between 0 and 1/);
+  });
+
   test('matches should handle missing requirements', () => {
     const profile = new LanguageProfile('test', {
       performance: 8,
@@ -100,6 +124,27 @@ describe('Language Profile Module', () => {
     expect(score).toBe(0);
   });
 
+  test('explain should break the score down into factor contributions', () => {
+    const profile = new LanguageProfile('test', { performance: 8, memory: 4 });
+    profile.addUseCase('api', 10);
+    
+    const { score, totalWeight, factors } = profile.explain({
+      performance: { weight: 1 },
+      memory: { weight: 1 },
+      useCase: 'api',
+      useCaseWeight: 2
+    });
+    
+    expect(totalWeight).toBe(4);
+    expect(factors).toEqual([
+      { name: 'performance', type: 'characteristic', value: 8, weight: 1, contribution: 2 },
+      { name: 'memory', type: 'characteristic', value: 4, weight: 1, contribution: 1 },
+      { name: 'useCase:api', type: 'useCase', value: 10, weight: 2, contribution: 5 }
+    ]);
+    expect(score).toBe(8);
+    expect(profile.matches({ performance: { weight: 1 }, memory: { weight: 1 }, useCase: 'api', useCaseWeight: 2 })).toBe(8);
+  });
+
   test('toJSON should return a serializable representation', () => {
     const profile = new LanguageProfile('test');
     profile.addUseCase('web', 9);
@@ -137,6 +182,114 @@ describe('Language Profile Module', () => {
     expect(result.score).toBeGreaterThan(0);
   });
 
+  test('findBestLanguageForRequirements should honour the nested LLM shape', () => {
+    const result = languageProfiles.findBestLanguageForRequirements({
+      useCase: 'unknown',
+      requirements: {
+        ecosystem: { importance: 10, weight: 1 },
+        performance: { importance: 0, weight: 0 }
+      }
+    });
+    
+    expect(['javascript', 'python']).toContain(result.language);
+    expect(result.score).toBe(9);
+  });
+
+  test('rankLanguages should return every profile sorted by score', () => {
+    const ranking = languageProfiles.rankLanguages({
+      requirements: { concurrency: { weight: 1 } }
+    });
+    
+    expect(ranking.map(entry => entry.language)).toEqual(['go', 'rust', 'javascript', 'python']);
+    expect(ranking[0].score).toBe(10);
+    expect(ranking[0].factors).toEqual([
+      { name: 'concurrency', type: 'characteristic', value: 10, weight: 1, contribution: 10 }
+    ]);
+    expect(ranking[0].profile).toBe(profiles.go);
+  });
+
+  test('rankLanguages should use priority to break ties', () => {
+    const registry = {
+      ...languageProfiles,
+      profiles: {
+        first: new LanguageProfile('first'),
+        second: new LanguageProfile('second'),
+        third: new LanguageProfile('third')
+      }
+    };
+    registry.profiles.second.priority = 1;
+    registry.profiles.third.priority = 2;
+    
+    const ranking = registry.rankLanguages({ performance: { weight: 1 } });
+    
+    expect(ranking.map(entry => entry.language)).toEqual(['second', 'third', 'first']);
+    expect(registry.findBestLanguageForRequirements({ performance: { weight: 1 } }).language).toBe('second');
+  });
+
+  test('clone should copy a profile without sharing state', () => {
+    const copy = profiles.rust.clone('rust-nightly');
+    copy.characteristics.performance = 1;
+    copy.setUseCase('system', 1);
+    copy.setUseCase('wasm', 9);
+    
+    expect(copy.name).toBe('rust-nightly');
+    expect(profiles.rust.characteristics.performance).toBe(10);
+    expect(profiles.rust.useCases.find(uc => uc.name === 'system').score).toBe(10);
+    expect(copy.useCases.find(uc => uc.name === 'wasm').score).toBe(9);
+  });
+
+  test('constraintViolations should explain every failed constraint', () => {
+    const profile = new LanguageProfile('go', { performance: 8, memory: 6 });
+    profile.addLibrary('Gin', 'web framework', 8);
+    
+    expect(profile.constraintViolations({
+      allow: null,
+      deny: [],
+      requiredLibraries: ['gin'],
+      minimums: { performance: 8 }
+    })).toEqual([]);
+    expect(profile.constraintViolations({
+      allow: ['python'],
+      deny: ['go'],
+      requiredLibraries: ['gorm'],
+      minimums: { memory: 7 }
+    })).toEqual([
+      'not in allow-list (python)',
+      'excluded by deny-list',
+      'missing required library "gorm"',
+      'memory 6 is below the minimum of 7'
+    ]);
+  });
+
+  test('findBestLanguageForRequirements should filter on constraints before scoring', () => {
+    const requirements = {
+      performance: { weight: 1 },
+      concurrency: { weight: 1 },
+      useCase: 'system',
+      constraints: { deny: ['rust'], minimums: { startupTime: 8 } }
+    };
+    
+    const result = languageProfiles.findBestLanguageForRequirements(requirements);
+    
+    expect(result.language).toBe('go');
+    expect(result.eliminated).toEqual([
+      { language: 'javascript', reasons: ['startupTime 7 is below the minimum of 8'] },
+      { language: 'python', reasons: ['startupTime 6 is below the minimum of 8'] },
+      { language: 'rust', reasons: ['excluded by deny-list', 'startupTime 7 is below the minimum of 8'] }
+    ]);
+    expect(languageProfiles.rankLanguages(requirements).map(entry => entry.language)).toEqual(['go']);
+  });
+
+  test('findBestLanguageForRequirements should return no language when all are eliminated', () => {
+    const result = languageProfiles.findBestLanguageForRequirements({
+      constraints: { requiredLibraries: ['spring-boot'] }
+    });
+    
+    expect(result.language).toBeNull();
+    expect(result.profile).toBeNull();
+    expect(result.eliminated).toHaveLength(4);
+  });
+
   test('predefined language profiles should exist', () => {
     expect(profiles.javascript).toBeDefined();
     expect(profiles.python).toBeDefined();
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureStore = require('../../src/llm/fixtures');
+
+describe('Fixture Store', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keyFor should be stable and depend only on roles and content', () => {
+    const messages = [{ role: 'user', content: 'hello' }];
+
+    expect(FixtureStore.keyFor(messages)).toBe(FixtureStore.keyFor([{ content: 'hello', role: 'user', extra: 1 }]));
+    expect(FixtureStore.keyFor(messages)).not.toBe(FixtureStore.keyFor([{ role: 'user', content: 'bye' }]));
+    expect(FixtureStore.keyFor(messages)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('write then read should round trip a response', async () => {
+    const store = new FixtureStore(path.join(directory, 'nested'));
+    const messages = [{ role: 'user', content: 'hello' }];
+
+    const key = await store.write({ model: 'gpt-4', messages }, '{"ok":true}');
+
+    expect(fs.existsSync(store.pathFor(key))).toBe(true);
+    expect(await store.read(messages)).toBe('{"ok":true}');
+  });
+
+  test('read should return null for unknown prompts', async () => {
+    const store = new FixtureStore(directory);
+
+    expect(await store.read([{ role: 'user', content: 'missing' }])).toBeNull();
+  });
+
+  test('read should report corrupt fixtures', async () => {
+    const store = new FixtureStore(directory);
+    const messages = [{ role: 'user', content: 'corrupt' }];
+    fs.writeFileSync(store.pathFor(FixtureStore.keyFor(messages)), 'not json');
+
+    await expect(store.read(messages)).rejects.toThrow(/Failed to read LLM fixture/);
+  });
+});
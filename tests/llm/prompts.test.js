@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptLibrary, PromptError, loadPrompt } = require('../../src/llm/prompts');
+
+describe('Prompt Library', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-prompts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (name, contents) => {
+    fs.writeFileSync(path.join(directory, name), contents);
+    return path.join(directory, name);
+  };
+
+  test('load should find the built-in prompts', () => {
+    const library = new PromptLibrary().load();
+
+    expect(library.list().map(prompt => prompt.name).sort())
+      .toEqual(['code', 'contract', 'decomposition', 'repair', 'requirements', 'update']);
+    library.list().forEach(prompt => {
+      expect(prompt).toEqual(expect.objectContaining({ version: expect.any(Number), source: 'builtin' }));
+      expect(prompt.system).not.toBe('');
+    });
+  });
+
+  test('every built-in prompt should render with the values the client passes', () => {
+    const library = new PromptLibrary().load();
+    const service = { language: 'go', serviceName: 'orders', description: 'Stores orders' };
+
+    const rendered = [
+      library.render('requirements', { description: 'Stores orders' }),
+      library.render('decomposition', { description: 'A shop' }),
+      library.render('contract', { ...service, purpose: '', endpoints: '', callers: [] }),
+      library.render('code', { ...service, purpose: '', endpoints: '', calls: [], contract: '', template: null }),
+      library.render('update', { ...service, files: [], change: 'Add tests' }),
+      library.render('repair', { ...service, files: [], failures: 'build failed' })
+    ];
+
+    rendered.forEach(prompt => {
+      expect(prompt.messages.map(message => message.role)).toEqual(['system', 'user']);
+      expect(prompt.messages[1].content).not.toMatch(/\{\{|\n\n\n/);
+    });
+  });
+
+  test('project prompts should replace built-in prompts with the same name', () => {
+    write('code.yaml', 'version: 2\ndescription: Terse\nuser: "Write {{serviceName}}"\n');
+    write('notes.txt', 'not a prompt');
+
+    const library = new PromptLibrary().load(directory);
+    const prompt = library.render('code', { serviceName: 'orders' });
+
+    expect(library.get('code')).toEqual(expect.objectContaining({ version: 2, source: 'project', file: path.join(directory, 'code.yaml') }));
+    expect(library.get('contract').source).toBe('builtin');
+    expect(library.get('notes')).toBeNull();
+    expect(prompt).toEqual({
+      name: 'code',
+      version: 2,
+      source: 'project',
+      temperature: undefined,
+      messages: [{ role: 'user', content: 'Write orders' }]
+    });
+  });
+
+  test('render should drop the lines of standalone block tags and keep values as they are', () => {
+    write('list.yaml', [
+      'version: 1',
+      'user: |',
+      '  Files:',
+      '  {{#each files}}',
+      '  - {{path}}',
+      '  {{/each}}',
+      '  {{#unless files}}',
+      '  none',
+      '  {{/unless}}',
+      '  Done'
+    ].join('\n'));
+    const library = new PromptLibrary().load(directory);
+
+    expect(library.render('list', { files: [{ path: 'a.go' }, { path: '{{b}}.go' }] }).messages[0].content)
+      .toBe('Files:\n- a.go\n- {{b}}.go\nDone');
+    expect(library.render('list', { files: [] }).messages[0].content).toBe('Files:\nnone\nDone');
+  });
+
+  test('render should name the prompt file when a value is missing', () => {
+    const file = write('greet.yml', 'version: 1\nsystem: Hello {{who}}\nuser: Hi\n');
+    const library = new PromptLibrary().load(directory);
+
+    expect(() => library.render('greet', {})).toThrow(PromptError);
+    expect(() => library.render('greet', {})).toThrow(`Unknown placeholder {{who}} in the system message of ${file}`);
+    expect(() => library.render('missing', {})).toThrow('Unknown prompt: missing');
+  });
+
+  test('loadPrompt should reject files that are not prompts', () => {
+    const invalid = write('bad.yaml', 'version: 0\nuser: Hi\nmodel: gpt-4\n');
+    const broken = write('broken.yaml', 'user: [unclosed');
+
+    expect(() => loadPrompt(invalid, 'project')).toThrow(`Invalid prompt ${invalid}:`);
+    expect(() => loadPrompt(invalid, 'project')).toThrow(/version: must be >= 1/);
+    expect(() => loadPrompt(broken, 'project')).toThrow(`Failed to read ${broken}`);
+  });
+});
@@ -0,0 +1,130 @@
+const axios = require('axios');
+const { OpenAI, AzureOpenAI } = require('openai');
+const providerRegistry = require('../../../src/llm/providers');
+const LLMProvider = require('../../../src/llm/providers/base');
+
+jest.mock('openai', () => {
+  const mockCompletionsCreate = jest.fn();
+  const client = () => ({
+    chat: {
+      completions: {
+        create: mockCompletionsCreate
+      }
+    }
+  });
+  return {
+    OpenAI: jest.fn().mockImplementation(client),
+    AzureOpenAI: jest.fn().mockImplementation(client),
+    mockCompletionsCreate
+  };
+});
+
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+describe('LLM Provider Registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('getProvider should throw for unknown providers', () => {
+    expect(() => providerRegistry.getProvider('unknown')).toThrow(/Unsupported LLM provider: unknown/);
+  });
+
+  test('registerProvider should make custom adapters available', () => {
+    class CustomProvider extends LLMProvider {
+      async complete() {
+        return 'custom';
+      }
+    }
+    providerRegistry.registerProvider('custom', CustomProvider);
+
+    const provider = providerRegistry.createProvider('custom', { model: 'm' });
+
+    expect(provider).toBeInstanceOf(CustomProvider);
+    expect(provider.options).toEqual({ model: 'm', provider: 'custom' });
+    delete providerRegistry.providers.custom;
+  });
+
+  test('base provider should reject complete calls', async () => {
+    await expect(new LLMProvider().complete({})).rejects.toThrow(/does not implement complete/);
+  });
+
+  test('openai provider should pass baseUrl through and return message content', async () => {
+    const { mockCompletionsCreate } = require('openai');
+    mockCompletionsCreate.mockResolvedValueOnce({ choices: [{ message: { content: 'hello' } }] });
+
+    const provider = providerRegistry.createProvider('openai', { apiKey: 'key', baseUrl: 'http://proxy/v1' });
+    const result = await provider.complete({ model: 'gpt-4', messages: [{ role: 'user', content: 'hi' }], temperature: 0.1 });
+
+    expect(OpenAI).toHaveBeenCalledWith({ apiKey: 'key', baseURL: 'http://proxy/v1' });
+    expect(mockCompletionsCreate).toHaveBeenCalledWith({
+      model: 'gpt-4',
+      messages: [{ role: 'user', content: 'hi' }],
+      temperature: 0.1
+    });
+    expect(result).toBe('hello');
+  });
+
+  test('azure provider should require an endpoint and use the deployment name', () => {
+    expect(() => providerRegistry.createProvider('azure', { apiKey: 'key' })).toThrow(/llm.baseUrl/);
+
+    providerRegistry.createProvider('azure', {
+      apiKey: 'key',
+      baseUrl: 'https://example.openai.azure.com',
+      model: 'gpt-4',
+      deployment: 'prod-gpt4'
+    });
+
+    expect(AzureOpenAI).toHaveBeenCalledWith(expect.objectContaining({
+      apiKey: 'key',
+      endpoint: 'https://example.openai.azure.com',
+      deployment: 'prod-gpt4'
+    }));
+  });
+
+  test('local providers should default their base URL and not need a key', () => {
+    const OllamaProvider = providerRegistry.getProvider('ollama');
+    expect(OllamaProvider.requiresApiKey).toBe(false);
+
+    providerRegistry.createProvider('ollama', {});
+    expect(OpenAI).toHaveBeenCalledWith({ apiKey: 'not-needed', baseURL: 'http://localhost:11434/v1' });
+
+    providerRegistry.createProvider('openai-compatible', { baseUrl: 'http://gpu-box:9000/v1' });
+    expect(OpenAI).toHaveBeenLastCalledWith({ apiKey: 'not-needed', baseURL: 'http://gpu-box:9000/v1' });
+
+    expect(() => providerRegistry.createProvider('openai-compatible', {})).toThrow(/llm.baseUrl is required/);
+  });
+
+  test('anthropic provider should split out the system prompt and join text blocks', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { content: [{ type: 'text', text: '{"a":' }, { type: 'text', text: '1}' }] }
+    });
+
+    const provider = providerRegistry.createProvider('anthropic', { apiKey: 'ant-key' });
+    const result = await provider.complete({
+      model: 'claude-model',
+      messages: [
+        { role: 'system', content: 'Be terse' },
+        { role: 'user', content: 'hi' }
+      ],
+      temperature: 0.2
+    });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://api.anthropic.com/v1/messages',
+      {
+        model: 'claude-model',
+        max_tokens: 4096,
+        system: 'Be terse',
+        messages: [{ role: 'user', content: 'hi' }],
+        temperature: 0.2
+      },
+      expect.objectContaining({
+        headers: expect.objectContaining({ 'x-api-key': 'ant-key' })
+      })
+    );
+    expect(result).toBe('{"a":1}');
+  });
+});
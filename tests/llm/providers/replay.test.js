@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const providerRegistry = require('../../../src/llm/providers');
+const LLMProvider = require('../../../src/llm/providers/base');
+const ReplayProvider = require('../../../src/llm/providers/replay');
+const RecordingProvider = require('../../../src/llm/providers/recording');
+
+describe('Replay and Recording Providers', () => {
+  let fixtures;
+  const request = {
+    model: 'gpt-4',
+    messages: [{ role: 'user', content: 'Decompose a shop' }],
+    temperature: 0.3
+  };
+
+  class StubProvider extends LLMProvider {
+    static get requiresApiKey() {
+      return false;
+    }
+
+    async complete() {
+      return '[{"name":"cart"}]';
+    }
+  }
+
+  beforeAll(() => {
+    providerRegistry.registerProvider('stub', StubProvider);
+  });
+
+  afterAll(() => {
+    delete providerRegistry.providers.stub;
+  });
+
+  beforeEach(() => {
+    fixtures = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-replay-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtures, { recursive: true, force: true });
+  });
+
+  test('replay provider should not need an API key', () => {
+    expect(ReplayProvider.requiresApiKey).toBe(false);
+  });
+
+  test('record mode should wrap the real provider and capture responses', async () => {
+    const recorder = providerRegistry.createProvider('stub', { record: true, fixtures });
+
+    expect(recorder).toBeInstanceOf(RecordingProvider);
+    expect(await recorder.complete(request)).toBe('[{"name":"cart"}]');
+    expect(fs.readdirSync(fixtures)).toHaveLength(1);
+  });
+
+  test('replay should serve recorded responses byte for byte', async () => {
+    await providerRegistry.createProvider('stub', { record: true, fixtures }).complete(request);
+
+    const replay = providerRegistry.createProvider('replay', { fixtures, model: 'other-model' });
+
+    expect(await replay.complete({ ...request, model: 'other-model' })).toBe('[{"name":"cart"}]');
+  });
+
+  test('replay should fail clearly when a prompt was never recorded', async () => {
+    const replay = providerRegistry.createProvider('replay', { fixtures });
+
+    await expect(replay.complete(request)).rejects.toThrow(/No recorded LLM response .* --record/);
+  });
+
+  test('record mode should not wrap the replay provider', () => {
+    const replay = providerRegistry.createProvider('replay', { fixtures, record: true });
+
+    expect(replay).toBeInstanceOf(ReplayProvider);
+  });
+});
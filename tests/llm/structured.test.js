@@ -0,0 +1,42 @@
+const { extractJson, parseStructured, buildRepairPrompt } = require('../../src/llm/structured');
+
+describe('Structured Output Helpers', () => {
+  test('extractJson should parse bare JSON', () => {
+    expect(extractJson(' {"a": 1} ')).toEqual({ a: 1 });
+    expect(extractJson('[1, 2]')).toEqual([1, 2]);
+  });
+
+  test('extractJson should unwrap markdown fences', () => {
+    expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(extractJson('Result:\n```\n[{"name": "x"}]\n```')).toEqual([{ name: 'x' }]);
+  });
+
+  test('extractJson should find JSON surrounded by prose', () => {
+    expect(extractJson('Sure! Here is the analysis: {"useCase": "api", "note": "use {braces}"} Let me know.'))
+      .toEqual({ useCase: 'api', note: 'use {braces}' });
+    expect(extractJson('Note [draft] follows: {"a": [1, {"b": "\\"]"}]}')).toEqual({ a: [1, { b: '"]' }] });
+  });
+
+  test('extractJson should throw when there is no JSON', () => {
+    expect(() => extractJson('no json here')).toThrow(SyntaxError);
+    expect(() => extractJson('{ broken')).toThrow(/No JSON value found/);
+  });
+
+  test('parseStructured should return validation errors', () => {
+    const schema = { type: 'object', required: ['name'] };
+
+    expect(parseStructured('{"name": "a"}', schema)).toEqual({ value: { name: 'a' }, errors: [] });
+    expect(parseStructured('{}', schema).errors).toEqual([{ path: 'name', message: 'is required' }]);
+    expect(parseStructured('nope', schema).errors[0].message).toMatch(/not valid JSON/);
+  });
+
+  test('buildRepairPrompt should list every problem', () => {
+    const prompt = buildRepairPrompt([
+      { path: 'name', message: 'is required' },
+      { path: 'files[0].content', message: 'expected string, got integer' }
+    ]);
+
+    expect(prompt).toContain('- name: is required');
+    expect(prompt).toContain('- files[0].content: expected string, got integer');
+  });
+});
@@ -0,0 +1,138 @@
+const { ServiceGraph, GraphError, toServiceName } = require('../../src/project/graph');
+
+describe('Service Graph', () => {
+  const shop = () => new ServiceGraph([
+    { name: 'orders', dependsOn: ['inventory'], consumes: [{ service: 'users', endpoints: ['GET /users/{id}'] }] },
+    { name: 'users' },
+    { name: 'inventory', consumes: [{ service: 'users', endpoints: ['GET /users/{id}', 'HEAD /users'] }] },
+    { name: 'reports' }
+  ]);
+
+  test('dependenciesOf should merge dependsOn and consumed services', () => {
+    const graph = new ServiceGraph([
+      { name: 'a', dependsOn: ['b'], consumes: [{ service: 'b' }, { service: 'c' }] },
+      { name: 'b' },
+      { name: 'c' }
+    ]);
+
+    expect(graph.dependenciesOf('a')).toEqual(['b', 'c']);
+    expect(graph.dependenciesOf('missing')).toEqual([]);
+  });
+
+  test('edges should carry the consumed endpoints', () => {
+    expect(shop().edges()).toEqual([
+      { from: 'orders', to: 'inventory', endpoints: [] },
+      { from: 'orders', to: 'users', endpoints: ['GET /users/{id}'] },
+      { from: 'inventory', to: 'users', endpoints: ['GET /users/{id}', 'HEAD /users'] }
+    ]);
+  });
+
+  test('order should put dependencies first and otherwise keep list order', () => {
+    expect(shop().order()).toEqual(['users', 'inventory', 'orders', 'reports']);
+  });
+
+  test('validate should report unknown services, self references and duplicates', () => {
+    const graph = new ServiceGraph([
+      { name: 'a', dependsOn: ['a'], consumes: [{ service: 'ghost' }] },
+      { name: 'a' }
+    ]);
+
+    expect(graph.validate()).toEqual([
+      { path: '[0].dependsOn[0]', message: 'a cannot depend on itself' },
+      { path: '[0].consumes[0].service', message: 'unknown service "ghost"' },
+      { path: '[1].name', message: 'duplicate service name "a"' }
+    ]);
+  });
+
+  test('fromDecomposition should use service names and catch names that collide once converted', () => {
+    const graph = ServiceGraph.fromDecomposition([
+      { name: 'Order Service', consumes: [{ service: 'User API' }] },
+      { name: 'User API' },
+      { name: 'user-api' }
+    ]);
+
+    expect(toServiceName('  Billing & Invoices ')).toBe('billing-invoices');
+    expect(graph.edges()).toEqual([{ from: 'order-service', to: 'user-api', endpoints: [] }]);
+    expect(graph.validate()).toEqual([{ path: '[2].name', message: 'duplicate service name "user-api"' }]);
+  });
+
+  test('order should refuse cycles with a GraphError naming the cycle', () => {
+    const graph = new ServiceGraph([
+      { name: 'a', dependsOn: ['b'] },
+      { name: 'b', consumes: [{ service: 'c' }] },
+      { name: 'c', dependsOn: ['a', 'b'] }
+    ]);
+
+    const error = (() => {
+      try {
+        return graph.order();
+      } catch (caught) {
+        return caught;
+      }
+    })();
+    expect(error).toBeInstanceOf(GraphError);
+    expect(error.errors).toEqual([
+      { path: '(root)', message: 'dependency cycle: a -> b -> c -> a' },
+      { path: '(root)', message: 'dependency cycle: b -> c -> b' }
+    ]);
+  });
+
+  test('toDot should render nodes, labelled edges and the startup order', () => {
+    expect(shop().toDot()).toBe([
+      '// Startup order: users, inventory, orders, reports',
+      'digraph services {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      '  "orders";',
+      '  "users";',
+      '  "inventory";',
+      '  "reports";',
+      '  "orders" -> "inventory";',
+      '  "orders" -> "users" [label="GET /users/{id}"];',
+      '  "inventory" -> "users" [label="GET /users/{id}\\nHEAD /users"];',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  test('toMermaid should use safe node ids and quoted labels', () => {
+    const graph = new ServiceGraph([
+      { name: 'order-service', consumes: [{ service: 'user-service', endpoints: ['GET /users/"me"'] }] },
+      { name: 'user-service' }
+    ]);
+
+    expect(graph.toMermaid()).toBe([
+      '%% Startup order: user-service, order-service',
+      'graph LR',
+      '  order_service["order-service"]',
+      '  user_service["user-service"]',
+      '  order_service -->|"GET /users/#quot;me#quot;"| user_service',
+      ''
+    ].join('\n'));
+  });
+
+  test('toMermaid should keep services whose names map to the same id apart', () => {
+    const graph = new ServiceGraph([
+      { name: 'my-svc', dependsOn: ['my_svc'] },
+      { name: 'my_svc', dependsOn: ['my_svc_2'] },
+      { name: 'my_svc_2' }
+    ]);
+
+    expect(graph.toMermaid().split('\n').slice(2)).toEqual([
+      '  my_svc["my-svc"]',
+      '  my_svc_2["my_svc"]',
+      '  my_svc_2_2["my_svc_2"]',
+      '  my_svc --> my_svc_2',
+      '  my_svc_2 --> my_svc_2_2',
+      ''
+    ]);
+  });
+
+  test('toJSON should include services, edges and order', () => {
+    const json = shop().toJSON();
+
+    expect(json.services[1]).toEqual({ name: 'users', dependsOn: [], consumes: [] });
+    expect(json.edges).toHaveLength(3);
+    expect(json.order).toEqual(['users', 'inventory', 'orders', 'reports']);
+  });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ServiceHistory, generationsOf } = require('../../src/project/history');
+
+describe('Service History', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('save and load should round-trip snapshots', async () => {
+    const history = new ServiceHistory(directory);
+    const snapshot = { generation: 2, change: 'add auth', createdAt: 'now', files: [{ path: 'a', content: 'b' }] };
+
+    await history.save('orders', snapshot);
+
+    expect(await history.has('orders', 2)).toBe(true);
+    expect(await history.has('orders', 3)).toBe(false);
+    expect(await history.load('orders', 2)).toEqual(snapshot);
+    expect(await history.load('orders', 3)).toBeNull();
+    expect(fs.existsSync(path.join(directory, 'orders', '2.json'))).toBe(true);
+  });
+
+  test('clear should drop every snapshot of a service', async () => {
+    const history = new ServiceHistory(directory);
+    await history.save('orders', { generation: 1, files: [] });
+
+    await history.clear('orders');
+
+    expect(await history.has('orders', 1)).toBe(false);
+  });
+
+  test('generationsOf should include the initial generation', () => {
+    expect(generationsOf({ generatedAt: 't0', history: [{ generation: 2, change: 'x', createdAt: 't1' }] })).toEqual([
+      { generation: 1, change: 'initial generation', createdAt: 't0' },
+      { generation: 2, change: 'x', createdAt: 't1' }
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Manifest, MANIFEST_FILE, MANIFEST_VERSION } = require('../../src/project/manifest');
+
+describe('Project Manifest', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-manifest-'));
+    file = path.join(directory, MANIFEST_FILE);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('load should start an empty manifest when none exists', async () => {
+    const manifest = await Manifest.load(file);
+
+    expect(manifest.data).toEqual({ version: MANIFEST_VERSION, services: {} });
+    expect(manifest.listServices()).toEqual([]);
+  });
+
+  test('save and load should round trip services', async () => {
+    const manifest = await Manifest.load(file);
+    manifest.setService('orders', { language: 'go', score: 8.5 });
+    await manifest.save();
+
+    const reloaded = await Manifest.load(file);
+
+    expect(reloaded.getService('orders')).toEqual({ name: 'orders', language: 'go', score: 8.5 });
+    expect(fs.readFileSync(file, 'utf8').endsWith('\n')).toBe(true);
+  });
+
+  test('removeService should return the removed entry', async () => {
+    const manifest = new Manifest(file);
+    manifest.setService('orders', { language: 'go' });
+
+    expect(manifest.removeService('orders')).toEqual({ name: 'orders', language: 'go' });
+    expect(manifest.getService('orders')).toBeNull();
+    expect(manifest.removeService('orders')).toBeNull();
+  });
+
+  test('load should reject corrupt manifests', async () => {
+    fs.writeFileSync(file, '{"version": 1}');
+    await expect(Manifest.load(file)).rejects.toThrow(/missing "services" section/);
+
+    fs.writeFileSync(file, 'not json');
+    await expect(Manifest.load(file)).rejects.toThrow(/Failed to read/);
+  });
+});
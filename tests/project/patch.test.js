@@ -0,0 +1,65 @@
+const { applyEdits, PatchError } = require('../../src/project/patch');
+
+describe('Service Patching', () => {
+  const files = [
+    { path: 'main.go', content: 'package main\n\nfunc main() {\n\tserve(8080)\n}\n' },
+    { path: 'README.md', content: '# orders\n' },
+    { path: 'old.go', content: 'package main\n' }
+  ];
+
+  test('applyEdits should write, replace and delete files', () => {
+    const result = applyEdits(files, [
+      { filename: './main.go', action: 'replace', replacements: [{ search: 'serve(8080)', replace: 'serve(port())' }] },
+      { filename: 'config.go', action: 'write', content: 'package main\n' },
+      { filename: 'old.go', action: 'delete' }
+    ]);
+
+    expect(result.changes).toEqual([
+      { path: 'main.go', action: 'modified' },
+      { path: 'config.go', action: 'created' },
+      { path: 'old.go', action: 'deleted' }
+    ]);
+    expect(result.files.find(file => file.path === 'main.go').content).toContain('serve(port())');
+    expect(result.files.find(file => file.path === 'README.md').content).toBe('# orders\n');
+    expect(result.files.map(file => file.path)).not.toContain('old.go');
+  });
+
+  test('applyEdits should not report files whose content did not change', () => {
+    const result = applyEdits(files, [{ filename: 'README.md', action: 'write', content: '# orders\n' }]);
+
+    expect(result.changes).toEqual([]);
+  });
+
+  test('applyEdits should keep "$" patterns in replacements literal', () => {
+    const result = applyEdits(files, [
+      { filename: 'README.md', action: 'replace', replacements: [{ search: 'orders', replace: '$& $1' }] }
+    ]);
+
+    expect(result.files.find(file => file.path === 'README.md').content).toBe('# $& $1\n');
+  });
+
+  test('applyEdits should reject every bad edit at once', () => {
+    let error;
+    try {
+      applyEdits(files, [
+        { filename: 'main.go', action: 'replace', replacements: [{ search: 'missing', replace: '' }] },
+        { filename: 'main.go', action: 'replace', replacements: [{ search: 'main', replace: 'x' }] },
+        { filename: 'nope.go', action: 'delete' },
+        { filename: '../escape.go', action: 'write', content: '' },
+        { filename: 'new.go', action: 'write' }
+      ]);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(PatchError);
+    expect(error.failures).toEqual([
+      { path: 'main.go', message: 'search text not found: "missing"' },
+      { path: 'main.go', message: 'search text matches 2 times: "main"' },
+      { path: 'nope.go', message: 'cannot delete a file that does not exist' },
+      { path: '../escape.go', message: 'path escapes the service directory' },
+      { path: 'new.go', message: 'write edit has no content' }
+    ]);
+    expect(error.message).toContain('  - nope.go: cannot delete a file that does not exist');
+  });
+});
@@ -0,0 +1,402 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/core/config');
+const llm = require('../../src/llm/client');
+const pipeline = require('../../src/project/pipeline');
+const { Manifest } = require('../../src/project/manifest');
+const { PatchError } = require('../../src/project/patch');
+
+describe('Service Pipeline', () => {
+  test('toServiceName should produce safe directory names', () => {
+    expect(pipeline.toServiceName('Order Service')).toBe('order-service');
+    expect(pipeline.toServiceName('../../etc/passwd')).toBe('etc-passwd');
+    expect(pipeline.toServiceName('!!!')).toBe('service');
+  });
+
+  test('isInsideServicesRoot should only accept paths below the services directory', () => {
+    const root = pipeline.servicesRoot();
+
+    expect(pipeline.isInsideServicesRoot(path.join(root, 'orders'))).toBe(true);
+    expect(pipeline.isInsideServicesRoot(path.resolve(root, 'orders', 'nested'))).toBe(true);
+    expect(pipeline.isInsideServicesRoot(root)).toBe(false);
+    expect(pipeline.isInsideServicesRoot(path.join(root, '..'))).toBe(false);
+    expect(pipeline.isInsideServicesRoot('..')).toBe(false);
+    expect(pipeline.isInsideServicesRoot('/')).toBe(false);
+    expect(pipeline.isInsideServicesRoot(path.join(root, '..', 'other'))).toBe(false);
+    expect(pipeline.isInsideServicesRoot(path.join(root, '..evil'))).toBe(true);
+  });
+
+  test('selectLanguage should explain the choice', () => {
+    const selection = pipeline.selectLanguage({
+      useCase: 'concurrency',
+      requirements: { concurrency: { weight: 1 } }
+    });
+
+    expect(selection.language).toBe('go');
+    expect(selection.score).toBe(10);
+    expect(selection.runnerUp).toEqual({ language: 'rust', score: 9 });
+    expect(selection.reasoning).toBe(
+      'Selected go with score 10.00; top factors: concurrency +5.00, useCase:concurrency +5.00; runner-up: rust (9.00)'
+    );
+  });
+
+  test('selectLanguage should apply command-line constraints', () => {
+    const selection = pipeline.selectLanguage(
+      { useCase: 'concurrency', requirements: { concurrency: { weight: 1 } } },
+      { exclude: ['go', 'rust'] }
+    );
+
+    expect(selection.language).toBe('javascript');
+    expect(selection.eliminated.map(entry => entry.language)).toEqual(['go', 'rust']);
+    expect(selection.reasoning).toMatch(/eliminated: go \(excluded by deny-list\), rust \(excluded by deny-list\)$/);
+  });
+
+  test('selectLanguage should report when nothing is eligible', () => {
+    const selection = pipeline.selectLanguage({ useCase: 'api', requirements: {} }, { requireLib: ['spring-boot'] });
+
+    expect(selection.language).toBeNull();
+    expect(selection.reasoning).toBe('No language satisfies the selection constraints');
+    expect(selection.eliminated).toHaveLength(4);
+  });
+
+  test('serviceGraph should use service directory names for nodes and edges', () => {
+    const graph = pipeline.serviceGraph([
+      { name: 'Order Service', purpose: 'Orders', consumes: [{ service: 'User Service', endpoints: ['GET /users'] }] },
+      { name: 'User Service', purpose: 'Users', endpoints: ['GET /users', 'POST /users'] }
+    ]);
+
+    expect(graph.order()).toEqual(['user-service', 'order-service']);
+    expect(pipeline.contractsFor(graph, 'order-service')).toEqual([{
+      service: 'user-service',
+      urlVariable: 'USER_SERVICE_URL',
+      endpoints: ['GET /users', 'POST /users'],
+      uses: ['GET /users']
+    }]);
+    expect(pipeline.contractsFor(graph, 'user-service')).toEqual([]);
+    expect(pipeline.contractsFor(graph, 'order-service', { 'user-service': { openapi: '3.0.3' } })[0].contract)
+      .toEqual({ openapi: '3.0.3' });
+    expect(pipeline.consumersOf(graph, 'user-service')).toEqual([{ service: 'order-service', uses: ['GET /users'] }]);
+  });
+
+  test('loadContract should read openapi.yaml from a service directory', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-contract-'));
+    const missing = await pipeline.loadContract(directory);
+    fs.writeFileSync(path.join(directory, 'openapi.yaml'), 'openapi: 3.0.3\npaths: {}\n');
+    const contract = await pipeline.loadContract(directory);
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    expect(missing).toBeNull();
+    expect(contract).toEqual({ openapi: '3.0.3', paths: {} });
+  });
+
+  test('writeService should write the generated files and a README', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-pipeline-'));
+    try {
+      const servicePath = path.join(directory, 'orders');
+      const { files, rejected } = await pipeline.writeService(servicePath, {
+        title: 'orders',
+        description: 'Handles orders',
+        code: {
+          files: [{ filename: 'src/main.go', content: 'package main' }],
+          instructions: 'go run ./src',
+          dependencies: ['gin']
+        }
+      });
+
+      expect(fs.readFileSync(path.join(servicePath, 'src/main.go'), 'utf8')).toBe('package main');
+      expect(fs.readFileSync(path.join(servicePath, 'README.md'), 'utf8')).toBe(
+        '# orders\n\n## Description\nHandles orders\n\n## Instructions\ngo run ./src\n\n## Dependencies\ngin\n'
+      );
+      expect(files.map(file => file.path)).toEqual(['src/main.go', 'README.md']);
+      expect(rejected).toEqual([]);
+      expect(files[0]).toEqual({ path: 'src/main.go', sha256: pipeline.hashContent('package main'), size: 12 });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('planService should report new, modified and unchanged files without writing', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-pipeline-'));
+    try {
+      fs.writeFileSync(path.join(directory, 'same.txt'), 'same');
+      fs.writeFileSync(path.join(directory, 'changed.txt'), 'old');
+      const { files, rejected } = await pipeline.planService(directory, {
+        title: 't',
+        description: 'd',
+        code: {
+          files: [
+            { filename: 'same.txt', content: 'same' },
+            { filename: 'changed.txt', content: 'new' },
+            { filename: 'fresh.txt', content: 'fresh' },
+            { filename: '/etc/passwd', content: '' }
+          ],
+          instructions: '',
+          dependencies: []
+        }
+      });
+
+      expect(files.map(file => [file.path, file.status, file.existing])).toEqual([
+        ['same.txt', 'unchanged', 'same'],
+        ['changed.txt', 'modified', 'old'],
+        ['fresh.txt', 'new', null],
+        ['README.md', 'new', null]
+      ]);
+      expect(rejected).toEqual([{ path: '/etc/passwd', reason: 'absolute paths are not allowed' }]);
+      expect(fs.existsSync(path.join(directory, 'fresh.txt'))).toBe(false);
+      expect(fs.readFileSync(path.join(directory, 'changed.txt'), 'utf8')).toBe('old');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('readServiceFiles should skip build output, secrets, symlinks and binaries', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-pipeline-'));
+    try {
+      fs.mkdirSync(path.join(directory, 'src'));
+      fs.mkdirSync(path.join(directory, 'node_modules', 'x'), { recursive: true });
+      fs.writeFileSync(path.join(directory, 'src', 'index.js'), 'module.exports = 1;\n');
+      fs.writeFileSync(path.join(directory, 'package.json'), '{}');
+      fs.writeFileSync(path.join(directory, 'node_modules', 'x', 'index.js'), '');
+      fs.writeFileSync(path.join(directory, '.env'), 'SECRET=1');
+      fs.writeFileSync(path.join(directory, 'logo.png'), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+      fs.symlinkSync('/etc/hostname', path.join(directory, 'link'));
+
+      expect(await pipeline.readServiceFiles(directory)).toEqual([
+        { path: 'package.json', content: '{}' },
+        { path: 'src/index.js', content: 'module.exports = 1;\n' }
+      ]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('syncService should rewrite changed files, delete removed ones and keep the rest', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-pipeline-'));
+    try {
+      fs.writeFileSync(path.join(directory, 'keep.txt'), 'keep');
+      fs.writeFileSync(path.join(directory, 'change.txt'), 'old');
+      fs.writeFileSync(path.join(directory, 'drop.txt'), 'drop');
+      const keptAt = fs.statSync(path.join(directory, 'keep.txt')).mtimeMs;
+      const current = await pipeline.readServiceFiles(directory);
+
+      const files = await pipeline.syncService(directory, current, [
+        { path: 'change.txt', content: 'new' },
+        { path: 'keep.txt', content: 'keep' },
+        { path: 'sub/added.txt', content: 'added' }
+      ]);
+
+      expect(fs.readdirSync(directory).sort()).toEqual(['change.txt', 'keep.txt', 'sub']);
+      expect(fs.readFileSync(path.join(directory, 'change.txt'), 'utf8')).toBe('new');
+      expect(fs.statSync(path.join(directory, 'keep.txt')).mtimeMs).toBe(keptAt);
+      expect(files).toEqual([
+        { path: 'change.txt', sha256: pipeline.hashContent('new'), size: 3 },
+        { path: 'keep.txt', sha256: pipeline.hashContent('keep'), size: 4 },
+        { path: 'sub/added.txt', sha256: pipeline.hashContent('added'), size: 5 }
+      ]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('syncService should write nothing when the sandbox rejects a file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-pipeline-'));
+    try {
+      await expect(pipeline.syncService(directory, [], [
+        { path: 'ok.txt', content: 'ok' },
+        { path: '.git/config', content: 'evil' }
+      ])).rejects.toThrow(PatchError);
+      expect(fs.readdirSync(directory)).toEqual([]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('serviceExists should check the manifest and the filesystem', async () => {
+    const manifest = new Manifest(null);
+    manifest.setService('known', { path: '/nowhere' });
+
+    await expect(pipeline.serviceExists(manifest, 'known', '/nowhere')).resolves.toBe(true);
+    await expect(pipeline.serviceExists(manifest, 'other', os.tmpdir())).resolves.toBe(true);
+    await expect(pipeline.serviceExists(manifest, 'other', path.join(os.tmpdir(), 'polyfunc-missing'))).resolves.toBe(false);
+  });
+
+  test('assignPort should skip ports taken by other services', () => {
+    const manifest = new Manifest(null);
+    manifest.setService('a', { port: 3000 });
+    manifest.setService('b', { port: 3001 });
+    manifest.setService('c', {});
+
+    expect(pipeline.assignPort(manifest, 'new', 3000)).toBe(3002);
+    expect(pipeline.assignPort(manifest, 'a', 3000)).toBe(3000);
+    expect(pipeline.assignPort(manifest, 'new', 5000)).toBe(5000);
+  });
+
+  test('scaffoldService should pick the language template and give it a free port', () => {
+    const manifest = new Manifest(null);
+    manifest.setService('users', { port: 5000 });
+
+    const scaffold = pipeline.scaffoldService(manifest, {
+      language: 'python',
+      name: 'orders',
+      description: 'Takes orders',
+      endpoints: ['POST /orders']
+    });
+
+    expect(scaffold.template).toBe('flask');
+    expect(scaffold.port).toBe(5001);
+    expect(scaffold.files.find(file => file.filename === 'config.py').content).toContain('os.environ.get("PORT", "5001")');
+    expect(Object.keys(scaffold.logic)).toEqual(['routes.py']);
+    expect(pipeline.scaffoldService(manifest, { language: 'python', name: 'orders', port: 7000 }).port).toBe(7000);
+  });
+
+  test('scaffoldService should honour --template and --no-template', () => {
+    const manifest = new Manifest(null);
+
+    expect(pipeline.scaffoldService(manifest, { language: 'go', name: 'x', template: false })).toBeNull();
+    expect(pipeline.scaffoldService(manifest, { language: 'go', name: 'x', template: 'gin' }).template).toBe('gin');
+    expect(() => pipeline.scaffoldService(manifest, { language: 'go', name: 'x', template: 'flask' }))
+      .toThrow('Template "flask" is for python, not go');
+    expect(() => pipeline.scaffoldService(manifest, { language: 'go', name: 'x', template: 'spring' }))
+      .toThrow(/Unknown template "spring"/);
+  });
+
+  test('generateService should send the scaffold to the LLM and merge its logic files', async () => {
+    const generateCode = jest.spyOn(llm, 'generateCode').mockResolvedValue({
+      files: [
+        { filename: 'routes.go', content: 'package main' },
+        { filename: 'main.go', content: 'package main // replaced' }
+      ],
+      instructions: '',
+      dependencies: []
+    });
+    const scaffold = pipeline.scaffoldService(new Manifest(null), { language: 'go', name: 'orders' });
+
+    const { code, ignored } = await pipeline.generateService('go', 'orders', 'Orders', { scaffold, endpoints: ['GET /'] });
+    const freeform = await pipeline.generateService('go', 'orders', 'Orders', { endpoints: ['GET /'] });
+
+    expect(generateCode).toHaveBeenNthCalledWith(1, 'go', 'orders', 'Orders', { endpoints: ['GET /'], template: scaffold });
+    expect(generateCode).toHaveBeenNthCalledWith(2, 'go', 'orders', 'Orders', { endpoints: ['GET /'] });
+    expect(code.files.map(file => file.filename)).toEqual(['config.go', 'go.mod', 'main.go', 'routes.go']);
+    expect(code.files.find(file => file.filename === 'main.go').content).not.toContain('replaced');
+    expect(ignored).toEqual(['main.go']);
+    expect(freeform.ignored).toEqual([]);
+    generateCode.mockRestore();
+  });
+
+  test('generateService should generate against the contract and save it as openapi.yaml', async () => {
+    const generateCode = jest.spyOn(llm, 'generateCode').mockResolvedValue({
+      files: [
+        { filename: 'app.py', content: 'print(1)' },
+        { filename: 'openapi.yaml', content: 'openapi: 3.1.0' }
+      ],
+      instructions: '',
+      dependencies: []
+    });
+    const contract = { openapi: '3.0.3', info: { title: 'orders', version: '1.0.0' }, paths: {} };
+
+    const { code } = await pipeline.generateService('python', 'orders', 'Orders', { contract });
+
+    expect(generateCode).toHaveBeenCalledWith('python', 'orders', 'Orders', { contract });
+    expect(code.files).toEqual([
+      { filename: 'app.py', content: 'print(1)' },
+      { filename: 'openapi.yaml', content: 'openapi: 3.0.3\ninfo:\n  title: orders\n  version: 1.0.0\npaths: {}\n' }
+    ]);
+    generateCode.mockRestore();
+  });
+
+  test('writeGeneratedFiles should replace its own files and keep hand-written ones', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-generated-'));
+    fs.writeFileSync(path.join(directory, 'Dockerfile'), 'FROM scratch\n');
+    fs.writeFileSync(path.join(directory, 'ours.yml'), '# generated\nold: true\n');
+    fs.writeFileSync(path.join(directory, 'same.txt'), '# generated\n');
+    const files = [
+      { filename: 'Dockerfile', content: '# generated\nFROM node\n' },
+      { filename: 'ours.yml', content: '# generated\nold: false\n' },
+      { filename: 'same.txt', content: '# generated\n' },
+      { filename: 'new.txt', content: '# generated\n' }
+    ];
+
+    const preview = await pipeline.writeGeneratedFiles(directory, files, { marker: '# generated', dryRun: true });
+    const unchangedOnDisk = fs.existsSync(path.join(directory, 'new.txt'));
+    const result = await pipeline.writeGeneratedFiles(directory, files, { marker: '# generated' });
+    const kept = fs.readFileSync(path.join(directory, 'Dockerfile'), 'utf8');
+    const forced = await pipeline.writeGeneratedFiles(directory, files.slice(0, 1), { marker: '# generated', force: true });
+    const replaced = fs.readFileSync(path.join(directory, 'Dockerfile'), 'utf8');
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    expect(preview.files.map(file => file.status)).toEqual(['kept', 'updated', 'unchanged', 'created']);
+    expect(unchangedOnDisk).toBe(false);
+    expect(result.files.map(file => [file.path, file.status])).toEqual([
+      ['Dockerfile', 'kept'], ['ours.yml', 'updated'], ['same.txt', 'unchanged'], ['new.txt', 'created']
+    ]);
+    expect(kept).toBe('FROM scratch\n');
+    expect(forced.files[0].status).toBe('updated');
+    expect(replaced).toBe('# generated\nFROM node\n');
+  });
+
+  test('collectServices should combine the manifest with unrecorded service directories', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-collect-'));
+    fs.mkdirSync(path.join(root, 'orders'));
+    fs.writeFileSync(path.join(root, 'orders', 'main.go'), 'package main');
+    fs.mkdirSync(path.join(root, 'stray'));
+    fs.writeFileSync(path.join(root, 'stray', 'app.py'), 'print(1)');
+    const manifest = new Manifest(null);
+    manifest.setService('orders', { language: 'go', path: path.join(root, 'orders'), port: 8080, dependsOn: ['users'] });
+    manifest.setService('gone', { language: 'python', path: path.join(root, 'gone') });
+    const previous = config.get('paths.services');
+    config.set('paths.services', root);
+
+    const services = await pipeline.collectServices(manifest);
+    config.set('paths.services', previous);
+    fs.rmSync(root, { recursive: true, force: true });
+
+    expect(services).toEqual([
+      { name: 'orders', path: path.join(root, 'orders'), language: 'go', port: 8080, endpoints: [], dependsOn: ['users'], consumes: [], files: [{ path: 'main.go', content: 'package main' }] },
+      { name: 'gone', path: path.join(root, 'gone'), language: 'python', port: undefined, endpoints: [], dependsOn: [], consumes: [], files: null },
+      { name: 'stray', path: path.join(root, 'stray'), endpoints: [], dependsOn: [], consumes: [], files: [{ path: 'app.py', content: 'print(1)' }] }
+    ]);
+  });
+
+  test('serviceRecord should capture the model, prompt versions and hashes and timestamp', () => {
+    llm.provider = 'openai';
+    llm.model = 'gpt-4';
+    llm.promptHashes = { requirements: 'abc', code: 'def', decomposition: 'ghi' };
+    llm.promptVersions = { requirements: { version: 1, source: 'builtin' }, code: { version: 3, source: 'project' } };
+
+    const record = pipeline.serviceRecord({
+      description: 'Handles orders',
+      language: 'go',
+      score: 8,
+      path: 'services/orders',
+      files: [],
+      purpose: 'Orders'
+    });
+
+    expect(record).toEqual({
+      description: 'Handles orders',
+      language: 'go',
+      score: 8,
+      path: 'services/orders',
+      model: { provider: 'openai', name: 'gpt-4' },
+      prompts: {
+        requirements: { version: 1, source: 'builtin', hash: 'abc' },
+        code: { version: 3, source: 'project', hash: 'def' }
+      },
+      files: [],
+      generatedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      purpose: 'Orders'
+    });
+  });
+
+  test('serviceRecord should record the contract prompt hash for services with a contract', () => {
+    llm.promptHashes = { requirements: 'abc', code: 'def', contract: 'jkl' };
+    llm.promptVersions = { contract: { version: 2, source: 'builtin' } };
+
+    const record = pipeline.serviceRecord({ description: 'Orders', language: 'go', files: [], contract: 'openapi.yaml' });
+
+    expect(record.prompts.contract).toEqual({ version: 2, source: 'builtin', hash: 'jkl' });
+    expect(record.prompts.code).toEqual({ hash: 'def' });
+    expect(record.contract).toBe('openapi.yaml');
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SandboxedWriter, normalizeFilename, matchDenyList, DEFAULT_DENY } = require('../../src/project/sandbox');
+
+describe('Sandboxed Writer', () => {
+  let directory;
+  let root;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-sandbox-'));
+    root = path.join(directory, 'service');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('normalizeFilename should reject absolute and escaping paths', () => {
+    expect(normalizeFilename('src/./main.go')).toEqual({ relative: 'src/main.go' });
+    expect(normalizeFilename('./a\\b.js')).toEqual({ relative: 'a/b.js' });
+    expect(normalizeFilename('/etc/passwd').reason).toBe('absolute paths are not allowed');
+    expect(normalizeFilename('C:\\Windows\\win.ini').reason).toBe('absolute paths are not allowed');
+    expect(normalizeFilename('../../.bashrc').reason).toBe('path escapes the service directory');
+    expect(normalizeFilename('src/../../x').reason).toBe('path escapes the service directory');
+    expect(normalizeFilename('a\0b').reason).toBe('file name contains a NUL byte');
+    expect(normalizeFilename('').reason).toBe('empty file name');
+    expect(normalizeFilename('src/..').reason).toBe('path points at the service directory itself');
+  });
+
+  test('matchDenyList should match directories, file names and globs', () => {
+    expect(matchDenyList('.git/config', DEFAULT_DENY)).toBe('.git/');
+    expect(matchDenyList('nested/.git/hooks/pre-commit', DEFAULT_DENY)).toBe('.git/');
+    expect(matchDenyList('config/.env', DEFAULT_DENY)).toBe('.env');
+    expect(matchDenyList('.env.production.local', DEFAULT_DENY)).toBe('.env.*.local');
+    expect(matchDenyList('certs/server.pem', DEFAULT_DENY)).toBe('*.pem');
+    expect(matchDenyList('.env.example', DEFAULT_DENY)).toBeNull();
+    expect(matchDenyList('src/gitignore.js', DEFAULT_DENY)).toBeNull();
+    expect(matchDenyList('config/secrets.yml', ['config/secrets.*'])).toBe('config/secrets.*');
+  });
+
+  test('write should keep safe files and report each rejected one', async () => {
+    const writer = new SandboxedWriter(root);
+
+    const report = await writer.write([
+      { filename: 'src/main.go', content: 'package main' },
+      { filename: '../../.bashrc', content: 'evil' },
+      { filename: '/tmp/evil', content: 'evil' },
+      { filename: '.git/hooks/post-checkout', content: 'evil' },
+      { filename: '.env', content: 'SECRET=1' },
+      { filename: 'src/main.go', content: 'again' }
+    ]);
+
+    expect(report.written).toEqual([
+      { path: 'src/main.go', sha256: expect.stringMatching(/^[0-9a-f]{64}$/), size: 12 }
+    ]);
+    expect(report.rejected).toEqual([
+      { path: '../../.bashrc', reason: 'path escapes the service directory' },
+      { path: '/tmp/evil', reason: 'absolute paths are not allowed' },
+      { path: '.git/hooks/post-checkout', reason: 'matches deny-list entry ".git/"' },
+      { path: '.env', reason: 'matches deny-list entry ".env"' },
+      { path: 'src/main.go', reason: 'duplicate file name' }
+    ]);
+    expect(fs.readFileSync(path.join(root, 'src/main.go'), 'utf8')).toBe('package main');
+    expect(fs.existsSync(path.join(directory, '.bashrc'))).toBe(false);
+  });
+
+  test('write should enforce size and count limits', async () => {
+    const writer = new SandboxedWriter(root, { maxFiles: 2, maxFileSize: 5, maxTotalSize: 8 });
+
+    const report = await writer.write([
+      { filename: 'big', content: '123456' },
+      { filename: 'a', content: '1234' },
+      { filename: 'b', content: '12345' },
+      { filename: 'c', content: '1' },
+      { filename: 'd', content: '1' }
+    ]);
+
+    expect(report.written.map(file => file.path)).toEqual(['a', 'c']);
+    expect(report.rejected).toEqual([
+      { path: 'big', reason: 'file is 6 bytes, limit is 5' },
+      { path: 'b', reason: 'total size limit of 8 bytes reached' },
+      { path: 'd', reason: 'file count limit of 2 reached' }
+    ]);
+  });
+
+  test('write should refuse to follow symlinks inside the service directory', async () => {
+    const outside = path.join(directory, 'outside');
+    fs.mkdirSync(outside);
+    fs.mkdirSync(root);
+    fs.symlinkSync(outside, path.join(root, 'linked'));
+    fs.symlinkSync(path.join(outside, 'target.txt'), path.join(root, 'file.txt'));
+
+    const report = await new SandboxedWriter(root).write([
+      { filename: 'linked/escape.txt', content: 'evil' },
+      { filename: 'file.txt', content: 'evil' }
+    ]);
+
+    expect(report.written).toEqual([]);
+    expect(report.rejected).toEqual([
+      { path: 'linked/escape.txt', reason: 'linked is a symbolic link' },
+      { path: 'file.txt', reason: 'file.txt is a symbolic link' }
+    ]);
+    expect(fs.readdirSync(outside)).toEqual([]);
+  });
+
+  test('write should refuse a service directory that is a symlink', async () => {
+    const outside = path.join(directory, 'outside');
+    fs.mkdirSync(outside);
+    fs.symlinkSync(outside, root);
+
+    await expect(new SandboxedWriter(root).write([{ filename: 'a', content: '' }]))
+      .rejects.toThrow(/is a symbolic link/);
+  });
+
+  test('deny option should extend the default deny-list', async () => {
+    const report = await new SandboxedWriter(root, { deny: ['*.sqlite'] }).write([
+      { filename: 'data/app.sqlite', content: '' },
+      { filename: '.env', content: '' }
+    ]);
+
+    expect(report.rejected.map(entry => entry.reason)).toEqual([
+      'matches deny-list entry "*.sqlite"',
+      'matches deny-list entry ".env"'
+    ]);
+  });
+
+  test('remove should delete files but refuse to go through symlinks', async () => {
+    const outside = path.join(directory, 'outside');
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(outside, 'victim.txt'), 'keep me');
+    fs.mkdirSync(root);
+    fs.writeFileSync(path.join(root, 'old.txt'), '');
+    fs.symlinkSync(outside, path.join(root, 'linked'));
+
+    const report = await new SandboxedWriter(root).remove(['old.txt', 'linked/victim.txt', '../outside/victim.txt']);
+
+    expect(report.removed).toEqual(['old.txt']);
+    expect(report.rejected).toEqual([
+      { path: 'linked/victim.txt', reason: 'linked is a symbolic link' },
+      { path: '../outside/victim.txt', reason: 'path escapes the service directory' }
+    ]);
+    expect(fs.existsSync(path.join(outside, 'victim.txt'))).toBe(true);
+    expect(fs.existsSync(path.join(root, 'old.txt'))).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+const { render, TemplateError } = require('../../src/templates/engine');
+
+describe('Template Engine', () => {
+  test('render should fill placeholders and dotted paths', () => {
+    expect(render('{{ serviceName }} on {{port}} by {{owner.name}}', {
+      serviceName: 'orders',
+      port: 3000,
+      owner: { name: 'ops' }
+    })).toBe('orders on 3000 by ops');
+  });
+
+  test('render should repeat each blocks with the item in scope', () => {
+    const text = '{{#each endpoints}}{{method}} {{path}} ({{serviceName}})\n{{/each}}';
+    const endpoints = [{ method: 'GET', path: '/a' }, { method: 'POST', path: '/b' }];
+
+    expect(render(text, { serviceName: 'svc', endpoints })).toBe('GET /a (svc)\nPOST /b (svc)\n');
+    expect(render('{{#each tags}}[{{this}}]{{/each}}', { tags: ['x', 'y'] })).toBe('[x][y]');
+  });
+
+  test('render should treat empty lists as false in if blocks', () => {
+    const text = '{{#if endpoints}}has endpoints{{/if}}.';
+
+    expect(render(text, { endpoints: [] })).toBe('.');
+    expect(render(text, { endpoints: ['GET /'] })).toBe('has endpoints.');
+  });
+
+  test('render should fill unless blocks when the value is missing or empty', () => {
+    const text = '{{#unless endpoints}}no endpoints{{/unless}}.';
+
+    expect(render(text, { endpoints: [] })).toBe('no endpoints.');
+    expect(render(text, {})).toBe('no endpoints.');
+    expect(render(text, { endpoints: ['GET /'] })).toBe('.');
+  });
+
+  test('render should handle nested blocks of the same kind', () => {
+    const text = '{{#each groups}}{{name}}:{{#each items}} {{this}}{{/each}};{{/each}}';
+    const groups = [{ name: 'a', items: [1, 2] }, { name: 'b', items: [3] }];
+
+    expect(render(text, { groups })).toBe('a: 1 2;b: 3;');
+  });
+
+  test('render should not expand placeholders inside substituted values', () => {
+    expect(render('{{description}}', { description: 'uses {{port}} literally' })).toBe('uses {{port}} literally');
+  });
+
+  test('render should reject unknown placeholders and unclosed blocks', () => {
+    expect(() => render('{{missing}}', {})).toThrow(TemplateError);
+    expect(() => render('{{missing}}', {})).toThrow('Unknown placeholder {{missing}}');
+    expect(() => render('{{#each items}}x', { items: [] })).toThrow('Missing {{/each}}');
+  });
+});
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const languageProfiles = require('../../src/languages/profile');
+const {
+  TemplateRegistry,
+  loadTemplate,
+  renderTemplate,
+  mergeGenerated,
+  addDependencies,
+  parseDependency,
+  parseEndpoint
+} = require('../../src/templates/registry');
+
+// Write a template directory with the given descriptor and files
+function writeTemplate(root, name, descriptor, files = {}) {
+  const directory = path.join(root, name);
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, 'template.json'), JSON.stringify(descriptor));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), content);
+  }
+  return directory;
+}
+
+describe('Template Registry', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'polyfunc-templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('built-in templates cover the web library of every language profile', () => {
+    const registry = new TemplateRegistry().load();
+
+    const selected = Object.keys(languageProfiles.profiles)
+      .map(language => [language, registry.select(language, languageProfiles.profiles[language]).name]);
+    expect(selected).toEqual([['javascript', 'express'], ['python', 'flask'], ['go', 'gin'], ['rust', 'actix']]);
+  });
+
+  test('built-in templates render without unknown placeholders', () => {
+    const registry = new TemplateRegistry().load();
+
+    for (const template of registry.list()) {
+      const rendered = renderTemplate(template, { serviceName: 'orders', endpoints: ['POST /orders'] });
+      expect(rendered.files.map(file => file.content).join('')).not.toMatch(/\{\{/);
+      expect(Object.keys(rendered.logic).length).toBeGreaterThan(0);
+      rendered.files.forEach(file => expect(rendered.logic[file.filename]).toBeUndefined());
+    }
+  });
+
+  test('loadTemplate should read every file except the descriptor', () => {
+    const directory = writeTemplate(root, 'koa', {
+      name: 'koa',
+      language: 'javascript',
+      library: 'koa',
+      logic: { 'src/routes.js': 'Routes' }
+    }, { 'package.json': '{}', 'src/index.js': '// {{serviceName}}' });
+
+    const template = loadTemplate(directory, 'user');
+
+    expect(template.files.map(file => file.path)).toEqual(['package.json', 'src/index.js']);
+    expect(template).toMatchObject({ name: 'koa', source: 'user', defaults: {}, dependencies: [] });
+  });
+
+  test('loadTemplate should reject invalid descriptors', () => {
+    const directory = writeTemplate(root, 'broken', { name: 'broken', logic: { 'a.js': 3 } });
+
+    expect(() => loadTemplate(directory, 'user')).toThrow(/Invalid template .*template\.json/);
+    fs.writeFileSync(path.join(directory, 'template.json'), '{ nope');
+    expect(() => loadTemplate(directory, 'user')).toThrow(/Failed to read/);
+  });
+
+  test('user templates override built-ins and win selection', () => {
+    writeTemplate(root, 'express', {
+      name: 'express',
+      language: 'javascript',
+      library: 'express',
+      logic: { 'app.js': 'Everything' }
+    });
+    writeTemplate(root, 'fastify', {
+      name: 'fastify',
+      language: 'javascript',
+      library: 'fastify',
+      logic: { 'routes.js': 'Routes' }
+    });
+    writeTemplate(root, 'not-a-template', { name: 'ignored' });
+    fs.rmSync(path.join(root, 'not-a-template', 'template.json'));
+
+    const registry = new TemplateRegistry().load(root);
+
+    expect(registry.get('express').source).toBe('user');
+    expect(registry.get('not-a-template')).toBeNull();
+    // fastify is not a library of the javascript profile, so the user's express template is chosen
+    expect(registry.select('javascript', languageProfiles.profiles.javascript).logic).toEqual({ 'app.js': 'Everything' });
+    expect(registry.select('haskell', undefined)).toBeNull();
+  });
+
+  test('renderTemplate should fill names, ports and endpoints', () => {
+    const directory = writeTemplate(root, 'mini', {
+      name: 'mini',
+      language: 'javascript',
+      defaults: { port: 4000 },
+      logic: { 'src/{{serviceName}}.js': 'Handles {{#each endpoints}}{{method}} {{path}} {{/each}}' },
+      instructions: 'node index.js # port {{port}}'
+    }, { 'index.js': 'listen({{port}}) // {{serviceName}}: {{description}}' });
+
+    const template = loadTemplate(directory, 'user');
+    const rendered = renderTemplate(template, { serviceName: 'orders', description: 'Orders', endpoints: ['post /orders', '/status'] });
+
+    expect(rendered).toEqual({
+      template: 'mini',
+      port: 4000,
+      files: [{ filename: 'index.js', content: 'listen(4000) // orders: Orders' }],
+      logic: { 'src/orders.js': 'Handles POST /orders GET /status ' },
+      instructions: 'node index.js # port 4000',
+      dependencies: [],
+      manifest: null
+    });
+    expect(renderTemplate(template, { serviceName: 'x', port: 9000 }).port).toBe(9000);
+  });
+
+  test('renderTemplate should name the file with a bad placeholder', () => {
+    const directory = writeTemplate(root, 'typo', {
+      name: 'typo',
+      language: 'go',
+      logic: { 'routes.go': 'Routes' }
+    }, { 'main.go': '{{servicename}}' });
+
+    expect(() => renderTemplate(loadTemplate(directory, 'user'), { serviceName: 'x' }))
+      .toThrow('Unknown placeholder {{servicename}} in typo/main.go');
+  });
+
+  test('mergeGenerated should keep the skeleton and only take logic files from the LLM', () => {
+    const rendered = {
+      files: [{ filename: 'package.json', content: '{"name":"orders"}' }],
+      logic: { 'src/routes.js': 'Routes' },
+      instructions: 'npm start',
+      dependencies: ['express']
+    };
+    const code = {
+      files: [
+        { filename: './src/routes.js', content: 'module.exports = {}' },
+        { filename: 'package.json', content: '{}' }
+      ],
+      instructions: 'Set DATABASE_URL',
+      dependencies: ['pg', 'express']
+    };
+
+    expect(mergeGenerated(rendered, code)).toEqual({
+      code: {
+        files: [
+          { filename: 'package.json', content: '{"name":"orders"}' },
+          { filename: 'src/routes.js', content: 'module.exports = {}' }
+        ],
+        instructions: 'npm start\n\nSet DATABASE_URL',
+        dependencies: ['express', 'pg']
+      },
+      ignored: ['package.json']
+    });
+  });
+
+  test('mergeGenerated should declare the LLM dependencies in the written package.json', () => {
+    const registry = new TemplateRegistry().load();
+    const rendered = renderTemplate(registry.get('express'), { serviceName: 'orders' });
+    const code = {
+      files: [{ filename: 'src/routes.js', content: "const { Pool } = require('pg');" }],
+      instructions: '',
+      dependencies: ['pg@^8.11.0', 'uuid', 'express@^5']
+    };
+
+    const { files } = mergeGenerated(rendered, code).code;
+    const manifest = JSON.parse(files.find(file => file.filename === 'package.json').content);
+
+    expect(manifest.dependencies).toEqual({ express: '^4.19.2', pg: '^8.11.0', uuid: '*' });
+    expect(manifest.name).toBe('orders');
+  });
+
+  test('addDependencies should add new dependencies to every built-in manifest format', () => {
+    const registry = new TemplateRegistry().load();
+    const manifest = (name, dependencies) => {
+      const rendered = renderTemplate(registry.get(name), { serviceName: 'orders' });
+      return addDependencies(rendered, dependencies).find(file => file.filename === rendered.manifest.file).content;
+    };
+
+    expect(manifest('flask', ['flask', 'requests>=2.31', 'redis@5.0.1'])).toBe('flask>=3.0\nrequests>=2.31\nredis==5.0.1\n');
+    expect(manifest('gin', ['github.com/gin-gonic/gin', 'github.com/google/uuid@v1.6.0', 'github.com/lib/pq']))
+      .toMatch(/require github.com\/gin-gonic\/gin v1.10.0\nrequire github.com\/google\/uuid v1.6.0\nrequire github.com\/lib\/pq latest\n$/);
+    expect(manifest('actix', ['serde', 'uuid@1']))
+      .toMatch(/serde_json = "1"\nuuid = "1"\n$/);
+  });
+
+  test('addDependencies should leave templates without a manifest alone', () => {
+    const rendered = { files: [{ filename: 'package.json', content: '{}' }], manifest: null };
+
+    expect(addDependencies(rendered, ['pg'])).toBe(rendered.files);
+  });
+
+  test('parseDependency should split names from versions', () => {
+    expect(parseDependency('pg')).toEqual({ name: 'pg', version: '' });
+    expect(parseDependency('@scope/pkg@^1.2')).toEqual({ name: '@scope/pkg', version: '^1.2' });
+    expect(parseDependency('requests>=2.31')).toEqual({ name: 'requests', version: '' });
+  });
+
+  test('parseEndpoint should split the method from the path', () => {
+    expect(parseEndpoint('POST /orders')).toEqual({ method: 'POST', path: '/orders' });
+    expect(parseEndpoint('get /orders/{id} - fetch one')).toEqual({ method: 'GET', path: '/orders/{id}' });
+    expect(parseEndpoint('/health')).toEqual({ method: 'GET', path: '/health' });
+  });
+});
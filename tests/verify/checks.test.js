@@ -0,0 +1,56 @@
+const { checks } = require('../../src/verify/checks');
+
+const commandLines = commands => commands.map(({ command, args }) => [command, ...args].join(' '));
+
+describe('Verification Checks', () => {
+  test('javascript should syntax check every script and run npm test when defined', () => {
+    const files = [
+      { path: 'index.js', content: '' },
+      { path: 'lib/util.mjs', content: '' },
+      { path: 'package.json', content: JSON.stringify({ scripts: { test: 'jest' }, dependencies: { express: '^4' } }) }
+    ];
+
+    expect(commandLines(checks.javascript.build.commands(files))).toEqual([
+      `${process.execPath} --check index.js`,
+      `${process.execPath} --check lib/util.mjs`
+    ]);
+    expect(commandLines(checks.javascript.test.commands(files))).toEqual([
+      'npm install --ignore-scripts --no-audit --no-fund',
+      'npm test'
+    ]);
+  });
+
+  test('javascript should skip the npm placeholder test script', () => {
+    const files = [{ path: 'package.json', content: JSON.stringify({ scripts: { test: 'echo "Error: no test specified" && exit 1' } }) }];
+
+    expect(checks.javascript.test.commands(files)).toEqual([]);
+  });
+
+  test('python should compile sources and only run pytest when tests exist', () => {
+    const files = [{ path: 'app.py', content: '' }, { path: 'util.py', content: '' }];
+
+    expect(commandLines(checks.python.build.commands(files))).toEqual(['python3 -m py_compile app.py util.py']);
+    expect(checks.python.test.commands(files)).toEqual([]);
+    expect(commandLines(checks.python.test.commands([...files, { path: 'tests/test_app.py', content: '' }])))
+      .toEqual(['python3 -m pytest -q']);
+  });
+
+  test('go should create a module when go.mod is missing', () => {
+    expect(commandLines(checks.go.build.commands([{ path: 'main.go', content: '' }]))).toEqual([
+      'go mod init service',
+      'go mod tidy',
+      'go build ./...'
+    ]);
+    expect(commandLines(checks.go.build.commands([{ path: 'main.go', content: '' }, { path: 'go.mod', content: '' }])))
+      .toEqual(['go mod tidy', 'go build ./...']);
+    expect(checks.go.test.commands([{ path: 'main.go', content: '' }])).toEqual([]);
+  });
+
+  test('rust should use cargo when there is a Cargo.toml', () => {
+    const files = [{ path: 'Cargo.toml', content: '' }, { path: 'src/main.rs', content: '' }];
+
+    expect(commandLines(checks.rust.build.commands(files))).toEqual(['cargo check --quiet']);
+    expect(commandLines(checks.rust.test.commands(files))).toEqual(['cargo test --quiet']);
+    expect(checks.rust.build.commands([{ path: 'main.rs', content: '' }])).toEqual([]);
+  });
+});
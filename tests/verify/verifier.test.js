@@ -0,0 +1,122 @@
+const { Verifier, verifyWithRepair, describeFailures, commandEnv } = require('../../src/verify/verifier');
+
+describe('Verifier', () => {
+  test('verify should pass valid JavaScript and report skipped stages', async () => {
+    const report = await new Verifier().verify('javascript', [{ path: 'index.js', content: 'console.log(1);\n' }]);
+
+    expect(report).toEqual({
+      language: 'javascript',
+      status: 'passed',
+      stages: [
+        { name: 'build', status: 'passed' },
+        { name: 'test', status: 'skipped', reason: 'no tests found' }
+      ]
+    });
+  });
+
+  test('verify should capture compiler output and skip later stages', async () => {
+    const report = await new Verifier().verify('javascript', [
+      { path: 'index.js', content: 'function broken( {\n' },
+      { path: 'package.json', content: JSON.stringify({ scripts: { test: 'node index.js' } }) }
+    ]);
+
+    expect(report.status).toBe('failed');
+    expect(report.stages[0]).toEqual({
+      name: 'build',
+      status: 'failed',
+      command: 'node --check index.js',
+      output: expect.stringContaining('SyntaxError')
+    });
+    expect(report.stages[1]).toEqual({ name: 'test', status: 'skipped', reason: 'an earlier stage failed' });
+  });
+
+  test('verify should skip stages whose toolchain is missing', async () => {
+    const missing = {
+      toolchain: { command: 'polyfunc-missing-compiler', args: ['--version'] },
+      commands: () => [{ command: 'polyfunc-missing-compiler', args: [] }]
+    };
+    const verifier = new Verifier({ checks: { cobol: { build: missing, test: missing } } });
+
+    const report = await verifier.verify('cobol', [{ path: 'main.cob', content: '' }]);
+
+    expect(report.status).toBe('skipped');
+    expect(report.stages.map(stage => stage.reason)).toEqual([
+      'polyfunc-missing-compiler is not installed',
+      'polyfunc-missing-compiler is not installed'
+    ]);
+  });
+
+  test('verify should not pass secrets in the environment on to build and test commands', async () => {
+    const printEnv = {
+      toolchain: { command: process.execPath, args: ['--version'] },
+      commands: () => [{ command: process.execPath, args: ['-e', 'console.log(Object.keys(process.env).sort().join(" ")); process.exit(1)'] }]
+    };
+    const verifier = new Verifier({
+      checks: { javascript: { build: printEnv, test: printEnv } },
+      env: { PATH: process.env.PATH, HOME: '/home/dev', OPENAI_API_KEY: 'sk-secret', POLYFUNC_LLM__API_KEY: 'sk-other' }
+    });
+
+    const report = await verifier.verify('javascript', [{ path: 'index.js', content: '' }]);
+
+    expect(report.stages[0].output).toBe('HOME PATH');
+  });
+
+  test('commandEnv should keep toolchain variables whatever their case', () => {
+    expect(commandEnv({ Path: 'C:\\bin', https_proxy: 'http://proxy', GOPATH: '/go', ANTHROPIC_API_KEY: 'x' }))
+      .toEqual({ Path: 'C:\\bin', https_proxy: 'http://proxy', GOPATH: '/go' });
+  });
+
+  test('verify should skip languages without checks', async () => {
+    const report = await new Verifier().verify('cobol', []);
+
+    expect(report.status).toBe('skipped');
+    expect(report.stages[0].reason).toBe('no checks defined for cobol');
+  });
+
+  test('verifyWithRepair should send failures back until the code passes', async () => {
+    const repair = jest.fn().mockResolvedValueOnce({
+      summary: 'Fix syntax',
+      edits: [{ filename: 'index.js', action: 'replace', replacements: [{ search: 'broken( {', replace: 'fixed() {}' }] }]
+    });
+
+    const result = await verifyWithRepair(new Verifier(), {
+      language: 'javascript',
+      files: [{ path: 'index.js', content: 'function broken( {\n' }],
+      rounds: 2,
+      repair
+    });
+
+    expect(repair).toHaveBeenCalledTimes(1);
+    expect(repair.mock.calls[0][1]).toMatch(/^The build step failed running `node --check index.js`:\n/);
+    expect(result.rounds).toBe(1);
+    expect(result.report.status).toBe('passed');
+    expect(result.files).toEqual([{ path: 'index.js', content: 'function fixed() {}\n' }]);
+  });
+
+  test('verifyWithRepair should give up after the configured rounds', async () => {
+    const repair = jest.fn().mockRejectedValue(new Error('invalid response'));
+    const log = jest.fn();
+
+    const result = await verifyWithRepair(new Verifier(), {
+      language: 'javascript',
+      files: [{ path: 'index.js', content: 'if (' }],
+      rounds: 2,
+      repair,
+      log
+    });
+
+    expect(repair).toHaveBeenCalledTimes(2);
+    expect(result.rounds).toBe(2);
+    expect(result.report.status).toBe('failed');
+    expect(log).toHaveBeenCalledWith('Repair round 2 failed: invalid response');
+  });
+
+  test('describeFailures should only mention failed stages', () => {
+    expect(describeFailures({
+      stages: [
+        { name: 'build', status: 'failed', command: 'go build ./...', output: 'main.go:3: undefined: x' },
+        { name: 'test', status: 'skipped', reason: 'an earlier stage failed' }
+      ]
+    })).toBe('The build step failed running `go build ./...`:\nmain.go:3: undefined: x');
+  });
+});